@@ -0,0 +1,169 @@
+// KnotPad - Activity Module (Recent-changes highlighting and the Recent Edits feed)
+// Items and connections carry createdAt/updatedAt (and the author's name, when
+// one is set); ui.js stamps them whenever a change is saved. This module only
+// reads them.
+
+import { $, esc, formatRelativeDate } from './utils.js';
+import * as state from './state.js';
+import { selectItem } from './items.js';
+import { panToItem } from './viewport.js';
+import { switchCanvas, loadStoredCanvasData } from './ui.js';
+import { getItemTitle } from './wiki-links.js';
+import eventBus, { Events } from './events-bus.js';
+
+const RECENCY_WINDOW = 7 * 24 * 3600000; // Edits older than a week are not highlighted
+const FEED_LIMIT = 20;
+const FEED_REFRESH_DELAY = 500;
+const ITEM_LABELS = { memo: 'Memo', keyword: 'Keyword', link: 'Link', image: 'Image', video: 'Video', frame: 'Frame' };
+
+let recentModeActive = false;
+let tintTimer = null;
+let feedTimer = null;
+// Only the newest feed render may fill the list
+let feedRenderToken = 0;
+let activityController;
+
+// Items of the other canvases as last saved, so edits on the open canvas do
+// not read every canvas again. Canvases changed by server sync are read again
+// once their updatedAt moves on.
+const storedItems = new Map(); // canvasId -> { updatedAt, items }
+
+// ============ Recency ============
+
+/**
+ * How recent a change is, from 1 (just now) to 0 (a week or more ago, or never
+ * recorded). Falls off quickly at first so the last hour stands out.
+ * @returns {number}
+ */
+export function getRecency(timestamp, now = Date.now()) {
+    if (!timestamp) return 0;
+    const age = Math.max(0, now - timestamp) / 3600000;
+    const recency = 1 - Math.log1p(age) / Math.log1p(RECENCY_WINDOW / 3600000);
+    return Math.round(Math.max(0, recency) * 100) / 100;
+}
+
+function applyRecencyTint() {
+    const now = Date.now();
+    state.items.forEach(item => item.el.style.setProperty('--recency', getRecency(item.updatedAt || item.createdAt, now)));
+}
+
+export function toggleRecentMode(active = !recentModeActive) {
+    recentModeActive = active;
+    document.body.classList.toggle('recent-mode', active);
+    $('recentChangesBtn').classList.toggle('active', active);
+    clearInterval(tintTimer);
+    if (!active) return;
+    applyRecencyTint();
+    // Highlights fade as time passes, not only when something changes
+    tintTimer = setInterval(applyRecencyTint, 60000);
+}
+
+// ============ Recent Edits Feed ============
+
+/**
+ * The most recently changed items across canvases, newest first.
+ * @param {Array<{ canvas: Object, items: Array }>} sources
+ * @returns {Array<{ canvasId: string, canvasName: string, itemId: string, title: string, time: number, author: string|null }>}
+ */
+export function collectRecentEdits(sources, limit = FEED_LIMIT) {
+    const edits = [];
+    sources.forEach(({ canvas, items }) => items.forEach(item => {
+        const time = item.updatedAt || item.createdAt;
+        if (!time) return;
+        edits.push({
+            canvasId: canvas.id,
+            canvasName: canvas.name || 'Untitled',
+            itemId: item.id,
+            title: getItemTitle(item) || ITEM_LABELS[item.type] || 'Item',
+            time,
+            author: item.updatedBy || item.createdBy || null
+        });
+    }));
+    return edits.sort((a, b) => b.time - a.time).slice(0, limit);
+}
+
+function isFeedOpen() {
+    return $('recentEdits').classList.contains('open');
+}
+
+async function getStoredItems(canvas) {
+    const cached = storedItems.get(canvas.id);
+    if (cached && cached.updatedAt === canvas.updatedAt) return cached.items;
+    const data = await loadStoredCanvasData(canvas);
+    const items = Array.isArray(data?.items) ? data.items : [];
+    storedItems.set(canvas.id, { updatedAt: canvas.updatedAt, items });
+    return items;
+}
+
+async function renderRecentEdits() {
+    const token = ++feedRenderToken;
+    const sources = [];
+    for (const canvas of state.canvases) {
+        if (canvas.id === state.currentCanvasId) {
+            sources.push({ canvas, items: state.items });
+            continue;
+        }
+        sources.push({ canvas, items: await getStoredItems(canvas) });
+    }
+    if (token !== feedRenderToken) return;
+    const edits = collectRecentEdits(sources);
+    $('recentEditsList').innerHTML = edits.map(edit => {
+        const meta = [edit.canvasName, formatRelativeDate(edit.time), edit.author].filter(Boolean).map(esc).join(' · ');
+        return `<button class="recent-edit" data-canvas-id="${esc(edit.canvasId)}" data-item-id="${esc(edit.itemId)}" title="${esc(new Date(edit.time).toLocaleString())}">`
+            + `<span class="recent-edit-title">${esc(edit.title)}</span><span class="recent-edit-meta">${meta}</span></button>`;
+    }).join('') || '<div class="recent-edits-empty">No edits recorded yet</div>';
+}
+
+function scheduleFeedRender() {
+    if (!isFeedOpen()) return;
+    clearTimeout(feedTimer);
+    feedTimer = setTimeout(renderRecentEdits, FEED_REFRESH_DELAY);
+}
+
+async function openRecentEdit(canvasId, itemId) {
+    if (canvasId !== state.currentCanvasId) await switchCanvas(canvasId);
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) return;
+    selectItem(item);
+    panToItem(item);
+}
+
+// ============ Setup ============
+
+export function setupActivity() {
+    if (activityController) activityController.abort();
+    activityController = new AbortController();
+    const { signal } = activityController;
+
+    $('recentChangesBtn').addEventListener('click', () => toggleRecentMode(), { signal });
+
+    $('recentEditsToggle').addEventListener('click', () => {
+        const open = $('recentEdits').classList.toggle('open');
+        $('recentEditsToggle').setAttribute('aria-expanded', open);
+        if (open) renderRecentEdits();
+    }, { signal });
+
+    $('recentEditsList').addEventListener('click', e => {
+        const entry = e.target.closest('.recent-edit');
+        if (entry) openRecentEdit(entry.dataset.canvasId, entry.dataset.itemId);
+    }, { signal });
+
+    // Undo and redo rebuild the item elements and only trigger an autosave
+    eventBus.on(Events.AUTOSAVE_TRIGGER, () => {
+        if (recentModeActive) applyRecencyTint();
+    });
+    eventBus.on(Events.STATE_SAVE, () => {
+        if (recentModeActive) applyRecencyTint();
+        scheduleFeedRender();
+    });
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        if (recentModeActive) applyRecencyTint();
+        scheduleFeedRender();
+    });
+    // Keep the cache in step with saves, including the canvas just left
+    eventBus.on(Events.CANVAS_SAVED, (id, data) => {
+        const canvas = state.canvases.find(c => c.id === id);
+        storedItems.set(id, { updatedAt: canvas?.updatedAt, items: Array.isArray(data?.items) ? data.items : [] });
+    });
+    eventBus.on(Events.CANVAS_DELETED, id => storedItems.delete(id));
+}
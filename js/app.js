@@ -1,11 +1,11 @@
 // KnotPad - Main Entry Point
 
-import { $ } from './utils.js';
+import { $, esc, getExtensionFromMimeType, downloadBlob } from './utils.js';
 import * as state from './state.js';
 import { initSettingsSaveCallback } from './state.js';
-import { initMediaDB, requestPersistentStorage, tryRestoreFsConnection, reconnectStorageFolder, scheduleSettingsSave, migrateToFileSystem } from './storage.js';
+import { initMediaDB, requestPersistentStorage, tryRestoreFsConnection, reconnectStorageFolder, scheduleSettingsSave, migrateToFileSystem, fsDirectoryHandle, loadMedia, loadMediaFromFileSystem } from './storage.js';
 import { updateTransform, setZoom, fitToScreen } from './viewport.js';
-import { createItem, addMemo, addKeyword, setFilter, setItemColor, toggleColorGroupMode, positionNewItemInColorGroup, cleanupItemEvents } from './items.js';
+import { createItem, addMemo, addKeyword, addFrame, selectItem, setFilter, setPropertyFilter, setItemColor, toggleColorGroupMode, positionNewItemInColorGroup, cleanupItemEvents } from './items.js';
 import {
     setupConnDirectionPicker,
     setupConnectionContextMenu,
@@ -35,8 +35,6 @@ import {
     refreshSearchResultsView,
     setupCanvasIconPicker,
     setupCanvasListDropZone,
-    setupMinimapClick,
-    setupMinimapResponsiveHide,
     setupContextMenu,
     showContextMenu,
     setupChildTypePicker,
@@ -52,8 +50,10 @@ import {
     applyParagraphSpacing,
     applyColorDisplayMode,
     applyLinkPreviewMode,
-    startLinkRename
+    startLinkRename,
+    rememberSignatures
 } from './ui.js';
+import { updateMinimap, setupMinimapClick, setupMinimapResponsiveHide } from './minimap.js';
 import {
     setupMouseEvents,
     setupKeyboardEvents,
@@ -63,6 +63,22 @@ import {
     setupDocumentClickHandler,
     setupGlobalContextMenuBlock
 } from './events.js';
+import { canvasToMarkdown, importOutline } from './markdown.js';
+import { applyLayout, revertLayout } from './layout.js';
+import { setupHistory } from './history.js';
+import { setupSync } from './sync.js';
+import { setupRemoteSync } from './remote-sync.js';
+import { setupPresentation } from './presentation.js';
+import { setupImageExport } from './image-export.js';
+import { setupPrint } from './print.js';
+import { setupHtmlExport } from './html-export.js';
+import { setupChecklistRollups } from './checklist.js';
+import { setupWikiLinks } from './wiki-links.js';
+import { setupInspector, getCanvasTags, getCanvasPropertyKeys } from './inspector.js';
+import { setupPalette, getPalette } from './palette.js';
+import { setupTableView } from './table-view.js';
+import { setupOutliner } from './outliner.js';
+import { setupActivity } from './activity.js';
 import eventBus, { Events } from './events-bus.js';
 
 // ============ Register Event Bus Listeners ============
@@ -110,6 +126,14 @@ function setupToolbarEvents() {
 
     $('addLinkBtn').addEventListener('click', () => openLinkModal());
 
+    $('addFrameBtn').addEventListener('click', () => {
+        const x = (innerWidth / 2 - state.offsetX) / state.scale - 240;
+        const y = (innerHeight / 2 - state.offsetY) / state.scale - 160;
+        const frame = addFrame(x, y, [...state.selectedItems]);
+        selectItem(frame);
+        saveState();
+    });
+
     $('addFileBtn').addEventListener('click', () => $('fileInput').click());
 
     $('undoBtn').addEventListener('click', undo);
@@ -180,36 +204,156 @@ function setupFilterColorEvents() {
     filterBtn.addEventListener('click', e => {
         e.stopPropagation();
         colorDropdown.classList.remove('active');
+        $('layoutDropdown').classList.remove('active');
         filterDropdown.classList.toggle('active');
     });
 
-    filterDropdown.querySelectorAll('.filter-opt').forEach(opt => {
-        opt.addEventListener('click', e => {
-            e.stopPropagation();
-            setFilter(opt.dataset.color);
-            // Keep filter dropdown open for continuous filter selection
+    // Options come from the palette (palette.js) and are redrawn with it
+    filterDropdown.addEventListener('click', e => {
+        const opt = e.target.closest('.filter-opt');
+        if (!opt) return;
+        e.stopPropagation();
+        setFilter(opt.dataset.color);
+        // Keep filter dropdown open for continuous filter selection
+    });
+    // A color that left the palette can no longer be chosen, so stop filtering by it
+    eventBus.on(Events.PALETTE_CHANGED, () => {
+        const filter = state.activeFilter;
+        if (filter !== 'all' && filter !== 'none' && !getPalette().some(color => color.id === filter)) setFilter('all');
+    });
+
+    // Tag and property filter, suggesting what is in use on the canvas
+    const filterQuery = $('filterQuery');
+    const quoteTerm = text => (/[\s:<>"]/.test(text) ? `"${text.replace(/"/g, '')}"` : text);
+    filterQuery.addEventListener('focus', () => {
+        const suggestions = getCanvasTags().map(tag => '#' + quoteTerm(tag));
+        getCanvasPropertyKeys().forEach(({ key, values }) => {
+            values.slice(0, 20).forEach(value => suggestions.push(`${quoteTerm(key)}:${quoteTerm(value)}`));
         });
+        $('filterQueryOptions').innerHTML = suggestions.map(term => `<option value="${esc(term)}">`).join('');
     });
+    filterQuery.addEventListener('input', () => setPropertyFilter(filterQuery.value));
 
     colorBtn.addEventListener('click', e => {
         e.stopPropagation();
         filterDropdown.classList.remove('active');
+        $('layoutDropdown').classList.remove('active');
         colorDropdown.classList.toggle('active');
     });
 
-    colorDropdown.querySelectorAll('.color-opt').forEach(opt => {
-        opt.addEventListener('click', e => {
+    colorDropdown.addEventListener('click', e => {
+        const opt = e.target.closest('.color-opt');
+        if (!opt) return;
+        e.stopPropagation();
+        if (state.selectedItems.size > 0) {
+            setItemColor([...state.selectedItems][0], opt.dataset.color || null);
+        }
+        colorDropdown.classList.remove('active');
+    });
+}
+
+// ============ Setup Layout Events ============
+
+function setupLayoutEvents() {
+    const layoutDropdown = $('layoutDropdown');
+    const revertBtn = $('layoutRevertBtn');
+
+    const syncLayoutDropdown = () => {
+        layoutDropdown.querySelectorAll('[data-layout]').forEach(opt =>
+            opt.classList.toggle('active', opt.dataset.layout === state.layoutModeActive));
+        revertBtn.disabled = !state.layoutModeActive;
+    };
+
+    $('layoutBtn').addEventListener('click', e => {
+        e.stopPropagation();
+        $('filterDropdown').classList.remove('active');
+        $('colorDropdown').classList.remove('active');
+        syncLayoutDropdown();
+        layoutDropdown.classList.toggle('active');
+    });
+
+    layoutDropdown.querySelectorAll('[data-layout]').forEach(opt => {
+        opt.addEventListener('click', async e => {
             e.stopPropagation();
-            if (state.selectedItems.size > 0) {
-                setItemColor([...state.selectedItems][0], opt.dataset.color || null);
+            if (!applyLayout(opt.dataset.layout)) {
+                const { showToast } = await import('./utils.js');
+                showToast('Add at least two items to arrange', 'error');
+                return;
             }
-            colorDropdown.classList.remove('active');
+            // Keep the dropdown open so layouts can be compared
+            syncLayoutDropdown();
         });
     });
+
+    revertBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        revertLayout();
+        syncLayoutDropdown();
+    });
 }
 
 // ============ Setup Import/Export Events ============
 
+async function writeFileToDirectory(dirHandle, filename, blob) {
+    const fileHandle = await dirHandle.getFileHandle(filename, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+}
+
+// Export the current canvas as `<name>.md` plus a `media/` folder holding the
+// images and videos it references, so the result opens in any Markdown viewer.
+async function exportCanvasAsMarkdown() {
+    const { showToast } = await import('./utils.js');
+    const canvasName = state.canvases.find(c => c.id === state.currentCanvasId)?.name || 'canvas';
+    const fileBase = canvasName.replace(/[\\/:*?"<>|]/g, '_').trim() || 'canvas';
+
+    // Resolve media blobs first: the file extension comes from the stored MIME type
+    const mediaIds = new Set(state.items
+        .filter(i => (i.type === 'image' || i.type === 'video') && i.content?.startsWith('media_'))
+        .map(i => i.content));
+    const mediaFiles = [];
+    const mediaPaths = new Map();
+    for (const mediaId of mediaIds) {
+        let blob = null;
+        if (fsDirectoryHandle) blob = await loadMediaFromFileSystem(mediaId);
+        if (!blob) blob = await loadMedia(mediaId);
+        if (!blob) continue;
+        const filename = mediaId + getExtensionFromMimeType(blob.type);
+        mediaFiles.push({ filename, blob });
+        mediaPaths.set(mediaId, `media/${filename}`);
+    }
+
+    const markdown = canvasToMarkdown({ name: canvasName, items: state.items, connections: state.connections }, mediaPaths);
+    const mdBlob = new Blob([markdown], { type: 'text/markdown' });
+
+    if ('showDirectoryPicker' in window) {
+        try {
+            const parentHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            const exportDir = await parentHandle.getDirectoryHandle(fileBase, { create: true });
+            await writeFileToDirectory(exportDir, `${fileBase}.md`, mdBlob);
+            if (mediaFiles.length) {
+                const mediaDir = await exportDir.getDirectoryHandle('media', { create: true });
+                for (const { filename, blob } of mediaFiles) {
+                    await writeFileToDirectory(mediaDir, filename, blob);
+                }
+            }
+            showToast('Exported as Markdown');
+            return;
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error('Folder export failed, falling back:', e);
+        }
+    }
+
+    // Downloads cannot create folders; media files must be moved into ./media by hand
+    downloadBlob(mdBlob, `${fileBase}.md`);
+    mediaFiles.forEach(({ filename, blob }) => downloadBlob(blob, filename));
+    showToast(mediaFiles.length
+        ? 'Exported as Markdown; move media files into a "media" folder'
+        : 'Exported as Markdown');
+}
+
 function setupImportExportEvents() {
     $('exportBtn').addEventListener('click', async () => {
         const canvases = state.canvases;
@@ -227,7 +371,15 @@ function setupImportExportEvents() {
                 color: i.color,
                 fontSize: i.fontSize,
                 textAlign: i.textAlign,
-                locked: i.locked
+                locked: i.locked,
+                due: i.due,
+                rollup: i.rollup,
+                tags: i.tags,
+                props: i.props,
+                createdAt: i.createdAt,
+                createdBy: i.createdBy,
+                updatedAt: i.updatedAt,
+                updatedBy: i.updatedBy
             })),
             connections: state.connections.map(c => ({
                 from: c.from.id,
@@ -235,7 +387,11 @@ function setupImportExportEvents() {
                 to: c.to.id,
                 th: c.th,
                 dir: c.dir,
-                label: c.label || ''
+                label: c.label || '',
+                createdAt: c.createdAt,
+                createdBy: c.createdBy,
+                updatedAt: c.updatedAt,
+                updatedBy: c.updatedBy
             })),
             name: canvasName
         };
@@ -272,6 +428,16 @@ function setupImportExportEvents() {
         showToast('Exported');
     });
 
+    $('exportMdBtn').addEventListener('click', async () => {
+        try {
+            await exportCanvasAsMarkdown();
+        } catch (err) {
+            console.error('Markdown export failed:', err);
+            const { showToast } = await import('./utils.js');
+            showToast('Export failed', 'error');
+        }
+    });
+
     $('importBtn').addEventListener('click', () => $('importInput').click());
 
     $('importInput').addEventListener('change', async e => {
@@ -280,6 +446,21 @@ function setupImportExportEvents() {
 
         try {
             const text = await file.text();
+
+            // Markdown / indented text outlines are added to the current canvas
+            if (/\.(md|markdown|txt)$/i.test(file.name)) {
+                const x = (innerWidth / 2 - state.offsetX) / state.scale - 300;
+                const y = (innerHeight / 2 - state.offsetY) / state.scale - 100;
+                const created = importOutline(text, x, y);
+                if (!created.length) throw new Error('Outline contains no headings or lines');
+                saveState();
+                triggerAutoSave();
+                const { showToast } = await import('./utils.js');
+                showToast(`Imported ${created.length} node(s) from outline`);
+                e.target.value = '';
+                return;
+            }
+
             const data = JSON.parse(text);
 
             // Validate imported data structure BEFORE clearing state
@@ -312,7 +493,6 @@ function setupImportExportEvents() {
             }
 
             const { addConnection, updateConnectionArrow, updateConnectionLabel } = await import('./connections.js');
-            const { updateMinimap } = await import('./ui.js');
 
             // Now safe to clear state - validation passed
             state.connections.forEach(c => {
@@ -360,12 +540,18 @@ function setupImportExportEvents() {
                     const c = addConnection(fromItem, d.fh, toItem, d.th, true, d.id);
                     c.dir = d.dir || 'none';
                     c.label = d.label || '';
+                    c.createdAt = d.createdAt || null;
+                    c.createdBy = d.createdBy || null;
+                    c.updatedAt = d.updatedAt || null;
+                    c.updatedBy = d.updatedBy || null;
                     updateConnectionArrow(c);
                     updateConnectionLabel(c);
                 }
             });
 
             updateMinimap();
+            // Imported items keep the times they were recorded with
+            rememberSignatures();
             saveState();
             triggerAutoSave();
             const { showToast } = await import('./utils.js');
@@ -396,6 +582,7 @@ async function init() {
     setupSidebarEvents();
     setupSidebarResize();
     setupFilterColorEvents();
+    setupLayoutEvents();
     setupImportExportEvents();
     setupSearchEvents();
     setupCanvasIconPicker();
@@ -411,6 +598,19 @@ async function init() {
     setupNewNodePicker();
     setupLinkModal();
     setupSettingsModal();
+    setupHistory();
+    setupSync();
+    setupPresentation();
+    setupImageExport();
+    setupPrint();
+    setupHtmlExport();
+    setupChecklistRollups();
+    setupWikiLinks();
+    setupInspector();
+    setupPalette();
+    setupTableView();
+    setupOutliner();
+    setupActivity();
     applyWrapMode(state.noteWrapMode);
     applyParagraphSpacing(state.paragraphSpacing);
     applyColorDisplayMode(state.colorDisplayMode);
@@ -459,6 +659,8 @@ async function init() {
     }
 
     await loadCanvases();
+    // After the local canvases are known, so server changes can be merged in
+    setupRemoteSync();
 
     // Apply link preview mode after items are loaded
     applyLinkPreviewMode(state.linkPreviewEnabled);
@@ -0,0 +1,74 @@
+// KnotPad - Checklist Module (Task progress roll-up across connections)
+
+import * as state from './state.js';
+import { getChecklistProgress } from './items.js';
+import eventBus, { Events } from './events-bus.js';
+
+// ============ Roll-up ============
+
+// Items reached from `item` by following connections away from it. Undirected
+// connections lead from where they were drawn; 'backward' ones the other way.
+export function getRollupChildren(item, connections = state.connections) {
+    const next = new Map();
+    connections.forEach(c => {
+        const [a, b] = c.dir === 'backward' ? [c.to, c.from] : [c.from, c.to];
+        if (!next.has(a)) next.set(a, []);
+        next.get(a).push(b);
+    });
+
+    const seen = new Set([item]);
+    const queue = [item];
+    while (queue.length) {
+        (next.get(queue.shift()) || []).forEach(child => {
+            if (seen.has(child)) return;
+            seen.add(child);
+            queue.push(child);
+        });
+    }
+    seen.delete(item);
+    return [...seen];
+}
+
+// Ticked and total checklist items over everything the item leads to
+export function getRollupProgress(item, connections = state.connections) {
+    return getRollupChildren(item, connections).reduce((sum, child) => {
+        const { done, total } = getChecklistProgress(child);
+        return { done: sum.done + done, total: sum.total + total };
+    }, { done: 0, total: 0 });
+}
+
+export function toggleChecklistRollup(item) {
+    item.rollup = !item.rollup;
+    renderRollupBadges();
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+export function renderRollupBadges() {
+    state.items.forEach(item => {
+        let badge = item.el.querySelector(':scope > .checklist-rollup');
+        if (!item.rollup) {
+            badge?.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'checklist-rollup';
+            item.el.appendChild(badge);
+        }
+        const { done, total } = getRollupProgress(item);
+        badge.textContent = total ? `${done}/${total}` : '0/0';
+        badge.title = total ? `${done} of ${total} tasks done in connected items` : 'No tasks in connected items';
+        badge.classList.toggle('complete', total > 0 && done === total);
+        badge.style.setProperty('--rollup-progress', total ? `${Math.round(done / total * 100)}%` : '0%');
+    });
+}
+
+// ============ Setup ============
+
+export function setupChecklistRollups() {
+    eventBus.on(Events.CANVAS_LOADED, renderRollupBadges);
+    // Ticking a task, connecting items and undo all end in one of these
+    eventBus.on(Events.STATE_SAVE, renderRollupBadges);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, renderRollupBadges);
+}
@@ -0,0 +1,153 @@
+// KnotPad - Code Highlight Module (Syntax highlighting for memo code blocks)
+// A small regex tokenizer: each language is a list of token rules tried in
+// order at every position. Good enough for snippets, and works offline.
+
+import { esc } from './utils.js';
+
+// Fence names people type, mapped to the grammar that handles them
+const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', javascript: 'javascript',
+    ts: 'typescript', tsx: 'typescript', typescript: 'typescript',
+    py: 'python', python: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', bash: 'bash', console: 'bash',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', markup: 'markup',
+    css: 'css', scss: 'css', less: 'css',
+    json: 'json', jsonc: 'json',
+    sql: 'sql',
+    yml: 'yaml', yaml: 'yaml',
+    c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', kotlin: 'c', swift: 'c',
+    go: 'go', golang: 'go',
+    rs: 'rust', rust: 'rust'
+};
+
+const words = list => new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`);
+
+const C_COMMENT = /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/;
+const HASH_COMMENT = /#.*/;
+const QUOTED = /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?/;
+const NUMBER = /\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b/i;
+const FUNCTION = /\b[A-Za-z_$][\w$]*(?=\s*\()/;
+
+function clike(keywords, literals = 'true false null') {
+    return [
+        ['comment', C_COMMENT],
+        ['string', /`(?:\\[\s\S]|[^`\\])*`?/],
+        ['string', QUOTED],
+        ['keyword', words(keywords)],
+        ['literal', words(literals)],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+    ];
+}
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends '
+    + 'finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield';
+
+const GRAMMARS = {
+    javascript: clike(JS_KEYWORDS, 'true false null undefined NaN Infinity'),
+    typescript: clike(JS_KEYWORDS + ' abstract as declare enum implements interface keyof namespace private protected public readonly type',
+        'true false null undefined NaN Infinity'),
+    c: clike('abstract auto break case catch char class const continue default do double else enum extends final float for '
+        + 'if implements import int interface long namespace new package private protected public return short signed sizeof '
+        + 'static struct switch template this throw try typedef union unsigned using var virtual void volatile while',
+    'true false null nullptr NULL'),
+    go: clike('break case chan const continue default defer else fallthrough for func go goto if import interface map package '
+        + 'range return select struct switch type var', 'true false nil iota'),
+    rust: clike('as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut '
+        + 'pub ref return self Self static struct super trait type unsafe use where while', 'true false None Some Ok Err'),
+    python: [
+        ['comment', HASH_COMMENT],
+        ['string', /[rbf]*(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/i],
+        ['string', /[rbf]*(?:"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/i],
+        ['keyword', words('and as assert async await break class continue def del elif else except finally for from global '
+            + 'if import in is lambda nonlocal not or pass raise return try while with yield')],
+        ['literal', words('True False None self')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+    ],
+    bash: [
+        ['comment', /(?<![^\s;])#.*/],
+        ['string', QUOTED],
+        ['variable', /\$(?:\{[^}\n]*\}?|[\w@#?*!$-])/],
+        ['keyword', words('case do done elif else esac export fi for function if in local return then until while')],
+        ['number', NUMBER]
+    ],
+    sql: [
+        ['comment', /--.*|\/\*[\s\S]*?(?:\*\/|$)/],
+        ['string', QUOTED],
+        ['keyword', new RegExp(words('add all alter and as asc between by case create delete desc distinct drop else end '
+            + 'exists from group having in index inner insert into is join key left like limit not null on or order outer '
+            + 'primary references right select set table then union update values view when where with').source, 'i')],
+        ['number', NUMBER],
+        ['function', FUNCTION]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+        ['string', QUOTED],
+        ['keyword', /@[\w-]+/],
+        ['property', /[\w-]+(?=\s*:[^:{]*[;}])/],
+        ['number', /#[\da-f]{3,8}\b|-?\b\d+(?:\.\d+)?(?:[a-z]+|%)?/i],
+        ['function', /[\w-]+(?=\()/]
+    ],
+    json: [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/],
+        ['string', /"(?:\\.|[^"\\\n])*"?/],
+        ['literal', words('true false null')],
+        ['number', /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/i]
+    ],
+    yaml: [
+        ['comment', /(?<![^\s])#.*/],
+        ['property', /[\w.-]+(?=\s*:(?:\s|$))/],
+        ['string', QUOTED],
+        ['literal', words('true false null yes no on off')],
+        ['number', NUMBER]
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/],
+        ['tag', /<\/?[\w:-]+(?:\s+[^<>]*)?\/?>/, highlightTag]
+    ]
+};
+
+// Tag name, attributes and values inside one markup tag
+function highlightTag(tag) {
+    const [, open, name, rest] = tag.match(/^(<\/?)([\w:-]+)([\s\S]*)$/);
+    const attrs = esc(rest).replace(/([\w:-]+)(=)("[^"]*"?|'[^']*'?|[^\s"'&]+)?/g,
+        (match, attr, eq, value = '') => `<span class="tok-attr">${attr}</span>${eq}${value && `<span class="tok-string">${value}</span>`}`);
+    return `<span class="tok-tag">${esc(open)}${name}</span>${attrs.replace(/(\/?&gt;)$/, '<span class="tok-tag">$1</span>')}`;
+}
+
+// Canonical grammar name for a fence language, or '' when there is none
+export function normalizeLanguage(language) {
+    return LANGUAGE_ALIASES[(language || '').trim().toLowerCase()] || '';
+}
+
+/**
+ * Highlighted, escaped HTML for a code snippet.
+ * @param {string} code
+ * @param {string} [language] - Fence name such as 'js' or 'python'
+ * @returns {string} HTML with `tok-*` spans; plain escaped text for unknown languages
+ */
+export function highlightCode(code, language) {
+    const rules = GRAMMARS[normalizeLanguage(language)];
+    if (!rules || !code) return esc(code);
+    const sticky = rules.map(([type, re, render]) => [type, new RegExp(re.source, re.flags + 'y'), render]);
+
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    while (pos < code.length) {
+        let matched = false;
+        for (const [type, re, render] of sticky) {
+            re.lastIndex = pos;
+            const match = re.exec(code);
+            if (!match || !match[0]) continue;
+            html += esc(plain) + (render ? render(match[0]) : `<span class="tok-${type}">${esc(match[0])}</span>`);
+            plain = '';
+            pos += match[0].length;
+            matched = true;
+            break;
+        }
+        if (!matched) plain += code[pos++];
+    }
+    return html + esc(plain);
+}
@@ -0,0 +1,266 @@
+// KnotPad - Connection Rendering Module (Curve paths, arrows and labels)
+// Used by the editor and by the exported read-only viewer, so it must not
+// import any editing modules.
+
+import { colorVar } from './palette.js';
+import { geometryPath, getCurveGeometry, getHandlePos } from './utils.js';
+
+// Draw a connection's path (and hit area) from the current item geometry
+export function renderConnectionPath(c) {
+    const fp = getHandlePos(c.from, c.fh);
+    const tp = getHandlePos(c.to, c.th);
+    const geometry = getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
+    const pathData = geometryPath(geometry);
+    c.el.setAttribute('d', pathData);
+    // Keep the geometry that produced the rendered path. Label-only updates
+    // must follow that path even if item state changes before the next render.
+    c.renderedGeometry = geometry;
+
+    // Update hit area with same path
+    if (c.hitArea) {
+        c.hitArea.setAttribute('d', pathData);
+    }
+
+    // Apply color from source node
+    c.el.style.stroke = colorVar(c.from.color) || '';
+}
+
+// Create, place or remove the label of a connection. `onCreate` receives a
+// newly created label element so that the editor can make it interactive.
+export function renderConnectionLabel(c, svg, selected = false, onCreate = null) {
+    // Remove existing label if empty
+    if (!c.label) {
+        if (c.labelEl) {
+            c.labelEl.remove();
+            c.labelEl = null;
+        }
+        return;
+    }
+
+    // Create label element if needed
+    if (!c.labelEl) {
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.classList.add('connection-label');
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.classList.add('connection-label-bg');
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('connection-label-text');
+
+        g.appendChild(rect);
+        g.appendChild(text);
+        onCreate?.(g);
+
+        svg.appendChild(g);
+        c.labelEl = g;
+    }
+
+    // Update label text
+    const text = c.labelEl.querySelector('text');
+    text.textContent = c.label;
+
+    // Approximate the path-length midpoint from the curve's control points.
+    // This preserves the previous label placement without SVG layout APIs.
+    const geometry = c.renderedGeometry || (() => {
+        const fp = getHandlePos(c.from, c.fh);
+        const tp = getHandlePos(c.to, c.th);
+        return getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
+    })();
+    const box = getLabelBox(geometry, c.label);
+
+    // Position text at center
+    text.setAttribute('x', box.cx);
+    text.setAttribute('y', box.cy);
+    text.setAttribute('text-anchor', 'middle');
+
+    // Position and size the background pill
+    const rect = c.labelEl.querySelector('rect');
+    rect.setAttribute('x', box.x);
+    rect.setAttribute('y', box.y);
+    rect.setAttribute('width', box.width);
+    rect.setAttribute('height', box.height);
+    rect.setAttribute('rx', box.height / 2);
+
+    // Expose source-node color via CSS variables/attrs so display modes can
+    // restyle the label without fighting inline SVG styles.
+    const accent = colorVar(c.from.color);
+    if (accent) {
+        c.labelEl.style.setProperty('--connection-label-accent', accent);
+        c.labelEl.style.setProperty('--connection-label-fill', `var(--tag-${c.from.color}-fill)`);
+        c.labelEl.dataset.color = c.from.color;
+    } else {
+        c.labelEl.style.removeProperty('--connection-label-accent');
+        c.labelEl.style.removeProperty('--connection-label-fill');
+        delete c.labelEl.dataset.color;
+    }
+
+    // Add selected class if connection is selected
+    c.labelEl.classList.toggle('selected', selected);
+}
+
+// Calculate point on cubic Bezier curve at parameter t
+function bezierPoint(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    const mt2 = mt * mt;
+    const mt3 = mt2 * mt;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return {
+        x: mt3 * p0.x + 3 * mt2 * t * p1.x + 3 * mt * t2 * p2.x + t3 * p3.x,
+        y: mt3 * p0.y + 3 * mt2 * t * p1.y + 3 * mt * t2 * p2.y + t3 * p3.y
+    };
+}
+
+// Calculate tangent angle on cubic Bezier curve at parameter t
+function bezierTangent(p0, p1, p2, p3, t) {
+    const mt = 1 - t;
+    const mt2 = mt * mt;
+    const t2 = t * t;
+    // Derivative of Bezier curve
+    const dx = 3 * mt2 * (p1.x - p0.x) + 6 * mt * t * (p2.x - p1.x) + 3 * t2 * (p3.x - p2.x);
+    const dy = 3 * mt2 * (p1.y - p0.y) + 6 * mt * t * (p2.y - p1.y) + 3 * t2 * (p3.y - p2.y);
+    return Math.atan2(dy, dx);
+}
+
+// Update connection arrow based on direction
+// Uses same algorithm as curvePath for consistency
+export function renderConnectionArrow(c, svg, selected = false) {
+    if (c.dir === 'none') {
+        if (c.arrow) {
+            c.arrow.remove();
+            c.arrow = null;
+        }
+        return;
+    }
+
+    const fp = getHandlePos(c.from, c.fh);
+    const tp = getHandlePos(c.to, c.th);
+
+    const geometry = getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
+
+    // Handle very close points
+    if (geometry.isLine) {
+        if (c.arrow) c.arrow.style.display = 'none';
+        return;
+    }
+
+    let g = c.arrow;
+    if (!g) {
+        g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.classList.add('connection-arrow');
+        svg.appendChild(g);
+        c.arrow = g;
+    }
+    g.style.display = '';
+    g.classList.toggle('selected', selected);
+
+    // Apply color from source node
+    g.style.fill = colorVar(c.from.color) || '';
+
+    const points = getArrowPoints(geometry, c.dir);
+    g.querySelectorAll('polygon').forEach(polygon => {
+        if (!points.has(polygon.dataset.direction)) polygon.remove();
+    });
+    points.forEach((value, direction) => {
+        let arr = g.querySelector(`polygon[data-direction="${direction}"]`);
+        if (!arr) {
+            arr = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+            arr.dataset.direction = direction;
+            g.appendChild(arr);
+        }
+        arr.setAttribute('points', value);
+    });
+}
+
+// Arrowhead polygons at the middle of a curve, keyed by 'forward' / 'backward'.
+// With 'both' the two heads sit side by side around the midpoint.
+export function getArrowPoints(geometry, dir) {
+    const points = new Map();
+    if (dir === 'none' || geometry.isLine) return points;
+    const { p0, p1, p2, p3 } = geometry;
+
+    // Get midpoint on the actual Bezier curve
+    const mid = bezierPoint(p0, p1, p2, p3, 0.5);
+    const angle = bezierTangent(p0, p1, p2, p3, 0.5);
+    const size = 12; // Increased arrow size for better visibility
+
+    const head = (offset, pointAngle) => {
+        const ax = mid.x + offset * Math.cos(angle);
+        const ay = mid.y + offset * Math.sin(angle);
+        // Calculate arrow vertices
+        const tipX = ax + size * Math.cos(pointAngle);
+        const tipY = ay + size * Math.sin(pointAngle);
+        const backAngle1 = pointAngle + Math.PI * 0.85;
+        const backAngle2 = pointAngle - Math.PI * 0.85;
+        const back1X = ax + size * 0.7 * Math.cos(backAngle1);
+        const back1Y = ay + size * 0.7 * Math.sin(backAngle1);
+        const back2X = ax + size * 0.7 * Math.cos(backAngle2);
+        const back2Y = ay + size * 0.7 * Math.sin(backAngle2);
+        return `${tipX},${tipY} ${back1X},${back1Y} ${back2X},${back2Y}`;
+    };
+
+    // Arrow pointing in direction of curve
+    if (dir === 'forward' || dir === 'both') {
+        points.set('forward', head(dir === 'both' ? 14 : 0, angle));
+    }
+    // Arrow pointing opposite to direction of curve
+    if (dir === 'backward' || dir === 'both') {
+        points.set('backward', head(dir === 'both' ? -14 : 0, angle + Math.PI));
+    }
+    return points;
+}
+
+// Background pill of a connection label, centred on the path-length midpoint
+export function getLabelBox(geometry, label) {
+    const { p0, p1, p2, p3 } = geometry;
+    const midPoint = bezierArcMidpoint(p0, p1, p2, p3);
+
+    // Calculate approximate text width (for centering)
+    const charWidth = 7;
+    const textWidth = label.length * charWidth;
+    const paddingX = 12;
+    const height = 22;
+    const width = Math.max(textWidth + paddingX * 2, 40);
+    return {
+        cx: midPoint.x,
+        cy: midPoint.y,
+        x: midPoint.x - width / 2,
+        y: midPoint.y - height / 2,
+        width,
+        height
+    };
+}
+
+// Approximate the same half-length point returned by SVG getPointAtLength,
+// using a small fixed polyline entirely in JavaScript. Interpolation within
+// the crossing segment keeps the error sub-pixel for KnotPad's smooth curves.
+export function bezierArcMidpoint(p0, p1, p2, p3) {
+    const segmentCount = 32;
+    const points = [p0];
+    const lengths = [];
+    let totalLength = 0;
+    for (let index = 1; index <= segmentCount; index++) {
+        const point = bezierPoint(p0, p1, p2, p3, index / segmentCount);
+        const previous = points[index - 1];
+        const length = Math.hypot(point.x - previous.x, point.y - previous.y);
+        points.push(point);
+        lengths.push(length);
+        totalLength += length;
+    }
+
+    const targetLength = totalLength / 2;
+    let traversed = 0;
+    for (let index = 0; index < lengths.length; index++) {
+        const nextLength = traversed + lengths[index];
+        if (nextLength >= targetLength) {
+            const ratio = lengths[index] === 0 ? 0 : (targetLength - traversed) / lengths[index];
+            return {
+                x: points[index].x + (points[index + 1].x - points[index].x) * ratio,
+                y: points[index].y + (points[index + 1].y - points[index].y) * ratio
+            };
+        }
+        traversed = nextLength;
+    }
+    return p3;
+}
@@ -1,11 +1,12 @@
 // KnotPad - Connections Module
 
-import { COLOR_MAP } from './constants.js';
-import { $, curvePath, getCurveGeometry, getHandlePos } from './utils.js';
+import { $, curvePath, getHandlePos, generateId } from './utils.js';
+import { renderConnectionPath, renderConnectionArrow, renderConnectionLabel } from './connection-render.js';
 import * as state from './state.js';
 import { throttledMinimap } from './viewport.js';
 import { addMemo, deselectAll, hideMenus } from './items.js';
 import eventBus, { Events } from './events-bus.js';
+import { colorVar } from './palette.js';
 
 const canvas = $('canvas');
 const connectionsSvg = $('connectionsSvg');
@@ -15,6 +16,8 @@ const connLabelModal = $('connLabelModal');
 const connLabelModalInput = $('connLabelModalInput');
 const connLabelBtn = $('connLabelBtn');
 
+export { bezierArcMidpoint } from './connection-render.js';
+
 // Note: External function calls are now handled via eventBus
 // Events emitted: STATE_SAVE, AUTOSAVE_TRIGGER
 
@@ -28,8 +31,8 @@ export function startConnection(item, handle) {
     const tempLine = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     tempLine.classList.add('connection-line', 'temp');
 
-    if (item.color && COLOR_MAP[item.color]) {
-        tempLine.style.stroke = `var(--tag-${item.color})`;
+    if (colorVar(item.color)) {
+        tempLine.style.stroke = colorVar(item.color);
     }
 
     connectionsSvg.appendChild(tempLine);
@@ -91,7 +94,8 @@ export function addConnection(from, fh, to, th, loading = false, savedId = null)
     }
 
     const conn = {
-        id: savedId || `c${Date.now()}`,
+        // Timestamp alone collides when several connections are created in one tick
+        id: savedId || generateId(),
         from,
         fh,
         to,
@@ -101,7 +105,11 @@ export function addConnection(from, fh, to, th, loading = false, savedId = null)
         arrow: null,
         dir: 'none',
         label: '',
-        labelEl: null
+        labelEl: null,
+        createdAt: loading ? null : Date.now(),
+        createdBy: loading ? null : state.authorName || null,
+        updatedAt: null,
+        updatedBy: null
     };
 
     // Create invisible hit area for easier clicking (wider stroke)
@@ -147,277 +155,25 @@ export function addConnection(from, fh, to, th, loading = false, savedId = null)
 
 // Update a connection's path and appearance
 export function updateConnection(c) {
-    const fp = getHandlePos(c.from, c.fh);
-    const tp = getHandlePos(c.to, c.th);
-    const geometry = getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
-    const { p0, p1, p2, p3 } = geometry;
-    const pathData = geometry.isLine
-        ? `M${p0.x} ${p0.y} L${p3.x} ${p3.y}`
-        : `M${p0.x} ${p0.y} C${p1.x} ${p1.y}, ${p2.x} ${p2.y}, ${p3.x} ${p3.y}`;
-    c.el.setAttribute('d', pathData);
-    // Keep the geometry that produced the rendered path. Label-only updates
-    // must follow that path even if item state changes before the next render.
-    c.renderedGeometry = geometry;
-
-    // Update hit area with same path
-    if (c.hitArea) {
-        c.hitArea.setAttribute('d', pathData);
-    }
-
-    // Apply color from source node
-    if (c.from.color && COLOR_MAP[c.from.color]) {
-        c.el.style.stroke = `var(--tag-${c.from.color})`;
-    } else {
-        c.el.style.stroke = '';
-    }
-
+    renderConnectionPath(c);
     updateConnectionArrow(c);
     updateConnectionLabel(c);
 }
 
 // Update connection label position and visibility
 export function updateConnectionLabel(c) {
-    // Remove existing label if empty
-    if (!c.label) {
-        if (c.labelEl) {
-            c.labelEl.remove();
-            c.labelEl = null;
-        }
-        return;
-    }
-
-    // Create label element if needed
-    if (!c.labelEl) {
-        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.classList.add('connection-label');
-
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.classList.add('connection-label-bg');
-
-        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        text.classList.add('connection-label-text');
-
-        g.appendChild(rect);
-        g.appendChild(text);
-
+    renderConnectionLabel(c, connectionsSvg, state.selectedConn === c, g => {
         // Make label clickable to select connection
         g.addEventListener('click', e => {
             e.stopPropagation();
             selectConnection(c, e);
         });
-
-        connectionsSvg.appendChild(g);
-        c.labelEl = g;
-    }
-
-    // Update label text
-    const text = c.labelEl.querySelector('text');
-    text.textContent = c.label;
-
-    // Approximate the path-length midpoint from the curve's control points.
-    // This preserves the previous label placement without SVG layout APIs.
-    const geometry = c.renderedGeometry || (() => {
-        const fp = getHandlePos(c.from, c.fh);
-        const tp = getHandlePos(c.to, c.th);
-        return getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
-    })();
-    const { p0, p1, p2, p3 } = geometry;
-    const midPoint = bezierArcMidpoint(p0, p1, p2, p3);
-
-    // Calculate approximate text width (for centering)
-    const charWidth = 7;
-    const textWidth = c.label.length * charWidth;
-    const paddingX = 12;
-    const paddingY = 4;
-    const height = 22;
-    const width = Math.max(textWidth + paddingX * 2, 40);
-
-    // Position text at center
-    text.setAttribute('x', midPoint.x);
-    text.setAttribute('y', midPoint.y);
-    text.setAttribute('text-anchor', 'middle');
-
-    // Position and size the background pill
-    const rect = c.labelEl.querySelector('rect');
-    rect.setAttribute('x', midPoint.x - width / 2);
-    rect.setAttribute('y', midPoint.y - height / 2);
-    rect.setAttribute('width', width);
-    rect.setAttribute('height', height);
-    rect.setAttribute('rx', height / 2);
-
-    // Expose source-node color via CSS variables/attrs so display modes can
-    // restyle the label without fighting inline SVG styles.
-    if (c.from.color && COLOR_MAP[c.from.color]) {
-        c.labelEl.style.setProperty('--connection-label-accent', `var(--tag-${c.from.color})`);
-        c.labelEl.dataset.color = c.from.color;
-    } else {
-        c.labelEl.style.removeProperty('--connection-label-accent');
-        delete c.labelEl.dataset.color;
-    }
-
-    // Add selected class if connection is selected
-    if (state.selectedConn === c) {
-        c.labelEl.classList.add('selected');
-    } else {
-        c.labelEl.classList.remove('selected');
-    }
-}
-
-// Calculate point on cubic Bezier curve at parameter t
-function bezierPoint(p0, p1, p2, p3, t) {
-    const mt = 1 - t;
-    const mt2 = mt * mt;
-    const mt3 = mt2 * mt;
-    const t2 = t * t;
-    const t3 = t2 * t;
-    return {
-        x: mt3 * p0.x + 3 * mt2 * t * p1.x + 3 * mt * t2 * p2.x + t3 * p3.x,
-        y: mt3 * p0.y + 3 * mt2 * t * p1.y + 3 * mt * t2 * p2.y + t3 * p3.y
-    };
-}
-
-// Calculate tangent angle on cubic Bezier curve at parameter t
-function bezierTangent(p0, p1, p2, p3, t) {
-    const mt = 1 - t;
-    const mt2 = mt * mt;
-    const t2 = t * t;
-    // Derivative of Bezier curve
-    const dx = 3 * mt2 * (p1.x - p0.x) + 6 * mt * t * (p2.x - p1.x) + 3 * t2 * (p3.x - p2.x);
-    const dy = 3 * mt2 * (p1.y - p0.y) + 6 * mt * t * (p2.y - p1.y) + 3 * t2 * (p3.y - p2.y);
-    return Math.atan2(dy, dx);
+    });
 }
 
 // Update connection arrow based on direction
-// Uses same algorithm as curvePath for consistency
 export function updateConnectionArrow(c) {
-    if (c.dir === 'none') {
-        if (c.arrow) {
-            c.arrow.remove();
-            c.arrow = null;
-        }
-        return;
-    }
-
-    const fp = getHandlePos(c.from, c.fh);
-    const tp = getHandlePos(c.to, c.th);
-
-    const geometry = getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
-
-    // Handle very close points
-    if (geometry.isLine) {
-        if (c.arrow) c.arrow.style.display = 'none';
-        return;
-    }
-    const { p0, p1, p2, p3 } = geometry;
-
-    // Get midpoint on the actual Bezier curve
-    const mid = bezierPoint(p0, p1, p2, p3, 0.5);
-    const angle = bezierTangent(p0, p1, p2, p3, 0.5);
-
-    let g = c.arrow;
-    if (!g) {
-        g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.classList.add('connection-arrow');
-        connectionsSvg.appendChild(g);
-        c.arrow = g;
-    }
-    g.style.display = '';
-    g.classList.toggle('selected', state.selectedConn === c);
-
-    // Apply color from source node
-    if (c.from.color && COLOR_MAP[c.from.color]) {
-        g.style.fill = `var(--tag-${c.from.color})`;
-    } else {
-        g.style.fill = '';
-    }
-
-    const size = 12; // Increased arrow size for better visibility
-
-    const desiredDirections = c.dir === 'both' ? ['forward', 'backward'] : [c.dir];
-    const polygons = new Map(Array.from(g.querySelectorAll('polygon'), polygon => [polygon.dataset.direction, polygon]));
-    polygons.forEach((polygon, direction) => {
-        if (!desiredDirections.includes(direction)) polygon.remove();
-    });
-
-    if (desiredDirections.includes('forward')) {
-        let arr = polygons.get('forward');
-        if (!arr) {
-            arr = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            arr.dataset.direction = 'forward';
-            g.appendChild(arr);
-        }
-        // Arrow pointing in direction of curve
-        const offset = c.dir === 'both' ? 14 : 0;
-        const ax = mid.x + offset * Math.cos(angle);
-        const ay = mid.y + offset * Math.sin(angle);
-        // Calculate arrow vertices
-        const tipX = ax + size * Math.cos(angle);
-        const tipY = ay + size * Math.sin(angle);
-        const backAngle1 = angle + Math.PI * 0.85;
-        const backAngle2 = angle - Math.PI * 0.85;
-        const back1X = ax + size * 0.7 * Math.cos(backAngle1);
-        const back1Y = ay + size * 0.7 * Math.sin(backAngle1);
-        const back2X = ax + size * 0.7 * Math.cos(backAngle2);
-        const back2Y = ay + size * 0.7 * Math.sin(backAngle2);
-        arr.setAttribute('points', `${tipX},${tipY} ${back1X},${back1Y} ${back2X},${back2Y}`);
-    }
-
-    if (desiredDirections.includes('backward')) {
-        let arr = polygons.get('backward');
-        if (!arr) {
-            arr = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-            arr.dataset.direction = 'backward';
-            g.appendChild(arr);
-        }
-        // Arrow pointing opposite to direction of curve
-        const offset = c.dir === 'both' ? -14 : 0;
-        const ax = mid.x + offset * Math.cos(angle);
-        const ay = mid.y + offset * Math.sin(angle);
-        const reverseAngle = angle + Math.PI;
-        // Calculate arrow vertices
-        const tipX = ax + size * Math.cos(reverseAngle);
-        const tipY = ay + size * Math.sin(reverseAngle);
-        const backAngle1 = reverseAngle + Math.PI * 0.85;
-        const backAngle2 = reverseAngle - Math.PI * 0.85;
-        const back1X = ax + size * 0.7 * Math.cos(backAngle1);
-        const back1Y = ay + size * 0.7 * Math.sin(backAngle1);
-        const back2X = ax + size * 0.7 * Math.cos(backAngle2);
-        const back2Y = ay + size * 0.7 * Math.sin(backAngle2);
-        arr.setAttribute('points', `${tipX},${tipY} ${back1X},${back1Y} ${back2X},${back2Y}`);
-    }
-}
-
-// Approximate the same half-length point returned by SVG getPointAtLength,
-// using a small fixed polyline entirely in JavaScript. Interpolation within
-// the crossing segment keeps the error sub-pixel for KnotPad's smooth curves.
-export function bezierArcMidpoint(p0, p1, p2, p3) {
-    const segmentCount = 32;
-    const points = [p0];
-    const lengths = [];
-    let totalLength = 0;
-    for (let index = 1; index <= segmentCount; index++) {
-        const point = bezierPoint(p0, p1, p2, p3, index / segmentCount);
-        const previous = points[index - 1];
-        const length = Math.hypot(point.x - previous.x, point.y - previous.y);
-        points.push(point);
-        lengths.push(length);
-        totalLength += length;
-    }
-
-    const targetLength = totalLength / 2;
-    let traversed = 0;
-    for (let index = 0; index < lengths.length; index++) {
-        const nextLength = traversed + lengths[index];
-        if (nextLength >= targetLength) {
-            const ratio = lengths[index] === 0 ? 0 : (targetLength - traversed) / lengths[index];
-            return {
-                x: points[index].x + (points[index + 1].x - points[index].x) * ratio,
-                y: points[index].y + (points[index + 1].y - points[index].y) * ratio
-            };
-        }
-        traversed = nextLength;
-    }
-    return p3;
+    renderConnectionArrow(c, connectionsSvg, state.selectedConn === c);
 }
 
 // Update all connections
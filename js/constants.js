@@ -2,28 +2,43 @@
 
 export const CANVASES_KEY = 'knotpad-canvases';
 export const CANVAS_GROUPS_KEY = 'knotpad-canvas-groups';
+export const CANVAS_TEMPLATES_KEY = 'knotpad-canvas-templates';
 export const THEME_KEY = 'knotpad-theme';
 export const FS_STORAGE_KEY = 'knotpad-fs-enabled';
 export const DB_NAME = 'knotpad-media';
-export const DB_VERSION = 2;
+export const DB_VERSION = 3;
 export const MEDIA_STORE = 'media';
 export const FS_HANDLE_STORE = 'fs-handle';
+export const SNAPSHOT_STORE = 'snapshots';
 export const FS_HANDLE_KEY = 'directory-handle';
 export const CANVASES_DIR = 'canvases';
 export const MEDIA_DIR = 'media';
+export const SNAPSHOTS_DIR = '_history'; // canvases/_history/<canvasId>/<snapshotId>.json
 export const MAX_HISTORY = 50;
+export const SNAPSHOT_INTERVAL = 10 * 60 * 1000; // Automatic snapshot check (10 minutes)
+export const MAX_AUTO_SNAPSHOTS = 30; // Per canvas; manual snapshots are kept until deleted
+export const REMOTE_CONFIG_KEY = 'knotpad-remote-config';
+export const REMOTE_QUEUE_KEY = 'knotpad-remote-queue'; // Offline queue of pending server writes
+export const REMOTE_ETAGS_KEY = 'knotpad-remote-etags'; // Last ETag seen per server path
+export const REMOTE_POLL_INTERVAL = 60 * 1000; // Check the server for changes (1 minute)
+export const REMOTE_RETRY_DELAY = 15 * 1000; // Retry queued writes while offline
 
-export const COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink'];
+export const PALETTE_KEY = 'knotpad-palette';
 
-export const COLOR_MAP = {
-    red: '#ef4444',
-    orange: '#f97316',
-    yellow: '#eab308',
-    green: '#22c55e',
-    blue: '#3b82f6',
-    purple: '#8b5cf6',
-    pink: '#ec4899'
-};
+// Built-in item colors, used until the palette is edited. Their theme variants
+// are hand-tuned in style.css; other colors get derived ones (see palette.js).
+export const DEFAULT_PALETTE = [
+    { id: 'red', name: 'Red', hex: '#ef4444' },
+    { id: 'orange', name: 'Orange', hex: '#f97316' },
+    { id: 'yellow', name: 'Yellow', hex: '#eab308' },
+    { id: 'green', name: 'Green', hex: '#22c55e' },
+    { id: 'blue', name: 'Blue', hex: '#3b82f6' },
+    { id: 'purple', name: 'Purple', hex: '#8b5cf6' },
+    { id: 'pink', name: 'Pink', hex: '#ec4899' }
+];
+
+// Value types of item properties, as offered in the inspector
+export const PROPERTY_TYPES = ['text', 'number', 'date', 'select'];
 
 export const FONT_SIZES = [null, 'medium', 'large', 'xlarge'];
 
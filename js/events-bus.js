@@ -141,7 +141,20 @@ export const Events = {
     LINK_RENAME: 'link:rename',
 
     // Search events
-    SEARCH_RESULTS_UPDATED: 'search:resultsUpdated'
+    SEARCH_RESULTS_UPDATED: 'search:resultsUpdated',
+
+    // Canvas events
+    CANVAS_LOADED: 'canvas:loaded',
+
+    // Palette events (colors or the current canvas's legend changed)
+    PALETTE_CHANGED: 'palette:changed',
+
+    // Storage events (after a local write succeeded)
+    CANVAS_SAVED: 'storage:canvasSaved',
+    CANVAS_LIST_SAVED: 'storage:canvasListSaved',
+    CANVAS_DELETED: 'storage:canvasDeleted',
+    MEDIA_DELETED: 'storage:mediaDeleted',
+    SETTINGS_SAVED: 'storage:settingsSaved'
 };
 
 export default eventBus;
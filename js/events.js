@@ -6,14 +6,20 @@ import { updateTransform, setZoom, throttledMinimap, startPan } from './viewport
 import {
     selectItem, deselectAll, deleteSelectedItems, addMemo, addLink, toggleHeading,
     getMemoHtmlFromClipboardData, clipboardContainsStructuredMemoContent, selectAllItems,
-    stripMemoEditorArtifacts
+    stripMemoEditorArtifacts, withFrameMembers, assignItemsToFrames, fitFrameMembers, getFrameMembers,
+    snapToLane, setLaneDropTarget, restackLanes, extractPlainTextFromMemoHtml
 } from './items.js';
+import { unrenderMath } from './math.js';
 import { getConnectionsForItems, updateConnections, cancelConnection, deleteConnection, updateTempLine, completeConnectionWithNewMemo, deselectConnection } from './connections.js';
 import {
     undo, redo, toggleSearch, openSearch, closeSearch, closeLinkModal,
     closeSidebarIfUnpinned, showNewNodePicker, triggerAutoSave, saveState, handleFile,
     saveCurrentCanvas, showCanvasContextMenu, closeSettingsModal, copyItemToClipboard
 } from './ui.js';
+import { isOutlineText, importOutline } from './markdown.js';
+import { closeHistoryModal } from './history.js';
+import { closePaletteModal } from './palette.js';
+import { openPrintModal } from './print.js';
 
 const app = $('app');
 const canvas = $('canvas');
@@ -38,6 +44,7 @@ export function setupMouseEvents() {
     let pointerMoveFrame = null;
     let pendingPointerEvent = null;
     let gestureOwner = null;
+    let gestureItems = new Set();
     let gestureConnections = [];
     signal.addEventListener('abort', () => {
         if (pointerMoveFrame !== null) cancelAnimationFrame(pointerMoveFrame);
@@ -177,7 +184,9 @@ export function setupMouseEvents() {
         if (state.draggedItem) {
             if (gestureOwner !== state.draggedItem) {
                 gestureOwner = state.draggedItem;
-                gestureConnections = getConnectionsForItems(state.selectedItems);
+                // Frames carry their members along
+                gestureItems = withFrameMembers(state.selectedItems);
+                gestureConnections = getConnectionsForItems(gestureItems);
             }
             const rect = app.getBoundingClientRect();
             const curX = (e.clientX - rect.left - state.offsetX) / state.scale;
@@ -191,10 +200,15 @@ export function setupMouseEvents() {
                 newY = Math.round(newY / state.GRID_SIZE) * state.GRID_SIZE;
             }
 
+            // Over a board lane, cards line up with the lane's column
+            const laneSnap = snapToLane(state.draggedItem, newX, newY);
+            newX = laneSnap.x;
+            setLaneDropTarget(laneSnap.lane);
+
             const dx = newX - state.draggedItem.x;
             const dy = newY - state.draggedItem.y;
 
-            state.selectedItems.forEach(item => {
+            gestureItems.forEach(item => {
                 item.x += dx;
                 item.y += dy;
                 item.el.style.left = item.x + 'px';
@@ -207,7 +221,7 @@ export function setupMouseEvents() {
         if (state.resizingItem) {
             if (gestureOwner !== state.resizingItem) {
                 gestureOwner = state.resizingItem;
-                gestureConnections = getConnectionsForItems([state.resizingItem]);
+                gestureConnections = getConnectionsForItems([state.resizingItem, ...getFrameMembers(state.resizingItem)]);
             }
             const rect = app.getBoundingClientRect();
             let x = (e.clientX - rect.left - state.offsetX) / state.scale;
@@ -247,6 +261,7 @@ export function setupMouseEvents() {
             state.resizingItem.h = newH;
             state.resizingItem.el.style.width = state.resizingItem.w + 'px';
             state.resizingItem.el.style.height = state.resizingItem.h + 'px';
+            fitFrameMembers(state.resizingItem);
             updateConnections(gestureConnections);
             throttledMinimap('geometry');
         }
@@ -305,6 +320,7 @@ export function setupMouseEvents() {
                 const bh = sb.height / state.scale;
 
                 state.items.forEach(item => {
+                    if (item.el.classList.contains('frame-hidden')) return;
                     if (item.x < bx + bw && item.x + item.w > bx && item.y < by + bh && item.y + item.h > by) {
                         selectItem(item, true);
                     }
@@ -318,17 +334,22 @@ export function setupMouseEvents() {
                 state.selectedItems.forEach(i => i.el.classList.remove('dragging'));
                 canvas.classList.remove('dragging-item');
                 document.body.classList.remove('is-dragging');
+                assignItemsToFrames([...state.selectedItems]);
+                setLaneDropTarget(null);
+                restackLanes();
                 saveState();
                 state.setDraggedItem(null);
             }
             if (state.resizingItem) {
                 document.body.classList.remove('is-dragging');
+                restackLanes();
                 saveState();
                 state.setResizingItem(null);
             }
             triggerAutoSave();
         }
         gestureOwner = null;
+        gestureItems = new Set();
         gestureConnections = [];
     }, { signal });
 }
@@ -355,6 +376,12 @@ export function setupKeyboardEvents() {
             openSearch();
             return;
         }
+        // The browser's own print would only capture the visible viewport
+        if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
+            e.preventDefault();
+            openPrintModal();
+            return;
+        }
         const isUndoRedoShortcut = e.ctrlKey || e.metaKey;
         const shortcutKey = e.key.toLowerCase();
 
@@ -415,6 +442,8 @@ export function setupKeyboardEvents() {
             closeLinkModal();
             closeSearch();
             closeSettingsModal();
+            closeHistoryModal();
+            closePaletteModal();
             deselectAll();
         }
         if ((e.key === 'Delete' || e.key === 'Backspace') && !e.target.matches('input,textarea,[contenteditable="true"]')) {
@@ -513,12 +542,15 @@ export function setupCopyEvents() {
             const sel = window.getSelection();
             if (!sel.rangeCount || sel.isCollapsed) return;
 
-            const plainText = stripMemoEditorArtifacts(sel.toString());
-            if (!plainText) return;
-
             const fragment = sel.getRangeAt(0).cloneContents();
             const container = document.createElement('div');
             container.appendChild(fragment);
+            // Rendered math is copied as its source
+            const plainText = unrenderMath(container)
+                ? stripMemoEditorArtifacts(extractPlainTextFromMemoHtml(container.innerHTML))
+                : stripMemoEditorArtifacts(sel.toString());
+            if (!plainText) return;
+
             const html = stripMemoEditorArtifacts(container.innerHTML);
             if (!html) return;
 
@@ -587,6 +619,9 @@ export function setupPasteEvents() {
             if (memoHtml || trimmedText) {
                 if (/^https?:\/\/[^ "]+$/.test(trimmedText) && !hasStructuredContent) {
                     addLink(trimmedText, '', x, y);
+                } else if (!cd.getData('application/x-knotpad-memo') && isOutlineText(text)
+                    && confirm('Create a connected mind map from this outline?\nCancel pastes it as a single memo.')) {
+                    importOutline(text, x, y);
                 } else {
                     addMemo(memoHtml || text, x, y);
                 }
@@ -629,6 +664,9 @@ export function setupDocumentClickHandler() {
         if (!e.target.closest('#colorBtn') && !e.target.closest('#colorDropdown')) {
             $('colorDropdown').classList.remove('active');
         }
+        if (!e.target.closest('#layoutBtn') && !e.target.closest('#layoutDropdown')) {
+            $('layoutDropdown').classList.remove('active');
+        }
         if (!e.target.closest('.context-menu')) {
             $('contextMenu').classList.remove('active');
             $('connectionContextMenu').classList.remove('active');
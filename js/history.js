@@ -0,0 +1,399 @@
+// KnotPad - History Module (Durable canvas snapshots with preview, diff and restore)
+
+import { SNAPSHOT_INTERVAL, MAX_AUTO_SNAPSHOTS } from './constants.js';
+import { $, esc, showToast } from './utils.js';
+import * as state from './state.js';
+import {
+    fsDirectoryHandle,
+    saveSnapshot,
+    loadSnapshots,
+    deleteSnapshot,
+    saveSnapshotToFileSystem,
+    loadSnapshotsFromFileSystem,
+    deleteSnapshotFromFileSystem
+} from './storage.js';
+import { captureCanvasSnapshot, restoreCanvasSnapshot, releaseSnapshotMedia } from './ui.js';
+import { getItemSearchText } from './search.js';
+import eventBus, { Events } from './events-bus.js';
+import { colorVar } from './palette.js';
+
+const historyModal = $('historyModal');
+
+// Snapshots of the current canvas (newest first) and the one being previewed
+let snapshots = [];
+let selectedSnapshotId = null;
+let historyModalController;
+let snapshotTimer = null;
+
+// Serialized data of the newest snapshot per canvas, so an unchanged canvas
+// is not snapshotted again automatically
+const lastSnapshotJson = new Map();
+
+// ============ Diff ============
+
+const DIFF_FIELDS = {
+    position: ['x', 'y'],
+    size: ['w', 'h'],
+    content: ['content'],
+    color: ['color'],
+    style: ['fontSize', 'textAlign'],
+    locked: ['locked'],
+    due: ['due'],
+    rollup: ['rollup'],
+    tags: ['tags'],
+    properties: ['props']
+};
+
+function sameValue(key, a, b) {
+    if (key === 'locked' || key === 'rollup') return Boolean(a) === Boolean(b);
+    // Snapshots from before tags and properties have none
+    if (key === 'tags' || key === 'props') return JSON.stringify(a?.length ? a : null) === JSON.stringify(b?.length ? b : null);
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Compare a snapshot with the current canvas. `added` items exist only now,
+// `removed` items only in the snapshot; `changed` lists the snapshot version
+// of each item together with the fields that differ.
+export function diffSnapshot(snapshotData, currentData) {
+    const before = new Map(snapshotData.items.map(d => [d.id, d]));
+    const after = new Map(currentData.items.map(d => [d.id, d]));
+    const changed = [];
+    snapshotData.items.forEach(d => {
+        const now = after.get(d.id);
+        if (!now) return;
+        const fields = Object.keys(DIFF_FIELDS).filter(field =>
+            DIFF_FIELDS[field].some(key => !sameValue(key, d[key], now[key])));
+        if (fields.length) changed.push({ item: d, fields });
+    });
+
+    const beforeConnections = new Set(snapshotData.connections.map(c => c.id));
+    const afterConnections = new Set(currentData.connections.map(c => c.id));
+    return {
+        added: currentData.items.filter(d => !before.has(d.id)),
+        removed: snapshotData.items.filter(d => !after.has(d.id)),
+        changed,
+        connectionsAdded: currentData.connections.filter(c => !beforeConnections.has(c.id)).length,
+        connectionsRemoved: snapshotData.connections.filter(c => !afterConnections.has(c.id)).length
+    };
+}
+
+// Current canvas data with one item put back as it was in the snapshot.
+// A removed item also gets back its connections to items that still exist.
+export function mergeSnapshotItem(currentData, snapshotData, itemId) {
+    const restored = snapshotData.items.find(d => d.id === itemId);
+    if (!restored) return null;
+
+    const exists = currentData.items.some(d => d.id === itemId);
+    const items = exists
+        ? currentData.items.map(d => (d.id === itemId ? structuredClone(restored) : d))
+        : [...currentData.items, structuredClone(restored)];
+
+    const ids = new Set(items.map(d => d.id));
+    const connectionIds = new Set(currentData.connections.map(c => c.id));
+    const linked = new Set(currentData.connections.map(c => [c.from, c.to].sort().join('|')));
+    const connections = [...currentData.connections];
+    snapshotData.connections.forEach(c => {
+        if (c.from !== itemId && c.to !== itemId) return;
+        if (!ids.has(c.from) || !ids.has(c.to) || connectionIds.has(c.id)) return;
+        if (linked.has([c.from, c.to].sort().join('|'))) return;
+        connections.push(structuredClone(c));
+    });
+    return { items, connections };
+}
+
+// Automatic snapshots beyond the retention limit, oldest first.
+// Expects snapshots sorted newest first; manual snapshots are never pruned.
+export function getExpiredSnapshots(list, max = MAX_AUTO_SNAPSHOTS) {
+    return list.filter(s => s.kind === 'auto').slice(max).reverse();
+}
+
+// ============ Storage ============
+
+// Union of the IndexedDB and File System copies, newest first
+async function listSnapshots(canvasId) {
+    const [stored, files] = await Promise.all([
+        loadSnapshots(canvasId),
+        loadSnapshotsFromFileSystem(canvasId)
+    ]);
+    const byId = new Map();
+    [...files, ...stored].forEach(s => {
+        if (s?.id && s.canvasId === canvasId && s.data?.items) byId.set(s.id, s);
+    });
+    return [...byId.values()].sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function collectSnapshotMediaIds(list) {
+    const ids = new Set();
+    list.forEach(s => s.data.items.forEach(d => {
+        if (typeof d.content === 'string' && d.content.startsWith('media_')) ids.add(d.content);
+    }));
+    return ids;
+}
+
+// Delete snapshots, then the media only they still used
+async function removeSnapshots(list) {
+    await Promise.all(list.map(async snapshot => {
+        await deleteSnapshot(snapshot.id);
+        if (fsDirectoryHandle) await deleteSnapshotFromFileSystem(snapshot.canvasId, snapshot.id);
+    }));
+    await releaseSnapshotMedia(collectSnapshotMediaIds(list));
+}
+
+function syncSnapshotMediaIds(list) {
+    state.snapshotMediaIds.clear();
+    collectSnapshotMediaIds(list).forEach(id => state.snapshotMediaIds.add(id));
+}
+
+async function refreshSnapshots(canvasId) {
+    const list = await listSnapshots(canvasId);
+    if (canvasId !== state.currentCanvasId) return list;
+    snapshots = list;
+    syncSnapshotMediaIds(list);
+    return list;
+}
+
+// Store the current canvas (or a stored one given as { canvasId, data }) as a
+// snapshot. Automatic snapshots are skipped when nothing changed since the newest one.
+export async function takeSnapshot(kind = 'manual', label = '', source = null) {
+    const canvasId = source ? source.canvasId : state.currentCanvasId;
+    if (!canvasId) return null;
+    const data = source
+        ? { items: source.data.items || [], connections: source.data.connections || [] }
+        : captureCanvasSnapshot();
+    const json = JSON.stringify(data);
+
+    if (kind === 'auto') {
+        if (!lastSnapshotJson.has(canvasId)) {
+            const [latest] = await listSnapshots(canvasId);
+            lastSnapshotJson.set(canvasId, JSON.stringify(latest ? latest.data : { items: [], connections: [] }));
+        }
+        if (lastSnapshotJson.get(canvasId) === json) return null;
+    }
+
+    const snapshot = {
+        id: 's' + Date.now() + Math.random().toString(36).substr(2, 5),
+        canvasId,
+        createdAt: Date.now(),
+        kind,
+        label,
+        itemCount: data.items.length,
+        data
+    };
+
+    let saved = false;
+    try {
+        await saveSnapshot(snapshot);
+        saved = true;
+    } catch (e) {
+        console.error('Failed to store snapshot in browser storage:', e);
+    }
+    if (fsDirectoryHandle && await saveSnapshotToFileSystem(snapshot)) saved = true;
+    if (!saved) {
+        if (kind === 'manual') showToast('Snapshot failed', 'error');
+        return null;
+    }
+    lastSnapshotJson.set(canvasId, json);
+
+    await removeSnapshots(getExpiredSnapshots(await listSnapshots(canvasId)));
+    await refreshSnapshots(canvasId);
+    return snapshot;
+}
+
+// ============ History Modal ============
+
+function formatSnapshotDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function itemLabel(d) {
+    if (d.type === 'image' || d.type === 'video') return d.type === 'image' ? 'Image' : 'Video';
+    const text = getItemSearchText(d).replace(/\s+/g, ' ').trim();
+    return text || `Untitled ${d.type}`;
+}
+
+function renderSnapshotList() {
+    const list = $('historyList');
+    if (!snapshots.length) {
+        list.innerHTML = '<div class="history-empty">No snapshots yet. Snapshots are taken automatically every few minutes while you work.</div>';
+        return;
+    }
+    list.innerHTML = snapshots.map(s => `
+        <div class="history-entry${s.id === selectedSnapshotId ? ' active' : ''}" data-id="${esc(s.id)}">
+            <div class="history-entry-date">${esc(formatSnapshotDate(s.createdAt))}</div>
+            <div class="history-entry-meta"><span class="history-kind ${s.kind === 'manual' ? 'manual' : ''}">${s.kind === 'manual' ? 'Manual' : 'Auto'}</span>${s.label ? `<span class="history-entry-label">${esc(s.label)}</span>` : ''}<span>${s.itemCount} item${s.itemCount === 1 ? '' : 's'}</span></div>
+        </div>`).join('');
+}
+
+// Read-only picture of the snapshot; items that differ from now are outlined
+function renderSnapshotPreview(data, diff) {
+    if (!data.items.length) return '<div class="history-preview history-preview-empty">Empty canvas</div>';
+
+    const status = new Map();
+    diff.removed.forEach(d => status.set(d.id, 'removed'));
+    diff.changed.forEach(({ item }) => status.set(item.id, 'changed'));
+
+    const pad = 40;
+    const minX = Math.min(...data.items.map(d => d.x)) - pad;
+    const minY = Math.min(...data.items.map(d => d.y)) - pad;
+    const maxX = Math.max(...data.items.map(d => d.x + d.w)) + pad;
+    const maxY = Math.max(...data.items.map(d => d.y + d.h)) + pad;
+    const byId = new Map(data.items.map(d => [d.id, d]));
+
+    const lines = data.connections.map(c => {
+        const a = byId.get(c.from);
+        const b = byId.get(c.to);
+        if (!a || !b) return '';
+        return `<line x1="${a.x + a.w / 2}" y1="${a.y + a.h / 2}" x2="${b.x + b.w / 2}" y2="${b.y + b.h / 2}"/>`;
+    }).join('');
+
+    // Frames first so they sit behind their contents
+    const ordered = [...data.items].sort((a, b) => (b.type === 'frame') - (a.type === 'frame'));
+    const nodes = ordered.map(d => {
+        const color = colorVar(d.color);
+        const label = itemLabel(d);
+        const maxChars = Math.max(4, Math.floor(d.w / 10));
+        const text = label.length > maxChars ? label.slice(0, maxChars - 1) + '…' : label;
+        return `<g class="history-node ${d.type === 'frame' ? 'frame' : ''} ${status.get(d.id) || ''}">`
+            + `<rect x="${d.x}" y="${d.y}" width="${d.w}" height="${d.h}" rx="12"${color ? ` style="--node-color:${color}"` : ''}/>`
+            + `<text x="${d.x + 14}" y="${d.y + 28}">${esc(text)}</text></g>`;
+    }).join('');
+
+    return `<svg class="history-preview" viewBox="${minX} ${minY} ${maxX - minX} ${maxY - minY}" preserveAspectRatio="xMidYMid meet"><g class="history-lines">${lines}</g>${nodes}</svg>`;
+}
+
+function renderDiffGroup(title, entries, restorable) {
+    if (!entries.length) return '';
+    return `<div class="history-diff-group"><h4>${title} <span>${entries.length}</span></h4>`
+        + entries.map(({ item, fields }) => `
+            <div class="history-diff-row">
+                <span class="history-diff-type">${esc(item.type)}</span>
+                <span class="history-diff-label">${esc(itemLabel(item))}</span>
+                ${fields ? `<span class="history-diff-fields">${fields.join(', ')}</span>` : ''}
+                ${restorable ? `<button class="history-restore-item" data-restore="${esc(item.id)}">Restore</button>` : ''}
+            </div>`).join('')
+        + '</div>';
+}
+
+function renderSnapshotDetail() {
+    const detail = $('historyDetail');
+    const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+    if (!snapshot) {
+        detail.innerHTML = '';
+        return;
+    }
+
+    const diff = diffSnapshot(snapshot.data, captureCanvasSnapshot());
+    const unchanged = !diff.added.length && !diff.removed.length && !diff.changed.length
+        && !diff.connectionsAdded && !diff.connectionsRemoved;
+    const connectionSummary = diff.connectionsAdded || diff.connectionsRemoved
+        ? `<div class="history-diff-connections">Connections: ${diff.connectionsRemoved} removed, ${diff.connectionsAdded} added since this version</div>`
+        : '';
+
+    detail.innerHTML = `
+        <div class="history-detail-head">
+            <div>
+                <div class="history-detail-title">${esc(snapshot.label || formatSnapshotDate(snapshot.createdAt))}</div>
+                <div class="history-detail-sub">${esc(new Date(snapshot.createdAt).toLocaleString())}</div>
+            </div>
+            <div class="history-detail-actions">
+                <button class="modal-btn modal-btn-cancel" id="historyDeleteBtn">Delete</button>
+                <button class="modal-btn modal-btn-submit" id="historyRestoreBtn"${unchanged ? ' disabled' : ''}>Restore Canvas</button>
+            </div>
+        </div>
+        ${renderSnapshotPreview(snapshot.data, diff)}
+        <div class="history-diff">
+            ${unchanged ? '<div class="history-empty">Identical to the current canvas</div>' : ''}
+            ${renderDiffGroup('Removed since this version', diff.removed.map(item => ({ item })), true)}
+            ${renderDiffGroup('Changed since this version', diff.changed, true)}
+            ${renderDiffGroup('Added since this version', diff.added.map(item => ({ item })), false)}
+            ${connectionSummary}
+        </div>`;
+}
+
+function selectSnapshot(id) {
+    selectedSnapshotId = id;
+    renderSnapshotList();
+    renderSnapshotDetail();
+}
+
+export async function openHistoryModal() {
+    if (!state.currentCanvasId) return;
+    historyModal.classList.remove('closing');
+    historyModal.classList.add('active');
+    $('historyList').innerHTML = '<div class="history-empty">Loading…</div>';
+    $('historyDetail').innerHTML = '';
+    await refreshSnapshots(state.currentCanvasId);
+    selectSnapshot(snapshots[0]?.id || null);
+}
+
+export function closeHistoryModal() {
+    if (!historyModal.classList.contains('active') || historyModal.classList.contains('closing')) return;
+    historyModal.classList.add('closing');
+    setTimeout(() => historyModal.classList.remove('active', 'closing'), 140);
+}
+
+async function restoreWholeSnapshot(snapshot) {
+    if (!confirm('Replace the canvas with this version?\nThe current canvas is kept as a snapshot first.')) return;
+    await takeSnapshot('auto', 'Before restore');
+    await restoreCanvasSnapshot(snapshot.data);
+    closeHistoryModal();
+    showToast('Canvas restored');
+}
+
+async function restoreSnapshotItem(snapshot, itemId) {
+    const merged = mergeSnapshotItem(captureCanvasSnapshot(), snapshot.data, itemId);
+    if (!merged) return;
+    await restoreCanvasSnapshot(merged);
+    renderSnapshotDetail();
+    showToast('Item restored');
+}
+
+export function setupHistory() {
+    if (historyModalController) historyModalController.abort();
+    historyModalController = new AbortController();
+    const { signal } = historyModalController;
+
+    $('historyBtn').addEventListener('click', openHistoryModal, { signal });
+    historyModal.addEventListener('click', e => { if (e.target === historyModal) closeHistoryModal(); }, { signal });
+    historyModal.querySelector('[data-close]').addEventListener('click', closeHistoryModal, { signal });
+
+    $('historySnapshotBtn').addEventListener('click', async () => {
+        const label = prompt('Snapshot name (optional)', '');
+        if (label === null) return;
+        const snapshot = await takeSnapshot('manual', label.trim());
+        if (!snapshot) return;
+        showToast('Snapshot saved');
+        selectSnapshot(snapshot.id);
+    }, { signal });
+
+    $('historyList').addEventListener('click', e => {
+        const entry = e.target.closest('.history-entry');
+        if (entry) selectSnapshot(entry.dataset.id);
+    }, { signal });
+
+    $('historyDetail').addEventListener('click', async e => {
+        const snapshot = snapshots.find(s => s.id === selectedSnapshotId);
+        if (!snapshot) return;
+        const restoreItemBtn = e.target.closest('[data-restore]');
+        if (restoreItemBtn) {
+            await restoreSnapshotItem(snapshot, restoreItemBtn.dataset.restore);
+        } else if (e.target.closest('#historyRestoreBtn')) {
+            await restoreWholeSnapshot(snapshot);
+        } else if (e.target.closest('#historyDeleteBtn')) {
+            if (!confirm('Delete this snapshot?')) return;
+            await removeSnapshots([snapshot]);
+            await refreshSnapshots(snapshot.canvasId);
+            selectSnapshot(snapshots[0]?.id || null);
+        }
+    }, { signal });
+
+    // A baseline when a canvas opens, then periodic snapshots while it changes
+    eventBus.on(Events.CANVAS_LOADED, async canvasId => {
+        await refreshSnapshots(canvasId);
+        if (canvasId === state.currentCanvasId) takeSnapshot('auto');
+    });
+    clearInterval(snapshotTimer);
+    snapshotTimer = setInterval(() => takeSnapshot('auto'), SNAPSHOT_INTERVAL);
+}
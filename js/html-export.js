@@ -0,0 +1,195 @@
+// KnotPad - HTML Viewer Export Module (Single-file read-only canvas for sharing)
+
+import { $, esc, showToast, downloadBlob } from './utils.js';
+import * as state from './state.js';
+import { cleanClone, getExportContent, urlToDataURL } from './image-export.js';
+import { getPalette, getPaletteCss } from './palette.js';
+
+const VIEWER_ENTRY = 'viewer.js';
+const IMPORT_PATTERN = /\bfrom\s+'\.\/([\w-]+\.js)'/g;
+// Settings that change how items look and are applied as body classes
+const APPEARANCE_CLASSES = ['wrap-mode-character', 'color-mode-fill', 'link-preview-enabled'];
+// The live toolbar's zoom controls, reused by the viewer
+const VIEWER_TOOLBAR_IDS = ['zoomOutBtn', 'zoomDisplay', 'zoomInBtn', 'fitViewBtn'];
+
+let htmlExportController;
+
+// Turns the embedded module sources into blob: URLs, dependencies first, and
+// starts the viewer. Relative imports cannot resolve from a blob, so each one
+// is pointed at its dependency's URL.
+const VIEWER_LOADER = `(() => {
+    const sources = JSON.parse(document.getElementById('knotpadModules').textContent);
+    const urls = {};
+    const load = name => urls[name] || (urls[name] = URL.createObjectURL(new Blob([
+        sources[name].replace(${IMPORT_PATTERN}, (match, dep) => "from '" + load(dep) + "'")
+    ], { type: 'text/javascript' })));
+    import(load('${VIEWER_ENTRY}'));
+})();`;
+
+// ============ Bundling ============
+
+/**
+ * Sources of a module and everything it imports, keyed by file name.
+ * @param {string} entry - File name inside js/
+ * @param {(name: string) => Promise<string>} readSource
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function collectModuleSources(entry, readSource) {
+    const sources = {};
+    const visit = async name => {
+        if (name in sources) return;
+        sources[name] = null;
+        const source = await readSource(name);
+        sources[name] = source;
+        for (const [, dep] of source.matchAll(IMPORT_PATTERN)) await visit(dep);
+    };
+    await visit(entry);
+    return sources;
+}
+
+// JSON that can sit inside a <script> element
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+async function fetchText(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Failed to load ${url}: ${res.status}`);
+    return res.text();
+}
+
+// The app stylesheet with its fonts embedded, and the palette's colors
+async function viewerStylesheet() {
+    const css = await fetchText('./style.css');
+    const fonts = new Map();
+    for (const [, path] of css.matchAll(/url\('(\.\/fonts\/[^']+)'\)/g)) {
+        if (!fonts.has(path)) fonts.set(path, await urlToDataURL(path));
+    }
+    return css.replace(/url\('(\.\/fonts\/[^']+)'\)/g, (match, path) => fonts.get(path) ? `url(${fonts.get(path)})` : match)
+        + getPaletteCss();
+}
+
+/**
+ * Assemble the viewer page.
+ * @param {Object} options
+ * @param {string} options.name - Canvas name, used as the title
+ * @param {string} options.css - Stylesheet to inline
+ * @param {Object<string, string>} options.modules - From collectModuleSources
+ * @param {{ items: Array, connections: Array, palette?: Array }} options.canvas - Canvas JSON with rendered item HTML
+ * @param {{ theme?: string, bodyClasses?: string[], paragraphSpacing?: string, toolbar?: string }} [options.appearance]
+ * @returns {string}
+ */
+export function buildViewerHtml({ name, css, modules, canvas, appearance = {} }) {
+    const { theme = '', bodyClasses = [], paragraphSpacing = '', toolbar = '' } = appearance;
+    const rootClass = theme === 'light' ? ' class="light"' : '';
+    const rootStyle = paragraphSpacing ? ` style="--memo-paragraph-spacing-percent:${esc(paragraphSpacing)}"` : '';
+    return `<!DOCTYPE html>
+<html lang="en"${rootClass}${rootStyle}>
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="KnotPad">
+<title>${esc(name)}</title>
+<style>${css.replace(/<\/style/gi, '<\\/style')}</style>
+</head>
+<body class="${['viewer-mode', ...bodyClasses].join(' ')}">
+<div id="app">
+<div id="canvas"><div class="grid-overlay"></div><svg id="connectionsSvg"></svg></div>
+</div>
+<div class="toolbar"><span class="viewer-title" title="Read-only copy">${esc(name)}</span><div class="toolbar-sep"></div>${toolbar}</div>
+<div class="minimap" id="minimap"><div class="minimap-content" id="minimapContent"></div></div>
+<script type="application/json" id="knotpadCanvas">${scriptJson(canvas)}</script>
+<script type="application/json" id="knotpadModules">${scriptJson(modules)}</script>
+<script>${VIEWER_LOADER}</script>
+</body>
+</html>
+`;
+}
+
+// ============ Canvas Data ============
+
+// Item markup as shown on screen, with media embedded as data: URIs
+async function renderItemHtml(item) {
+    const clone = cleanClone(item.el);
+    clone.classList.remove('filtered-out');
+    await Promise.all(Array.from(clone.querySelectorAll('img[src], video[src]'), async media => {
+        const data = await urlToDataURL(media.getAttribute('src'));
+        // Remote images (favicons, link previews) still load when online
+        if (data) media.setAttribute('src', data);
+        else if (media.getAttribute('src').startsWith('blob:')) media.removeAttribute('src');
+    }));
+    return clone.outerHTML;
+}
+
+async function viewerCanvasData() {
+    const { items, connections } = getExportContent(false);
+    return {
+        items: await Promise.all(items.map(async i => ({
+            id: i.id,
+            type: i.type,
+            x: i.x,
+            y: i.y,
+            w: i.w,
+            h: i.h,
+            content: i.content,
+            color: i.color,
+            html: await renderItemHtml(i)
+        }))),
+        connections: connections.map(c => ({
+            id: c.id,
+            from: c.from.id,
+            fh: c.fh,
+            to: c.to.id,
+            th: c.th,
+            dir: c.dir,
+            label: c.label || ''
+        })),
+        palette: getPalette(true)
+    };
+}
+
+function currentAppearance() {
+    const root = document.documentElement;
+    return {
+        theme: root.classList.contains('light') ? 'light' : 'dark',
+        bodyClasses: APPEARANCE_CLASSES.filter(c => document.body.classList.contains(c)),
+        paragraphSpacing: root.style.getPropertyValue('--memo-paragraph-spacing-percent').trim(),
+        toolbar: VIEWER_TOOLBAR_IDS.map(id => $(id).outerHTML).join('')
+    };
+}
+
+// ============ Export ============
+
+export async function exportHtmlViewer() {
+    if (!state.items.length) {
+        showToast('Nothing to export on this canvas', 'warning');
+        return;
+    }
+    const name = state.canvases.find(c => c.id === state.currentCanvasId)?.name || 'canvas';
+    const fileBase = name.replace(/[\\/:*?"<>|]/g, '_').trim() || 'canvas';
+    const [css, modules, canvas] = await Promise.all([
+        viewerStylesheet(),
+        collectModuleSources(VIEWER_ENTRY, file => fetchText(`./js/${file}`)),
+        viewerCanvasData()
+    ]);
+    const html = buildViewerHtml({ name, css, modules, canvas, appearance: currentAppearance() });
+    downloadBlob(new Blob([html], { type: 'text/html' }), `${fileBase}.html`);
+    showToast('Exported as HTML viewer');
+}
+
+// ============ Setup ============
+
+export function setupHtmlExport() {
+    if (htmlExportController) htmlExportController.abort();
+    htmlExportController = new AbortController();
+    const { signal } = htmlExportController;
+
+    $('exportHtmlBtn').addEventListener('click', async () => {
+        try {
+            await exportHtmlViewer();
+        } catch (err) {
+            console.error('HTML export failed:', err);
+            showToast('Export failed', 'error');
+        }
+    }, { signal });
+}
@@ -0,0 +1,418 @@
+// KnotPad - Image Export Module (Render the canvas or a selection as SVG / PNG)
+
+import { $, showToast, getCurveGeometry, geometryPath, getHandlePos, downloadBlob } from './utils.js';
+import * as state from './state.js';
+import { withFrameMembers } from './items.js';
+import { getArrowPoints, getLabelBox } from './connection-render.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const EXPORT_PADDING = 40;
+const CURVE_SAMPLES = 24;
+// Browsers refuse to allocate larger bitmaps than this
+const MAX_BITMAP_SIDE = 16384;
+const MAX_BITMAP_AREA = 64 * 1024 * 1024;
+
+const FONT_FILES = { 400: 'Regular', 500: 'Medium', 600: 'Semibold', 700: 'Bold' };
+
+// Editing controls that never belong in a picture
+const CONTROLS_SELECTOR = '.delete-btn, .font-size-btn, .color-btn, .color-picker, .resize-handle, '
+    + '.connection-handle, .add-child-btn, .memo-toolbar, .video-controls, .present-step, .code-copy-btn';
+// Classes describing the current interaction rather than the content
+const TRANSIENT_CLASSES = ['selected', 'dragging', 'editing', 'deleting', 'connect-target', 'search-highlight',
+    'present-current', 'sync-conflict', 'media-loading', 'color-group-animating'];
+// Connections are plain SVG; these are all the properties their rules set
+const SVG_PROPERTIES = ['display', 'opacity', 'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin', 'font-family', 'font-size', 'font-weight',
+    'dominant-baseline', 'text-anchor'];
+
+const imageExportModal = $('imageExportModal');
+let imageExportModalController;
+
+// ============ Geometry ============
+
+// Connection curve in canvas coordinates, as getCurveGeometry draws it on screen
+function connectionGeometry(c) {
+    const fp = getHandlePos(c.from, c.fh, 0);
+    const tp = getHandlePos(c.to, c.th, 0);
+    return getCurveGeometry(fp.x, fp.y, tp.x, tp.y, c.fh, c.th);
+}
+
+function curvePoints({ p0, p1, p2, p3, isLine }) {
+    if (isLine) return [p0, p3];
+    const points = [];
+    for (let i = 0; i <= CURVE_SAMPLES; i++) {
+        const t = i / CURVE_SAMPLES;
+        const mt = 1 - t;
+        points.push({
+            x: mt * mt * mt * p0.x + 3 * mt * mt * t * p1.x + 3 * mt * t * t * p2.x + t * t * t * p3.x,
+            y: mt * mt * mt * p0.y + 3 * mt * mt * t * p1.y + 3 * mt * t * t * p2.y + t * t * t * p3.y
+        });
+    }
+    return points;
+}
+
+// Area covering the items and the full sweep of their connection curves and labels
+export function getExportBounds(items, connections = [], padding = EXPORT_PADDING) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x1, y1, x2, y2) => {
+        minX = Math.min(minX, x1);
+        minY = Math.min(minY, y1);
+        maxX = Math.max(maxX, x2);
+        maxY = Math.max(maxY, y2);
+    };
+    items.forEach(i => include(i.x, i.y, i.x + i.w, i.y + i.h));
+    connections.forEach(c => {
+        const geometry = connectionGeometry(c);
+        curvePoints(geometry).forEach(p => include(p.x, p.y, p.x, p.y));
+        if (c.label) {
+            const box = getLabelBox(geometry, c.label);
+            include(box.x, box.y, box.x + box.width, box.y + box.height);
+        }
+    });
+    if (minX === Infinity) return null;
+    return {
+        x: Math.floor(minX - padding),
+        y: Math.floor(minY - padding),
+        width: Math.ceil(maxX - minX + padding * 2),
+        height: Math.ceil(maxY - minY + padding * 2)
+    };
+}
+
+// Largest usable scale not above the requested one for a bitmap of this size
+export function fitRasterScale(width, height, scale) {
+    const bySide = MAX_BITMAP_SIDE / Math.max(width, height);
+    const byArea = Math.sqrt(MAX_BITMAP_AREA / (width * height));
+    return Math.min(scale, bySide, byArea);
+}
+
+// Items and connections to draw: the selection (with frame contents) or the
+// whole canvas, leaving out what collapsed frames hide
+export function getExportContent(selectionOnly = false) {
+    const source = selectionOnly && state.selectedItems.size
+        ? withFrameMembers([...state.selectedItems])
+        : new Set(state.items);
+    const items = state.items.filter(i => source.has(i) && !i.el.classList.contains('frame-hidden'));
+    const included = new Set(items);
+    const connections = state.connections.filter(c => included.has(c.from) && included.has(c.to));
+    return { items, connections };
+}
+
+// ============ Resources ============
+
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(blob);
+    });
+}
+
+export async function urlToDataURL(url) {
+    if (!url || url.startsWith('data:')) return url || null;
+    try {
+        const res = await fetch(url);
+        return res.ok ? await blobToDataURL(await res.blob()) : null;
+    } catch (e) {
+        // Cross-origin images without CORS cannot be embedded
+        return null;
+    }
+}
+
+// Current frame of a playing or paused video
+function videoFrameDataURL(video) {
+    if (!video?.videoWidth) return null;
+    try {
+        const bitmap = document.createElement('canvas');
+        bitmap.width = video.videoWidth;
+        bitmap.height = video.videoHeight;
+        bitmap.getContext('2d').drawImage(video, 0, 0);
+        return bitmap.toDataURL('image/png');
+    } catch (e) {
+        return null;
+    }
+}
+
+async function fontFaceRules(weights) {
+    const rules = await Promise.all([...weights].map(async weight => {
+        const file = FONT_FILES[weight];
+        if (!file) return '';
+        const data = await urlToDataURL(`./fonts/SFKR-${file}.woff2`);
+        return data ? `@font-face { font-family: 'SFKR'; src: url(${data}) format('woff2'); font-weight: ${weight}; }` : '';
+    }));
+    return rules.filter(Boolean).join('\n');
+}
+
+// Closest weight with a bundled font file
+function fontWeightFile(weight) {
+    const value = parseInt(weight, 10) || 400;
+    return Object.keys(FONT_FILES).map(Number)
+        .reduce((best, w) => Math.abs(w - value) < Math.abs(best - value) ? w : best, 400);
+}
+
+// ============ Styles ============
+
+function styleText(style, properties = style) {
+    return Array.from(properties, name => `${name}:${style.getPropertyValue(name)}`).join(';');
+}
+
+// Copy the resolved style of every node under `source` (attached) onto the
+// matching node under `target` (detached), so the copy renders the same
+// without the app's stylesheet. Pseudo-elements become generated rules.
+function inlineStyles(source, target, context) {
+    const isSvg = source.namespaceURI === SVG_NS;
+    const style = getComputedStyle(source);
+    target.setAttribute('style', styleText(style, isSvg ? SVG_PROPERTIES : style));
+    context.weights.add(fontWeightFile(style.fontWeight));
+
+    if (!isSvg) {
+        ['::before', '::after'].forEach(pseudo => {
+            const pseudoStyle = getComputedStyle(source, pseudo);
+            const content = pseudoStyle.getPropertyValue('content');
+            if (!content || content === 'none' || content === 'normal') return;
+            const className = `kp${context.rules.length}`;
+            target.classList.add(className);
+            context.rules.push(`.${className}${pseudo} { ${styleText(pseudoStyle)} }`);
+        });
+    }
+
+    for (let i = 0; i < source.children.length; i++) {
+        inlineStyles(source.children[i], target.children[i], context);
+    }
+}
+
+// Copy of an item or connection element without controls or interaction state
+export function cleanClone(el) {
+    const clone = el.cloneNode(true);
+    clone.querySelectorAll(CONTROLS_SELECTOR).forEach(n => n.remove());
+    [clone, ...clone.querySelectorAll('*')].forEach(n => {
+        n.classList.remove(...TRANSIENT_CLASSES);
+        n.removeAttribute('id');
+        n.removeAttribute('contenteditable');
+        n.removeAttribute('data-placeholder');
+    });
+    return clone;
+}
+
+function buildConnection(c) {
+    const geometry = connectionGeometry(c);
+    const group = document.createElementNS(SVG_NS, 'g');
+
+    const path = cleanClone(c.el);
+    path.setAttribute('d', geometryPath(geometry));
+    group.appendChild(path);
+
+    const arrows = getArrowPoints(geometry, c.dir);
+    if (arrows.size && c.arrow) {
+        const arrow = cleanClone(c.arrow);
+        arrow.replaceChildren(...[...arrows.values()].map(points => {
+            const polygon = document.createElementNS(SVG_NS, 'polygon');
+            polygon.setAttribute('points', points);
+            return polygon;
+        }));
+        arrow.style.display = '';
+        group.appendChild(arrow);
+    }
+
+    if (c.label && c.labelEl) {
+        const box = getLabelBox(geometry, c.label);
+        const label = cleanClone(c.labelEl);
+        const rect = label.querySelector('rect');
+        rect.setAttribute('x', box.x);
+        rect.setAttribute('y', box.y);
+        rect.setAttribute('width', box.width);
+        rect.setAttribute('height', box.height);
+        rect.setAttribute('rx', box.height / 2);
+        const text = label.querySelector('text');
+        text.setAttribute('x', box.cx);
+        text.setAttribute('y', box.cy);
+        group.appendChild(label);
+    }
+    return group;
+}
+
+// ============ Rendering ============
+
+/**
+ * Render items and connections as a standalone SVG document.
+ * @param {{ items: Array, connections: Array }} content
+ * @param {{ background?: 'theme'|'transparent' }} [options]
+ * @returns {Promise<{ svg: string, width: number, height: number, bounds: Object } | null>}
+ */
+export async function renderCanvasSvg({ items, connections }, { background = 'theme' } = {}) {
+    const bounds = getExportBounds(items, connections);
+    if (!bounds) return null;
+
+    // Clones are styled while attached next to the originals, so theme,
+    // colour mode and text wrapping resolve exactly as on screen
+    const stage = document.createElement('div');
+    stage.style.cssText = 'position:absolute;left:0;top:0;opacity:0;pointer-events:none';
+    const stageSvg = document.createElementNS(SVG_NS, 'svg');
+    stageSvg.style.cssText = 'position:absolute;overflow:visible';
+    stage.appendChild(stageSvg);
+    const sorted = [...items].sort((a, b) => (parseInt(a.el.style.zIndex, 10) || 0) - (parseInt(b.el.style.zIndex, 10) || 0));
+    const itemClones = sorted.map(item => stage.appendChild(cleanClone(item.el)));
+    const connClones = connections.map(c => stageSvg.appendChild(buildConnection(c)));
+    $('canvas').appendChild(stage);
+
+    const context = { rules: [], weights: new Set([500]) };
+    const rootStyle = getComputedStyle(document.documentElement);
+    const backgroundColor = rootStyle.getPropertyValue('--bg-primary').trim();
+    let itemCopies, connCopies;
+    try {
+        itemCopies = itemClones.map(clone => {
+            const copy = clone.cloneNode(true);
+            inlineStyles(clone, copy, context);
+            return copy;
+        });
+        connCopies = connClones.map(clone => {
+            const copy = clone.cloneNode(true);
+            inlineStyles(clone, copy, context);
+            return copy;
+        });
+    } finally {
+        stage.remove();
+    }
+
+    // Embed media: stored images, link favicons and the current video frames
+    await Promise.all(itemCopies.flatMap(copy => Array.from(copy.querySelectorAll('img'), async img => {
+        const data = await urlToDataURL(img.getAttribute('src') || img.src);
+        if (data) img.setAttribute('src', data);
+        else img.style.visibility = 'hidden';
+    })));
+    sorted.forEach((item, index) => {
+        const video = itemCopies[index].querySelector('video');
+        if (!video) return;
+        const frame = document.createElementNS(XHTML_NS, 'img');
+        frame.setAttribute('style', video.getAttribute('style'));
+        const data = videoFrameDataURL(item.el.querySelector('video'));
+        if (data) frame.setAttribute('src', data);
+        else frame.style.visibility = 'hidden';
+        video.replaceWith(frame);
+    });
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', bounds.width);
+    svg.setAttribute('height', bounds.height);
+    svg.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+
+    const style = document.createElementNS(SVG_NS, 'style');
+    style.textContent = [await fontFaceRules(context.weights), ...context.rules].join('\n');
+    svg.appendChild(style);
+
+    if (background === 'theme' && backgroundColor) {
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', bounds.x);
+        rect.setAttribute('y', bounds.y);
+        rect.setAttribute('width', bounds.width);
+        rect.setAttribute('height', bounds.height);
+        rect.setAttribute('fill', backgroundColor);
+        svg.appendChild(rect);
+    }
+
+    // Connections sit below the items, as in #canvas
+    connCopies.forEach(copy => svg.appendChild(copy));
+
+    const foreignObject = document.createElementNS(SVG_NS, 'foreignObject');
+    foreignObject.setAttribute('x', bounds.x);
+    foreignObject.setAttribute('y', bounds.y);
+    foreignObject.setAttribute('width', bounds.width);
+    foreignObject.setAttribute('height', bounds.height);
+    const viewport = document.createElementNS(XHTML_NS, 'div');
+    viewport.setAttribute('style', `position:relative;width:${bounds.width}px;height:${bounds.height}px;overflow:hidden`);
+    const layer = document.createElementNS(XHTML_NS, 'div');
+    layer.setAttribute('style', `position:absolute;left:${-bounds.x}px;top:${-bounds.y}px`);
+    itemCopies.forEach(copy => layer.appendChild(copy));
+    viewport.appendChild(layer);
+    foreignObject.appendChild(viewport);
+    svg.appendChild(foreignObject);
+
+    return { svg: new XMLSerializer().serializeToString(svg), width: bounds.width, height: bounds.height, bounds };
+}
+
+// Draw the SVG onto a bitmap. A data: URL keeps the canvas untainted when the
+// SVG contains HTML.
+export async function rasterizeSvg({ svg, width, height }, scale = 2) {
+    const img = new Image();
+    img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    await img.decode();
+    const fitted = fitRasterScale(width, height, scale);
+    const bitmap = document.createElement('canvas');
+    bitmap.width = Math.round(width * fitted);
+    bitmap.height = Math.round(height * fitted);
+    bitmap.getContext('2d').drawImage(img, 0, 0, bitmap.width, bitmap.height);
+    return new Promise((resolve, reject) => {
+        bitmap.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+}
+
+// ============ Export Dialog ============
+
+function openImageExportModal() {
+    if (!state.items.length) {
+        showToast('Nothing to export on this canvas', 'warning');
+        return;
+    }
+    const hasSelection = state.selectedItems.size > 0;
+    const scope = $('imageExportScope');
+    scope.querySelector('option[value="selection"]').disabled = !hasSelection;
+    scope.value = hasSelection ? 'selection' : 'canvas';
+    $('imageExportScale').disabled = $('imageExportFormat').value !== 'png';
+    imageExportModal.classList.remove('closing');
+    imageExportModal.classList.add('active');
+}
+
+function closeImageExportModal() {
+    if (!imageExportModal.classList.contains('active') || imageExportModal.classList.contains('closing')) return;
+    imageExportModal.classList.add('closing');
+    setTimeout(() => imageExportModal.classList.remove('active', 'closing'), 140);
+}
+
+async function exportImage() {
+    const format = $('imageExportFormat').value;
+    const content = getExportContent($('imageExportScope').value === 'selection');
+    const rendered = await renderCanvasSvg(content, { background: $('imageExportBackground').value });
+    if (!rendered) {
+        showToast('Nothing to export', 'warning');
+        return;
+    }
+    const canvasName = state.canvases.find(c => c.id === state.currentCanvasId)?.name || 'canvas';
+    const fileBase = canvasName.replace(/[\\/:*?"<>|]/g, '_').trim() || 'canvas';
+
+    if (format === 'svg') {
+        downloadBlob(new Blob([rendered.svg], { type: 'image/svg+xml' }), `${fileBase}.svg`);
+    } else {
+        const scale = parseFloat($('imageExportScale').value) || 1;
+        downloadBlob(await rasterizeSvg(rendered, scale), `${fileBase}.png`);
+        if (fitRasterScale(rendered.width, rendered.height, scale) < scale) {
+            showToast('Canvas too large; exported at a smaller scale', 'warning');
+            return;
+        }
+    }
+    showToast(`Exported as ${format.toUpperCase()}`);
+}
+
+// ============ Setup ============
+
+export function setupImageExport() {
+    if (imageExportModalController) imageExportModalController.abort();
+    imageExportModalController = new AbortController();
+    const { signal } = imageExportModalController;
+
+    $('exportImageBtn').addEventListener('click', openImageExportModal, { signal });
+    imageExportModal.addEventListener('click', e => { if (e.target === imageExportModal) closeImageExportModal(); }, { signal });
+    imageExportModal.querySelector('[data-close]').addEventListener('click', closeImageExportModal, { signal });
+    $('imageExportFormat').addEventListener('change', e => {
+        $('imageExportScale').disabled = e.target.value !== 'png';
+    }, { signal });
+    $('imageExportSubmit').addEventListener('click', async () => {
+        closeImageExportModal();
+        try {
+            await exportImage();
+        } catch (err) {
+            console.error('Image export failed:', err);
+            showToast('Export failed', 'error');
+        }
+    }, { signal });
+}
@@ -0,0 +1,222 @@
+// KnotPad - Inspector Module (Side panel for an item's tags and properties)
+// Edits go straight to the item through setItemTags/setItemProps, so chips,
+// filtering, undo and saving follow as for any other change.
+
+import { PROPERTY_TYPES } from './constants.js';
+import { $, esc } from './utils.js';
+import * as state from './state.js';
+import { setItemTags, setItemProps } from './items.js';
+import eventBus, { Events } from './events-bus.js';
+
+const panel = $('inspectorPanel');
+const TYPE_LABELS = { text: 'Text', number: 'Number', date: 'Date', select: 'Select' };
+const ITEM_LABELS = { memo: 'Memo', keyword: 'Keyword', link: 'Link', image: 'Image', video: 'Video', frame: 'Frame' };
+
+let inspectedItem = null;
+let inspectorController;
+
+// ============ Canvas Vocabulary ============
+
+// Tags used on the current canvas, most used first
+export function getCanvasTags(items = state.items) {
+    const counts = new Map();
+    items.forEach(item => (item.tags || []).forEach(tag => {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    }));
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)).map(entry => entry.tag);
+}
+
+/**
+ * Property names used on the current canvas, with the type they were first
+ * given and the values seen for them.
+ * @returns {Map<string, { key: string, type: string, values: string[] }>} Keyed by lower-cased name
+ */
+export function getCanvasPropertyKeys(items = state.items) {
+    const keys = new Map();
+    items.forEach(item => (item.props || []).forEach(prop => {
+        const id = prop.key.toLowerCase();
+        if (!keys.has(id)) keys.set(id, { key: prop.key, type: prop.type, values: [] });
+        const entry = keys.get(id);
+        if (prop.value && !entry.values.includes(prop.value)) entry.values.push(prop.value);
+    }));
+    return keys;
+}
+
+// ============ Rendering ============
+
+function renderTags() {
+    const tags = inspectedItem.tags || [];
+    $('inspectorTags').innerHTML = tags.map((tag, index) => `
+        <span class="inspector-tag">#${esc(tag)}<button class="inspector-tag-remove" data-index="${index}" title="Remove tag"><svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3"><path d="M18 6L6 18M6 6l12 12"/></svg></button></span>`).join('')
+        + '<input class="inspector-tag-input" id="inspectorTagInput" placeholder="Add tag" list="inspectorTagOptions" spellcheck="false">';
+    const used = new Set(tags.map(tag => tag.toLowerCase()));
+    $('inspectorTagOptions').innerHTML = getCanvasTags()
+        .filter(tag => !used.has(tag.toLowerCase()))
+        .map(tag => `<option value="${esc(tag)}">`).join('');
+}
+
+function renderPropRow(prop, index, keys) {
+    const known = keys.get(prop.key.toLowerCase());
+    const inputType = prop.type === 'number' || prop.type === 'date' ? prop.type : 'text';
+    const options = prop.type === 'select'
+        ? `<datalist id="inspectorValues${index}">${(known?.values || []).map(value => `<option value="${esc(value)}">`).join('')}</datalist>`
+        : '';
+    return `
+        <div class="inspector-prop">
+            <input class="inspector-prop-key" value="${esc(prop.key)}" placeholder="Name" list="inspectorKeyOptions" spellcheck="false">
+            <select class="inspector-prop-type" title="Type">${PROPERTY_TYPES.map(type =>
+                `<option value="${type}"${type === prop.type ? ' selected' : ''}>${TYPE_LABELS[type]}</option>`).join('')}</select>
+            <input class="inspector-prop-value" type="${inputType}" value="${esc(prop.value)}" placeholder="${prop.type === 'select' ? 'Choose or type' : 'Empty'}"${options ? ` list="inspectorValues${index}"` : ''}${inputType === 'number' ? ' step="any"' : ''}>
+            ${options}
+            <button class="inspector-prop-remove" title="Remove property"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg></button>
+        </div>`;
+}
+
+function renderProps(props = inspectedItem.props || []) {
+    const keys = getCanvasPropertyKeys();
+    $('inspectorProps').innerHTML = props.map((prop, index) => renderPropRow(prop, index, keys)).join('');
+    $('inspectorKeyOptions').innerHTML = [...keys.values()].map(entry => `<option value="${esc(entry.key)}">`).join('');
+}
+
+function render() {
+    $('inspectorTitle').textContent = `${ITEM_LABELS[inspectedItem.type] || 'Item'} · Tags & Properties`;
+    renderTags();
+    renderProps();
+}
+
+// Rows as currently typed, including ones still without a name
+function readPropRows() {
+    return [...$('inspectorProps').querySelectorAll('.inspector-prop')].map(row => ({
+        key: row.querySelector('.inspector-prop-key').value,
+        type: row.querySelector('.inspector-prop-type').value,
+        value: row.querySelector('.inspector-prop-value').value
+    }));
+}
+
+// ============ Open / Close ============
+
+export function openInspector(item) {
+    inspectedItem = item;
+    render();
+    panel.classList.add('active');
+    $('inspectorTagInput').focus();
+}
+
+export function closeInspector() {
+    inspectedItem = null;
+    panel.classList.remove('active');
+}
+
+// ============ Setup ============
+
+export function setupInspector() {
+    if (inspectorController) inspectorController.abort();
+    inspectorController = new AbortController();
+    const { signal } = inspectorController;
+
+    const addTag = input => {
+        const tag = input.value.replace(/,/g, ' ').trim();
+        input.value = '';
+        if (!tag) return;
+        setItemTags(inspectedItem, [...(inspectedItem.tags || []), tag]);
+        renderTags();
+        $('inspectorTagInput').focus();
+    };
+
+    $('inspectorClose').addEventListener('click', closeInspector, { signal });
+
+    panel.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeInspector();
+            return;
+        }
+        if (!e.target.classList.contains('inspector-tag-input')) return;
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag(e.target);
+        } else if (e.key === 'Backspace' && !e.target.value && inspectedItem.tags?.length) {
+            setItemTags(inspectedItem, inspectedItem.tags.slice(0, -1));
+            renderTags();
+            $('inspectorTagInput').focus();
+        }
+    }, { signal });
+
+    // Picking a suggestion fills the input without a keypress
+    panel.addEventListener('input', e => {
+        if (!e.target.classList.contains('inspector-tag-input')) return;
+        if (e.inputType && e.inputType !== 'insertReplacementText') return;
+        addTag(e.target);
+    }, { signal });
+
+    panel.addEventListener('click', e => {
+        const removeTag = e.target.closest('.inspector-tag-remove');
+        if (removeTag) {
+            setItemTags(inspectedItem, inspectedItem.tags.filter((_, index) => index !== Number(removeTag.dataset.index)));
+            renderTags();
+            return;
+        }
+        const removeProp = e.target.closest('.inspector-prop-remove');
+        if (removeProp) {
+            removeProp.closest('.inspector-prop').remove();
+            setItemProps(inspectedItem, readPropRows());
+            renderProps();
+            return;
+        }
+        if (e.target.closest('#inspectorAddProp')) {
+            const rows = [...readPropRows(), { key: '', type: 'text', value: '' }];
+            renderProps(rows);
+            [...$('inspectorProps').querySelectorAll('.inspector-prop-key')].pop().focus();
+        }
+    }, { signal });
+
+    panel.addEventListener('change', e => {
+        const row = e.target.closest('.inspector-prop');
+        if (!row) return;
+        const typeSelect = row.querySelector('.inspector-prop-type');
+        let retyped = e.target === typeSelect;
+        // A name already used on the canvas brings its type along
+        if (e.target.classList.contains('inspector-prop-key') && !row.querySelector('.inspector-prop-value').value) {
+            const known = getCanvasPropertyKeys().get(e.target.value.trim().toLowerCase());
+            if (known && known.type !== typeSelect.value) {
+                typeSelect.value = known.type;
+                retyped = true;
+            }
+        }
+        const rows = readPropRows();
+        setItemProps(inspectedItem, rows);
+        if (!retyped) return;
+
+        // The value field changes with the type, and a new type may clear the
+        // value. Rows still without a name stay until they get one.
+        const index = [...$('inspectorProps').children].indexOf(row);
+        const focused = e.target === typeSelect;
+        const shown = new Set();
+        renderProps(rows.flatMap(typed => {
+            const key = typed.key.trim().toLowerCase();
+            if (!key) return [typed];
+            if (shown.has(key)) return [];
+            shown.add(key);
+            return inspectedItem.props.filter(prop => prop.key.toLowerCase() === key);
+        }));
+        if (focused) $('inspectorProps').children[index]?.querySelector('.inspector-prop-type').focus();
+    }, { signal });
+
+    eventBus.on(Events.CANVAS_LOADED, closeInspector);
+    // Undo, redo and history restores replace the item objects
+    eventBus.on(Events.AUTOSAVE_TRIGGER, () => {
+        if (!inspectedItem) return;
+        const current = state.items.find(i => i.id === inspectedItem.id);
+        if (!current) {
+            closeInspector();
+            return;
+        }
+        // Leave what is being typed alone
+        if (current === inspectedItem && panel.contains(document.activeElement)) return;
+        inspectedItem = current;
+        render();
+    });
+}
@@ -1,15 +1,26 @@
 // KnotPad - Items Module (Create, Manage, Delete)
 
-import { COLORS, FONT_SIZES } from './constants.js';
-import { $, esc, findFreePosition, sanitizeUrl, sanitizeMemoHtml } from './utils.js';
+import { FONT_SIZES, PROPERTY_TYPES } from './constants.js';
+import { $, esc, findFreePosition, sanitizeUrl, sanitizeMemoHtml, showToast } from './utils.js';
 import * as state from './state.js';
 import { throttledMinimap, updateMinimap } from './viewport.js';
 import { deleteMedia, deleteMediaFromFileSystem, fsDirectoryHandle, loadMedia, loadMediaFromFileSystem } from './storage.js';
 import eventBus, { Events } from './events-bus.js';
+import { highlightCode } from './code-highlight.js';
+import { MATH_SOURCE_ATTR, renderMathIn, unrenderMath, revealMath } from './math.js';
+import { getPalette, applyColorVars, colorOptionsHtml, renderColorGroupHeadings } from './palette.js';
 
 const canvas = $('canvas');
 const KNOTPAD_MEMO_CLIPBOARD_MARKER = '<!--KNOTPAD_MEMO-->';
 const MEMO_PARAGRAPH_ATTR = 'data-knotpad-paragraph';
+// Set on paragraph blocks that are checklist items: "true" when ticked
+const MEMO_TASK_ATTR = 'data-checked';
+const MEMO_CODE_LANGUAGE_ATTR = 'data-language';
+// Wiki link references (see wiki-links.js): target canvas, target item (absent
+// for a whole canvas), and a marker once the target has been deleted
+export const MEMO_REF_CANVAS_ATTR = 'data-ref-canvas';
+export const MEMO_REF_ATTR = 'data-ref';
+export const MEMO_REF_MISSING_ATTR = 'data-ref-missing';
 const memoEditorSessions = new Set();
 const memoCompositionWaiters = new Set();
 
@@ -270,7 +281,7 @@ function isLegacyMarkdown(text) {
     // If it contains HTML tags, it's already HTML
     if (/<[a-z][\s\S]*>/i.test(text)) return false;
     // If it has markdown patterns, it's legacy markdown
-    return /^#{1,3} |^\d+\. |^[-*] |\*\*|\*[^*]+\*|~~|__|\n/.test(text);
+    return /^#{1,3} |^\d+\. |^[-*] |^\[[ xX]\] |\*\*|\*[^*]+\*|~~|__|\n/.test(text);
 }
 
 // Convert legacy markdown to HTML (for migration only)
@@ -301,6 +312,10 @@ function migrateLegacyMarkdown(text) {
     // Underline: __text__
     html = html.replace(/__(.+?)__/g, '<u>$1</u>');
 
+    // Checklist: [ ] item, [x] item, - [ ] item
+    html = html.replace(/^(?:[-*] )?\[( |x)\] (.+)$/gim, (match, mark, text) =>
+        `<div ${MEMO_PARAGRAPH_ATTR}="true" ${MEMO_TASK_ATTR}="${mark !== ' '}">${text}</div>`);
+
     // Unordered list: - item
     html = html.replace(/^[-*] (.+)$/gm, '<li data-list="ul">$1</li>');
 
@@ -312,7 +327,7 @@ function migrateLegacyMarkdown(text) {
     html = html.replace(/<\/li>\n<li/g, '</li><li');
 
     // Line breaks
-    html = html.replace(/(<\/(h1|h2|h3|blockquote|ul|ol)>|<hr>)\n/g, '$1');
+    html = html.replace(/(<\/(h1|h2|h3|blockquote|ul|ol|div)>|<hr>)\n/g, '$1');
     html = html.replace(/\n/g, '<br>');
     html = html.replace(/<\/blockquote><br><blockquote>/g, '</blockquote><blockquote>');
     html = html.replace(/^(<br>)+/, '');
@@ -348,7 +363,12 @@ function convertClipboardPlainTextToMemoHtml(text) {
 // cloned tree on every input made item.content differ from what the user saw
 // and added an O(document size) parse/serialize pass to every keystroke.
 function getLiveMemoHtml(el) {
-    return el.innerHTML;
+    if (!el.querySelector(`pre, [${MATH_SOURCE_ATTR}]`)) return el.innerHTML;
+    // Leave out code block decorations and rendered math
+    const clone = el.cloneNode(true);
+    unrenderMath(clone);
+    clone.querySelectorAll('pre').forEach(normalizeCodeBlock);
+    return clone.innerHTML;
 }
 
 // Canonicalize only at a safe commit boundary (currently blur), when replacing
@@ -360,6 +380,8 @@ function commitMemoContent(editor, item) {
         editor.innerHTML = canonicalHtml;
     }
     item.content = canonicalHtml;
+    decorateMemoBody(editor);
+    updateCardBadges(item);
     return canonicalHtml;
 }
 
@@ -441,7 +463,7 @@ function getNextMeaningfulSibling(node) {
 
 function isMemoTopLevelBlock(node) {
     return node?.nodeType === Node.ELEMENT_NODE && [
-        'DIV', 'P', 'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'HR'
+        'DIV', 'P', 'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'HR', 'PRE', 'TABLE'
     ].includes(node.tagName);
 }
 
@@ -526,7 +548,8 @@ function normalizeTextNodeLineBreaks(root) {
             textNode.textContent = text;
         }
 
-        if (/[\r\n]/.test(text) && /\S/.test(text)) {
+        // Code blocks keep their line breaks as text
+        if (/[\r\n]/.test(text) && /\S/.test(text) && !textNode.parentElement?.closest('pre')) {
             textNodes.push(textNode);
         }
     }
@@ -658,8 +681,8 @@ function flattenParagraphBlocksForInsertion(html) {
         const parent = block.parentNode;
         if (!parent) return;
 
-        // Preserve blocks with explicit text alignment instead of flattening
-        if (hasSupportedTextAlign(block)) return;
+        // Preserve blocks with explicit text alignment and checklist items
+        if (hasSupportedTextAlign(block) || block.hasAttribute(MEMO_TASK_ATTR)) return;
 
         let lastExtractedIsBr = false;
         while (block.firstChild) {
@@ -1032,6 +1055,540 @@ function insertListItemAfterCurrent(editor, currentListItem) {
     return placeCaretAtStart(newListItem);
 }
 
+// ============ Checklists ============
+// A checklist item is a paragraph block carrying MEMO_TASK_ATTR. The checkbox
+// is drawn in its left padding, so the stored HTML needs no form controls
+// (which sanitizeMemoHtml removes).
+
+function getTaskBlockAtSelection(editor) {
+    const block = getTopLevelParagraphBlockAtSelection(editor);
+    return block?.hasAttribute(MEMO_TASK_ATTR) ? block : null;
+}
+
+function isCaretAtBlockStart(editor, block) {
+    const range = getMemoSelectionRange(editor);
+    if (!range || !range.collapsed) return false;
+    const before = document.createRange();
+    before.setStart(block, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    return !stripMemoEditorArtifacts(before.toString());
+}
+
+// Paragraph blocks touched by the selection; a bare top-level line is wrapped
+// into a block first
+function getParagraphBlocksInSelection(editor) {
+    const range = getMemoSelectionRange(editor);
+    if (!range) return [];
+    const blocks = [...editor.children].filter(child => range.intersectsNode(child) && isMemoParagraphBlock(child));
+    if (blocks.length) return blocks;
+
+    const { startContainer, startOffset } = range;
+    const wrapTarget = getParagraphWrapTarget(editor, range);
+    if (!wrapTarget || wrapTarget === editor || wrapTarget.nodeName === 'BR') return [];
+    const block = wrapTopLevelLineInDiv(editor, wrapTarget);
+    if (!block) return [];
+    // Wrapping moves the caret's node, which resets the live selection
+    const sel = window.getSelection();
+    const caretRange = document.createRange();
+    caretRange.setStart(startContainer, startOffset);
+    caretRange.collapse(true);
+    sel.removeAllRanges();
+    sel.addRange(caretRange);
+    return [block];
+}
+
+// Turn the selected lines into checklist items, or back into plain lines when
+// they all are checklist items already
+export function toggleChecklist(editor) {
+    const blocks = getParagraphBlocksInSelection(editor);
+    if (!blocks.length) return false;
+    const makeTasks = blocks.some(block => !block.hasAttribute(MEMO_TASK_ATTR));
+    blocks.forEach(block => {
+        if (!makeTasks) block.removeAttribute(MEMO_TASK_ATTR);
+        else if (!block.hasAttribute(MEMO_TASK_ATTR)) block.setAttribute(MEMO_TASK_ATTR, 'false');
+    });
+    return true;
+}
+
+function toggleTaskChecked(block) {
+    block.setAttribute(MEMO_TASK_ATTR, String(block.getAttribute(MEMO_TASK_ATTR) !== 'true'));
+}
+
+// "[ ] " or "[x] " typed at the start of a line turns the line into a
+// checklist item
+function applyChecklistAutoFormat(editor) {
+    const range = getMemoSelectionRange(editor);
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return false;
+    const textNode = range.startContainer;
+    const offset = range.startOffset;
+    // Browsers type the trailing space as a no-break space
+    const marker = textNode.textContent.slice(0, offset).replace(/\u00A0/g, ' ').match(/\[( |x)\] $/i);
+    if (!marker) return false;
+
+    const block = getTopLevelParagraphBlockAtSelection(editor) || getParagraphBlocksInSelection(editor)[0];
+    if (!block || block.hasAttribute(MEMO_TASK_ATTR)) return false;
+    const before = document.createRange();
+    before.setStart(block, 0);
+    before.setEnd(textNode, offset);
+    if (stripMemoEditorArtifacts(before.toString()).replace(/\u00A0/g, ' ') !== marker[0]) return false;
+
+    block.setAttribute(MEMO_TASK_ATTR, String(marker[1] !== ' '));
+    const start = offset - marker[0].length;
+    textNode.textContent = textNode.textContent.slice(0, start) + textNode.textContent.slice(offset);
+    if (!block.textContent && !block.querySelector('br')) {
+        block.appendChild(document.createElement('br'));
+    }
+    const sel = window.getSelection();
+    const caretRange = document.createRange();
+    caretRange.setStart(textNode, start);
+    caretRange.collapse(true);
+    sel.removeAllRanges();
+    sel.addRange(caretRange);
+    return true;
+}
+
+// ============ Code ============
+// Code blocks are stored as <pre data-language="js"> holding plain text.
+// Highlighting and the copy button are editor decorations: they are added
+// after rendering and stripped whenever the content is read back.
+
+const CODE_COPY_BUTTON = '<button class="code-copy-btn" contenteditable="false" tabindex="-1" title="Copy code">'
+    + '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2"/>'
+    + '<path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg></button>';
+
+// Back to the stored form: plain text with \n line breaks
+function normalizeCodeBlock(pre) {
+    pre.querySelectorAll('.code-copy-btn').forEach(btn => btn.remove());
+    pre.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    // Browsers may wrap new lines in blocks
+    pre.querySelectorAll('div, p').forEach(line => {
+        if (line.previousSibling) line.before('\n');
+    });
+    const language = pre.getAttribute(MEMO_CODE_LANGUAGE_ATTR);
+    const text = pre.textContent;
+    [...pre.attributes].forEach(attr => pre.removeAttribute(attr.name));
+    if (language) pre.setAttribute(MEMO_CODE_LANGUAGE_ATTR, language);
+    pre.textContent = text;
+}
+
+function decorateCodeBlocks(editor) {
+    editor.querySelectorAll('pre').forEach(pre => {
+        pre.innerHTML = highlightCode(pre.textContent, pre.getAttribute(MEMO_CODE_LANGUAGE_ATTR)) + CODE_COPY_BUTTON;
+    });
+}
+
+// Editor decorations, added after rendering and on each commit
+function decorateMemoBody(editor) {
+    decorateCodeBlocks(editor);
+    renderMathIn(editor);
+}
+
+function getCodeBlockAtSelection(editor) {
+    const node = getMemoSelectionRange(editor)?.startContainer;
+    const pre = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('pre');
+    return pre && editor.contains(pre) ? pre : null;
+}
+
+function setCaret(node, offset) {
+    const sel = window.getSelection();
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+    sel.removeAllRanges();
+    sel.addRange(range);
+}
+
+// Text of a code block on either side of the caret
+function splitCodeBlockAtSelection(editor, pre) {
+    const range = getMemoSelectionRange(editor);
+    const before = document.createRange();
+    before.setStart(pre, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const after = document.createRange();
+    after.setStart(range.endContainer, range.endOffset);
+    after.setEnd(pre, pre.childNodes.length);
+    return { before: before.toString(), after: after.toString() };
+}
+
+// Insert raw text into a code block, replacing the selection
+function insertCodeText(editor, text) {
+    const pre = getCodeBlockAtSelection(editor);
+    const range = getMemoSelectionRange(editor);
+    if (!pre || !range) return false;
+    range.deleteContents();
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    // A line break at the very end only shows once something follows it
+    const tail = document.createRange();
+    tail.setStartAfter(node);
+    tail.setEnd(pre, pre.childNodes.length);
+    if (text.endsWith('\n') && !tail.toString()) node.after('\n');
+    setCaret(node, text.length);
+    return true;
+}
+
+// "```" or "```lang" alone on a line turns it into a code block
+function convertFenceToCodeBlock(editor) {
+    const block = getTopLevelParagraphBlockAtSelection(editor) || getParagraphBlocksInSelection(editor)[0];
+    if (!block || block.hasAttribute(MEMO_TASK_ATTR)) return false;
+    const fence = stripMemoEditorArtifacts(block.textContent).trim().match(/^```([\w+#-]*)$/);
+    if (!fence) return false;
+    const pre = document.createElement('pre');
+    if (fence[1]) pre.setAttribute(MEMO_CODE_LANGUAGE_ATTR, fence[1].toLowerCase());
+    pre.textContent = '\n';
+    block.replaceWith(pre);
+    setCaret(pre.firstChild, 0);
+    return true;
+}
+
+// Enter on an empty last line leaves the code block for a new paragraph
+function exitCodeBlock(editor, pre) {
+    const { before, after } = splitCodeBlockAtSelection(editor, pre);
+    if (!/(^|\n)$/.test(before) || /\S/.test(after)) return false;
+    normalizeCodeBlock(pre);
+    pre.textContent = before.replace(/\n+$/, '');
+    const paragraph = ensureMemoParagraphBlock(document.createElement('div'));
+    paragraph.appendChild(document.createElement('br'));
+    pre.after(paragraph);
+    if (!pre.textContent) pre.remove();
+    placeCaretAtStart(paragraph);
+    return true;
+}
+
+function getInlineCodeAtSelection(editor) {
+    const node = getMemoSelectionRange(editor)?.startContainer;
+    const code = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('code');
+    return code && editor.contains(code) && !code.closest('pre') ? code : null;
+}
+
+// Wrap the selection in <code>, or unwrap the code span around the caret
+export function toggleInlineCode(editor) {
+    const code = getInlineCodeAtSelection(editor);
+    if (code) {
+        const first = code.firstChild;
+        code.replaceWith(...code.childNodes);
+        if (first) setCaret(first, 0);
+        return true;
+    }
+    const range = getMemoSelectionRange(editor);
+    if (!range || range.collapsed || getCodeBlockAtSelection(editor)) return false;
+    const wrapper = document.createElement('code');
+    wrapper.textContent = range.toString();
+    range.deleteContents();
+    range.insertNode(wrapper);
+    const sel = window.getSelection();
+    const selected = document.createRange();
+    selected.selectNodeContents(wrapper);
+    sel.removeAllRanges();
+    sel.addRange(selected);
+    return true;
+}
+
+// `text` typed with a closing backtick becomes inline code
+function applyInlineCodeAutoFormat(editor) {
+    const range = getMemoSelectionRange(editor);
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return false;
+    if (getCodeBlockAtSelection(editor) || getInlineCodeAtSelection(editor)) return false;
+    const textNode = range.startContainer;
+    const offset = range.startOffset;
+    const match = textNode.textContent.slice(0, offset).match(/(?:^|[^`])`([^`\n]+)`$/);
+    if (!match) return false;
+
+    const start = offset - match[1].length - 2;
+    const rest = textNode.splitText(start);
+    rest.textContent = rest.textContent.slice(match[1].length + 2);
+    const code = document.createElement('code');
+    code.textContent = match[1];
+    // A zero-width space after the span keeps typing outside of it
+    const caretText = document.createTextNode('\u200B');
+    rest.before(code, caretText);
+    setCaret(caretText, 1);
+    return true;
+}
+
+// ============ Math ============
+// Math is stored as its $...$ source and rendered while not being edited
+// (see math.js). Clicking it or arrowing into it shows the source again.
+
+function editMathSource(editor, mathEl, atEnd = true) {
+    const text = revealMath(mathEl);
+    const delimiter = text.data.startsWith('$$') ? 2 : 1;
+    editor.focus();
+    setCaret(text, atEnd ? text.length - delimiter : delimiter);
+}
+
+// Rendered math right next to a collapsed caret
+function getMathBesideCaret(editor, forward) {
+    const range = getMemoSelectionRange(editor);
+    if (!range?.collapsed) return null;
+    const { startContainer: node, startOffset: offset } = range;
+    let sibling;
+    if (node.nodeType === Node.TEXT_NODE) {
+        if (forward ? offset < node.length : offset > 0) return null;
+        sibling = forward ? node.nextSibling : node.previousSibling;
+    } else {
+        sibling = node.childNodes[forward ? offset : offset - 1];
+    }
+    return sibling?.nodeType === Node.ELEMENT_NODE && sibling.hasAttribute(MATH_SOURCE_ATTR) ? sibling : null;
+}
+
+function setupMathEditing(editor, signal) {
+    editor.addEventListener('mousedown', e => {
+        const math = e.target.closest?.(`[${MATH_SOURCE_ATTR}]`);
+        if (!math || !editor.contains(math) || e.button !== 0) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        e.stopPropagation();
+        editMathSource(editor, math);
+    }, { signal, capture: true });
+
+    editor.addEventListener('keydown', e => {
+        if ((e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') || e.shiftKey || e.isComposing) return;
+        const math = getMathBesideCaret(editor, e.key === 'ArrowRight');
+        if (!math) return;
+        e.preventDefault();
+        editMathSource(editor, math, e.key === 'ArrowLeft');
+    }, { signal });
+}
+
+// ============ Tables ============
+// Stored as <table><tbody><tr><td>…</tbody></table>: one body, the same
+// number of cells in every row and only inline content (with <br>) in cells.
+// The first row is shown as the header.
+
+const TABLE_CELL_BLOCKS = 'div, p, h1, h2, h3, blockquote, ul, ol, li, pre';
+
+// Actions of the bar shown under the table being edited: [action, title, icon path]
+const TABLE_BAR_BUTTONS = [
+    ['row-above', 'Add Row Above', 'M4 14h16v6H4zM12 3v7M8.5 6.5h7'],
+    ['row-below', 'Add Row Below (Ctrl+Enter)', 'M4 4h16v6H4zM12 14v7M8.5 17.5h7'],
+    ['col-left', 'Add Column Left', 'M14 4h6v16h-6zM3 12h7M6.5 8.5v7'],
+    ['col-right', 'Add Column Right', 'M4 4h6v16H4zM14 12h7M17.5 8.5v7'],
+    ['del-row', 'Delete Row', 'M4 4h16v6H4zM8.5 17.5h7'],
+    ['del-col', 'Delete Column', 'M4 4h6v16H4zM14 12h7'],
+    ['del-table', 'Delete Table', 'M4 7h16M9 7V4h6v3M6 7l1 13h10l1-13']
+];
+
+function flattenTableCell(cell) {
+    cell.querySelectorAll('table').forEach(nested => nested.replaceWith(nested.textContent));
+    cell.querySelectorAll('hr').forEach(hr => hr.remove());
+    cell.querySelectorAll(TABLE_CELL_BLOCKS).forEach(block => {
+        if (getNextMeaningfulSibling(block) && block.lastChild?.nodeName !== 'BR') {
+            block.after(document.createElement('br'));
+        }
+        block.replaceWith(...block.childNodes);
+    });
+    while (cell.lastChild?.nodeName === 'BR' || isWhitespaceOnlyTextNode(cell.lastChild)) cell.lastChild.remove();
+    while (isWhitespaceOnlyTextNode(cell.firstChild)) cell.firstChild.remove();
+    if (cell.firstChild?.nodeType === Node.TEXT_NODE) cell.firstChild.data = cell.firstChild.data.trimStart();
+    if (cell.lastChild?.nodeType === Node.TEXT_NODE) cell.lastChild.data = cell.lastChild.data.trimEnd();
+}
+
+// Rebuild a table in the stored form. Spanned cells are split up so columns
+// stay aligned; a table without cells is removed.
+function normalizeTable(table) {
+    const grid = [...table.querySelectorAll('tr')]
+        .filter(row => row.closest('table') === table)
+        .map(row => [...row.children]
+            .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+            .flatMap(cell => {
+                const span = Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 50);
+                return [cell, ...Array.from({ length: span - 1 }, () => null)];
+            }))
+        .filter(cells => cells.length);
+    const columns = Math.max(0, ...grid.map(cells => cells.length));
+    if (!columns) {
+        table.remove();
+        return;
+    }
+
+    const clean = document.createElement('table');
+    const body = clean.createTBody();
+    grid.forEach(cells => {
+        const row = body.insertRow();
+        for (let i = 0; i < columns; i++) {
+            const cell = row.appendChild(document.createElement((cells[i] || cells[0]).tagName === 'TH' ? 'th' : 'td'));
+            if (cells[i]) {
+                cell.append(...cells[i].childNodes);
+                flattenTableCell(cell);
+            }
+        }
+    });
+    table.replaceWith(clean);
+}
+
+// Move a table that ended up inside another block (e.g. pasted into a
+// paragraph) to the top level, splitting the block around it
+function hoistTable(root, table) {
+    let block = table;
+    while (block.parentNode && block.parentNode !== root) block = block.parentNode;
+    if (block === table || !block.parentNode) return;
+
+    const tail = document.createRange();
+    tail.setStartAfter(table);
+    tail.setEnd(block, block.childNodes.length);
+    const rest = block.cloneNode(false);
+    rest.appendChild(tail.extractContents());
+    block.after(table);
+    if (stripMemoEditorArtifacts(rest.textContent).trim()) table.after(rest);
+    if (!stripMemoEditorArtifacts(block.textContent).trim()) block.remove();
+}
+
+// Tab-separated lines, as spreadsheets put them on the clipboard, as a table
+function convertTabSeparatedTextToTableHtml(text) {
+    const lines = (text || '').replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+    if (lines.length < 2 || !lines[0].includes('\t')) return '';
+    const rows = lines.map(line => line.split('\t'));
+    if (rows.some(cells => cells.length !== rows[0].length)) return '';
+    const cellHtml = cells => cells.map(cell => `<td>${esc(cell.trim())}</td>`).join('');
+    return `<table><tbody>${rows.map(cells => `<tr>${cellHtml(cells)}</tr>`).join('')}</tbody></table>`;
+}
+
+function getTableCellAtSelection(editor) {
+    const node = getMemoSelectionRange(editor)?.startContainer;
+    const cell = (node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement)?.closest('td, th');
+    return cell && editor.contains(cell) ? cell : null;
+}
+
+// Caret at the end of a cell, or at the start of the paragraph left behind
+// when a table is removed
+function placeCaretInTable(target) {
+    if (!target.matches('td, th')) return placeCaretAtStart(target);
+    const sel = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(target);
+    range.collapse(false);
+    sel.removeAllRanges();
+    sel.addRange(range);
+    return true;
+}
+
+/**
+ * Insert an empty table after the block holding the caret.
+ * @param {HTMLElement} editor - Memo body
+ * @returns {HTMLTableElement}
+ */
+export function insertTable(editor, rows = 3, columns = 3) {
+    const table = document.createElement('table');
+    const body = table.createTBody();
+    for (let r = 0; r < rows; r++) {
+        const row = body.insertRow();
+        for (let c = 0; c < columns; c++) row.appendChild(document.createElement('td'));
+    }
+
+    let block = getMemoSelectionRange(editor)?.startContainer;
+    while (block && block !== editor && block.parentNode !== editor) block = block.parentNode;
+    if (!block || block === editor) {
+        editor.appendChild(table);
+    } else if (isMemoParagraphBlock(block) && !stripMemoEditorArtifacts(block.textContent).trim()) {
+        block.replaceWith(table);
+    } else {
+        block.after(table);
+    }
+    // Leave a line after the table to type below it
+    if (!table.nextSibling) {
+        const paragraph = ensureMemoParagraphBlock(document.createElement('div'));
+        paragraph.appendChild(document.createElement('br'));
+        table.after(paragraph);
+    }
+    placeCaretInTable(table.rows[0].cells[0]);
+    return table;
+}
+
+// Add a row above or below the cell's row; returns the new cell in its column
+export function addTableRow(cell, below = true) {
+    const row = cell.parentElement;
+    const newRow = document.createElement('tr');
+    [...row.cells].forEach(() => newRow.appendChild(document.createElement('td')));
+    row[below ? 'after' : 'before'](newRow);
+    return newRow.cells[cell.cellIndex];
+}
+
+// Add a column left or right of the cell; returns the new cell in its row
+export function addTableColumn(cell, right = true) {
+    const index = cell.cellIndex;
+    [...cell.closest('table').rows].forEach(row => {
+        const ref = row.cells[index];
+        const newCell = document.createElement(ref?.tagName === 'TH' ? 'th' : 'td');
+        if (ref) ref[right ? 'after' : 'before'](newCell);
+        else row.appendChild(newCell);
+    });
+    return cell.parentElement.cells[right ? index + 1 : index];
+}
+
+// Replace a table with an empty paragraph
+export function removeTable(table) {
+    const paragraph = ensureMemoParagraphBlock(document.createElement('div'));
+    paragraph.appendChild(document.createElement('br'));
+    table.replaceWith(paragraph);
+    return paragraph;
+}
+
+// Remove the cell's row; returns the cell to move to, or the paragraph left
+// behind once the last row is gone
+export function removeTableRow(cell) {
+    const row = cell.parentElement;
+    const next = row.nextElementSibling || row.previousElementSibling;
+    if (!next) return removeTable(cell.closest('table'));
+    const index = cell.cellIndex;
+    row.remove();
+    return next.cells[Math.min(index, next.cells.length - 1)];
+}
+
+// Remove the cell's column; returns the cell to move to, or the paragraph
+// left behind once the last column is gone
+export function removeTableColumn(cell) {
+    const table = cell.closest('table');
+    const row = cell.parentElement;
+    const index = cell.cellIndex;
+    if (row.cells.length === 1) return removeTable(table);
+    [...table.rows].forEach(r => r.cells[index]?.remove());
+    return row.cells[Math.min(index, row.cells.length - 1)];
+}
+
+// Next or previous cell in reading order. Moving on from the last cell adds
+// a row; there is nothing before the first cell.
+export function getAdjacentTableCell(cell, forward = true) {
+    const cells = [...cell.closest('table').querySelectorAll('td, th')];
+    const next = cells[cells.indexOf(cell) + (forward ? 1 : -1)];
+    if (next || !forward) return next || null;
+    return addTableRow(cell).parentElement.cells[0];
+}
+
+// Plain text that sizes a memo like it renders: table rows become lines of
+// padded columns
+function getMemoSizingText(html) {
+    if (!html?.includes('<table')) return extractPlainTextFromMemoHtml(html);
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = html;
+    wrapper.querySelectorAll('table').forEach(table => {
+        const rows = [...table.rows].map(row => [...row.cells].map(cell => stripMemoEditorArtifacts(cell.textContent).trim()));
+        const widths = [];
+        rows.forEach(cells => cells.forEach((text, i) => {
+            widths[i] = Math.max(widths[i] || 3, text.length);
+        }));
+        // Three characters of cell padding and border per column, and an
+        // extra line every few rows since rows are taller than a text line
+        const lines = rows.map(cells => cells.map((text, i) => text.padEnd(widths[i] + 3)).join(''));
+        const block = document.createElement('div');
+        block.textContent = lines.join('\n') + '\n'.repeat(Math.ceil(rows.length / 4));
+        table.replaceWith(block);
+    });
+    return extractPlainTextFromMemoHtml(wrapper.innerHTML);
+}
+
+// Grow a memo to fit its tables, unless it was resized by hand
+function fitMemoToTables(item) {
+    if (item.manuallyResized || !item.content?.includes('<table')) return;
+    const size = calculateMemoSizeForText(getMemoSizingText(item.content), item.fontSize);
+    if (!size || (size.w <= item.w && size.h <= item.h)) return;
+    item.w = Math.max(item.w, size.w);
+    item.h = Math.max(item.h, size.h);
+    item.el.style.width = item.w + 'px';
+    item.el.style.height = item.h + 'px';
+    updateItemGeometryDependents(item);
+}
+
 // Normalize memo HTML so it stays stable across browser edit behaviors.
 // This prevents unexpected block wrappers and keeps formatting tags on save/load.
 function normalizeMemoHtml(html) {
@@ -1039,6 +1596,12 @@ function normalizeMemoHtml(html) {
 
     const wrapper = document.createElement('div');
     wrapper.innerHTML = html;
+    unrenderMath(wrapper);
+    wrapper.querySelectorAll('pre').forEach(normalizeCodeBlock);
+    wrapper.querySelectorAll('table').forEach(table => {
+        hoistTable(wrapper, table);
+        normalizeTable(table);
+    });
     normalizeTextNodeLineBreaks(wrapper);
 
     // Convert paragraph-like wrappers into line breaks for a consistent storage format.
@@ -1097,23 +1660,45 @@ function sanitizeClipboardHtml(rawHtml) {
 
     const allowedTags = new Set([
         'BR', 'STRONG', 'B', 'EM', 'I', 'U', 'S', 'STRIKE',
-        'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'DIV', 'P', 'HR'
+        'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'DIV', 'P', 'HR', 'PRE', 'CODE',
+        'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TH', 'TD'
     ]);
 
     const sanitizeNode = node => {
         if (node.nodeType === Node.TEXT_NODE) {
-            const text = (node.textContent || '')
-                .replace(/\r\n?/g, '\n')
-                .replace(/[\n\t]+/g, ' ');
-            return document.createTextNode(text);
+            const text = (node.textContent || '').replace(/\r\n?/g, '\n');
+            // Whitespace is only significant inside code blocks
+            return document.createTextNode(node.parentElement?.closest('pre') ? text : text.replace(/[\n\t]+/g, ' '));
         }
 
         if (node.nodeType !== Node.ELEMENT_NODE) {
             return document.createTextNode('');
         }
 
+        // Rendered math is pasted as its source
+        if (node.hasAttribute(MATH_SOURCE_ATTR)) {
+            return document.createTextNode(node.getAttribute(MATH_SOURCE_ATTR));
+        }
+
+        // References keep their target and stay a single uneditable unit
+        if (node.hasAttribute(MEMO_REF_CANVAS_ATTR)) {
+            const ref = document.createElement('span');
+            [MEMO_REF_CANVAS_ATTR, MEMO_REF_ATTR, MEMO_REF_MISSING_ATTR].forEach(attr => {
+                const value = node.getAttribute(attr);
+                if (value !== null && /^[\w-]*$/.test(value)) ref.setAttribute(attr, value);
+            });
+            ref.setAttribute('contenteditable', 'false');
+            ref.textContent = (node.textContent || '').replace(/\s+/g, ' ');
+            return ref;
+        }
+
         const tag = node.tagName.toUpperCase();
 
+        // Spreadsheets put a stylesheet next to the table
+        if (tag === 'STYLE') {
+            return document.createTextNode('');
+        }
+
         if (!allowedTags.has(tag)) {
             const fragment = document.createDocumentFragment();
             node.childNodes.forEach(child => {
@@ -1137,6 +1722,22 @@ function sanitizeClipboardHtml(rawHtml) {
             clean.setAttribute(MEMO_PARAGRAPH_ATTR, 'true');
         }
 
+        if (outTag === 'div' && node.hasAttribute(MEMO_TASK_ATTR)) {
+            ensureMemoParagraphBlock(clean);
+            clean.setAttribute(MEMO_TASK_ATTR, String(node.getAttribute(MEMO_TASK_ATTR) === 'true'));
+        }
+
+        if (outTag === 'pre') {
+            // Our own attribute, or the class highlighters put on <pre>/<code>
+            const language = node.getAttribute(MEMO_CODE_LANGUAGE_ATTR)
+                || `${node.className} ${node.querySelector('code')?.className || ''}`.match(/\b(?:lang|language)-([\w+#-]+)/)?.[1];
+            if (language && /^[\w+#-]{1,20}$/.test(language)) clean.setAttribute(MEMO_CODE_LANGUAGE_ATTR, language.toLowerCase());
+        }
+
+        if ((outTag === 'td' || outTag === 'th') && node.hasAttribute('colspan')) {
+            clean.setAttribute('colspan', node.getAttribute('colspan'));
+        }
+
         if (outTag === 'ol' && node.hasAttribute('start')) {
             clean.setAttribute('start', node.getAttribute('start'));
         }
@@ -1160,7 +1761,7 @@ function sanitizeClipboardHtml(rawHtml) {
     return normalizeMemoHtml(cleaned.innerHTML);
 }
 
-function extractPlainTextFromMemoHtml(content) {
+export function extractPlainTextFromMemoHtml(content) {
     if (!content) return '';
 
     if (!/<[a-z][\s\S]*>/i.test(content)) {
@@ -1170,13 +1771,22 @@ function extractPlainTextFromMemoHtml(content) {
     const wrapper = document.createElement('div');
     wrapper.innerHTML = content;
 
+    // Table rows as tab-separated lines, the way spreadsheets read them
+    wrapper.querySelectorAll('td br, th br').forEach(br => br.replaceWith(' '));
+    wrapper.querySelectorAll('td, th').forEach(cell => {
+        if (cell.nextElementSibling) cell.after('\t');
+    });
+    wrapper.querySelectorAll('tr').forEach(row => row.after('\n'));
     wrapper.querySelectorAll('br').forEach(br => {
         br.replaceWith(document.createTextNode('\n'));
     });
     wrapper.querySelectorAll('hr').forEach(hr => {
         hr.replaceWith(document.createTextNode('\n'));
     });
-    wrapper.querySelectorAll('div, p, li, h1, h2, h3, blockquote').forEach(block => {
+    wrapper.querySelectorAll(`[${MEMO_TASK_ATTR}]`).forEach(task => {
+        task.prepend(task.getAttribute(MEMO_TASK_ATTR) === 'true' ? '[x] ' : '[ ] ');
+    });
+    wrapper.querySelectorAll('div, p, li, h1, h2, h3, blockquote, pre').forEach(block => {
         if (!block.nextSibling || block.nextSibling.nodeType !== Node.TEXT_NODE || !block.nextSibling.textContent.startsWith('\n')) {
             block.after(document.createTextNode('\n'));
         }
@@ -1206,9 +1816,9 @@ export function getMemoHtmlFromClipboardData(clipboardData, options = {}) {
 
     const text = clipboardData.getData('text/plain');
     const plainTextHtml = text
-        ? (enablePlainTextFormatting
+        ? (convertTabSeparatedTextToTableHtml(text) || (enablePlainTextFormatting
             ? convertPlainTextToMemoHtml(text, true)
-            : convertClipboardPlainTextToMemoHtml(text))
+            : convertClipboardPlainTextToMemoHtml(text)))
         : '';
     const semanticHtml = rawHtml
         ? getMeaningfulClipboardHtml(rawHtml, text)
@@ -1393,13 +2003,13 @@ export function createItem(cfg, loading = false) {
             html = `<div class="item-link"><img class="link-favicon" src="https://www.google.com/s2/favicons?domain=${encodeURIComponent(hostname)}&sz=64"><div class="link-title">${esc(linkTitle)}</div><a class="link-url" href="${esc(safeUrl)}" target="_blank" rel="noopener noreferrer">${esc(linkDisplay)}</a></div>`;
             break;
         }
+        case 'frame':
+            cfg = { ...cfg, content: normalizeFrameContent(cfg.content) };
+            html = `<div class="item-frame"><div class="frame-header"><button class="frame-collapse-btn" title="Collapse/Expand"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M6 9l6 6 6-6"/></svg></button><div class="frame-title" contenteditable="true" spellcheck="false" data-placeholder="Frame">${esc(cfg.content.title)}</div><span class="frame-count"></span></div></div>`;
+            break;
     }
 
-    if (cfg.color) {
-        el.style.setProperty('--tag-color', `var(--tag-${cfg.color})`);
-        el.classList.add('has-color');
-        el.dataset.color = cfg.color;
-    }
+    if (cfg.color) applyColorVars(el, cfg.color);
 
     if (cfg.fontSize && cfg.type === 'memo') {
         el.classList.add('font-size-' + cfg.fontSize);
@@ -1415,7 +2025,8 @@ export function createItem(cfg, loading = false) {
         ? `<button class="font-size-btn" title="Font Size"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 7V4h16v3M9 20h6M12 4v16"/></svg></button>`
         : '';
     const memoToolbar = isMemo
-        ? `<div class="memo-toolbar"><button class="md-btn" data-md="heading" title="Heading"><svg width="14" height="17" viewBox="0 0 27 34" fill="currentColor"><path d="M2.07 33.82c-1.26 0-2.07-.83-2.07-2.14V2.14C0 .83.8 0 2.07 0c1.26 0 2.07.83 2.07 2.14v12.53h18.2V2.14c0-1.31.81-2.14 2.07-2.14 1.27 0 2.07.83 2.07 2.14v29.54c0 1.31-.8 2.14-2.07 2.14-1.26 0-2.07-.83-2.07-2.14V18.39H4.14v13.29c0 1.31-.81 2.14-2.07 2.14z"/></svg></button><button class="md-btn" data-md="bold" title="Bold"><svg width="13" height="17" viewBox="0 0 25 33" fill="currentColor"><path d="M2.9 32.49C1.1 32.49 0 31.37 0 29.48V3.02C0 1.13 1.1 0 2.9 0h10.59c5.9 0 9.7 3.18 9.7 8.11 0 3.49-2.59 6.53-5.92 7.07v.18c4.41.43 7.5 3.6 7.5 7.9 0 5.72-4.21 9.23-11.15 9.23H2.9zM5.81 13.69h5.31c4.05 0 6.33-1.71 6.33-4.73 0-2.84-1.96-4.44-5.43-4.44H5.81v9.17zm0 14.28h6.49c4.28 0 6.55-1.78 6.55-5.11 0-3.31-2.34-5.05-6.8-5.05H5.81v10.16z"/></svg></button><button class="md-btn" data-md="italic" title="Italic"><svg width="13" height="17" viewBox="0 0 25 34" fill="currentColor"><path d="M1.85156 33.8203C0.75 33.8203 0 33.0703 0 32.0156C0 30.9609 0.75 30.2109 1.85156 30.2109H6.75L13.75 3.60938H8.85156C7.75 3.60938 7 2.85938 7 1.80469C7 0.75 7.75 0 8.85156 0H22.7734C23.8984 0 24.7188 0.703125 24.7188 1.80469C24.7188 2.90625 23.8984 3.60938 22.7734 3.60938H17.9688L10.9688 30.2109H15.7734C16.8984 30.2109 17.7188 30.9141 17.7188 32.0156C17.7188 33.1172 16.8984 33.8203 15.7734 33.8203H1.85156Z"/></svg></button><button class="md-btn" data-md="strike" title="Strikethrough"><svg width="18" height="18" viewBox="0 0 35 35" fill="currentColor"><path d="M17.5 0c5.65 0 10.2 2.84 11.42 7.41.07.26.12.61.12 1.05 0 1.15-.8 1.9-1.92 1.9-1.08 0-1.74-.56-2.11-1.64-1.17-3.42-3.96-4.92-7.62-4.92-4.22 0-7.48 2.06-7.48 5.51 0 2.67 1.81 4.5 6.42 5.51l3.75.82c.13.03.26.06.39.09h12.76a1.75 1.75 0 110 3.5h-5.35c1.41 1.46 2.07 3.28 2.07 5.55 0 6.26-4.92 10.17-12.5 10.17-6.35 0-10.87-2.86-12.14-6.94-.14-.47-.23-.98-.23-1.48 0-1.34.75-2.18 1.95-2.18 1.05 0 1.71.54 2.04 1.67 1.03 3.49 4.36 5.13 8.62 5.13 4.59 0 7.92-2.41 7.92-5.74 0-2.84-1.87-4.71-6.56-5.74l-2.02-.44H1.75a1.75 1.75 0 110-3.5h6.47c-1.81-1.6-2.64-3.67-2.64-6.23 0-5.58 4.92-9.49 12.01-9.49z"/></svg></button><button class="md-btn" data-md="underline" title="Underline"><svg width="16" height="19" viewBox="0 0 31 36" fill="currentColor"><path d="M15.18 30.71C6.79 30.71 1.75 25.51 1.75 18.29V2.18C1.75.84 2.57 0 3.86 0s2.11.84 2.11 2.18v15.83c0 5.11 3.35 8.81 9.21 8.81s9.21-3.7 9.21-8.81V2.18C24.39.84 25.21 0 26.5 0s2.11.84 2.11 2.18v16.11c0 7.22-5.04 12.42-13.43 12.42z"/><path d="M28.61 32.4a1.75 1.75 0 110 3.5H1.75a1.75 1.75 0 110-3.5h26.86z"/></svg></button><span class="toolbar-sep"></span><button class="md-btn" data-md="align-left" title="Align Left"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M20.5713 27.3942C21.5665 27.3943 22.3734 28.2012 22.3735 29.1964C22.3735 30.1918 21.5665 30.9986 20.5713 30.9987H1.80228C0.806907 30.9987 0 30.1918 0 29.1964C0.00011508 28.2012 0.806978 27.3942 1.80228 27.3942H20.5713Z"/><path d="M24.5713 9.13141C25.5665 9.1315 26.3734 9.93847 26.3735 10.9337C26.3735 11.929 25.5665 12.7359 24.5713 12.736H1.80228C0.806907 12.736 0 11.9291 0 10.9337C0.00011508 9.93841 0.806978 9.13141 1.80228 9.13141H24.5713Z"/></svg></button><button class="md-btn" data-md="align-center" title="Align Center"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M26.5713 27.3942C27.5665 27.3943 28.3734 28.2012 28.3735 29.1964C28.3735 30.1918 27.5665 30.9986 26.5713 30.9987H7.80228C6.80691 30.9987 6 30.1918 6 29.1964C6.00012 28.2012 6.80698 27.3942 7.80228 27.3942H26.5713Z"/><path d="M28.5713 9.13141C29.5665 9.1315 30.3734 9.93847 30.3735 10.9337C30.3735 11.929 29.5665 12.7359 28.5713 12.736H5.80228C4.80691 12.736 4 11.9291 4 10.9337C4.00012 9.93841 4.80698 9.13141 5.80228 9.13141H28.5713Z"/></svg></button><button class="md-btn" data-md="align-right" title="Align Right"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M32.5713 27.3942C33.5665 27.3943 34.3734 28.2012 34.3735 29.1964C34.3735 30.1918 33.5665 30.9986 32.5713 30.9987H13.8023C12.8069 30.9987 12 30.1918 12 29.1964C12.0001 28.2012 12.807 27.3942 13.8023 27.3942H32.5713Z"/><path d="M32.5713 9.13141C33.5665 9.1315 34.3734 9.93847 34.3735 10.9337C34.3735 11.929 33.5665 12.7359 32.5713 12.736H9.80228C8.80691 12.736 8 11.9291 8 10.9337C8.00012 9.93841 8.80698 9.13141 9.80228 9.13141H32.5713Z"/></svg></button></div>`
+        ? `<div class="memo-toolbar"><button class="md-btn" data-md="heading" title="Heading"><svg width="14" height="17" viewBox="0 0 27 34" fill="currentColor"><path d="M2.07 33.82c-1.26 0-2.07-.83-2.07-2.14V2.14C0 .83.8 0 2.07 0c1.26 0 2.07.83 2.07 2.14v12.53h18.2V2.14c0-1.31.81-2.14 2.07-2.14 1.27 0 2.07.83 2.07 2.14v29.54c0 1.31-.8 2.14-2.07 2.14-1.26 0-2.07-.83-2.07-2.14V18.39H4.14v13.29c0 1.31-.81 2.14-2.07 2.14z"/></svg></button><button class="md-btn" data-md="bold" title="Bold"><svg width="13" height="17" viewBox="0 0 25 33" fill="currentColor"><path d="M2.9 32.49C1.1 32.49 0 31.37 0 29.48V3.02C0 1.13 1.1 0 2.9 0h10.59c5.9 0 9.7 3.18 9.7 8.11 0 3.49-2.59 6.53-5.92 7.07v.18c4.41.43 7.5 3.6 7.5 7.9 0 5.72-4.21 9.23-11.15 9.23H2.9zM5.81 13.69h5.31c4.05 0 6.33-1.71 6.33-4.73 0-2.84-1.96-4.44-5.43-4.44H5.81v9.17zm0 14.28h6.49c4.28 0 6.55-1.78 6.55-5.11 0-3.31-2.34-5.05-6.8-5.05H5.81v10.16z"/></svg></button><button class="md-btn" data-md="italic" title="Italic"><svg width="13" height="17" viewBox="0 0 25 34" fill="currentColor"><path d="M1.85156 33.8203C0.75 33.8203 0 33.0703 0 32.0156C0 30.9609 0.75 30.2109 1.85156 30.2109H6.75L13.75 3.60938H8.85156C7.75 3.60938 7 2.85938 7 1.80469C7 0.75 7.75 0 8.85156 0H22.7734C23.8984 0 24.7188 0.703125 24.7188 1.80469C24.7188 2.90625 23.8984 3.60938 22.7734 3.60938H17.9688L10.9688 30.2109H15.7734C16.8984 30.2109 17.7188 30.9141 17.7188 32.0156C17.7188 33.1172 16.8984 33.8203 15.7734 33.8203H1.85156Z"/></svg></button><button class="md-btn" data-md="strike" title="Strikethrough"><svg width="18" height="18" viewBox="0 0 35 35" fill="currentColor"><path d="M17.5 0c5.65 0 10.2 2.84 11.42 7.41.07.26.12.61.12 1.05 0 1.15-.8 1.9-1.92 1.9-1.08 0-1.74-.56-2.11-1.64-1.17-3.42-3.96-4.92-7.62-4.92-4.22 0-7.48 2.06-7.48 5.51 0 2.67 1.81 4.5 6.42 5.51l3.75.82c.13.03.26.06.39.09h12.76a1.75 1.75 0 110 3.5h-5.35c1.41 1.46 2.07 3.28 2.07 5.55 0 6.26-4.92 10.17-12.5 10.17-6.35 0-10.87-2.86-12.14-6.94-.14-.47-.23-.98-.23-1.48 0-1.34.75-2.18 1.95-2.18 1.05 0 1.71.54 2.04 1.67 1.03 3.49 4.36 5.13 8.62 5.13 4.59 0 7.92-2.41 7.92-5.74 0-2.84-1.87-4.71-6.56-5.74l-2.02-.44H1.75a1.75 1.75 0 110-3.5h6.47c-1.81-1.6-2.64-3.67-2.64-6.23 0-5.58 4.92-9.49 12.01-9.49z"/></svg></button><button class="md-btn" data-md="underline" title="Underline"><svg width="16" height="19" viewBox="0 0 31 36" fill="currentColor"><path d="M15.18 30.71C6.79 30.71 1.75 25.51 1.75 18.29V2.18C1.75.84 2.57 0 3.86 0s2.11.84 2.11 2.18v15.83c0 5.11 3.35 8.81 9.21 8.81s9.21-3.7 9.21-8.81V2.18C24.39.84 25.21 0 26.5 0s2.11.84 2.11 2.18v16.11c0 7.22-5.04 12.42-13.43 12.42z"/><path d="M28.61 32.4a1.75 1.75 0 110 3.5H1.75a1.75 1.75 0 110-3.5h26.86z"/></svg></button><button class="md-btn" data-md="code" title="Inline Code (Ctrl+E)"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="M8 7l-5 5 5 5M16 7l5 5-5 5"/></svg></button><button class="md-btn" data-md="checklist" title="Checklist (Ctrl+Shift+9)"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="4"/><path d="M8 12.5l2.8 2.8L16.5 9"/></svg></button><button class="md-btn" data-md="table" title="Table (Ctrl+Alt+T)"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="4" width="18" height="16" rx="3"/><path d="M3 10h18M3 15h18M9.5 4v16M14.5 4v16"/></svg></button><span class="toolbar-sep"></span><button class="md-btn" data-md="align-left" title="Align Left"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M20.5713 27.3942C21.5665 27.3943 22.3734 28.2012 22.3735 29.1964C22.3735 30.1918 21.5665 30.9986 20.5713 30.9987H1.80228C0.806907 30.9987 0 30.1918 0 29.1964C0.00011508 28.2012 0.806978 27.3942 1.80228 27.3942H20.5713Z"/><path d="M24.5713 9.13141C25.5665 9.1315 26.3734 9.93847 26.3735 10.9337C26.3735 11.929 25.5665 12.7359 24.5713 12.736H1.80228C0.806907 12.736 0 11.9291 0 10.9337C0.00011508 9.93841 0.806978 9.13141 1.80228 9.13141H24.5713Z"/></svg></button><button class="md-btn" data-md="align-center" title="Align Center"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M26.5713 27.3942C27.5665 27.3943 28.3734 28.2012 28.3735 29.1964C28.3735 30.1918 27.5665 30.9986 26.5713 30.9987H7.80228C6.80691 30.9987 6 30.1918 6 29.1964C6.00012 28.2012 6.80698 27.3942 7.80228 27.3942H26.5713Z"/><path d="M28.5713 9.13141C29.5665 9.1315 30.3734 9.93847 30.3735 10.9337C30.3735 11.929 29.5665 12.7359 28.5713 12.736H5.80228C4.80691 12.736 4 11.9291 4 10.9337C4.00012 9.93841 4.80698 9.13141 5.80228 9.13141H28.5713Z"/></svg></button><button class="md-btn" data-md="align-right" title="Align Right"><svg width="17" height="15" viewBox="0 0 35 31" fill="currentColor"><path d="M32.5713 0C33.5665 9.57883e-05 34.3734 0.807064 34.3735 1.80228C34.3735 2.79759 33.5665 3.60446 32.5713 3.60455H1.80228C0.806907 3.60455 0 2.79765 0 1.80228C0.00011508 0.807005 0.806978 0 1.80228 0H32.5713Z"/><path d="M32.5713 18.2628C33.5665 18.2629 34.3734 19.0699 34.3735 20.0651C34.3735 21.0604 33.5665 21.8673 32.5713 21.8674H1.80228C0.806907 21.8674 0 21.0605 0 20.0651C0.00011508 19.0698 0.806978 18.2628 1.80228 18.2628H32.5713Z"/><path d="M32.5713 27.3942C33.5665 27.3943 34.3734 28.2012 34.3735 29.1964C34.3735 30.1918 33.5665 30.9986 32.5713 30.9987H13.8023C12.8069 30.9987 12 30.1918 12 29.1964C12.0001 28.2012 12.807 27.3942 13.8023 27.3942H32.5713Z"/><path d="M32.5713 9.13141C33.5665 9.1315 34.3734 9.93847 34.3735 10.9337C34.3735 11.929 33.5665 12.7359 32.5713 12.736H9.80228C8.80691 12.736 8 11.9291 8 10.9337C8.00012 9.93841 8.80698 9.13141 9.80228 9.13141H32.5713Z"/></svg></button></div>`
+            + `<div class="memo-toolbar memo-table-bar">${TABLE_BAR_BUTTONS.map(([action, title, path]) => `<button class="md-btn" data-table="${action}" title="${title}"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round"><path d="${path}"/></svg></button>`).join('')}</div>`
         : '';
 
     if (!isMemo && !isKeyword) {
@@ -1424,8 +2035,13 @@ export function createItem(cfg, loading = false) {
     if (isKeyword) {
         el.classList.add('keyword-node');
     }
+    if (cfg.type === 'frame') {
+        el.classList.add('frame-node');
+        el.classList.toggle('frame-collapsed', cfg.content.collapsed);
+        el.classList.toggle('lane-node', cfg.content.lane === true);
+    }
 
-    el.innerHTML = `<div class="color-dot"></div><div class="item-content">${html}</div><button class="delete-btn"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M18 6L6 18M6 6l12 12"/></svg></button>${fontSizeBtn}<button class="color-btn"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="13.5" cy="6.5" r="2" fill="currentColor" stroke="none"/><circle cx="17.5" cy="10.5" r="2" fill="currentColor" stroke="none"/><circle cx="8.5" cy="7.5" r="2" fill="currentColor" stroke="none"/><circle cx="6.5" cy="12.5" r="2" fill="currentColor" stroke="none"/><path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10c.926 0 1.648-.746 1.648-1.688 0-.437-.18-.835-.437-1.125-.29-.289-.438-.652-.438-1.125a1.64 1.64 0 011.668-1.668h1.996c3.051 0 5.563-2.512 5.563-5.563C22 6.5 17.5 2 12 2z"/></svg></button><div class="color-picker"><div class="color-opt none" data-color="" title="None"></div>${COLORS.map(c => `<div class="color-opt" data-color="${c}" style="background:var(--tag-${c})" title="${c}"></div>`).join('')}</div><div class="resize-handle"></div><div class="connection-handle top" data-h="top"></div><div class="connection-handle bottom" data-h="bottom"></div><div class="connection-handle left" data-h="left"></div><div class="connection-handle right" data-h="right"></div><button class="add-child-btn top" data-d="top">+</button><button class="add-child-btn bottom" data-d="bottom">+</button><button class="add-child-btn left" data-d="left">+</button><button class="add-child-btn right" data-d="right">+</button>${memoToolbar}`;
+    el.innerHTML = `<div class="color-dot"></div><div class="item-content">${html}</div><button class="delete-btn"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M18 6L6 18M6 6l12 12"/></svg></button>${fontSizeBtn}<button class="color-btn"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="13.5" cy="6.5" r="2" fill="currentColor" stroke="none"/><circle cx="17.5" cy="10.5" r="2" fill="currentColor" stroke="none"/><circle cx="8.5" cy="7.5" r="2" fill="currentColor" stroke="none"/><circle cx="6.5" cy="12.5" r="2" fill="currentColor" stroke="none"/><path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10c.926 0 1.648-.746 1.648-1.688 0-.437-.18-.835-.437-1.125-.29-.289-.438-.652-.438-1.125a1.64 1.64 0 011.668-1.668h1.996c3.051 0 5.563-2.512 5.563-5.563C22 6.5 17.5 2 12 2z"/></svg></button><div class="color-picker">${colorOptionsHtml()}</div><div class="resize-handle"></div><div class="connection-handle top" data-h="top"></div><div class="connection-handle bottom" data-h="bottom"></div><div class="connection-handle left" data-h="left"></div><div class="connection-handle right" data-h="right"></div><button class="add-child-btn top" data-d="top">+</button><button class="add-child-btn bottom" data-d="bottom">+</button><button class="add-child-btn left" data-d="left">+</button><button class="add-child-btn right" data-d="right">+</button>${memoToolbar}`;
 
     canvas.appendChild(el);
 
@@ -1481,27 +2097,33 @@ export function createItem(cfg, loading = false) {
         fontSize: cfg.fontSize || null,
         textAlign: cfg.textAlign || null,
         locked: cfg.locked || false,
-        manuallyResized: cfg.manuallyResized || false
+        manuallyResized: cfg.manuallyResized || false,
+        due: cfg.due || null,
+        rollup: cfg.rollup || false,
+        tags: normalizeTags(cfg.tags),
+        props: normalizeProps(cfg.props),
+        // Loaded items keep what was recorded; older data has no timestamps
+        createdAt: cfg.createdAt || (loading ? null : Date.now()),
+        createdBy: cfg.createdBy || (loading ? null : state.authorName || null),
+        updatedAt: cfg.updatedAt || null,
+        updatedBy: cfg.updatedBy || null
     };
 
     state.items.push(item);
     setupItemEvents(item);
+    if (cfg.type === 'memo') decorateMemoBody(el.querySelector('.memo-body'));
+    if (cfg.type === 'keyword') renderMathIn(el.querySelector('.keyword-body'));
+    updateCardBadges(item);
 
     if (!loading) {
         throttledMinimap();
-        if (state.activeFilter !== 'all') {
-            if (state.activeFilter === 'none') {
-                if (item.color !== null) {
-                    item.el.classList.add('filtered-out');
-                }
-            } else if (item.color !== state.activeFilter) {
-                item.el.classList.add('filtered-out');
-            }
-        }
+        if (isFilteredOut(item)) item.el.classList.add('filtered-out');
         // If color group mode is active, position the new item in the appropriate color group
         if (state.colorGroupModeActive) {
             positionNewItemInColorGroup(item);
         }
+        // Items created inside a frame belong to it, as if dropped there
+        if (assignItemsToFrames([item])) restackLanes();
     }
 
     setTimeout(() => el.classList.remove('new'), 200);
@@ -1536,7 +2158,7 @@ function setupItemEvents(item) {
         if (t.classList.contains('delete-btn') || t.classList.contains('resize-handle') ||
             t.classList.contains('connection-handle') || t.classList.contains('add-child-btn') ||
             t.classList.contains('color-btn') || t.classList.contains('font-size-btn') ||
-            t.classList.contains('color-opt') || t.closest('.color-picker') ||
+            t.classList.contains('color-opt') || t.closest('.color-picker') || t.closest('.frame-collapse-btn') ||
             t.closest('.video-controls') || t.tagName === 'A' || t.tagName === 'INPUT' || t.tagName === 'TEXTAREA') {
             return;
         }
@@ -1613,13 +2235,14 @@ function setupItemEvents(item) {
         );
     }, { signal });
 
-    colorPicker.querySelectorAll('.color-opt').forEach(opt => {
-        opt.addEventListener('click', e => {
-            e.stopPropagation();
-            setItemColor(item, opt.dataset.color || null);
-            colorPicker.classList.remove('active');
-        }, { signal });
-    });
+    // Delegated, as the options are redrawn when the palette changes
+    colorPicker.addEventListener('click', e => {
+        const opt = e.target.closest('.color-opt');
+        if (!opt) return;
+        e.stopPropagation();
+        setItemColor(item, opt.dataset.color || null);
+        colorPicker.classList.remove('active');
+    }, { signal });
 
     const fontSizeBtn = el.querySelector('.font-size-btn');
     if (fontSizeBtn) {
@@ -1673,6 +2296,7 @@ function setupItemEvents(item) {
         const itemMemo = el.querySelector('.item-memo');
         const mb = el.querySelector('.memo-body');
         const toolbar = el.querySelector('.memo-toolbar');
+        const tableBar = el.querySelector('.memo-table-bar');
 
         // Track content before editing for undo
         let contentBeforeEdit = item.content;
@@ -1697,6 +2321,9 @@ function setupItemEvents(item) {
         };
 
         const applyMemoInput = inputEvent => {
+            const madeTask = inputEvent?.inputType === 'insertText' && inputEvent.data === ' ' && applyChecklistAutoFormat(mb);
+            if (inputEvent?.inputType === 'insertText' && inputEvent.data === '`') applyInlineCodeAutoFormat(mb);
+
             // After deletion, convert empty headings to plain divs so that
             // subsequent lines don't inherit heading formatting when they merge up.
             if (inputEvent?.inputType?.startsWith('delete')) {
@@ -1722,11 +2349,25 @@ function setupItemEvents(item) {
             }
 
             item.content = getLiveMemoHtml(mb);
+            if (madeTask) updateCardBadges(item);
             eventBus.emit(Events.AUTOSAVE_TRIGGER);
             hasUnsavedChanges = true;
             scheduleMemoUndoSnapshot();
         };
 
+        // Checklist and table edits are discrete steps: save them for undo right away
+        const commitBlockChange = () => {
+            item.content = getLiveMemoHtml(mb);
+            updateCardBadges(item);
+            fitMemoToTables(item);
+            eventBus.emit(Events.AUTOSAVE_TRIGGER);
+            if (item.content !== contentBeforeEdit) {
+                eventBus.emit(Events.STATE_SAVE);
+                contentBeforeEdit = item.content;
+                hasUnsavedChanges = false;
+            }
+        };
+
         const finalizeMemoBlur = () => {
             pendingCompositionBlur = false;
 
@@ -2025,6 +2666,51 @@ function setupItemEvents(item) {
             toolbar.classList.add('active');
         }
 
+        // Show the table bar under the table holding the caret
+        function updateTableBar() {
+            const cell = document.activeElement === mb ? getTableCellAtSelection(mb) : null;
+            if (!cell) {
+                tableBar.classList.remove('active');
+                return;
+            }
+            const rect = cell.closest('table').getBoundingClientRect();
+            const mbRect = mb.getBoundingClientRect();
+            if (rect.bottom < mbRect.top || rect.top > mbRect.bottom) {
+                tableBar.classList.remove('active');
+                return;
+            }
+            const barHeight = (tableBar.offsetHeight || 40) * getOverlayCounterScale();
+            let top = Math.min(rect.bottom, mbRect.bottom) + 8;
+            if (top + barHeight > window.innerHeight - 8) top = Math.max(rect.top, mbRect.top) - barHeight - 8;
+            tableBar.style.left = (Math.max(rect.left, 8) - state.offsetX) / state.scale + 'px';
+            tableBar.style.top = (top - state.offsetY) / state.scale + 'px';
+            tableBar.classList.add('active');
+        }
+
+        tableBar.querySelectorAll('.md-btn').forEach(btn => {
+            btn.addEventListener('mousedown', e => {
+                e.preventDefault(); // Keep the caret in the cell
+            }, { signal });
+            btn.addEventListener('click', e => {
+                e.stopPropagation();
+                const cell = getTableCellAtSelection(mb);
+                if (!cell) return;
+                const target = {
+                    'row-above': () => addTableRow(cell, false),
+                    'row-below': () => addTableRow(cell),
+                    'col-left': () => addTableColumn(cell, false),
+                    'col-right': () => addTableColumn(cell),
+                    'del-row': () => removeTableRow(cell),
+                    'del-col': () => removeTableColumn(cell),
+                    'del-table': () => removeTable(cell.closest('table'))
+                }[btn.dataset.table]?.();
+                if (!target) return;
+                placeCaretInTable(target);
+                commitBlockChange();
+                updateTableBar();
+            }, { signal });
+        });
+
         // Show toolbar on text selection
         mb.addEventListener('mouseup', () => {
             // Small delay to ensure selection is finalized
@@ -2041,6 +2727,7 @@ function setupItemEvents(item) {
             if (toolbar.classList.contains('active')) {
                 showToolbarNearSelection();
             }
+            if (tableBar.classList.contains('active')) updateTableBar();
         }, { signal, passive: true });
 
         // Handle all keyboard-based selections:
@@ -2068,6 +2755,7 @@ function setupItemEvents(item) {
                 clearTimeout(selectionChangeTimeout);
             }
             selectionChangeTimeout = setTimeout(() => {
+                updateTableBar();
                 const sel = window.getSelection();
                 // Only handle if selection is within this memo and memo is being edited
                 // Check: selection exists, not collapsed, anchor is in this memo,
@@ -2094,6 +2782,7 @@ function setupItemEvents(item) {
         // Remove selectionchange listener when memo loses focus (cleanup)
         mb.addEventListener('blur', () => {
             document.removeEventListener('selectionchange', handleSelectionChange);
+            tableBar.classList.remove('active');
             if (selectionChangeTimeout) {
                 clearTimeout(selectionChangeTimeout);
                 selectionChangeTimeout = null;
@@ -2112,6 +2801,22 @@ function setupItemEvents(item) {
             const cd = e.clipboardData;
             if (!cd) return;
 
+            if (getCodeBlockAtSelection(mb)) {
+                if (insertCodeText(mb, cd.getData('text/plain').replace(/\r\n?/g, '\n'))) {
+                    mb.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                return;
+            }
+
+            // Cells hold one run of text
+            if (getTableCellAtSelection(mb)) {
+                const cellText = cd.getData('text/plain').replace(/\r\n?/g, '\n').replace(/\n+$/, '');
+                if (cellText && insertMemoHtmlAtSelection(mb, esc(cellText).replace(/\n/g, '<br>'))) {
+                    mb.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                return;
+            }
+
             // Check if clipboard contains images - block them
             for (let i = 0; i < cd.items.length; i++) {
                 if (cd.items[i].type.indexOf('image') !== -1) {
@@ -2126,6 +2831,7 @@ function setupItemEvents(item) {
 
             if (memoHtml && insertMemoHtmlAtSelection(mb, memoHtml)) {
                 mb.dispatchEvent(new Event('input', { bubbles: true }));
+                fitMemoToTables(item);
                 return;
             }
 
@@ -2148,6 +2854,133 @@ function setupItemEvents(item) {
             }
         }, { signal });
 
+        setupMathEditing(mb, signal);
+
+        // The copy button of a code block copies its text
+        mb.addEventListener('mousedown', e => {
+            const btn = e.target.closest?.('.code-copy-btn');
+            if (!btn || !mb.contains(btn)) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            e.stopPropagation();
+            const pre = btn.closest('pre').cloneNode(true);
+            normalizeCodeBlock(pre);
+            navigator.clipboard.writeText(pre.textContent.replace(/\n$/, ''))
+                .then(() => showToast('Code copied'))
+                .catch(() => showToast('Copy failed', 'error'));
+        }, { signal, capture: true });
+
+        // Code keys: Ctrl/Cmd+E toggles inline code, "```lang" + Enter starts a
+        // code block. Inside one, Enter and Tab insert plain text, Enter on an
+        // empty last line leaves it and Backspace removes it once empty.
+        mb.addEventListener('keydown', e => {
+            if (isCompositionEvent(e)) return;
+            const mod = e.ctrlKey || e.metaKey;
+            if (mod && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'e') {
+                e.preventDefault();
+                if (toggleInlineCode(mb)) applyMemoInput(null);
+                return;
+            }
+            const pre = getCodeBlockAtSelection(mb);
+            if (!pre) {
+                if (e.key !== 'Enter' || e.shiftKey || mod || !convertFenceToCodeBlock(mb)) return;
+            } else if (e.key === 'Enter' && !mod) {
+                if (e.shiftKey || !exitCodeBlock(mb, pre)) insertCodeText(mb, '\n');
+            } else if (e.key === 'Tab' && !mod) {
+                insertCodeText(mb, '    ');
+            } else if (e.key === 'Backspace' && !/\S/.test(pre.textContent)) {
+                const paragraph = ensureMemoParagraphBlock(document.createElement('div'));
+                paragraph.appendChild(document.createElement('br'));
+                pre.replaceWith(paragraph);
+                placeCaretAtStart(paragraph);
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            applyMemoInput(null);
+        }, { signal });
+
+        // Clicking a checkbox ticks it without starting an edit or a drag
+        mb.addEventListener('mousedown', e => {
+            const task = e.target.closest?.(`[${MEMO_TASK_ATTR}]`);
+            if (!task || !mb.contains(task) || e.button !== 0) return;
+            const checkboxWidth = parseFloat(getComputedStyle(task).paddingLeft) * state.scale;
+            if (e.clientX - task.getBoundingClientRect().left > checkboxWidth) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            e.stopPropagation();
+            toggleTaskChecked(task);
+            commitBlockChange();
+        }, { signal, capture: true });
+
+        // Checklist keys: Ctrl/Cmd+Shift+9 turns lines into checklist items and
+        // back, Ctrl/Cmd+Enter ticks the current item, Enter continues the
+        // checklist (or ends it on an empty item) and Backspace at the start of
+        // an item removes its checkbox
+        mb.addEventListener('keydown', e => {
+            if (isCompositionEvent(e)) return;
+            const mod = e.ctrlKey || e.metaKey;
+            if (mod && e.shiftKey && e.code === 'Digit9') {
+                e.preventDefault();
+                if (toggleChecklist(mb)) commitBlockChange();
+                return;
+            }
+            const task = getTaskBlockAtSelection(mb);
+            if (!task) return;
+            if (e.key === 'Enter' && mod) {
+                toggleTaskChecked(task);
+            } else if (e.key === 'Enter' && !e.shiftKey) {
+                if (!stripMemoEditorArtifacts(task.textContent).trim()) {
+                    task.removeAttribute(MEMO_TASK_ATTR);
+                } else if (insertParagraphBreakAtSelection(mb)) {
+                    // The new block is cloned from the current one
+                    getTopLevelParagraphBlockAtSelection(mb)?.setAttribute(MEMO_TASK_ATTR, 'false');
+                }
+            } else if (e.key === 'Backspace' && isCaretAtBlockStart(mb, task)) {
+                task.removeAttribute(MEMO_TASK_ATTR);
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            commitBlockChange();
+        }, { signal });
+
+        // Table keys: Ctrl/Cmd+Alt+T inserts a table. In a cell, Tab and
+        // Shift+Tab move between cells (Tab on the last cell adds a row), Enter
+        // breaks the line, Ctrl/Cmd+Enter adds a row below and Backspace at the
+        // start of a cell does not merge it into the one before
+        mb.addEventListener('keydown', e => {
+            if (isCompositionEvent(e)) return;
+            const mod = e.ctrlKey || e.metaKey;
+            if (mod && e.altKey && !e.shiftKey && e.code === 'KeyT') {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                insertTable(mb);
+                commitBlockChange();
+                updateTableBar();
+                return;
+            }
+            const cell = getTableCellAtSelection(mb);
+            if (!cell) return;
+            let target = null;
+            if (e.key === 'Tab' && !mod && !e.altKey) {
+                target = getAdjacentTableCell(cell, !e.shiftKey);
+            } else if (e.key === 'Enter' && mod) {
+                target = addTableRow(cell);
+            } else if (e.key === 'Enter') {
+                insertMemoLineBreakAtSelection(mb);
+            } else if (e.key !== 'Backspace' || !isCaretAtBlockStart(mb, cell)) {
+                return;
+            }
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (target) placeCaretInTable(target);
+            commitBlockChange();
+            updateTableBar();
+        }, { signal });
+
         // Lists are more reliable when handled at beforeinput time than keydown.
         // This avoids browser-specific contenteditable list behavior after Shift+Enter.
         mb.addEventListener('beforeinput', e => {
@@ -2351,6 +3184,15 @@ function setupItemEvents(item) {
                     case 'heading':
                         toggleHeading(mb);
                         break;
+                    case 'checklist':
+                        toggleChecklist(mb);
+                        break;
+                    case 'code':
+                        toggleInlineCode(mb);
+                        break;
+                    case 'table':
+                        insertTable(mb);
+                        break;
                     case 'align-left':
                         // Remove item-level text-align class so block-level styles take effect
                         el.classList.remove('text-align-center', 'text-align-right');
@@ -2370,6 +3212,8 @@ function setupItemEvents(item) {
                 }
 
                 item.content = getLiveMemoHtml(mb);
+                if (md === 'checklist') updateCardBadges(item);
+                if (md === 'table') fitMemoToTables(item);
                 eventBus.emit(Events.AUTOSAVE_TRIGGER);
                 hasUnsavedChanges = true;
 
@@ -2383,6 +3227,7 @@ function setupItemEvents(item) {
                 // Update toolbar position after formatting, then clear the flag
                 setTimeout(() => {
                     showToolbarNearSelection();
+                    updateTableBar();
                     formattingInProgress = false;
                 }, 10);
             }, { signal });
@@ -2416,8 +3261,11 @@ function setupItemEvents(item) {
         }, { signal });
 
         // Handle blur - save state if changed
+        setupMathEditing(kb, signal);
+
         kb.addEventListener('blur', () => {
             el.classList.remove('editing');
+            renderMathIn(kb);
             if (undoSaveTimer) {
                 clearTimeout(undoSaveTimer);
                 undoSaveTimer = null;
@@ -2432,6 +3280,7 @@ function setupItemEvents(item) {
         // Record current state for undo on focus
         kb.addEventListener('focus', () => {
             el.classList.add('editing');
+            unrenderMath(kb);
             contentBeforeEdit = item.content;
             hasUnsavedChanges = false;
         }, { signal });
@@ -2455,12 +3304,61 @@ function setupItemEvents(item) {
         }, { signal });
     }
 
-    // Link item click and double-click handlers
-    if (item.type === 'link') {
-        const itemLink = el.querySelector('.item-link');
-        let clickStartX = 0;
-        let clickStartY = 0;
-        let clickStartTime = 0;
+    if (item.type === 'frame') {
+        const titleEl = el.querySelector('.frame-title');
+        let titleBeforeEdit = item.content.title;
+
+        titleEl.addEventListener('input', () => {
+            item.content.title = titleEl.textContent;
+            eventBus.emit(Events.AUTOSAVE_TRIGGER);
+        }, { signal });
+
+        titleEl.addEventListener('focus', () => {
+            el.classList.add('editing');
+            titleBeforeEdit = item.content.title;
+        }, { signal });
+
+        titleEl.addEventListener('blur', () => {
+            el.classList.remove('editing');
+            if (item.content.title !== titleBeforeEdit) {
+                eventBus.emit(Events.STATE_SAVE);
+                titleBeforeEdit = item.content.title;
+            }
+        }, { signal });
+
+        // Frame titles are single-line plain text, like keywords
+        titleEl.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                titleEl.blur();
+            }
+        }, { signal });
+
+        titleEl.addEventListener('paste', e => {
+            e.preventDefault();
+            e.stopPropagation();
+            const text = e.clipboardData.getData('text/plain');
+            document.execCommand('insertText', false, text.replace(/[\r\n]+/g, ' ').trim());
+        }, { signal });
+
+        el.querySelector('.frame-collapse-btn').addEventListener('click', e => {
+            e.stopPropagation();
+            setFrameCollapsed(item, !item.content.collapsed);
+        }, { signal });
+
+        // Double-click the header to collapse/expand
+        el.querySelector('.frame-header').addEventListener('dblclick', e => {
+            if (e.target.closest('.frame-title')) return;
+            setFrameCollapsed(item, !item.content.collapsed);
+        }, { signal });
+    }
+
+    // Link item click and double-click handlers
+    if (item.type === 'link') {
+        const itemLink = el.querySelector('.item-link');
+        let clickStartX = 0;
+        let clickStartY = 0;
+        let clickStartTime = 0;
         let singleClickTimer = null;
         const DRAG_THRESHOLD = 5; // pixels
         const CLICK_TIMEOUT = 300; // ms
@@ -2815,40 +3713,20 @@ function toggleHeading(el) {
     document.execCommand('formatBlock', false, 'h1');
 }
 
-// Set item color
+// Set item color (of the whole selection when there is one)
 export function setItemColor(targetItem, color) {
-    const targets = state.selectedItems.size > 0 ? state.selectedItems : new Set([targetItem]);
+    setItemsColor(state.selectedItems.size > 0 ? state.selectedItems : [targetItem], color);
+}
+
+// Set the color of exactly these items
+export function setItemsColor(targets, color) {
     targets.forEach(item => {
         item.color = color || null;
-        if (color) {
-            item.el.style.setProperty('--tag-color', `var(--tag-${color})`);
-            item.el.classList.add('has-color');
-            item.el.dataset.color = color;
-        } else {
-            item.el.style.setProperty('--tag-color', 'transparent');
-            item.el.classList.remove('has-color');
-            delete item.el.dataset.color;
-        }
+        applyColorVars(item.el, item.color);
         item.el.querySelectorAll('.color-opt').forEach(o =>
             o.classList.toggle('selected', o.dataset.color === (color || ''))
         );
-        if (state.activeFilter !== 'all') {
-            if (state.activeFilter === 'none') {
-                item.el.classList.toggle('filtered-out', item.color !== null);
-            } else {
-                item.el.classList.toggle('filtered-out', item.color !== state.activeFilter);
-            }
-            // Update connection filtering for connections to/from this item
-            state.connections.filter(c => c.from === item || c.to === item).forEach(c => {
-                const fromFiltered = c.from.el.classList.contains('filtered-out');
-                const toFiltered = c.to.el.classList.contains('filtered-out');
-                const isFiltered = fromFiltered || toFiltered;
-                c.el.classList.toggle('filtered-out', isFiltered);
-                if (c.hitArea) c.hitArea.classList.toggle('filtered-out', isFiltered);
-                if (c.arrow) c.arrow.classList.toggle('filtered-out', isFiltered);
-                if (c.labelEl) c.labelEl.classList.toggle('filtered-out', isFiltered);
-            });
-        }
+        applyItemFilter(item);
         // Update connections from this node
         state.connections.filter(c => c.from === item).forEach(c => eventBus.emit(Events.CONNECTIONS_UPDATE, c));
     });
@@ -2863,6 +3741,74 @@ export function setItemColor(targetItem, color) {
     eventBus.emit(Events.AUTOSAVE_TRIGGER);
 }
 
+// Lock items to the back, or unlock them
+export function setItemsLocked(targets, locked) {
+    targets.forEach(item => {
+        item.locked = locked;
+        item.el.classList.toggle('locked', locked);
+        if (locked) item.el.style.zIndex = 1;
+    });
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// ============ Plain Text Editing ============
+
+/**
+ * Text of an item that setItemText can replace without losing anything:
+ * keywords, link and frame titles, and memos of plain paragraphs.
+ * @returns {string|null} Lines joined by \n, or null when not editable as text
+ */
+export function getEditableText(item) {
+    switch (item.type) {
+        case 'keyword':
+            return String(item.content || '');
+        case 'link':
+        case 'frame':
+            return item.content?.title || '';
+        case 'memo': {
+            const root = document.createElement('div');
+            root.innerHTML = item.content || '';
+            const plain = [...root.childNodes].every(node => isMemoParagraphBlock(node)
+                && node.attributes.length === 1
+                && [...node.childNodes].every(child => child.nodeType === Node.TEXT_NODE || child.nodeName === 'BR'));
+            return plain ? [...root.childNodes].map(node => node.textContent).join('\n') : null;
+        }
+        default:
+            return null;
+    }
+}
+
+export function setItemText(item, text, saveHistory = true) {
+    if (getEditableText(item) === null || getEditableText(item) === text) return;
+    switch (item.type) {
+        case 'keyword': {
+            const kb = item.el.querySelector('.keyword-body');
+            item.content = text.replace(/[\r\n]+/g, ' ');
+            kb.textContent = item.content;
+            renderMathIn(kb);
+            break;
+        }
+        case 'link':
+            item.content.title = text;
+            item.el.querySelector('.link-title').textContent = text || 'Untitled Link';
+            break;
+        case 'frame':
+            item.content.title = text;
+            item.el.querySelector('.frame-title').textContent = text;
+            break;
+        case 'memo': {
+            const editor = item.el.querySelector('.memo-body');
+            editor.innerHTML = text.split('\n').map(line =>
+                `<div ${MEMO_PARAGRAPH_ATTR}="true">${line ? esc(line) : '<br>'}</div>`).join('');
+            commitMemoContent(editor, item);
+            break;
+        }
+    }
+    if (saveHistory) eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
 // Set item font size
 export function setItemFontSize(item) {
     if (item.type !== 'memo') return;
@@ -2890,9 +3836,15 @@ export function selectItem(item, accumulate = false) {
 }
 
 export function selectAllItems() {
+    selectItems(state.items);
+}
+
+// Replace the selection with the given items, skipping those hidden in collapsed frames
+export function selectItems(items) {
     deselectAll();
     let lastItem = null;
-    state.items.forEach(item => {
+    items.forEach(item => {
+        if (item.el.classList.contains('frame-hidden')) return;
         state.selectedItems.add(item);
         item.el.classList.add('selected');
         lastItem = item;
@@ -2922,6 +3874,7 @@ function hideMenus() {
     $('connectionContextMenu').classList.remove('active');
     $('filterDropdown').classList.remove('active');
     $('colorDropdown').classList.remove('active');
+    $('layoutDropdown').classList.remove('active');
     $('connDirectionPicker').classList.remove('active');
     $('canvasIconPicker').classList.remove('active');
     // Also hide sidebar context menus
@@ -2998,7 +3951,7 @@ function pruneSearchResults(removedItems) {
 // Delete selected items
 export function deleteSelectedItems() {
     if (!state.selectedItems.size) return;
-    const removedItems = Array.from(state.selectedItems);
+    const removedItems = withFrameContentsForDeletion(Array.from(state.selectedItems));
     removedItems.forEach(item => deleteItem(item, false, true, false));
     if (pruneSearchResults(removedItems)) {
         eventBus.emit(Events.SEARCH_RESULTS_UPDATED);
@@ -3012,9 +3965,20 @@ export function deleteSelectedItems() {
 
 // Delete a single item
 export function deleteItem(item, update = true, withFade = true, updateSearch = true) {
+    if (update && item.type === 'frame') {
+        withFrameContentsForDeletion([item]).slice(1).forEach(member => deleteItem(member, false, withFade));
+    }
+
     // Clean up event listeners to prevent memory leaks
     cleanupItemEvents(item);
 
+    const frame = getFrameOf(item);
+    if (frame) {
+        frame.content.members = frame.content.members.filter(id => id !== item.id);
+        updateFrameCount(frame);
+        if (isLane(frame)) stackLaneCards(frame).forEach(updateItemGeometryDependents);
+    }
+
     // Delete connections without fade (they disappear with the node)
     state.connections.filter(c => c.from === item || c.to === item).forEach(c => eventBus.emit(Events.CONNECTIONS_DELETE, c, false, false));
 
@@ -3040,6 +4004,8 @@ export function deleteItem(item, update = true, withFade = true, updateSearch =
             item.el.remove();
         }
     }
+    // Members kept after their frame is deleted become visible, free items again
+    if (item.type === 'frame') applyFrameVisibility();
 
     if (update) {
         // If color group mode is active, re-arrange items to fill the gap
@@ -3053,11 +4019,12 @@ export function deleteItem(item, update = true, withFade = true, updateSearch =
     }
 }
 
-// Collect every media id still referenced by live items or in-memory history.
-// The scan itself acts as reference counting (covers media ids shared via
-// duplicateItem, which deep-copies content including the `media_` id string).
+// Collect every media id still referenced by live items, in-memory history or
+// stored version snapshots. The scan itself acts as reference counting (covers
+// media ids shared via duplicateItem, which deep-copies content including the
+// `media_` id string).
 function collectReferencedMediaIds() {
-    const ids = new Set();
+    const ids = new Set(state.snapshotMediaIds);
     const scan = items => items?.forEach(it => {
         const c = it.content;
         if (typeof c === 'string' && c.startsWith('media_')) ids.add(c);
@@ -3096,10 +4063,14 @@ export function duplicateItem(item) {
         y: pos.y,
         w: item.w,
         h: item.h,
-        content: JSON.parse(JSON.stringify(item.content)),
+        content: cloneItemContent(item),
         color: item.color,
         fontSize: item.fontSize,
-        textAlign: item.textAlign
+        textAlign: item.textAlign,
+        due: item.due,
+        rollup: item.rollup,
+        tags: item.tags,
+        props: item.props
     });
     eventBus.emit(Events.STATE_SAVE);
     eventBus.emit(Events.AUTOSAVE_TRIGGER);
@@ -3113,10 +4084,14 @@ function duplicateItemForDrag(item) {
         y: item.y,
         w: item.w,
         h: item.h,
-        content: JSON.parse(JSON.stringify(item.content)),
+        content: cloneItemContent(item),
         color: item.color,
         fontSize: item.fontSize,
-        textAlign: item.textAlign
+        textAlign: item.textAlign,
+        due: item.due,
+        rollup: item.rollup,
+        tags: item.tags,
+        props: item.props
     });
 }
 
@@ -3190,7 +4165,7 @@ export function addMemo(text = '', x, y, color = null) {
     const textAlign = state.defaultTextAlign !== 'left' ? state.defaultTextAlign : null;
 
     // Calculate size based on text content if provided
-    const sizingText = text ? extractPlainTextFromMemoHtml(text) : '';
+    const sizingText = text ? getMemoSizingText(text) : '';
     const calculatedSize = sizingText ? calculateMemoSizeForText(sizingText, fontSize) : null;
     const defaultW = 220;
     const defaultH = getDefaultHeight(fontSize);
@@ -3268,31 +4243,467 @@ export function addLink(url, title, x, y) {
     return item;
 }
 
-// Set filter
-export function setFilter(color) {
-    state.setActiveFilter(color);
-    $('filterDropdown').querySelectorAll('.filter-opt').forEach(o =>
-        o.classList.toggle('selected', o.dataset.color === color)
-    );
-    $('filterBtn').classList.toggle('filter-active', color !== 'all');
+// ============ Frames ============
+// A frame is a titled container. Its content stores the ids of member items;
+// members move with the frame, stay inside it when it is resized and are
+// hidden while it is collapsed. Frames never become members themselves.
+
+const FRAME_PADDING = 32;
+const FRAME_HEADER_HEIGHT = 44;
+
+function normalizeFrameContent(content) {
+    const frame = content && typeof content === 'object' ? content : {};
+    const normalized = {
+        title: typeof frame.title === 'string' ? frame.title : 'Frame',
+        collapsed: Boolean(frame.collapsed),
+        expandedH: Number(frame.expandedH) || null,
+        members: Array.isArray(frame.members) ? frame.members.filter(id => typeof id === 'string') : []
+    };
+    if (frame.lane === true) normalized.lane = true;
+    return normalized;
+}
 
-    state.items.forEach(item => {
-        let isFilteredOut = false;
-        if (color === 'all') {
-            isFilteredOut = false;
-        } else if (color === 'none') {
-            // Show only items without a color
-            isFilteredOut = item.color !== null;
-        } else {
-            // Show only items with the specified color
-            isFilteredOut = item.color !== color;
+// Content copy for duplicates: a duplicated frame starts out empty
+function cloneItemContent(item) {
+    const content = JSON.parse(JSON.stringify(item.content));
+    if (item.type === 'frame') {
+        content.members = [];
+        content.collapsed = false;
+        content.expandedH = null;
+    }
+    return content;
+}
+
+export function getFrameMembers(frame) {
+    if (frame.type !== 'frame') return [];
+    const members = new Set(frame.content.members);
+    return state.items.filter(item => members.has(item.id));
+}
+
+function getFrameOf(item) {
+    return state.items.find(frame => frame.type === 'frame' && frame.content.members.includes(item.id)) || null;
+}
+
+function updateFrameCount(frame) {
+    const count = getFrameMembers(frame).length;
+    // Lanes always show how many cards they hold
+    frame.el.querySelector('.frame-count').textContent = (frame.content.collapsed || isLane(frame)) && count ? String(count) : '';
+}
+
+function setItemFrameHidden(item, hidden) {
+    item.el.classList.toggle('frame-hidden', hidden);
+    if (hidden) {
+        state.selectedItems.delete(item);
+        item.el.classList.remove('selected');
+    }
+}
+
+// Re-apply collapsed frames to members and their connections (after load/undo)
+export function applyFrameVisibility() {
+    const hidden = new Set();
+    state.items.forEach(frame => {
+        if (frame.type !== 'frame') return;
+        if (frame.content.collapsed) getFrameMembers(frame).forEach(member => hidden.add(member));
+        updateFrameCount(frame);
+    });
+    state.items.forEach(item => setItemFrameHidden(item, hidden.has(item)));
+    state.connections.forEach(c => {
+        const isHidden = hidden.has(c.from) || hidden.has(c.to);
+        c.el.classList.toggle('frame-hidden', isHidden);
+        if (c.hitArea) c.hitArea.classList.toggle('frame-hidden', isHidden);
+        if (c.arrow) c.arrow.classList.toggle('frame-hidden', isHidden);
+        if (c.labelEl) c.labelEl.classList.toggle('frame-hidden', isHidden);
+    });
+    updateMinimap();
+}
+
+export function setFrameCollapsed(frame, collapsed) {
+    if (frame.type !== 'frame' || frame.content.collapsed === collapsed) return;
+    frame.content.collapsed = collapsed;
+    if (collapsed) {
+        frame.content.expandedH = frame.h;
+        frame.h = FRAME_HEADER_HEIGHT;
+    } else {
+        frame.h = Math.max(frame.content.expandedH || 0, FRAME_HEADER_HEIGHT * 2);
+        frame.content.expandedH = null;
+    }
+    frame.el.style.height = frame.h + 'px';
+    frame.el.classList.toggle('frame-collapsed', collapsed);
+    applyFrameVisibility();
+    updateItemGeometryDependents(frame);
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// Items plus the members of any frames among them (used for dragging)
+export function withFrameMembers(items) {
+    const result = new Set(items);
+    items.forEach(item => getFrameMembers(item).forEach(member => result.add(member)));
+    return result;
+}
+
+// After a drop, an item belongs to the smallest expanded frame containing its
+// center. Items carried along by their own frame keep their membership.
+export function assignItemsToFrames(items) {
+    const moved = new Set(items);
+    const frames = state.items.filter(frame => frame.type === 'frame' && !frame.content.collapsed);
+    let changed = false;
+
+    items.forEach(item => {
+        if (item.type === 'frame') return;
+        const current = getFrameOf(item);
+        if (current && moved.has(current)) return;
+
+        const cx = item.x + item.w / 2;
+        const cy = item.y + item.h / 2;
+        const target = frames
+            .filter(frame => !moved.has(frame) && cx > frame.x && cx < frame.x + frame.w && cy > frame.y && cy < frame.y + frame.h)
+            .sort((a, b) => a.w * a.h - b.w * b.h)[0] || null;
+        if (target === current) return;
+
+        if (current) {
+            current.content.members = current.content.members.filter(id => id !== item.id);
+            updateFrameCount(current);
+        }
+        if (target) {
+            target.content.members.push(item.id);
+            updateFrameCount(target);
         }
-        item.el.classList.toggle('filtered-out', isFilteredOut);
+        changed = true;
     });
+    return changed;
+}
 
-    // Also apply filtering to connections (when either endpoint is filtered)
-    // This ensures connections to/from invisible items are also hidden
-    state.connections.forEach(c => {
+// Keep members inside a frame that was resized smaller. Returns moved members.
+export function fitFrameMembers(frame) {
+    if (frame.type !== 'frame' || frame.content.collapsed) return [];
+    if (isLane(frame)) return stackLaneCards(frame);
+    const moved = [];
+    getFrameMembers(frame).forEach(member => {
+        const maxX = frame.x + frame.w - member.w - FRAME_PADDING / 2;
+        const maxY = frame.y + frame.h - member.h - FRAME_PADDING / 2;
+        const x = Math.max(frame.x + FRAME_PADDING / 2, Math.min(member.x, maxX));
+        const y = Math.max(frame.y + FRAME_HEADER_HEIGHT, Math.min(member.y, maxY));
+        if (x === member.x && y === member.y) return;
+        member.x = x;
+        member.y = y;
+        member.el.style.left = x + 'px';
+        member.el.style.top = y + 'px';
+        moved.push(member);
+    });
+    return moved;
+}
+
+// Add a frame. With items given, it is sized to wrap them and they become members.
+export function addFrame(x, y, members = []) {
+    members = members.filter(item => item.type !== 'frame');
+    let frameX = x;
+    let frameY = y;
+    let w = 480;
+    let h = 320;
+
+    if (members.length) {
+        const minX = Math.min(...members.map(i => i.x));
+        const minY = Math.min(...members.map(i => i.y));
+        const maxX = Math.max(...members.map(i => i.x + i.w));
+        const maxY = Math.max(...members.map(i => i.y + i.h));
+        frameX = minX - FRAME_PADDING;
+        frameY = minY - FRAME_PADDING - FRAME_HEADER_HEIGHT;
+        w = maxX - minX + FRAME_PADDING * 2;
+        h = maxY - minY + FRAME_PADDING * 2 + FRAME_HEADER_HEIGHT;
+        // Take the items out of any frame they were in before
+        members.forEach(member => {
+            const previous = getFrameOf(member);
+            if (!previous) return;
+            previous.content.members = previous.content.members.filter(id => id !== member.id);
+            updateFrameCount(previous);
+        });
+    } else {
+        const pos = findFreePosition(x, y, state.items);
+        frameX = pos.x;
+        frameY = pos.y;
+    }
+
+    const frame = createItem({
+        type: 'frame',
+        x: frameX,
+        y: frameY,
+        w,
+        h,
+        content: { title: 'Frame', members: members.map(item => item.id) }
+    });
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+    return frame;
+}
+
+// ============ Board Lanes ============
+// A lane is a frame flagged with `lane: true`. Its members are cards stacked
+// top to bottom in member order, at the lane's width. Lanes added one after
+// another line up side by side as a board.
+
+const LANE_WIDTH = 280;
+const LANE_HEIGHT = 560;
+const LANE_GAP = 24;
+const CARD_GAP = 12;
+const LANE_TITLES = ['To Do', 'Doing', 'Done'];
+
+export function isLane(item) {
+    return item.type === 'frame' && item.content.lane === true;
+}
+
+// Put a lane's cards in order below its header and grow the lane to fit them.
+// Returns the items whose geometry changed.
+export function stackLaneCards(lane) {
+    if (!isLane(lane) || lane.content.collapsed) return [];
+    const changed = [];
+    const x = lane.x + FRAME_PADDING / 2;
+    const w = lane.w - FRAME_PADDING;
+    let y = lane.y + FRAME_HEADER_HEIGHT;
+    getFrameMembers(lane)
+        .sort((a, b) => lane.content.members.indexOf(a.id) - lane.content.members.indexOf(b.id))
+        .forEach(card => {
+            if (card.x !== x || card.y !== y || card.w !== w) {
+                // Media keeps its aspect ratio; text cards keep their height
+                if (card.type === 'image' || card.type === 'video') card.h = Math.round(card.h * w / card.w);
+                card.x = x;
+                card.y = y;
+                card.w = w;
+                card.el.style.left = x + 'px';
+                card.el.style.top = y + 'px';
+                card.el.style.width = w + 'px';
+                card.el.style.height = card.h + 'px';
+                changed.push(card);
+            }
+            y += card.h + CARD_GAP;
+        });
+    const h = Math.max(lane.h, y - CARD_GAP + FRAME_PADDING / 2 - lane.y);
+    if (h !== lane.h) {
+        lane.h = h;
+        lane.el.style.height = h + 'px';
+        changed.push(lane);
+    }
+    return changed;
+}
+
+// Order every lane's cards by their position (a dropped card lands between
+// the cards around it) and stack them again
+export function restackLanes() {
+    state.items.filter(isLane).forEach(lane => {
+        const cards = new Map(getFrameMembers(lane).map(card => [card.id, card]));
+        lane.content.members = lane.content.members
+            .filter(id => cards.has(id))
+            .sort((a, b) => cards.get(a).y - cards.get(b).y);
+        stackLaneCards(lane).forEach(updateItemGeometryDependents);
+    });
+}
+
+// The lane under a card being dragged to (x, y), with the x at which the card
+// lines up with the lane's column
+export function snapToLane(item, x, y) {
+    if (item.type === 'frame') return { x, lane: null };
+    const cx = x + item.w / 2;
+    const cy = y + item.h / 2;
+    const lane = state.items.find(l => isLane(l) && !l.content.collapsed &&
+        cx > l.x && cx < l.x + l.w && cy > l.y && cy < l.y + l.h) || null;
+    return { x: lane ? lane.x + FRAME_PADDING / 2 : x, lane };
+}
+
+export function setLaneDropTarget(lane) {
+    state.items.forEach(item => {
+        if (isLane(item)) item.el.classList.toggle('lane-drop-target', item === lane);
+    });
+}
+
+// Add a lane to the right of the board, or start a board at (x, y)
+export function addLane(x, y) {
+    const lanes = state.items.filter(isLane);
+    let laneX = x;
+    let laneY = y;
+    let h = LANE_HEIGHT;
+    if (lanes.length) {
+        const last = lanes.reduce((a, b) => (b.x > a.x ? b : a));
+        laneX = last.x + last.w + LANE_GAP;
+        laneY = last.y;
+        h = last.content.collapsed ? (last.content.expandedH || LANE_HEIGHT) : last.h;
+    }
+    const lane = createItem({
+        type: 'frame',
+        x: laneX,
+        y: laneY,
+        w: LANE_WIDTH,
+        h,
+        content: { title: LANE_TITLES[lanes.length] || 'Lane', members: [], lane: true }
+    });
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+    return lane;
+}
+
+// Ticked and total checklist items of a memo
+export function getChecklistProgress(item) {
+    if (item.type !== 'memo' || !item.content?.includes(MEMO_TASK_ATTR)) return { done: 0, total: 0 };
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeMemoHtml(item.content);
+    const tasks = [...template.content.querySelectorAll(`[${MEMO_TASK_ATTR}]`)];
+    return { done: tasks.filter(task => task.getAttribute(MEMO_TASK_ATTR) === 'true').length, total: tasks.length };
+}
+
+// Due date, checklist progress, tags and properties shown at the bottom of a card
+export function updateCardBadges(item) {
+    const badges = [];
+    if (item.due) {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        const label = new Date(item.due + 'T00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        const status = item.due < today ? ' overdue' : item.due === today ? ' due-today' : '';
+        badges.push(`<span class="card-badge card-due${status}" title="Due ${esc(item.due)}">${esc(label)}</span>`);
+    }
+    const { done, total } = getChecklistProgress(item);
+    if (total) {
+        badges.push(`<span class="card-badge card-progress${done === total ? ' complete' : ''}" title="Checklist">${done}/${total}</span>`);
+    }
+    (item.tags || []).forEach(tag => {
+        badges.push(`<span class="card-badge card-tag" title="Tag">#${esc(tag)}</span>`);
+    });
+    (item.props || []).forEach(prop => {
+        if (prop.value === '') return;
+        const value = formatPropertyValue(prop);
+        badges.push(`<span class="card-badge card-prop" title="${esc(prop.key)}: ${esc(value)}"><span class="card-prop-key">${esc(prop.key)}</span> ${esc(value)}</span>`);
+    });
+    let container = item.el.querySelector('.card-badges');
+    if (!badges.length) {
+        container?.remove();
+        item.el.classList.remove('has-card-badges');
+        return;
+    }
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'card-badges';
+        item.el.appendChild(container);
+    }
+    container.innerHTML = badges.join('');
+    item.el.classList.add('has-card-badges');
+}
+
+// Set or clear (null) a card's due date, as YYYY-MM-DD
+export function setItemDueDate(item, due) {
+    item.due = due || null;
+    updateCardBadges(item);
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// ============ Tags & Properties ============
+
+// Free-form tags, stored without the leading '#', each once
+export function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const seen = new Set();
+    return tags
+        .map(tag => String(tag ?? '').replace(/^#+/, '').replace(/\s+/g, ' ').trim().slice(0, 40))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Typed key/value properties as { key, type, value }, one per key. Values are
+// kept as strings: numbers as typed, dates as YYYY-MM-DD, '' when unset.
+export function normalizeProps(props) {
+    if (!Array.isArray(props)) return [];
+    const seen = new Set();
+    return props.flatMap(prop => {
+        const key = String(prop?.key ?? '').replace(/\s+/g, ' ').trim().slice(0, 40);
+        if (!key || seen.has(key.toLowerCase())) return [];
+        seen.add(key.toLowerCase());
+        const type = PROPERTY_TYPES.includes(prop.type) ? prop.type : 'text';
+        let value = String(prop.value ?? '').trim();
+        if (type === 'number' && value !== '' && !Number.isFinite(Number(value))) value = '';
+        if (type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) value = '';
+        return [{ key, type, value }];
+    });
+}
+
+// Property value as shown on a chip
+export function formatPropertyValue(prop) {
+    if (prop.type === 'date' && prop.value) {
+        return new Date(prop.value + 'T00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+    return prop.value;
+}
+
+export function setItemTags(item, tags) {
+    item.tags = normalizeTags(tags);
+    updateItemProperties(item);
+}
+
+export function setItemProps(item, props) {
+    item.props = normalizeProps(props);
+    updateItemProperties(item);
+}
+
+function updateItemProperties(item) {
+    updateCardBadges(item);
+    applyItemFilter(item);
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+/**
+ * Split a tag/property filter into terms. Supported forms, all case-insensitive:
+ * `#tag`, `key:value`, `key>value`, `key<value` and a bare `word` (a tag or a
+ * property name). Keys and values may be quoted to include spaces.
+ * @param {string} query
+ * @returns {Array<{ tag?: string, key?: string, op?: string, value?: string, word?: string }>}
+ */
+export function parsePropertyFilter(query) {
+    const terms = [];
+    const pattern = /(#)?(?:"([^"]*)"|([^\s:<>"]+))(?:([:<>])(?:"([^"]*)"|([^\s"]*)))?/g;
+    for (const [, hash, quotedKey, bareKey, op, quotedValue, bareValue] of String(query || '').matchAll(pattern)) {
+        const key = (quotedKey ?? bareKey).trim().toLowerCase();
+        if (!key) continue;
+        if (hash) terms.push({ tag: key });
+        else if (op) terms.push({ key, op, value: (quotedValue ?? bareValue).trim().toLowerCase() });
+        else terms.push({ word: key });
+    }
+    return terms;
+}
+
+function matchesPropertyTerm(item, term) {
+    const tags = (item.tags || []).map(tag => tag.toLowerCase());
+    if (term.tag !== undefined) return tags.includes(term.tag);
+    if (term.word !== undefined) {
+        return tags.includes(term.word) || (item.props || []).some(prop => prop.key.toLowerCase() === term.word);
+    }
+    const prop = (item.props || []).find(p => p.key.toLowerCase() === term.key);
+    if (!prop) return false;
+    const value = prop.value.toLowerCase();
+    if (term.op === ':') return term.value === '' ? value !== '' : value === term.value;
+    if (value === '' || term.value === '') return false;
+    const order = prop.type === 'number'
+        ? Number(value) - Number(term.value)
+        : value.localeCompare(term.value, undefined, { numeric: true });
+    return Number.isNaN(order) ? false : term.op === '>' ? order > 0 : order < 0;
+}
+
+// Whether an item satisfies every term of a tag/property filter
+export function itemMatchesPropertyFilter(item, terms) {
+    return terms.every(term => matchesPropertyTerm(item, term));
+}
+
+// Parsed state.propertyFilter, kept so filtering does not re-parse per item
+let propertyFilterTerms = [];
+
+function isFilteredOut(item) {
+    const color = state.activeFilter;
+    if (color === 'none' ? item.color !== null : color !== 'all' && item.color !== color) return true;
+    return !itemMatchesPropertyFilter(item, propertyFilterTerms);
+}
+
+// Hide connections with a hidden end
+function applyConnectionFilter(connections) {
+    connections.forEach(c => {
         const fromFiltered = c.from.el.classList.contains('filtered-out');
         const toFiltered = c.to.el.classList.contains('filtered-out');
         const isFiltered = fromFiltered || toFiltered;
@@ -3301,54 +4712,59 @@ export function setFilter(color) {
         if (c.arrow) c.arrow.classList.toggle('filtered-out', isFiltered);
         if (c.labelEl) c.labelEl.classList.toggle('filtered-out', isFiltered);
     });
-
-    throttledMinimap();
 }
 
-// Toggle color group mode - arranges items by color and can restore original positions
-export function toggleColorGroupMode() {
-    const btn = $('sortByColorBtn');
-
-    if (state.colorGroupModeActive) {
-        // Deactivate mode - restore original positions
-        restoreOriginalPositions();
-        state.setColorGroupModeActive(false);
-        state.setOriginalPositions(new Map());
-        btn.classList.remove('active');
-    } else {
-        // Activate mode - save positions and arrange by color
-        if (state.items.length === 0) return;
-        saveOriginalPositions();
-        arrangeByColor();
-        state.setColorGroupModeActive(true);
-        btn.classList.add('active');
-    }
+// Re-check one item against the active filters after it changed
+function applyItemFilter(item) {
+    if (state.activeFilter === 'all' && !propertyFilterTerms.length) return;
+    item.el.classList.toggle('filtered-out', isFilteredOut(item));
+    applyConnectionFilter(state.connections.filter(c => c.from === item || c.to === item));
 }
 
-// Save original positions of all items before arranging
-function saveOriginalPositions() {
-    const positions = new Map();
+function applyFilters() {
+    $('filterBtn').classList.toggle('filter-active', state.activeFilter !== 'all' || propertyFilterTerms.length > 0);
     state.items.forEach(item => {
-        positions.set(item.id, { x: item.x, y: item.y });
+        item.el.classList.toggle('filtered-out', isFilteredOut(item));
     });
-    state.setOriginalPositions(positions);
+    // Also apply filtering to connections (when either endpoint is filtered)
+    // This ensures connections to/from invisible items are also hidden
+    applyConnectionFilter(state.connections);
+    throttledMinimap();
 }
 
-// Restore items to their original positions with animation
-function restoreOriginalPositions() {
-    // Add animation class to all items
-    state.items.forEach(item => item.el.classList.add('color-group-animating'));
+// Confirm whether deleting frames should take their contents with them.
+// Returns the items to delete.
+function withFrameContentsForDeletion(items) {
+    const removing = new Set(items);
+    const contents = [...withFrameMembers(items)].filter(item => !removing.has(item));
+    if (!contents.length) return items;
+    const message = `Also delete the ${contents.length} item${contents.length === 1 ? '' : 's'} inside the frame?\nCancel keeps them on the canvas.`;
+    return confirm(message) ? [...items, ...contents] : items;
+}
 
-    // Apply position changes (will animate due to CSS transition)
-    state.items.forEach(item => {
-        const original = state.originalPositions.get(item.id);
-        if (original) {
-            item.x = original.x;
-            item.y = original.y;
-            item.el.style.left = item.x + 'px';
-            item.el.style.top = item.y + 'px';
-        }
-    });
+// Set filter
+export function setFilter(color) {
+    state.setActiveFilter(color);
+    $('filterDropdown').querySelectorAll('.filter-opt').forEach(o =>
+        o.classList.toggle('selected', o.dataset.color === color)
+    );
+    applyFilters();
+}
+
+// Filter by tags and properties (see parsePropertyFilter); '' shows everything
+export function setPropertyFilter(query) {
+    state.setPropertyFilter(query);
+    propertyFilterTerms = parsePropertyFilter(query);
+    const input = $('filterQuery');
+    if (input.value !== query) input.value = query;
+    applyFilters();
+}
+
+// Animate items that were just given new positions (in the same task, so the
+// CSS transition picks up the change). Connections fade out while the items
+// glide and fade back in once everything has settled.
+export function animateArrangement(items) {
+    items.forEach(item => item.el.classList.add('color-group-animating'));
 
     const animationDuration = 400;
     const fadeOutDuration = 150;
@@ -3399,9 +4815,61 @@ function restoreOriginalPositions() {
 
     // Step 4: Clean up all animation classes
     setTimeout(() => {
-        state.items.forEach(item => item.el.classList.remove('color-group-animating'));
+        items.forEach(item => item.el.classList.remove('color-group-animating'));
         applyToConnections(null, ['color-group-fade-in', 'color-group-hidden', 'color-group-fade-out']);
     }, fadeOutDuration + animationDuration + fadeInDuration + 50);
+}
+
+// Toggle color group mode - arranges items by color and can restore original positions
+export function toggleColorGroupMode() {
+    const btn = $('sortByColorBtn');
+
+    if (state.colorGroupModeActive) {
+        // Deactivate mode - restore original positions
+        restoreOriginalPositions();
+        state.setColorGroupModeActive(false);
+        state.setOriginalPositions(new Map());
+        btn.classList.remove('active');
+    } else {
+        // Activate mode - save positions and arrange by color
+        if (state.items.length === 0) return;
+        if (state.layoutModeActive) {
+            // Keep the positions saved before the layout so one revert undoes both
+            state.setLayoutModeActive(null);
+            $('layoutBtn').classList.remove('active');
+        } else {
+            saveOriginalPositions();
+        }
+        state.setColorGroupModeActive(true);
+        arrangeByColor();
+        btn.classList.add('active');
+    }
+    renderColorGroupHeadings();
+}
+
+// Save original positions of all items before arranging
+export function saveOriginalPositions() {
+    const positions = new Map();
+    state.items.forEach(item => {
+        positions.set(item.id, { x: item.x, y: item.y });
+    });
+    state.setOriginalPositions(positions);
+}
+
+// Restore items to their original positions with animation
+export function restoreOriginalPositions() {
+    // Apply position changes (will animate due to CSS transition)
+    state.items.forEach(item => {
+        const original = state.originalPositions.get(item.id);
+        if (original) {
+            item.x = original.x;
+            item.y = original.y;
+            item.el.style.left = item.x + 'px';
+            item.el.style.top = item.y + 'px';
+        }
+    });
+
+    animateArrangement(state.items);
 
     eventBus.emit(Events.STATE_SAVE);
     eventBus.emit(Events.AUTOSAVE_TRIGGER);
@@ -3409,16 +4877,13 @@ function restoreOriginalPositions() {
 
 // Arrange items by color - called when activating color group mode
 function arrangeByColor() {
-    // Color order: red, orange, yellow, green, blue, purple, pink, then no color (null)
-    const colorOrder = [...COLORS, null];
+    // Palette order, then no color (null)
+    const colorOrder = [...getPalette(true).map(color => color.id), null];
     const MAX_ROWS = 5; // Maximum items per column before creating new column
     const horizontalGap = 48; // Horizontal spacing between color groups
     const verticalGap = 24;   // Vertical spacing between items
     const subColumnGap = 24;  // Gap between sub-columns within same color group
 
-    // Add animation class to all items
-    state.items.forEach(item => item.el.classList.add('color-group-animating'));
-
     // Group items by color
     const groups = {};
     colorOrder.forEach(c => groups[c === null ? 'none' : c] = []);
@@ -3559,58 +5024,7 @@ function arrangeByColor() {
         currentGroupX += group.groupWidth + horizontalGap;
     });
 
-    const animationDuration = 400;
-    const fadeOutDuration = 150;
-    const fadeInDuration = 250;
-
-    // Helper to apply class to all connection elements
-    const applyToConnections = (addClass, removeClass) => {
-        const svg = document.getElementById('connectionsSvg');
-        if (!svg) return;
-        const elements = svg.querySelectorAll('.connection-line, .connection-hit-area, .connection-arrow, .connection-label');
-        elements.forEach(el => {
-            if (removeClass) {
-                if (Array.isArray(removeClass)) {
-                    removeClass.forEach(cls => el.classList.remove(cls));
-                } else {
-                    el.classList.remove(removeClass);
-                }
-            }
-            if (addClass) el.classList.add(addClass);
-        });
-    };
-
-    // Step 1: Fade out connections
-    applyToConnections('color-group-fade-out', null);
-
-    // Step 2: After fade-out, hide connections and update positions silently
-    setTimeout(() => {
-        applyToConnections('color-group-hidden', 'color-group-fade-out');
-    }, fadeOutDuration);
-
-    // Update connections during animation (they're hidden, so this is silent)
-    const animateConnections = () => {
-        eventBus.emit(Events.CONNECTIONS_UPDATE_ALL);
-        updateMinimap();
-    };
-    const frames = 10;
-    for (let i = 0; i <= frames; i++) {
-        setTimeout(animateConnections, fadeOutDuration + (animationDuration / frames) * i);
-    }
-
-    // Step 3: After animation completes, fade connections back in
-    setTimeout(() => {
-        // Final position update
-        eventBus.emit(Events.CONNECTIONS_UPDATE_ALL);
-        // Remove hidden, add fade-in
-        applyToConnections('color-group-fade-in', 'color-group-hidden');
-    }, fadeOutDuration + animationDuration);
-
-    // Step 4: Clean up all animation classes
-    setTimeout(() => {
-        state.items.forEach(item => item.el.classList.remove('color-group-animating'));
-        applyToConnections(null, ['color-group-fade-in', 'color-group-hidden', 'color-group-fade-out']);
-    }, fadeOutDuration + animationDuration + fadeInDuration + 50);
+    animateArrangement(state.items);
 
     eventBus.emit(Events.STATE_SAVE);
     eventBus.emit(Events.AUTOSAVE_TRIGGER);
@@ -3620,7 +5034,7 @@ function arrangeByColor() {
 export function positionNewItemInColorGroup(newItem) {
     if (!state.colorGroupModeActive) return;
 
-    const colorOrder = [...COLORS, null];
+    const colorOrder = [...getPalette(true).map(color => color.id), null];
     const MAX_ROWS = 5;
     const horizontalGap = 48;
     const verticalGap = 24;
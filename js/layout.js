@@ -0,0 +1,407 @@
+// KnotPad - Layout Module (Tree, Radial and Force-directed arrangement)
+
+import { $ } from './utils.js';
+import * as state from './state.js';
+import { animateArrangement, saveOriginalPositions, restoreOriginalPositions } from './items.js';
+import eventBus, { Events } from './events-bus.js';
+
+export const LAYOUT_TYPES = ['tree-horizontal', 'tree-vertical', 'radial', 'force'];
+
+const LEVEL_GAP = 80;    // Gap between tree levels (and radial rings)
+const SIBLING_GAP = 24;  // Gap between siblings along the cross axis
+const FORCE_ITERATIONS = 300;
+
+// ============ Graph ============
+
+function byPosition(a, b) {
+    return (a.y - b.y) || (a.x - b.x);
+}
+
+// Turn the connection graph into a spanning forest. Directed connections point
+// from parent to child (backward ones are flipped); undirected ones follow the
+// order they were drawn in. Roots are nodes without a parent; cycles that have
+// none start from their top-left node. Children are ordered by position.
+export function buildForest(nodes, edges) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const children = new Map(nodes.map(node => [node.id, []]));
+    const hasParent = new Set();
+
+    edges.forEach(({ from, to, dir }) => {
+        const [parent, child] = dir === 'backward' ? [to, from] : [from, to];
+        if (parent === child || !nodesById.has(parent) || !nodesById.has(child)) return;
+        children.get(parent).push(child);
+        hasParent.add(child);
+    });
+
+    const sorted = [...nodes].sort(byPosition);
+    const treeChildren = new Map();
+    const visited = new Set();
+    const roots = [];
+
+    const walk = rootId => {
+        roots.push(rootId);
+        visited.add(rootId);
+        const queue = [rootId];
+        while (queue.length) {
+            const id = queue.shift();
+            const next = children.get(id)
+                .filter(childId => !visited.has(childId))
+                .map(childId => nodesById.get(childId))
+                .sort(byPosition)
+                .map(child => child.id);
+            const unique = [...new Set(next)];
+            unique.forEach(childId => visited.add(childId));
+            treeChildren.set(id, unique);
+            queue.push(...unique);
+        }
+    };
+
+    sorted.filter(node => !hasParent.has(node.id)).forEach(node => walk(node.id));
+    sorted.forEach(node => { if (!visited.has(node.id)) walk(node.id); });
+
+    return { roots, children: treeChildren };
+}
+
+// ============ Layout Algorithms ============
+// Each algorithm returns Map<id, { x, y }> of top-left positions in its own
+// coordinate space; computeLayout() moves the result back onto the canvas.
+
+function layoutTree(nodes, edges, horizontal) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const { roots, children } = buildForest(nodes, edges);
+    const main = node => horizontal ? node.w : node.h;
+    const cross = node => horizontal ? node.h : node.w;
+
+    // Size of each level along the main axis, shared by all trees so levels line up
+    const levelSize = [];
+    const extent = new Map();
+    const measure = (id, depth) => {
+        const node = nodesById.get(id);
+        levelSize[depth] = Math.max(levelSize[depth] || 0, main(node));
+        const kids = children.get(id);
+        const kidsExtent = kids.reduce((sum, childId) => sum + measure(childId, depth + 1), 0)
+            + SIBLING_GAP * Math.max(0, kids.length - 1);
+        extent.set(id, Math.max(cross(node), kidsExtent));
+        return extent.get(id);
+    };
+    roots.forEach(id => measure(id, 0));
+
+    const levelStart = [0];
+    levelSize.forEach((size, depth) => { levelStart[depth + 1] = levelStart[depth] + size + LEVEL_GAP; });
+
+    const positions = new Map();
+    const place = (id, depth, start) => {
+        const node = nodesById.get(id);
+        const kids = children.get(id);
+        const crossPos = start + (extent.get(id) - cross(node)) / 2;
+        const mainPos = levelStart[depth];
+        positions.set(id, horizontal ? { x: mainPos, y: crossPos } : { x: crossPos, y: mainPos });
+
+        const kidsExtent = kids.reduce((sum, childId) => sum + extent.get(childId), 0)
+            + SIBLING_GAP * Math.max(0, kids.length - 1);
+        let childStart = start + (extent.get(id) - kidsExtent) / 2;
+        kids.forEach(childId => {
+            place(childId, depth + 1, childStart);
+            childStart += extent.get(childId) + SIBLING_GAP;
+        });
+    };
+
+    let start = 0;
+    roots.forEach(id => {
+        place(id, 0, start);
+        start += extent.get(id) + SIBLING_GAP * 2;
+    });
+    return positions;
+}
+
+function layoutRadial(nodes, edges) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const { roots, children } = buildForest(nodes, edges);
+    const diameter = node => Math.hypot(node.w, node.h);
+    const positions = new Map();
+
+    const leaves = new Map();
+    const countLeaves = id => {
+        const kids = children.get(id);
+        const count = kids.length ? kids.reduce((sum, childId) => sum + countLeaves(childId), 0) : 1;
+        leaves.set(id, count);
+        return count;
+    };
+
+    // Lay out each tree around its own root, then line the trees up left to right
+    let offsetX = 0;
+    roots.forEach(rootId => {
+        countLeaves(rootId);
+
+        // Ring radius grows by the largest node at that depth, and enough for
+        // every node on the ring to fit around its circumference
+        const levels = [];
+        const collect = (id, depth) => {
+            (levels[depth] = levels[depth] || []).push(nodesById.get(id));
+            children.get(id).forEach(childId => collect(childId, depth + 1));
+        };
+        collect(rootId, 0);
+        const radius = [0];
+        for (let depth = 1; depth < levels.length; depth++) {
+            const ring = levels[depth];
+            const largest = Math.max(...ring.map(diameter));
+            const circumference = ring.reduce((sum, node) => sum + diameter(node) + SIBLING_GAP, 0);
+            const previous = Math.max(...levels[depth - 1].map(diameter));
+            radius[depth] = Math.max(
+                radius[depth - 1] + (previous + largest) / 2 + LEVEL_GAP / 2,
+                circumference / (2 * Math.PI)
+            );
+        }
+
+        const centers = new Map();
+        const place = (id, depth, startAngle, endAngle) => {
+            const angle = (startAngle + endAngle) / 2;
+            centers.set(id, {
+                x: Math.cos(angle) * radius[depth],
+                y: Math.sin(angle) * radius[depth]
+            });
+            let childStart = startAngle;
+            children.get(id).forEach(childId => {
+                const span = (endAngle - startAngle) * leaves.get(childId) / leaves.get(id);
+                place(childId, depth + 1, childStart, childStart + span);
+                childStart += span;
+            });
+        };
+        // Start at the top so single children sit above their root
+        place(rootId, 0, -Math.PI / 2, Math.PI * 1.5);
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        centers.forEach((center, id) => {
+            const node = nodesById.get(id);
+            minX = Math.min(minX, center.x - node.w / 2);
+            maxX = Math.max(maxX, center.x + node.w / 2);
+        });
+        centers.forEach((center, id) => {
+            const node = nodesById.get(id);
+            positions.set(id, {
+                x: offsetX + center.x - minX - node.w / 2,
+                y: center.y - node.h / 2
+            });
+        });
+        offsetX += maxX - minX + LEVEL_GAP;
+    });
+    return positions;
+}
+
+// Fruchterman-Reingold style simulation seeded from the current positions, so
+// running it twice refines rather than reshuffles. Fixed nodes exert forces
+// but never move. A final pass pushes apart any boxes that still overlap.
+function layoutForce(nodes, edges, fixedIds, iterations = FORCE_ITERATIONS) {
+    const count = nodes.length;
+    const index = new Map(nodes.map((node, i) => [node.id, i]));
+    const px = nodes.map(node => node.x + node.w / 2);
+    const py = nodes.map(node => node.y + node.h / 2);
+    const fixed = nodes.map(node => fixedIds.has(node.id));
+    const links = edges
+        .map(({ from, to }) => [index.get(from), index.get(to)])
+        .filter(([a, b]) => a !== undefined && b !== undefined && a !== b);
+
+    const averageSize = nodes.reduce((sum, node) => sum + Math.max(node.w, node.h), 0) / count;
+    const k = averageSize + LEVEL_GAP;
+    const dx = new Float64Array(count);
+    const dy = new Float64Array(count);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        dx.fill(0);
+        dy.fill(0);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                let vx = px[i] - px[j];
+                let vy = py[i] - py[j];
+                let dist = Math.hypot(vx, vy);
+                if (dist < 0.01) {
+                    // Stacked nodes: separate them deterministically
+                    vx = Math.cos(i + j);
+                    vy = Math.sin(i + j);
+                    dist = 1;
+                }
+                const force = k * k / dist;
+                dx[i] += vx / dist * force;
+                dy[i] += vy / dist * force;
+                dx[j] -= vx / dist * force;
+                dy[j] -= vy / dist * force;
+            }
+        }
+        links.forEach(([a, b]) => {
+            const vx = px[a] - px[b];
+            const vy = py[a] - py[b];
+            const dist = Math.max(Math.hypot(vx, vy), 0.01);
+            const force = dist * dist / k;
+            dx[a] -= vx / dist * force;
+            dy[a] -= vy / dist * force;
+            dx[b] += vx / dist * force;
+            dy[b] += vy / dist * force;
+        });
+
+        const temperature = k * (1 - iter / iterations);
+        for (let i = 0; i < count; i++) {
+            if (fixed[i]) continue;
+            const length = Math.hypot(dx[i], dy[i]);
+            if (length < 0.01) continue;
+            const step = Math.min(length, temperature);
+            px[i] += dx[i] / length * step;
+            py[i] += dy[i] / length * step;
+        }
+    }
+
+    for (let pass = 0; pass < 50; pass++) {
+        let moved = false;
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                if (fixed[i] && fixed[j]) continue;
+                const a = nodes[i];
+                const b = nodes[j];
+                const overlapX = (a.w + b.w) / 2 + SIBLING_GAP - Math.abs(px[i] - px[j]);
+                const overlapY = (a.h + b.h) / 2 + SIBLING_GAP - Math.abs(py[i] - py[j]);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+                moved = true;
+                const share = fixed[i] || fixed[j] ? 1 : 0.5;
+                if (overlapX < overlapY) {
+                    const push = (px[i] < px[j] || (px[i] === px[j] && i < j) ? -1 : 1) * overlapX * share;
+                    if (!fixed[i]) px[i] += push;
+                    if (!fixed[j]) px[j] -= push;
+                } else {
+                    const push = (py[i] < py[j] || (py[i] === py[j] && i < j) ? -1 : 1) * overlapY * share;
+                    if (!fixed[i]) py[i] += push;
+                    if (!fixed[j]) py[j] -= push;
+                }
+            }
+        }
+        if (!moved) break;
+    }
+
+    return new Map(nodes.map((node, i) => [node.id, { x: px[i] - node.w / 2, y: py[i] - node.h / 2 }]));
+}
+
+function bounds(nodes, positions) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    nodes.forEach(node => {
+        const { x, y } = positions ? positions.get(node.id) : node;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x + node.w);
+        maxY = Math.max(maxY, y + node.h);
+    });
+    return { minX, minY, maxX, maxY };
+}
+
+// Compute target positions for `nodes` ({ id, x, y, w, h, locked }) connected
+// by `edges` ({ from, to, dir }). Locked nodes keep their place: tree and radial
+// layouts are shifted so the top-left locked node stays put, force layouts pin
+// them. Without locked nodes the result is anchored to the current bounds.
+export function computeLayout(type, nodes, edges) {
+    if (!LAYOUT_TYPES.includes(type)) throw new Error(`Unknown layout: ${type}`);
+    if (!nodes.length) return new Map();
+
+    const locked = nodes.filter(node => node.locked).sort(byPosition);
+    if (type === 'force') {
+        return layoutForce(nodes, edges, new Set(locked.map(node => node.id)));
+    }
+
+    const positions = type === 'radial'
+        ? layoutRadial(nodes, edges)
+        : layoutTree(nodes, edges, type === 'tree-horizontal');
+
+    let shiftX;
+    let shiftY;
+    if (locked.length) {
+        const anchor = locked[0];
+        shiftX = anchor.x - positions.get(anchor.id).x;
+        shiftY = anchor.y - positions.get(anchor.id).y;
+    } else {
+        const before = bounds(nodes);
+        const after = bounds(nodes, positions);
+        if (type === 'radial') {
+            shiftX = (before.minX + before.maxX) / 2 - (after.minX + after.maxX) / 2;
+            shiftY = (before.minY + before.maxY) / 2 - (after.minY + after.maxY) / 2;
+        } else {
+            shiftX = before.minX - after.minX;
+            shiftY = before.minY - after.minY;
+        }
+    }
+
+    const result = new Map();
+    nodes.forEach(node => {
+        if (node.locked) {
+            result.set(node.id, { x: node.x, y: node.y });
+            return;
+        }
+        const { x, y } = positions.get(node.id);
+        result.set(node.id, { x: x + shiftX, y: y + shiftY });
+    });
+    return result;
+}
+
+// ============ Apply / Revert ============
+
+// The current multi-selection, or the whole canvas when fewer than two items are
+// selected. Frames are containers rather than nodes and are left where they are.
+function getLayoutScope() {
+    const candidates = state.items.filter(item => item.type !== 'frame' && !item.el.classList.contains('frame-hidden'));
+    if (state.selectedItems.size > 1) {
+        return candidates.filter(item => state.selectedItems.has(item));
+    }
+    return candidates;
+}
+
+// Arrange items with the given layout. Positions from before the first layout
+// (or color grouping) are kept so revertLayout() can restore them.
+export function applyLayout(type) {
+    const items = getLayoutScope();
+    if (items.length < 2) return false;
+
+    const nodes = items.map(({ id, x, y, w, h, locked }) => ({ id, x, y, w, h, locked }));
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = state.connections
+        .filter(c => ids.has(c.from.id) && ids.has(c.to.id))
+        .map(c => ({ from: c.from.id, to: c.to.id, dir: c.dir }));
+    const positions = computeLayout(type, nodes, edges);
+
+    if (state.colorGroupModeActive) {
+        state.setColorGroupModeActive(false);
+        $('sortByColorBtn').classList.remove('active');
+    } else if (!state.layoutModeActive) {
+        saveOriginalPositions();
+    }
+
+    const moved = [];
+    items.forEach(item => {
+        if (item.locked) return;
+        let { x, y } = positions.get(item.id);
+        if (state.gridSnap) {
+            x = Math.round(x / state.GRID_SIZE) * state.GRID_SIZE;
+            y = Math.round(y / state.GRID_SIZE) * state.GRID_SIZE;
+        }
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x === item.x && y === item.y) return;
+        item.x = x;
+        item.y = y;
+        item.el.style.left = x + 'px';
+        item.el.style.top = y + 'px';
+        moved.push(item);
+    });
+    if (moved.length) animateArrangement(moved);
+
+    state.setLayoutModeActive(type);
+    $('layoutBtn').classList.add('active');
+
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+    return true;
+}
+
+// Move every item back to where it was before the first layout was applied
+export function revertLayout() {
+    if (!state.layoutModeActive) return;
+    restoreOriginalPositions();
+    state.setLayoutModeActive(null);
+    state.setOriginalPositions(new Map());
+    $('layoutBtn').classList.remove('active');
+}
@@ -0,0 +1,465 @@
+// KnotPad - Markdown Module (Canvas ⇄ Markdown conversion)
+
+import { esc, stripHtml, sanitizeUrl } from './utils.js';
+import { addMemo, addKeyword, addLink, stripMemoEditorArtifacts, assignItemsToFrames, restackLanes, MEMO_REF_CANVAS_ATTR } from './items.js';
+import { addConnection, updateConnectionLabel } from './connections.js';
+import { findMath } from './math.js';
+
+const BLOCK_TAGS = new Set(['DIV', 'P', 'H1', 'H2', 'H3', 'BLOCKQUOTE', 'UL', 'OL', 'HR', 'PRE', 'TABLE']);
+
+// ============ Memo HTML → Markdown ============
+
+function escapeMarkdownText(text) {
+    const escape = part => part.replace(/([\\`*_~[\]])/g, '\\$1');
+    // Math keeps its LaTeX source
+    let markdown = '';
+    let last = 0;
+    findMath(text).forEach(({ start, end }) => {
+        markdown += escape(text.slice(last, start)) + text.slice(start, end);
+        last = end;
+    });
+    return markdown + escape(text.slice(last));
+}
+
+// Characters that would turn a plain line into a heading, quote, list or rule.
+function escapeLineStart(line) {
+    return line
+        .replace(/^(\s*)([#>+-])(?=\s|#|$)/, '$1\\$2')
+        .replace(/^(\s*\d+)\.(?=\s)/, '$1\\.');
+}
+
+// Move surrounding whitespace outside emphasis markers; `** bold**` is not bold.
+function wrapInline(text, marker, closeMarker = marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${closeMarker}${match[3]}`;
+}
+
+// URLs with spaces or parentheses go in angle brackets, which may hold anything
+// but the brackets themselves and line breaks.
+function linkDestination(url) {
+    const encoded = url.replace(/[<>\r\n]/g, encodeURIComponent);
+    return /[\s()]/.test(encoded) ? `<${encoded}>` : encoded;
+}
+
+function inlineToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        const text = stripMemoEditorArtifacts(node.textContent || '').replace(/[\r\n\t]+/g, ' ');
+        return escapeMarkdownText(text);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const inner = () => [...node.childNodes].map(inlineToMarkdown).join('');
+    switch (node.tagName) {
+        case 'BR':
+            return '\n';
+        case 'STRONG':
+        case 'B':
+            return wrapInline(inner(), '**');
+        case 'EM':
+        case 'I':
+            return wrapInline(inner(), '*');
+        case 'S':
+        case 'STRIKE':
+        case 'DEL':
+            return wrapInline(inner(), '~~');
+        case 'U':
+            return wrapInline(inner(), '<u>', '</u>');
+        case 'CODE':
+            return wrapInline(node.textContent || '', '`');
+        case 'A': {
+            const href = node.getAttribute('href');
+            return href ? `[${inner()}](${linkDestination(href)})` : inner();
+        }
+        case 'SPAN':
+            // Wiki link references, written the way they are typed
+            return node.hasAttribute(MEMO_REF_CANVAS_ATTR) ? `[[${inner()}]]` : inner();
+        default:
+            return BLOCK_TAGS.has(node.tagName) ? '\n' + inner() + '\n' : inner();
+    }
+}
+
+// Inline runs become paragraphs: blank lines split paragraphs, single line
+// breaks become Markdown hard breaks (two trailing spaces).
+function inlineRunToBlocks(markdown) {
+    return markdown
+        .split(/\n[ \t]*\n/)
+        .map(paragraph => paragraph
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(escapeLineStart)
+            .join('  \n'))
+        .filter(Boolean);
+}
+
+function childrenToBlocks(parent) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        blocks.push(...inlineRunToBlocks(inline));
+        inline = '';
+    };
+
+    parent.childNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.has(node.tagName)) {
+            flush();
+            const block = blockToMarkdown(node);
+            if (block) blocks.push(block);
+        } else {
+            inline += inlineToMarkdown(node);
+        }
+    });
+    flush();
+    return blocks;
+}
+
+function listToMarkdown(list) {
+    const ordered = list.tagName === 'OL';
+    let number = parseInt(list.getAttribute('start'), 10) || 1;
+    const lines = [];
+
+    [...list.children].forEach(child => {
+        if (child.tagName === 'UL' || child.tagName === 'OL') {
+            // execCommand('indent') nests lists directly inside lists
+            listToMarkdown(child).split('\n').forEach(line => lines.push(line ? '  ' + line : line));
+            return;
+        }
+        if (child.tagName !== 'LI') return;
+        if (ordered && child.hasAttribute('value')) {
+            number = parseInt(child.getAttribute('value'), 10) || number;
+        }
+        const marker = ordered ? `${number++}. ` : '- ';
+        const [first = '', ...rest] = childrenToBlocks(child).join('\n').split('\n');
+        lines.push(marker + first);
+        rest.forEach(line => lines.push(line ? ' '.repeat(marker.length) + line : line));
+    });
+    return lines.join('\n');
+}
+
+// GFM table with the first row as its header
+function tableToMarkdown(table) {
+    const rows = [...table.rows].map(row => [...row.cells].map(cell => inlineToMarkdown(cell)
+        .trim()
+        .replace(/\s*\n\s*/g, '<br>')
+        .replace(/\|/g, '\\|')));
+    const columns = Math.max(0, ...rows.map(cells => cells.length));
+    if (!columns) return '';
+    const line = cells => `| ${Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ')} |`;
+    return [line(rows[0]), line(Array(columns).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+function blockToMarkdown(el) {
+    switch (el.tagName) {
+        case 'H1':
+        case 'H2':
+        case 'H3': {
+            const text = inlineToMarkdown(el).replace(/\s*\n\s*/g, ' ').trim();
+            return text ? '#'.repeat(Number(el.tagName[1])) + ' ' + text : '';
+        }
+        case 'BLOCKQUOTE':
+            return childrenToBlocks(el).join('\n\n').split('\n')
+                .map(line => line ? '> ' + line : '>')
+                .join('\n');
+        case 'UL':
+        case 'OL':
+            return listToMarkdown(el);
+        case 'HR':
+            return '---';
+        case 'TABLE':
+            return tableToMarkdown(el);
+        case 'PRE':
+            return '```' + (el.getAttribute('data-language') || '') + '\n' + (el.textContent || '').replace(/\n$/, '') + '\n```';
+        case 'DIV':
+            // Checklist item
+            if (el.hasAttribute('data-checked')) {
+                const text = inlineToMarkdown(el).replace(/\s*\n\s*/g, ' ').trim();
+                return (el.getAttribute('data-checked') === 'true' ? '- [x] ' : '- [ ] ') + text;
+            }
+            return childrenToBlocks(el).join('\n\n');
+        default:
+            return childrenToBlocks(el).join('\n\n');
+    }
+}
+
+// Convert stored memo HTML (or legacy plain text) into Markdown blocks
+export function memoHtmlToMarkdown(html) {
+    if (!html) return '';
+    const wrapper = document.createElement('div');
+    if (/<[a-z][\s\S]*>/i.test(html)) {
+        wrapper.innerHTML = html;
+    } else {
+        wrapper.textContent = html;
+        wrapper.innerHTML = wrapper.innerHTML.replace(/\r\n?|\n/g, '<br>');
+    }
+    return childrenToBlocks(wrapper).join('\n\n');
+}
+
+// ============ Canvas → Markdown Outline ============
+
+function byPosition(a, b) {
+    return (a.y - b.y) || (a.x - b.x);
+}
+
+// Markdown for one item's own content (without list marker)
+function itemToMarkdown(item, mediaPaths) {
+    switch (item.type) {
+        case 'memo':
+            return memoHtmlToMarkdown(item.content) || '*(empty memo)*';
+        case 'keyword':
+            return `**${escapeMarkdownText(String(item.content || '').trim()) || '(empty keyword)'}**`;
+        case 'link': {
+            const { url = '', title = '' } = item.content || {};
+            return `[${escapeMarkdownText(title || url)}](${linkDestination(url)})`;
+        }
+        case 'frame':
+            return `**${escapeMarkdownText(String(item.content?.title || '').trim()) || '(untitled frame)'}**`;
+        case 'image':
+        case 'video': {
+            const src = mediaPaths?.get(item.content) || item.content || '';
+            const label = item.type === 'image' ? 'Image' : 'Video';
+            if (!src) return `*(missing ${label.toLowerCase()})*`;
+            const destination = linkDestination(src);
+            return item.type === 'image' ? `![${label}](${destination})` : `[${label}](${destination})`;
+        }
+        default:
+            return '';
+    }
+}
+
+// Plain one-line caption used when an item is referenced a second time
+function itemCaption(item) {
+    const markdown = itemToMarkdown(item, null);
+    const firstLine = markdown.split('\n').find(line => line.trim()) || '';
+    return firstLine.replace(/^(#+|>|-|\d+\.)\s+/, '').trim();
+}
+
+function pushListEntry(lines, depth, body) {
+    const indent = '  '.repeat(depth);
+    const [first = '', ...rest] = body.split('\n');
+    lines.push(`${indent}- ${first}`);
+    rest.forEach(line => lines.push(line ? `${indent}  ${line}` : ''));
+}
+
+// Build a Markdown document from canvas data ({ name, items, connections }).
+// Connected items become a nested outline walked from root items; connection
+// labels annotate the child entry. Items without connections are listed in a
+// trailing section sorted top-to-bottom, left-to-right.
+// `mediaPaths` maps media ids to the relative file path written next to the .md.
+export function canvasToMarkdown(data, mediaPaths = new Map()) {
+    const items = data.items || [];
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const children = new Map();
+    const hasParent = new Set();
+    const connected = new Set();
+
+    (data.connections || []).forEach(conn => {
+        const fromId = typeof conn.from === 'object' ? conn.from?.id : conn.from;
+        const toId = typeof conn.to === 'object' ? conn.to?.id : conn.to;
+        if (!itemsById.has(fromId) || !itemsById.has(toId) || fromId === toId) return;
+        // A backward arrow points at `from`, so the outline flows the other way
+        const [parentId, childId] = conn.dir === 'backward' ? [toId, fromId] : [fromId, toId];
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push({ item: itemsById.get(childId), label: conn.label || '' });
+        hasParent.add(childId);
+        connected.add(parentId);
+        connected.add(childId);
+    });
+    children.forEach(list => list.sort((a, b) => byPosition(a.item, b.item)));
+
+    const lines = [`# ${escapeMarkdownText(data.name || 'Untitled')}`];
+    const visited = new Set();
+
+    const walk = (item, depth, label) => {
+        const annotation = label ? `*(${escapeMarkdownText(label)})* ` : '';
+        if (visited.has(item.id)) {
+            pushListEntry(lines, depth, `${annotation}↪ ${itemCaption(item)}`);
+            return;
+        }
+        visited.add(item.id);
+        pushListEntry(lines, depth, annotation + itemToMarkdown(item, mediaPaths));
+        (children.get(item.id) || []).forEach(child => walk(child.item, depth + 1, child.label));
+    };
+
+    const connectedItems = items.filter(item => connected.has(item.id)).sort(byPosition);
+    if (connectedItems.length) {
+        lines.push('');
+        connectedItems.filter(item => !hasParent.has(item.id)).forEach(root => walk(root, 0, ''));
+        // Cycles have no natural root; start from their top-left item
+        connectedItems.forEach(item => {
+            if (!visited.has(item.id)) walk(item, 0, '');
+        });
+    }
+
+    const unconnected = items.filter(item => !connected.has(item.id)).sort(byPosition);
+    if (unconnected.length) {
+        lines.push('', '## Unconnected', '');
+        unconnected.forEach(item => pushListEntry(lines, 0, itemToMarkdown(item, mediaPaths)));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// ============ Markdown / Indented Text → Outline ============
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BULLET_RE = /^(?:[-*+]|\d+[.)])\s+(.*)$/;
+const RULE_RE = /^(?:-{3,}|\*{3,}|_{3,})$/;
+const LABEL_RE = /^\*\((.+?)\)\*\s+/;
+
+function measureIndent(whitespace) {
+    return whitespace.replace(/\t/g, '    ').length;
+}
+
+// Parse Markdown headings/bullets or plain indented text into a tree of
+// { kind: 'heading'|'item', text, label, children }. Headings nest by level,
+// bullets and plain lines nest by indentation beneath the closest heading.
+// A non-bullet line indented under a bullet continues that bullet's text.
+export function parseOutline(text) {
+    const roots = [];
+    const stack = []; // { node, heading, level }
+    let lastBullet = null;
+
+    const attach = node => {
+        const parent = stack[stack.length - 1];
+        (parent ? parent.node.children : roots).push(node);
+    };
+
+    (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+        if (!rawLine.trim() || RULE_RE.test(rawLine.trim())) return;
+        const [, whitespace, rest] = rawLine.match(/^(\s*)(.*)$/);
+        const indent = measureIndent(whitespace);
+
+        const heading = !indent && rest.match(HEADING_RE);
+        if (heading) {
+            const level = heading[1].length;
+            while (stack.length && (!stack[stack.length - 1].heading || stack[stack.length - 1].level >= level)) {
+                stack.pop();
+            }
+            const node = { kind: 'heading', text: heading[2], label: '', children: [] };
+            attach(node);
+            stack.push({ node, heading: true, level });
+            lastBullet = null;
+            return;
+        }
+
+        const bullet = rest.match(BULLET_RE);
+        if (!bullet && lastBullet && indent > lastBullet.indent) {
+            lastBullet.node.text += '\n' + rest.trim();
+            return;
+        }
+
+        while (stack.length && !stack[stack.length - 1].heading && stack[stack.length - 1].level >= indent) {
+            stack.pop();
+        }
+        let content = (bullet ? bullet[1] : rest).trim();
+        let label = '';
+        const labelMatch = content.match(LABEL_RE);
+        if (labelMatch) {
+            label = labelMatch[1].replace(/\\(.)/g, '$1');
+            content = content.slice(labelMatch[0].length);
+        }
+        const node = { kind: 'item', text: content, label, children: [] };
+        attach(node);
+        const entry = { node, heading: false, level: indent };
+        stack.push(entry);
+        lastBullet = bullet ? { node, indent } : null;
+    });
+
+    return roots;
+}
+
+// True when text has real hierarchy (at least one parent with children)
+export function isOutlineText(text) {
+    const hasNesting = nodes => nodes.some(node => node.children.length || hasNesting(node.children));
+    return hasNesting(parseOutline(text));
+}
+
+// Inline Markdown (bold/italic/strike/code) → memo HTML. Input is escaped first.
+function markdownInlineToHtml(text) {
+    const escapes = [];
+    let html = esc(text.replace(/\\([\\`*_~[\]#>+\-.!()])/g, (_, ch) => `\u0000${escapes.push(ch) - 1}\u0000`));
+    html = html
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>')
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a ?? b}</strong>`)
+        .replace(/(?<![*\w])\*(?!\s)(.+?)\*(?![*\w])|(?<![_\w])_(?!\s)(.+?)_(?![_\w])/g, (_, a, b) => `<em>${a ?? b}</em>`)
+        .replace(/~~(.+?)~~/g, '<strike>$1</strike>')
+        .replace(/&lt;u&gt;(.+?)&lt;\/u&gt;/g, '<u>$1</u>')
+        .replace(/!?\[([^\]]*)\]\((?:&lt;(.*?)&gt;|([^)\s]+))\)/g, (_, label, bracketed, bare) => {
+            const url = bracketed ?? bare;
+            return label ? `${label} (${url})` : url;
+        });
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => esc(escapes[i]));
+}
+
+function outlineTextToMemoHtml(text) {
+    return text.split('\n')
+        .map(line => {
+            const heading = line.match(/^(#{1,3})\s+(.*)$/);
+            if (heading) return `<h${heading[1].length}>${markdownInlineToHtml(heading[2])}</h${heading[1].length}>`;
+            return `<div data-knotpad-paragraph="true">${markdownInlineToHtml(line) || '<br>'}</div>`;
+        })
+        .join('');
+}
+
+function createOutlineItem(node, x, y) {
+    if (node.kind === 'heading') {
+        return addKeyword(stripHtml(markdownInlineToHtml(node.text)).trim(), x, y);
+    }
+    // A bullet that is nothing but a Markdown link becomes a link node
+    const linkMatch = node.text.match(/^\[([^\]]*)\]\((?:<([^<>\n]*)>|([^)\s]+))\)$/);
+    const url = linkMatch && sanitizeUrl(linkMatch[2] ?? linkMatch[3]);
+    if (url) return addLink(url, linkMatch[1].replace(/\\(.)/g, '$1'), x, y);
+    return addMemo(outlineTextToMemoHtml(node.text), x, y);
+}
+
+// Create one node per heading/bullet and connect children to their parents,
+// laid out as a left-to-right tree whose first root starts at (x, y).
+// Returns the created items; the caller records history and autosaves.
+export function importOutline(text, x, y) {
+    const roots = parseOutline(text);
+    const created = [];
+    const hGap = 100;
+    const vGap = 24;
+
+    const build = node => {
+        node.item = createOutlineItem(node, x, y);
+        created.push(node.item);
+        node.children.forEach(build);
+        const childrenHeight = node.children.reduce((sum, child) => sum + child.height, 0)
+            + vGap * Math.max(0, node.children.length - 1);
+        node.height = Math.max(node.item.h, childrenHeight);
+    };
+
+    const place = (node, left, top) => {
+        const item = node.item;
+        item.x = left;
+        item.y = top + (node.height - item.h) / 2;
+        item.el.style.left = item.x + 'px';
+        item.el.style.top = item.y + 'px';
+
+        const childrenHeight = node.children.reduce((sum, child) => sum + child.height, 0)
+            + vGap * Math.max(0, node.children.length - 1);
+        let childTop = top + (node.height - childrenHeight) / 2;
+        node.children.forEach(child => {
+            place(child, left + item.w + hGap, childTop);
+            const conn = addConnection(item, 'right', child.item, 'left');
+            if (conn && child.label) {
+                conn.label = child.label;
+                updateConnectionLabel(conn);
+            }
+            childTop += child.height + vGap;
+        });
+    };
+
+    roots.forEach(build);
+    let top = y;
+    roots.forEach(root => {
+        place(root, x, top);
+        top += root.height + vGap * 2;
+    });
+    // Membership follows where the layout put each item
+    if (assignItemsToFrames(created)) restackLanes();
+    return created;
+}
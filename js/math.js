@@ -0,0 +1,309 @@
+// KnotPad - Math Module (Offline LaTeX rendering for memos and keywords)
+// Renders a practical subset of LaTeX (scripts, fractions, roots, Greek
+// letters, operators, accents, fonts, delimiters) to HTML and CSS, so math
+// works without a network connection. The source stays in the stored text:
+// rendered math is an editor decoration like code highlighting.
+
+import { esc } from './utils.js';
+
+export const MATH_SOURCE_ATTR = 'data-math';
+
+// $$display$$ or $inline$; inline math may not start or end with a space or
+// be followed by a digit, so prices like "$5 and $10" stay text
+const MATH_PATTERN = /(?<!\\)\$\$([\s\S]+?)\$\$|(?<![\\$])\$(?=[^\s$])((?:\\.|[^$\\\n])*?[^\s\\])\$(?!\d)/g;
+
+const SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+    vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+    varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', emptyset: '∅', varnothing: '∅', aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ',
+    forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', top: '⊤', bot: '⊥', angle: '∠', triangle: '△',
+    prime: '′', degree: '°', circ: '∘', bullet: '∙', star: '⋆', dagger: '†',
+    ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…',
+    langle: '⟨', rangle: '⟩', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', vert: '|', Vert: '‖', '|': '‖',
+    '{': '{', '}': '}', '$': '$', '%': '%', '&': '&', '#': '#', '_': '_'
+};
+
+// Symbols spaced as binary operators or relations
+const OPERATORS = {
+    pm: '±', mp: '∓', times: '×', div: '÷', cdot: '·', ast: '∗', setminus: '∖', cup: '∪', cap: '∩', wedge: '∧', land: '∧',
+    vee: '∨', lor: '∨', oplus: '⊕', otimes: '⊗', odot: '⊙',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+    propto: '∝', ll: '≪', gg: '≫', in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇',
+    mid: '∣', parallel: '∥', perp: '⊥', to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+    Rightarrow: '⇒', implies: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⇔', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+    colon: ':', coloneqq: '≔'
+};
+
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+    bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+const FUNCTIONS = new Set(['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg', 'dim', 'ker',
+    'arg', 'Pr', 'mod', 'bmod']);
+
+// Scripts of these go above and below in display math
+const LIMITS = new Set(['sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes',
+    'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr']);
+
+const ACCENTS = { hat: 'ˆ', widehat: 'ˆ', tilde: '˜', widetilde: '˜', bar: '¯', vec: '→', dot: '˙', ddot: '¨', check: 'ˇ', breve: '˘' };
+
+// Fonts taking a math argument, and those taking plain text
+const MATH_FONTS = { mathrm: 'math-rm', mathbf: 'math-bf', boldsymbol: 'math-bf', mathit: 'math-it', mathsf: 'math-sf', mathtt: 'math-tt', mathcal: 'math-cal' };
+const TEXT_FONTS = { text: 'math-text', textrm: 'math-text', mbox: 'math-text', textbf: 'math-text math-bf', textit: 'math-text math-it', operatorname: 'math-fn' };
+
+const DOUBLE_STRUCK = { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+const SPACES = { ',': 0.17, ':': 0.22, '>': 0.22, ';': 0.28, ' ': 0.25, quad: 1, qquad: 2, '!': -0.17 };
+
+// Sizing commands are accepted but not scaled
+const IGNORED = new Set(['displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'big', 'Big', 'bigg', 'Bigg',
+    'bigl', 'bigr', 'Bigl', 'Bigr', 'middle']);
+
+// ============ Parsing ============
+
+function tokenize(source) {
+    const tokens = [];
+    for (const [, command, special, space, char] of source.matchAll(/\\([a-zA-Z]+|[^a-zA-Z])|([{}^_&])|(\s+)|([\s\S])/g)) {
+        if (command !== undefined) tokens.push({ type: 'command', value: command });
+        else if (special) tokens.push({ type: special });
+        else if (space) tokens.push({ type: 'space' });
+        else tokens.push({ type: 'char', value: char });
+    }
+    return tokens;
+}
+
+function tokenText(token) {
+    if (token.type === 'command') return '\\' + token.value;
+    if (token.type === 'space') return ' ';
+    return token.value ?? token.type;
+}
+
+const span = (className, html) => `<span class="${className}">${html}</span>`;
+
+function renderTokens(tokens, display) {
+    let pos = 0;
+
+    const skipSpaces = () => {
+        while (tokens[pos]?.type === 'space') pos++;
+    };
+
+    // Tokens up to the matching close brace, which is consumed
+    const takeGroup = () => {
+        const group = [];
+        let depth = 1;
+        while (pos < tokens.length) {
+            const token = tokens[pos++];
+            if (token.type === '{') depth++;
+            if (token.type === '}' && !--depth) break;
+            group.push(token);
+        }
+        return group;
+    };
+
+    // A braced group or a single token
+    const takeArgument = () => {
+        skipSpaces();
+        const token = tokens[pos];
+        if (!token) return [];
+        pos++;
+        return token.type === '{' ? takeGroup() : [token];
+    };
+
+    const renderArgument = () => renderTokens(takeArgument(), display);
+    const argumentText = () => takeArgument().map(tokenText).join('');
+
+    // [...] right after a command, for \sqrt[n]
+    const takeOptional = () => {
+        if (tokens[pos]?.value !== '[') return null;
+        const end = tokens.findIndex((token, i) => i > pos && token.value === ']');
+        if (end < 0) return null;
+        const inner = tokens.slice(pos + 1, end);
+        pos = end + 1;
+        return inner;
+    };
+
+    const delimiter = () => {
+        skipSpaces();
+        const token = tokens[pos++];
+        if (!token || token.value === '.') return '';
+        const char = token.type === 'command' && Object.hasOwn(SYMBOLS, token.value) ? SYMBOLS[token.value] : token.value ?? '';
+        return span('math-delim', esc(char));
+    };
+
+    function renderCommand(name) {
+        if (Object.hasOwn(SPACES, name)) return `<span class="math-space" style="margin-right:${SPACES[name]}em"></span>`;
+        if (name === '\\') return '<br>';
+        if (IGNORED.has(name)) return { html: '' };
+        if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+            const num = renderArgument();
+            return span('math-frac', span('math-numer', num) + span('math-denom', renderArgument()));
+        }
+        if (name === 'binom') {
+            const top = renderArgument();
+            return span('math-delim', '(') + span('math-frac math-binom', span('math-numer', top) + span('math-denom', renderArgument())) + span('math-delim', ')');
+        }
+        if (name === 'sqrt') {
+            const index = takeOptional();
+            return span('math-sqrt', (index ? span('math-root-index', renderTokens(index, display)) : '')
+                + span('math-radical', '√') + span('math-radicand', renderArgument()));
+        }
+        if (name === 'left' || name === 'right') return delimiter();
+        if (name === 'overline' || name === 'underline') return span(`math-${name}`, renderArgument());
+        if (Object.hasOwn(ACCENTS, name)) return span('math-accent', span('math-accent-mark', ACCENTS[name]) + renderArgument());
+        if (name === 'mathbb') {
+            return span('math-rm', esc(argumentText().replace(/[A-Z]/g, c => DOUBLE_STRUCK[c] || c)));
+        }
+        if (Object.hasOwn(MATH_FONTS, name)) return span(MATH_FONTS[name], renderArgument());
+        if (Object.hasOwn(TEXT_FONTS, name)) return span(TEXT_FONTS[name], esc(argumentText()));
+        if (Object.hasOwn(LARGE_OPERATORS, name)) return { html: span('math-large-op', LARGE_OPERATORS[name]), limits: LIMITS.has(name) };
+        if (FUNCTIONS.has(name)) return { html: span('math-fn', name), limits: LIMITS.has(name) };
+        if (Object.hasOwn(OPERATORS, name)) return span('math-op', OPERATORS[name]);
+        if (Object.hasOwn(SYMBOLS, name)) return span('math-ord', esc(SYMBOLS[name]));
+        return span('math-error', esc('\\' + name));
+    }
+
+    // One atom: a group, a command, a number or a single character
+    function renderAtom() {
+        const token = tokens[pos++];
+        if (token.type === '{') return { html: span('math-group', renderTokens(takeGroup(), display)) };
+        if (token.type === 'command') {
+            const result = renderCommand(token.value);
+            return typeof result === 'string' ? { html: result } : result;
+        }
+        if (token.type === '&') return { html: '<span class="math-space" style="margin-right:1em"></span>' };
+        const char = token.value ?? '';
+        if (/[0-9.]/.test(char)) {
+            let number = char;
+            while (/^[0-9.]$/.test(tokens[pos]?.value || '')) number += tokens[pos++].value;
+            return { html: span('math-num', number) };
+        }
+        if (/[a-zA-Z]/.test(char)) return { html: span('math-var', char) };
+        if ('+-*/=<>'.includes(char)) {
+            return { html: span('math-op', { '-': '−', '*': '∗' }[char] || esc(char)) };
+        }
+        if (char === "'") return { html: span('math-ord', '′') };
+        if (char === ',' || char === ';') return { html: span('math-punct', char) };
+        return { html: span('math-ord', esc(char)) };
+    }
+
+    let html = '';
+    while (pos < tokens.length) {
+        const token = tokens[pos];
+        if (token.type === 'space' || token.type === '}') {
+            pos++;
+            continue;
+        }
+        // A script may have no base
+        const atom = token.type === '^' || token.type === '_' ? { html: span('math-group', '') } : renderAtom();
+        let sup = null;
+        let sub = null;
+        for (;;) {
+            skipSpaces();
+            const next = tokens[pos];
+            if (next?.type === '^' && sup === null) {
+                pos++;
+                sup = renderArgument();
+            } else if (next?.type === '_' && sub === null) {
+                pos++;
+                sub = renderArgument();
+            } else {
+                break;
+            }
+        }
+        if (sup === null && sub === null) {
+            html += atom.html;
+        } else if (atom.limits && display) {
+            html += span('math-limits', (sup !== null ? span('math-over', sup) : '')
+                + span('math-limits-base', atom.html) + (sub !== null ? span('math-under', sub) : ''));
+        } else if (sup !== null && sub !== null) {
+            html += atom.html + span('math-supsub', span('math-sup', sup) + span('math-sub', sub));
+        } else {
+            html += atom.html + (sup !== null ? span('math-sup', sup) : span('math-sub', sub));
+        }
+    }
+    return html;
+}
+
+/**
+ * HTML for a LaTeX expression (without its $ delimiters).
+ * Unknown commands are shown as source instead of failing.
+ * @param {string} source
+ * @param {boolean} [display] - Display style: centered, with limits above and below
+ * @returns {string}
+ */
+export function renderLatex(source, display = false) {
+    return span(display ? 'math math-display' : 'math', renderTokens(tokenize(source.trim()), display));
+}
+
+// ============ Documents ============
+
+/**
+ * Math runs in a piece of text.
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, source: string, latex: string, display: boolean }>}
+ */
+export function findMath(text) {
+    return [...(text || '').matchAll(MATH_PATTERN)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        source: match[0],
+        latex: match[1] ?? match[2],
+        display: match[1] !== undefined
+    }));
+}
+
+function createMathElement({ source, latex, display }) {
+    const el = document.createElement('span');
+    el.className = display ? 'math-render math-block' : 'math-render';
+    el.setAttribute(MATH_SOURCE_ATTR, source);
+    el.setAttribute('contenteditable', 'false');
+    el.innerHTML = renderLatex(latex, display);
+    return el;
+}
+
+// Replace math in the text of an element with rendered math. Code is left
+// alone. Returns the number of expressions rendered.
+export function renderMathIn(root) {
+    if (!root?.textContent.includes('$')) return 0;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest(`pre, code, [${MATH_SOURCE_ATTR}]`)
+            ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    let count = 0;
+    textNodes.forEach(node => {
+        const runs = findMath(node.data);
+        // Later runs first, so earlier offsets stay valid
+        runs.reverse().forEach(run => {
+            const rest = node.splitText(run.start);
+            rest.data = rest.data.slice(run.end - run.start);
+            rest.before(createMathElement(run));
+            count++;
+        });
+    });
+    return count;
+}
+
+// Put rendered math back as its source text
+export function unrenderMath(root) {
+    const rendered = root.querySelectorAll(`[${MATH_SOURCE_ATTR}]`);
+    rendered.forEach(el => el.replaceWith(el.getAttribute(MATH_SOURCE_ATTR)));
+    return rendered.length;
+}
+
+/**
+ * Swap one rendered expression for its editable source.
+ * @param {Element} el - A rendered math element
+ * @returns {Text} The source text node
+ */
+export function revealMath(el) {
+    const text = document.createTextNode(el.getAttribute(MATH_SOURCE_ATTR));
+    el.replaceWith(text);
+    return text;
+}
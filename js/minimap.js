@@ -0,0 +1,221 @@
+// KnotPad - Minimap Module (Overview of the canvas and click-to-navigate)
+// Shared with the exported read-only viewer, so it only depends on the
+// viewport and state modules.
+
+import { $ } from './utils.js';
+import * as state from './state.js';
+import { colorVar } from './palette.js';
+import { updateTransform, setMinimapUpdateFn } from './viewport.js';
+
+const minimapContent = $('minimapContent');
+let minimapClickController;
+
+// ============ Minimap ============
+
+const minimapCache = {
+    structureDirty: true,
+    visibleItems: [],
+    visibleConnections: [],
+    itemElements: new Map(),
+    connectionElements: new Map(),
+    viewportElement: null,
+    minX: 0,
+    minY: 0,
+    scale: 1
+};
+
+function rebuildMinimapStructure() {
+    const visibleItems = state.items.filter(i => !i.el.classList.contains('filtered-out') && !i.el.classList.contains('frame-hidden'));
+    const visibleSet = new Set(visibleItems);
+    const visibleConnections = state.connections.filter(c => visibleSet.has(c.from) && visibleSet.has(c.to));
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.style.cssText = 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none';
+    const connectionElements = new Map();
+    visibleConnections.forEach(connection => {
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('stroke', 'var(--accent-dim)');
+        line.setAttribute('stroke-width', '1');
+        svg.appendChild(line);
+        connectionElements.set(connection, line);
+    });
+
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(svg);
+    const itemElements = new Map();
+    visibleItems.forEach(item => {
+        const element = document.createElement('div');
+        element.className = item.type === 'frame' ? 'minimap-item minimap-frame' : 'minimap-item';
+        fragment.appendChild(element);
+        itemElements.set(item, element);
+    });
+    const viewportElement = document.createElement('div');
+    viewportElement.className = 'minimap-viewport';
+    fragment.appendChild(viewportElement);
+    minimapContent.replaceChildren(fragment);
+
+    Object.assign(minimapCache, {
+        structureDirty: false,
+        visibleItems,
+        visibleConnections,
+        itemElements,
+        connectionElements,
+        viewportElement
+    });
+}
+
+function updateMinimapViewport() {
+    const viewport = minimapCache.viewportElement;
+    if (!viewport) return;
+    const s = minimapCache.scale;
+    viewport.style.left = `${(-state.offsetX / state.scale - minimapCache.minX) * s}px`;
+    viewport.style.top = `${(-state.offsetY / state.scale - minimapCache.minY) * s}px`;
+    viewport.style.width = `${innerWidth / state.scale * s}px`;
+    viewport.style.height = `${innerHeight / state.scale * s}px`;
+}
+
+function updateMinimapGeometry() {
+    const visible = minimapCache.visibleItems;
+    if (!visible.length) {
+        minimapCache.minX = 0;
+        minimapCache.minY = 0;
+        minimapCache.scale = 1;
+        if (minimapCache.viewportElement) minimapCache.viewportElement.style.display = 'none';
+        return;
+    }
+    minimapCache.viewportElement.style.display = '';
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    visible.forEach(i => {
+        minX = Math.min(minX, i.x);
+        minY = Math.min(minY, i.y);
+        maxX = Math.max(maxX, i.x + i.w);
+        maxY = Math.max(maxY, i.y + i.h);
+    });
+
+    minX -= 80; minY -= 80; maxX += 80; maxY += 80;
+    const s = Math.min(160 / (maxX - minX), 100 / (maxY - minY));
+
+    minimapCache.minX = minX;
+    minimapCache.minY = minY;
+    minimapCache.scale = s;
+
+    minimapCache.visibleConnections.forEach(c => {
+        const line = minimapCache.connectionElements.get(c);
+        const fx = (c.from.x + c.from.w / 2 - minX) * s;
+        const fy = (c.from.y + c.from.h / 2 - minY) * s;
+        const tx = (c.to.x + c.to.w / 2 - minX) * s;
+        const ty = (c.to.y + c.to.h / 2 - minY) * s;
+        line.setAttribute('x1', fx);
+        line.setAttribute('y1', fy);
+        line.setAttribute('x2', tx);
+        line.setAttribute('y2', ty);
+    });
+
+    visible.forEach(i => {
+        const element = minimapCache.itemElements.get(i);
+        const bg = colorVar(i.color) || 'var(--text-secondary)';
+        element.style.left = `${(i.x - minX) * s}px`;
+        element.style.top = `${(i.y - minY) * s}px`;
+        element.style.width = `${Math.max(3, i.w * s)}px`;
+        element.style.height = `${Math.max(2, i.h * s)}px`;
+        if (i.type === 'frame') element.style.borderColor = bg;
+        else element.style.background = bg;
+    });
+    updateMinimapViewport();
+}
+
+export function updateMinimap(mode = 'structure') {
+    const minimap = $('minimap');
+    if (mode === 'structure') minimapCache.structureDirty = true;
+    if (minimap?.classList.contains('hidden-responsive')) return;
+    let structureRebuilt = false;
+    if (minimapCache.structureDirty) {
+        rebuildMinimapStructure();
+        structureRebuilt = true;
+    }
+    if (structureRebuilt || mode !== 'viewport' || !minimapCache.viewportElement) updateMinimapGeometry();
+    else updateMinimapViewport();
+}
+
+// Register minimap update function
+setMinimapUpdateFn(updateMinimap);
+
+export function setupMinimapClick() {
+    if (minimapClickController) minimapClickController.abort();
+    minimapClickController = new AbortController();
+    const { signal } = minimapClickController;
+
+    $('minimap').addEventListener('click', e => {
+        if (!state.items.length) return;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        state.items.forEach(i => {
+            minX = Math.min(minX, i.x);
+            minY = Math.min(minY, i.y);
+            maxX = Math.max(maxX, i.x + i.w);
+            maxY = Math.max(maxY, i.y + i.h);
+        });
+
+        minX -= 80; minY -= 80; maxX += 80; maxY += 80;
+        const rect = $('minimap').getBoundingClientRect();
+        const sx = (maxX - minX) / 160;
+        const sy = (maxY - minY) / 100;
+        const clickX = (e.clientX - rect.left) * sx + minX;
+        const clickY = (e.clientY - rect.top) * sy + minY;
+        const targetX = innerWidth / 2 - clickX * state.scale;
+        const targetY = innerHeight / 2 - clickY * state.scale;
+        const startX = state.offsetX;
+        const startY = state.offsetY;
+        const startTime = performance.now();
+        const duration = 200;
+
+        function animate(now) {
+            const t = Math.min((now - startTime) / duration, 1);
+            const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+            state.setOffsetX(startX + (targetX - startX) * ease);
+            state.setOffsetY(startY + (targetY - startY) * ease);
+            updateTransform();
+            if (t < 1) requestAnimationFrame(animate);
+            else updateMinimap();
+        }
+        requestAnimationFrame(animate);
+    }, { signal });
+}
+
+// ============ Minimap Responsive Hide ============
+
+let minimapResizeController;
+
+function checkMinimapOverlap() {
+    const minimap = $('minimap');
+    const toolbar = document.querySelector('.toolbar');
+    if (!minimap || !toolbar) return;
+
+    const minimapRect = minimap.getBoundingClientRect();
+    const toolbarRect = toolbar.getBoundingClientRect();
+
+    // Check if they overlap (with some padding for visual comfort)
+    const padding = 8;
+    const overlaps = toolbarRect.right + padding >= minimapRect.left &&
+                     toolbarRect.bottom + padding >= minimapRect.top &&
+                     toolbarRect.top - padding <= minimapRect.bottom;
+
+    const wasHidden = minimap.classList.contains('hidden-responsive');
+    if (overlaps) {
+        minimap.classList.add('hidden-responsive');
+    } else {
+        minimap.classList.remove('hidden-responsive');
+        if (wasHidden) updateMinimap(minimapCache.structureDirty ? 'structure' : 'geometry');
+    }
+}
+
+export function setupMinimapResponsiveHide() {
+    if (minimapResizeController) minimapResizeController.abort();
+    minimapResizeController = new AbortController();
+    const { signal } = minimapResizeController;
+
+    // Check on resize
+    window.addEventListener('resize', checkMinimapOverlap, { signal });
+
+    // Initial check
+    checkMinimapOverlap();
+}
@@ -0,0 +1,358 @@
+// KnotPad - Outliner Module (The connection graph as an editable, indented outline)
+// The outline is the same forest Tree layout arranges: connections lead from
+// parent to child and siblings are ordered by their position on the canvas.
+// Structural edits therefore connect, disconnect and move items so that the
+// canvas reads the same way as the outline.
+
+import { $, esc } from './utils.js';
+import * as state from './state.js';
+import { getEditableText, setItemText, addMemo, deleteItem, selectItem, extractPlainTextFromMemoHtml } from './items.js';
+import { addConnection, deleteConnection } from './connections.js';
+import { buildForest } from './layout.js';
+import { panToItem, throttledMinimap } from './viewport.js';
+import { createPanelRenderer, itemOfRow } from './panel-sync.js';
+import eventBus, { Events } from './events-bus.js';
+
+const panel = $('outlinePanel');
+const LEVEL_GAP = 100;  // Horizontal gap between an item and its children
+const SIBLING_GAP = 24; // Vertical gap between siblings
+
+const collapsedIds = new Set();
+// A line typed into but not yet committed as a history step
+let editingLine = false;
+let outlinerController;
+
+// ============ Tree ============
+
+/**
+ * The items of the canvas as an outline. An item with several parents is
+ * listed under the first one reached.
+ * @returns {Array<{ item: Object, parent: Object|null, children: Array }>} Root nodes
+ */
+export function buildOutline(items = state.items, connections = state.connections) {
+    const { roots, children } = buildForest(items, connections.map(c => ({ from: c.from.id, to: c.to.id, dir: c.dir })));
+    const itemsById = new Map(items.map(item => [item.id, item]));
+    const toNode = (id, parent) => {
+        const node = { item: itemsById.get(id), parent, children: [] };
+        node.children = (children.get(id) || []).map(childId => toNode(childId, node));
+        return node;
+    };
+    return roots.map(id => toNode(id, null));
+}
+
+function findNode(nodes, item) {
+    for (const node of nodes) {
+        if (node.item === item) return node;
+        const found = findNode(node.children, item);
+        if (found) return found;
+    }
+    return null;
+}
+
+function siblingsOf(node, roots) {
+    return node.parent ? node.parent.children : roots;
+}
+
+// The connection that makes `child` a child of `parent`, in either direction
+function treeConnection(parent, child) {
+    return state.connections.find(c => (c.from === parent && c.to === child) || (c.from === child && c.to === parent));
+}
+
+// ============ Moving Items ============
+
+function shiftSubtree(node, dx, dy) {
+    if (!dx && !dy) return;
+    const move = n => {
+        n.item.x = Math.round(n.item.x + dx);
+        n.item.y = Math.round(n.item.y + dy);
+        n.item.el.style.left = n.item.x + 'px';
+        n.item.el.style.top = n.item.y + 'px';
+        n.children.forEach(move);
+    };
+    move(node);
+}
+
+function placeSubtree(node, x, y) {
+    shiftSubtree(node, x - node.item.x, y - node.item.y);
+}
+
+// Push siblings down where needed so position order matches list order.
+// Root lists are left alone; roots include every unconnected item.
+function keepOrder(siblings) {
+    for (let i = 1; i < siblings.length; i++) {
+        const prev = siblings[i - 1].item;
+        const node = siblings[i];
+        if (node.item.y <= prev.y) placeSubtree(node, node.item.x, prev.y + prev.h + SIBLING_GAP);
+    }
+}
+
+// The end a connection leads from, as buildForest reads it
+function parentEnd(c) {
+    return c.dir === 'backward' ? c.to : c.from;
+}
+
+function reparent(node, parent) {
+    // Every other parent is let go as well, or the item would move under the
+    // next one instead of where the outline puts it
+    state.connections
+        .filter(c => (c.dir === 'backward' ? c.from : c.to) === node.item && parentEnd(c) !== parent?.item)
+        .forEach(c => deleteConnection(c, false, false));
+    if (parent && !treeConnection(parent.item, node.item)) {
+        addConnection(parent.item, 'right', node.item, 'left');
+    }
+    node.parent = parent;
+}
+
+function commitStructure() {
+    eventBus.emit(Events.CONNECTIONS_UPDATE_ALL);
+    throttledMinimap();
+    eventBus.emit(Events.STATE_SAVE);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// ============ Structural Edits ============
+
+// Make an item the last child of the sibling above it
+export function indentItem(item) {
+    const roots = buildOutline();
+    const node = findNode(roots, item);
+    const siblings = siblingsOf(node, roots);
+    const index = siblings.indexOf(node);
+    if (index < 1) return false;
+    const parent = siblings[index - 1];
+    const last = parent.children[parent.children.length - 1];
+    reparent(node, parent);
+    collapsedIds.delete(parent.item.id);
+    placeSubtree(node, parent.item.x + parent.item.w + LEVEL_GAP, last ? last.item.y + last.item.h + SIBLING_GAP : parent.item.y);
+    keepOrder([...parent.children, node]);
+    commitStructure();
+    return true;
+}
+
+// Make an item the sibling that follows its parent
+export function outdentItem(item) {
+    const roots = buildOutline();
+    const node = findNode(roots, item);
+    const parent = node.parent;
+    if (!parent) return false;
+    const grandparent = parent.parent;
+    reparent(node, grandparent);
+    placeSubtree(node, parent.item.x, parent.item.y + parent.item.h + SIBLING_GAP);
+    if (grandparent) {
+        const siblings = grandparent.children.filter(sibling => sibling !== node);
+        siblings.splice(siblings.indexOf(parent) + 1, 0, node);
+        keepOrder(siblings);
+    }
+    commitStructure();
+    return true;
+}
+
+// Swap an item with the sibling above (-1) or below (+1) it
+export function moveItemInOutline(item, delta) {
+    const roots = buildOutline();
+    const node = findNode(roots, item);
+    const siblings = siblingsOf(node, roots);
+    const other = siblings[siblings.indexOf(node) + delta];
+    if (!other) return false;
+    const [first, second] = delta < 0 ? [other, node] : [node, other];
+    const { x, y } = first.item;
+    placeSubtree(second, x, y);
+    placeSubtree(first, x, y + second.item.h + SIBLING_GAP);
+    // Siblings further down stay below the pair
+    if (node.parent) keepOrder(siblings.map(sibling => (sibling === first ? second : sibling === second ? first : sibling)));
+    commitStructure();
+    return true;
+}
+
+// New empty memo listed right after an item, or as the last root
+export function addOutlineItem(after = null) {
+    const roots = buildOutline();
+    const node = after && findNode(roots, after);
+    const last = roots[roots.length - 1];
+    const x = node ? node.item.x : (last ? last.item.x : 0);
+    const y = node ? node.item.y + node.item.h + SIBLING_GAP : (last ? last.item.y + last.item.h + SIBLING_GAP : 0);
+    const item = addMemo('', x, y);
+    if (node?.parent) {
+        const created = { item, parent: null, children: [] };
+        reparent(created, node.parent);
+        const siblings = [...node.parent.children];
+        siblings.splice(siblings.indexOf(node) + 1, 0, created);
+        keepOrder(siblings);
+    }
+    commitStructure();
+    return item;
+}
+
+// Remove an empty line without children, as in a text editor
+export function deleteOutlineItem(item) {
+    const node = findNode(buildOutline(), item);
+    if (!node || node.children.length || getEditableText(item) !== '') return false;
+    deleteItem(item);
+    return true;
+}
+
+// ============ Rendering ============
+
+function rowHtml(node, depth) {
+    const { item } = node;
+    const text = getEditableText(item);
+    const collapsed = collapsedIds.has(item.id);
+    const toggle = node.children.length
+        ? `<button class="outline-toggle${collapsed ? ' collapsed' : ''}" title="${collapsed ? 'Expand' : 'Collapse'}"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><path d="M6 9l6 6 6-6"/></svg></button>`
+        : '<span class="outline-toggle"></span>';
+    const swatch = item.color ? ` style="--swatch: var(--tag-${item.color})"` : '';
+    // Multi-line and formatted memos, and media, are edited on the canvas
+    let body;
+    if (text !== null && !text.includes('\n')) {
+        body = `<input class="outline-text" value="${esc(text)}" placeholder="${item.type === 'memo' ? 'Empty memo' : ''}" spellcheck="false">`;
+    } else {
+        const plain = item.type === 'memo' ? extractPlainTextFromMemoHtml(item.content || '') : (text || item.type);
+        body = `<span class="outline-text outline-readonly" tabindex="0" title="Edit on the canvas">${esc(plain.split('\n').find(line => line.trim()) || plain)}</span>`;
+    }
+    return `<div class="outline-row" data-id="${esc(item.id)}" style="--depth: ${depth}">${toggle}`
+        + `<button class="outline-bullet${item.color ? ' has-color' : ''}"${swatch} title="Show on canvas"></button>${body}</div>`;
+}
+
+function render(focusId = null) {
+    const ids = new Set(state.items.map(i => i.id));
+    collapsedIds.forEach(id => { if (!ids.has(id)) collapsedIds.delete(id); });
+
+    const rows = [];
+    const walk = (node, depth) => {
+        rows.push(rowHtml(node, depth));
+        if (!collapsedIds.has(node.item.id)) node.children.forEach(child => walk(child, depth + 1));
+    };
+    buildOutline().forEach(root => walk(root, 0));
+    $('outlineBody').innerHTML = rows.join('') || '<div class="outline-empty">This canvas is empty</div>';
+    if (focusId) focusRow(focusId);
+}
+
+function focusRow(id, atEnd = true) {
+    const row = [...$('outlineBody').children].find(r => r.dataset.id === id);
+    const field = row?.querySelector('.outline-text');
+    if (!field) return;
+    field.focus();
+    if (atEnd && field.tagName === 'INPUT') field.setSelectionRange(field.value.length, field.value.length);
+}
+
+// Keyboard focus stays on its line across renders; a line being typed into is
+// left alone until it is committed
+const renderer = createPanelRenderer(() => {
+    const active = document.activeElement;
+    render($('outlineBody').contains(active) ? active.closest('.outline-row')?.dataset.id : null);
+}, { isOpen: () => isOutlineOpen(), isEditing: () => editingLine });
+
+// Take the history step for the line being edited. The save also schedules
+// the render that was held back while typing.
+function commitLine() {
+    editingLine = false;
+    eventBus.emit(Events.STATE_SAVE);
+}
+
+// ============ Open / Close ============
+
+export function isOutlineOpen() {
+    return panel.classList.contains('active');
+}
+
+export function openOutline() {
+    render();
+    panel.classList.add('active');
+    $('outlineBtn').classList.add('active');
+    $('outlineBody').querySelector('.outline-text')?.focus();
+}
+
+export function closeOutline() {
+    renderer.cancel();
+    panel.classList.remove('active');
+    $('outlineBtn').classList.remove('active');
+}
+
+// ============ Setup ============
+
+export function setupOutliner() {
+    if (outlinerController) outlinerController.abort();
+    outlinerController = new AbortController();
+    const { signal } = outlinerController;
+
+    $('outlineBtn').addEventListener('click', () => (isOutlineOpen() ? closeOutline() : openOutline()), { signal });
+    $('outlineClose').addEventListener('click', closeOutline, { signal });
+    $('outlineAdd').addEventListener('click', () => render(addOutlineItem().id), { signal });
+
+    panel.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeOutline();
+            return;
+        }
+        const item = e.target.classList.contains('outline-text') && itemOfRow(e.target, '.outline-row');
+        if (!item || e.isComposing) return;
+        const mod = e.ctrlKey || e.metaKey;
+        const structural = action => {
+            e.preventDefault();
+            // Commit the line first so its history step comes before the move
+            if (e.target.tagName === 'INPUT') commitLine();
+            if (action()) render(item.id);
+        };
+
+        if (e.key === 'Tab') {
+            structural(() => (e.shiftKey ? outdentItem(item) : indentItem(item)));
+        } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            structural(() => moveItemInOutline(item, e.key === 'ArrowUp' ? -1 : 1));
+        } else if (mod && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            if (e.key === 'ArrowUp') collapsedIds.add(item.id);
+            else collapsedIds.delete(item.id);
+            render(item.id);
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const rows = [...$('outlineBody').querySelectorAll('.outline-row')];
+            const next = rows[rows.indexOf(e.target.closest('.outline-row')) + (e.key === 'ArrowUp' ? -1 : 1)];
+            if (next) focusRow(next.dataset.id);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.target.tagName === 'INPUT') commitLine();
+            render(addOutlineItem(item).id);
+        } else if (e.key === 'Backspace' && e.target.tagName === 'INPUT' && !e.target.value) {
+            const rows = [...$('outlineBody').querySelectorAll('.outline-row')];
+            const previous = rows[rows.indexOf(e.target.closest('.outline-row')) - 1];
+            if (!deleteOutlineItem(item)) return;
+            e.preventDefault();
+            editingLine = false;
+            render(previous?.dataset.id);
+        }
+    }, { signal });
+
+    // Lines edit their items live; the history step is taken when the line is left
+    panel.addEventListener('input', e => {
+        if (!e.target.matches('input.outline-text')) return;
+        const item = itemOfRow(e.target, '.outline-row');
+        if (!item) return;
+        editingLine = true;
+        setItemText(item, e.target.value, false);
+    }, { signal });
+    panel.addEventListener('change', e => {
+        if (e.target.matches('input.outline-text')) commitLine();
+    }, { signal });
+
+    panel.addEventListener('click', e => {
+        const item = itemOfRow(e.target, '.outline-row');
+        if (!item) return;
+        if (e.target.closest('button.outline-toggle')) {
+            if (collapsedIds.has(item.id)) collapsedIds.delete(item.id);
+            else collapsedIds.add(item.id);
+            render();
+        } else if (e.target.closest('.outline-bullet')) {
+            selectItem(item);
+            panToItem(item);
+        }
+    }, { signal });
+
+    eventBus.on(Events.STATE_SAVE, renderer.schedule);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, renderer.schedule);
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        collapsedIds.clear();
+        editingLine = false;
+        renderer.schedule();
+    });
+}
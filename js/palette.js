@@ -0,0 +1,397 @@
+// KnotPad - Palette Module (User-defined item colors and per-canvas legends)
+// Items store a color id. Each palette color is exposed to CSS as
+// --tag-<id> and --tag-<id>-fill, so changing a hex restyles every item,
+// connection and chip without touching them.
+
+import { DEFAULT_PALETTE, PALETTE_KEY } from './constants.js';
+import { $, esc } from './utils.js';
+import * as state from './state.js';
+import eventBus, { Events } from './events-bus.js';
+
+// Card backgrounds the variants have to stay legible on (--bg-card)
+const DARK_SURFACE = '#1f1f23';
+const LIGHT_SURFACE = '#ffffff';
+const MIN_CONTRAST = 3;
+// Filter values that are not colors
+const RESERVED_IDS = new Set(['all', 'none']);
+// Offered in turn by "Add color"
+const SUGGESTED_COLORS = ['#14b8a6', '#0ea5e9', '#84cc16', '#f43f5e', '#a855f7', '#64748b', '#d946ef', '#f59e0b'];
+
+let paletteController;
+
+// ============ Color Math ============
+
+function parseHex(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+    return '#' + rgb.map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0')).join('');
+}
+
+// `amount` of a, the rest of b
+function mix(a, b, amount) {
+    const ca = parseHex(a);
+    const cb = parseHex(b);
+    return toHex(ca.map((v, i) => v * amount + cb[i] * (1 - amount)));
+}
+
+function luminance(hex) {
+    const [r, g, b] = parseHex(hex).map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(a, b) {
+    const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+}
+
+// Move a color toward white or black until it reads on the surface
+function ensureContrast(hex, surface, toward) {
+    for (let step = 0; step <= 10; step++) {
+        const candidate = mix(toward, hex, step / 10);
+        if (contrastRatio(candidate, surface) >= MIN_CONTRAST) return candidate;
+    }
+    return toward;
+}
+
+/**
+ * Theme variants of a picked color: the accent used for bars, lines and dots,
+ * and the muted card background of fill mode.
+ * @param {string} hex - '#rrggbb'
+ * @returns {{ dark: string, light: string, darkFill: string, lightFill: string }}
+ */
+export function getColorVariants(hex) {
+    const dark = ensureContrast(hex, DARK_SURFACE, '#ffffff');
+    return {
+        dark,
+        light: ensureContrast(hex, LIGHT_SURFACE, '#000000'),
+        darkFill: mix(dark, DARK_SURFACE, 0.15),
+        lightFill: mix(hex, LIGHT_SURFACE, 0.12)
+    };
+}
+
+// ============ Palette ============
+
+/**
+ * Clean up a stored palette. Ids must be usable in CSS variable names and a
+ * palette needs at least one visible color, else the built-in one is used.
+ * @returns {Array<{ id: string, name: string, hex: string, hidden?: boolean }>}
+ */
+export function normalizePalette(list) {
+    const seen = new Set();
+    const palette = [];
+    (Array.isArray(list) ? list : []).forEach(color => {
+        const id = String(color?.id || '');
+        const hex = String(color?.hex || '').toLowerCase();
+        if (!/^[a-z][\w-]*$/i.test(id) || RESERVED_IDS.has(id) || seen.has(id)) return;
+        if (!/^#[0-9a-f]{6}$/.test(hex)) return;
+        seen.add(id);
+        const entry = { id, name: String(color.name || '').trim().slice(0, 40) || id, hex };
+        if (color.hidden) entry.hidden = true;
+        palette.push(entry);
+    });
+    return palette.some(color => !color.hidden) ? palette : DEFAULT_PALETTE.map(color => ({ ...color }));
+}
+
+/**
+ * Colors offered in pickers and filters, in order. Removed colors stay in the
+ * palette as hidden so that items on any canvas keep showing them.
+ * @param {boolean} [includeHidden=false]
+ */
+export function getPalette(includeHidden = false) {
+    const palette = state.palette.length ? state.palette : DEFAULT_PALETTE;
+    return includeHidden ? palette : palette.filter(color => !color.hidden);
+}
+
+export function isPaletteColor(id) {
+    return Boolean(id) && getPalette(true).some(color => color.id === id);
+}
+
+// CSS value of a color id, or null when it is not a palette color
+export function colorVar(id) {
+    return isPaletteColor(id) ? `var(--tag-${id})` : null;
+}
+
+// What a color stands for on this canvas, else its name
+export function getColorLabel(id) {
+    const color = getPalette(true).find(c => c.id === id);
+    if (!color) return '';
+    return state.colorLegend[id] || color.name;
+}
+
+/**
+ * Variables of the colors that differ from the built-in ones in style.css.
+ * @returns {string} CSS text
+ */
+export function getPaletteCss(palette = getPalette(true)) {
+    const dark = [];
+    const light = [];
+    palette.forEach(color => {
+        if (DEFAULT_PALETTE.some(builtIn => builtIn.id === color.id && builtIn.hex === color.hex)) return;
+        const variants = getColorVariants(color.hex);
+        dark.push(`--tag-${color.id}: ${variants.dark}; --tag-${color.id}-fill: ${variants.darkFill};`);
+        light.push(`--tag-${color.id}: ${variants.light}; --tag-${color.id}-fill: ${variants.lightFill};`);
+    });
+    if (!dark.length) return '';
+    return `:root { ${dark.join(' ')} }\n:root.light { ${light.join(' ')} }\n`;
+}
+
+// Point an element's --tag-color and --tag-fill at a color, or clear them
+export function applyColorVars(el, id) {
+    if (isPaletteColor(id)) {
+        el.style.setProperty('--tag-color', `var(--tag-${id})`);
+        el.style.setProperty('--tag-fill', `var(--tag-${id}-fill)`);
+        el.classList.add('has-color');
+        el.dataset.color = id;
+    } else {
+        el.style.setProperty('--tag-color', 'transparent');
+        el.style.removeProperty('--tag-fill');
+        el.classList.remove('has-color');
+        delete el.dataset.color;
+    }
+}
+
+// ============ Controls ============
+
+// Swatches of the item color picker and the toolbar color dropdown
+export function colorOptionsHtml() {
+    return '<div class="color-opt none" data-color="" title="None"></div>'
+        + getPalette().map(color =>
+            `<div class="color-opt" data-color="${color.id}" style="background:var(--tag-${color.id})" title="${esc(getColorLabel(color.id))}"></div>`).join('');
+}
+
+// Filter buttons; colors with a meaning on this canvas show it as a label
+function filterOptionsHtml() {
+    const selected = id => (id === state.activeFilter ? ' selected' : '');
+    return `<div class="filter-opt all${selected('all')}" data-color="all" title="Show All"></div>`
+        + `<div class="filter-opt none${selected('none')}" data-color="none" title="No Color"></div>`
+        + getPalette().map(color => {
+            const meaning = state.colorLegend[color.id];
+            return meaning
+                ? `<div class="filter-opt labelled${selected(color.id)}" data-color="${color.id}" style="--opt-color:var(--tag-${color.id})" title="${esc(color.name)}"><span>${esc(meaning)}</span></div>`
+                : `<div class="filter-opt${selected(color.id)}" data-color="${color.id}" style="background:var(--tag-${color.id})" title="${esc(color.name)}"></div>`;
+        }).join('');
+}
+
+/**
+ * Labels above the groups of color group mode, read from the item positions.
+ */
+export function renderColorGroupHeadings() {
+    const canvas = $('canvas');
+    if (!canvas) return;
+    canvas.querySelectorAll('.color-group-heading').forEach(el => el.remove());
+    if (!state.colorGroupModeActive) return;
+
+    const groups = new Map();
+    state.items.forEach(item => {
+        const key = isPaletteColor(item.color) ? item.color : '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    groups.forEach((items, id) => {
+        const left = Math.min(...items.map(i => i.x));
+        const right = Math.max(...items.map(i => i.x + i.w));
+        const top = Math.min(...items.map(i => i.y));
+        const heading = document.createElement('div');
+        heading.className = 'color-group-heading';
+        heading.style.left = left + 'px';
+        heading.style.top = top + 'px';
+        heading.style.width = (right - left) + 'px';
+        if (id) heading.style.setProperty('--heading-color', `var(--tag-${id})`);
+        heading.textContent = id ? getColorLabel(id) : 'No color';
+        canvas.appendChild(heading);
+    });
+}
+
+// Refresh everything drawn from the palette and the legend
+export function renderColorControls() {
+    const colorDropdown = $('colorDropdown');
+    if (colorDropdown) colorDropdown.innerHTML = colorOptionsHtml();
+    const filterOpts = $('filterColorOpts');
+    if (filterOpts) filterOpts.innerHTML = filterOptionsHtml();
+    const pickerHtml = colorOptionsHtml();
+    state.items.forEach(item => {
+        const picker = item.el?.querySelector(':scope > .color-picker');
+        if (picker) picker.innerHTML = pickerHtml;
+    });
+    renderColorGroupHeadings();
+}
+
+function applyPalette() {
+    let styleEl = document.getElementById('paletteStyles');
+    if (!styleEl) {
+        styleEl = document.createElement('style');
+        styleEl.id = 'paletteStyles';
+        document.head.appendChild(styleEl);
+    }
+    styleEl.textContent = getPaletteCss();
+    renderColorControls();
+    eventBus.emit(Events.PALETTE_CHANGED);
+}
+
+export function savePalette(list) {
+    const palette = normalizePalette(list);
+    state.setPalette(palette);
+    localStorage.setItem(PALETTE_KEY, JSON.stringify(palette));
+    state.requestSettingsSave();
+    applyPalette();
+}
+
+// Read the palette from localStorage, e.g. after settings were restored
+export function loadStoredPalette() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(PALETTE_KEY));
+    } catch (e) {
+        // Fall back to the built-in colors
+    }
+    state.setPalette(Array.isArray(saved) ? normalizePalette(saved) : []);
+    applyPalette();
+}
+
+// Name what a color means on the current canvas; '' clears it
+export function setColorLegend(id, meaning) {
+    const legend = { ...state.colorLegend };
+    const text = String(meaning || '').trim().slice(0, 60);
+    if (text) legend[id] = text;
+    else delete legend[id];
+    state.setColorLegend(legend);
+    renderColorControls();
+    eventBus.emit(Events.PALETTE_CHANGED);
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+function updatePalette(update) {
+    const palette = getPalette(true).map(color => ({ ...color }));
+    update(palette);
+    savePalette(palette);
+}
+
+export function addPaletteColor(hex, name) {
+    const palette = getPalette(true);
+    let id = 'c' + Date.now().toString(36);
+    while (palette.some(color => color.id === id)) id += '0';
+    const used = new Set(palette.map(color => color.hex));
+    updatePalette(list => list.push({
+        id,
+        name: name || `Color ${getPalette().length + 1}`,
+        hex: hex || SUGGESTED_COLORS.find(suggestion => !used.has(suggestion)) || SUGGESTED_COLORS[0]
+    }));
+    return id;
+}
+
+// Swap a color with its visible neighbour (direction -1 or 1)
+export function movePaletteColor(id, direction) {
+    updatePalette(list => {
+        const from = list.findIndex(color => color.id === id);
+        let to = from + direction;
+        while (list[to]?.hidden) to += direction;
+        if (from < 0 || !list[to]) return;
+        [list[from], list[to]] = [list[to], list[from]];
+    });
+}
+
+// ============ Palette Editor ============
+
+const MOVE_UP_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M18 15l-6-6-6 6"/></svg>';
+const MOVE_DOWN_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M6 9l6 6 6-6"/></svg>';
+const REMOVE_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>';
+
+function renderPaletteEditor() {
+    const palette = getPalette();
+    $('paletteList').innerHTML = palette.map((color, index) => `
+        <div class="palette-row" data-id="${color.id}">
+            <input class="palette-hex" type="color" value="${color.hex}" title="Pick color">
+            <input class="palette-name" value="${esc(color.name)}" placeholder="Name" spellcheck="false">
+            <input class="palette-meaning" value="${esc(state.colorLegend[color.id] || '')}" placeholder="Meaning on this canvas">
+            <button class="palette-btn" data-move="-1" title="Move up"${index === 0 ? ' disabled' : ''}>${MOVE_UP_ICON}</button>
+            <button class="palette-btn" data-move="1" title="Move down"${index === palette.length - 1 ? ' disabled' : ''}>${MOVE_DOWN_ICON}</button>
+            <button class="palette-btn palette-remove" title="Remove color"${palette.length === 1 ? ' disabled' : ''}>${REMOVE_ICON}</button>
+        </div>`).join('');
+}
+
+export function openPaletteModal() {
+    const modal = $('paletteModal');
+    renderPaletteEditor();
+    modal.classList.remove('closing');
+    modal.classList.add('active');
+}
+
+export function closePaletteModal() {
+    const modal = $('paletteModal');
+    if (!modal?.classList.contains('active') || modal.classList.contains('closing')) return;
+    modal.classList.add('closing');
+    setTimeout(() => modal.classList.remove('active', 'closing'), 140);
+}
+
+// ============ Setup ============
+
+export function setupPalette() {
+    if (paletteController) paletteController.abort();
+    paletteController = new AbortController();
+    const { signal } = paletteController;
+    const modal = $('paletteModal');
+    const list = $('paletteList');
+
+    loadStoredPalette();
+
+    $('paletteEditBtn').addEventListener('click', e => {
+        e.stopPropagation();
+        $('filterDropdown').classList.remove('active');
+        openPaletteModal();
+    }, { signal });
+    modal.addEventListener('click', e => { if (e.target === modal) closePaletteModal(); }, { signal });
+    modal.querySelector('[data-close]').addEventListener('click', closePaletteModal, { signal });
+
+    $('paletteAddBtn').addEventListener('click', () => {
+        addPaletteColor();
+        renderPaletteEditor();
+        const name = [...list.querySelectorAll('.palette-name')].pop();
+        name.focus();
+        name.select();
+    }, { signal });
+
+    // Live while the color is being picked; the rows stay so the picker stays open
+    list.addEventListener('input', e => {
+        if (!e.target.classList.contains('palette-hex')) return;
+        const id = e.target.closest('.palette-row').dataset.id;
+        updatePalette(palette => { palette.find(color => color.id === id).hex = e.target.value; });
+    }, { signal });
+
+    list.addEventListener('change', e => {
+        const id = e.target.closest('.palette-row')?.dataset.id;
+        if (!id) return;
+        if (e.target.classList.contains('palette-name')) {
+            updatePalette(palette => { palette.find(color => color.id === id).name = e.target.value; });
+        } else if (e.target.classList.contains('palette-meaning')) {
+            setColorLegend(id, e.target.value);
+        }
+    }, { signal });
+
+    list.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.target.matches('.palette-name, .palette-meaning')) e.target.blur();
+    }, { signal });
+
+    list.addEventListener('click', e => {
+        const btn = e.target.closest('.palette-btn');
+        if (!btn) return;
+        const id = btn.closest('.palette-row').dataset.id;
+        if (btn.dataset.move) {
+            movePaletteColor(id, Number(btn.dataset.move));
+        } else if (btn.classList.contains('palette-remove')) {
+            updatePalette(palette => { palette.find(color => color.id === id).hidden = true; });
+        }
+        renderPaletteEditor();
+    }, { signal });
+
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        renderColorControls();
+        if (modal.classList.contains('active')) renderPaletteEditor();
+    });
+    // Groups move when items are dragged, added or recolored
+    eventBus.on(Events.STATE_SAVE, renderColorGroupHeadings);
+}
@@ -0,0 +1,51 @@
+// KnotPad - Panel Sync Module (Keeps the table view and outline in step with the canvas)
+// Canvas changes arrive in bursts (a save and an autosave per edit), so panels
+// re-render once a burst is over. A render that would throw away what the user
+// is typing waits, and catches up once the panel is flushed.
+
+import * as state from './state.js';
+
+/**
+ * @param {Function} render - Re-renders the panel
+ * @param {Object} options
+ * @param {Function} options.isOpen - Closed panels skip renders
+ * @param {Function} options.isEditing - Whether a render now would interrupt typing
+ * @returns {{ schedule: Function, flush: Function, cancel: Function }}
+ */
+export function createPanelRenderer(render, { isOpen, isEditing, delay = 80 }) {
+    let timer = null;
+    let pending = false;
+
+    const run = () => {
+        clearTimeout(timer);
+        if (!isOpen()) return;
+        if (isEditing()) {
+            pending = true;
+            return;
+        }
+        pending = false;
+        render();
+    };
+
+    return {
+        schedule() {
+            if (!isOpen()) return;
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+        },
+        // Render the changes that waited for an edit to finish
+        flush() {
+            if (pending) run();
+        },
+        cancel() {
+            clearTimeout(timer);
+            pending = false;
+        }
+    };
+}
+
+// The canvas item a panel row stands for
+export function itemOfRow(el, rowSelector) {
+    const id = el.closest(rowSelector)?.dataset.id;
+    return id ? state.items.find(i => i.id === id) : null;
+}
@@ -0,0 +1,276 @@
+// KnotPad - Presentation Module (Present a canvas as a sequence of stops)
+
+import { $, showToast } from './utils.js';
+import * as state from './state.js';
+import { panToItem, setZoom, fitToScreen, updateTransform, updateMinimap } from './viewport.js';
+import { deselectAll, hideMenus, getFrameMembers } from './items.js';
+import eventBus, { Events } from './events-bus.js';
+
+const STOP_FILL = 0.7; // Share of the screen a stop may take up
+const MAX_STOP_ZOOM = 2.5;
+const PAN_DURATION = 300; // Length of the panToItem animation
+
+// Active presentation: { stops, index, overview, savedView, controller }
+let presenter = null;
+let zoomTimer = null;
+
+// ============ Path ============
+
+// Top to bottom, then left to right
+export function readingOrder(a, b) {
+    return (a.y - b.y) || (a.x - b.x);
+}
+
+// Order items by following directed connections ('forward' and 'both' lead from
+// `from` to `to`, 'backward' the other way). Starts at items nothing leads to;
+// branches are visited depth-first in reading order. Items without directed
+// connections are not part of the path.
+export function derivePresentationPath(items, connections) {
+    const byId = new Map(items.map(i => [i.id, i]));
+    const next = new Map();
+    const incoming = new Set();
+    connections.forEach(c => {
+        const fromId = c.from?.id ?? c.from;
+        const toId = c.to?.id ?? c.to;
+        if (c.dir === 'none' || !c.dir) return;
+        const [a, b] = c.dir === 'backward' ? [toId, fromId] : [fromId, toId];
+        if (!byId.has(a) || !byId.has(b) || a === b) return;
+        if (!next.has(a)) next.set(a, []);
+        next.get(a).push(b);
+        incoming.add(b);
+    });
+
+    const sorted = ids => [...ids].map(id => byId.get(id)).sort(readingOrder).map(i => i.id);
+    const path = [];
+    const seen = new Set();
+    const visit = id => {
+        if (seen.has(id)) return;
+        seen.add(id);
+        path.push(id);
+        sorted(next.get(id) || []).forEach(visit);
+    };
+    sorted([...next.keys()].filter(id => !incoming.has(id))).forEach(visit);
+    // Cycles have no start of their own; enter them at their first item
+    sorted(next.keys()).forEach(visit);
+    return path;
+}
+
+// Items to present: the user's path, else the connection path, else every
+// item in reading order
+export function getPresentationStops() {
+    const byId = new Map(state.items.map(i => [i.id, i]));
+    const custom = state.presentationPath.map(id => byId.get(id)).filter(Boolean);
+    if (custom.length) return custom;
+    const derived = derivePresentationPath(state.items, state.connections).map(id => byId.get(id));
+    if (derived.length) return derived;
+    return [...state.items].sort(readingOrder);
+}
+
+export function isPresentationStop(item) {
+    return state.presentationPath.includes(item.id);
+}
+
+// Add an item to the end of the path, or take it out again
+export function togglePresentationStop(item) {
+    const path = state.presentationPath.filter(id => state.items.some(i => i.id === id));
+    const index = path.indexOf(item.id);
+    if (index >= 0) path.splice(index, 1);
+    else path.push(item.id);
+    state.setPresentationPath(path);
+    renderStepBadges();
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+export function clearPresentationPath() {
+    state.setPresentationPath([]);
+    renderStepBadges();
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// Number the items of a user-defined path
+function renderStepBadges() {
+    state.items.forEach(item => {
+        const step = state.presentationPath.indexOf(item.id) + 1;
+        let badge = item.el.querySelector(':scope > .present-step');
+        if (!step) {
+            badge?.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'present-step';
+            item.el.appendChild(badge);
+        }
+        badge.textContent = step;
+    });
+}
+
+// ============ Presenting ============
+
+function stopZoom(item) {
+    return Math.min(innerWidth * STOP_FILL / item.w, innerHeight * STOP_FILL / item.h, MAX_STOP_ZOOM);
+}
+
+// Pan the stop to the centre, then zoom in around it
+function flyTo(item, animate = true) {
+    clearTimeout(zoomTimer);
+    panToItem(item, animate);
+    if (animate) {
+        zoomTimer = setTimeout(() => setZoom(stopZoom(item)), PAN_DURATION);
+    } else {
+        setZoom(stopZoom(item), undefined, undefined, false);
+    }
+}
+
+function showStop(index, animate = true) {
+    if (!presenter) return;
+    presenter.stops = presenter.stops.filter(item => state.items.includes(item));
+    if (!presenter.stops.length) {
+        stopPresentation();
+        return;
+    }
+    presenter.index = Math.max(0, Math.min(index, presenter.stops.length - 1));
+    presenter.overview = false;
+    const item = presenter.stops[presenter.index];
+    // A frame is shown together with its contents
+    const shown = new Set(item.type === 'frame' ? [item, ...getFrameMembers(item)] : [item]);
+    state.items.forEach(i => i.el.classList.toggle('present-current', shown.has(i)));
+    document.body.classList.remove('present-overview');
+    flyTo(item, animate);
+    renderProgress();
+}
+
+function toggleOverview() {
+    if (!presenter) return;
+    if (presenter.overview) {
+        showStop(presenter.index);
+        return;
+    }
+    presenter.overview = true;
+    clearTimeout(zoomTimer);
+    document.body.classList.add('present-overview');
+    fitToScreen();
+    renderProgress();
+}
+
+function renderProgress() {
+    const total = presenter.stops.length;
+    $('presentProgressText').textContent = `${presenter.index + 1} / ${total}`;
+    $('presentTrackFill').style.width = ((presenter.index + 1) / total * 100) + '%';
+    $('presentOverviewBtn').classList.toggle('active', presenter.overview);
+    $('presentPrevBtn').disabled = presenter.index === 0;
+    $('presentNextBtn').disabled = presenter.index === total - 1;
+}
+
+function handleKeydown(e) {
+    // Keep editing shortcuts away from the canvas while presenting
+    e.stopPropagation();
+    switch (e.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+        case 'PageDown':
+        case ' ':
+        case 'Enter':
+            showStop(presenter.index + 1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+        case 'PageUp':
+        case 'Backspace':
+            showStop(presenter.index - 1);
+            break;
+        case 'Home':
+            showStop(0);
+            break;
+        case 'End':
+            showStop(presenter.stops.length - 1);
+            break;
+        case 'o':
+        case 'O':
+            toggleOverview();
+            break;
+        case 'Escape':
+            stopPresentation();
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+export function startPresentation() {
+    if (presenter || !state.currentCanvasId) return;
+    const stops = getPresentationStops();
+    if (!stops.length) {
+        showToast('Nothing to present on this canvas', 'warning');
+        return;
+    }
+    hideMenus();
+    deselectAll();
+    document.activeElement?.blur();
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    presenter = {
+        stops,
+        index: 0,
+        overview: false,
+        savedView: { scale: state.scale, offsetX: state.offsetX, offsetY: state.offsetY },
+        controller
+    };
+    document.body.classList.add('presenting');
+
+    window.addEventListener('keydown', handleKeydown, { capture: true, signal });
+    // Re-frame the current stop once the screen size changes (e.g. entering fullscreen)
+    window.addEventListener('resize', () => {
+        if (presenter.overview) fitToScreen();
+        else showStop(presenter.index, false);
+    }, { signal });
+    document.addEventListener('fullscreenchange', () => {
+        if (!document.fullscreenElement) stopPresentation();
+    }, { signal });
+
+    document.documentElement.requestFullscreen?.().catch(() => {
+        // Fullscreen may be refused; present in the window instead
+    });
+    showStop(0);
+}
+
+export function stopPresentation() {
+    if (!presenter) return;
+    const { savedView, controller } = presenter;
+    presenter = null;
+    controller.abort();
+    clearTimeout(zoomTimer);
+    state.items.forEach(i => i.el.classList.remove('present-current'));
+    document.body.classList.remove('presenting', 'present-overview');
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+
+    state.setScale(savedView.scale);
+    state.setOffsetX(savedView.offsetX);
+    state.setOffsetY(savedView.offsetY);
+    updateTransform();
+    updateMinimap('viewport');
+}
+
+export function isPresenting() {
+    return !!presenter;
+}
+
+// ============ Setup ============
+
+export function setupPresentation() {
+    $('presentBtn').addEventListener('click', startPresentation);
+    $('presentPrevBtn').addEventListener('click', () => showStop(presenter.index - 1));
+    $('presentNextBtn').addEventListener('click', () => showStop(presenter.index + 1));
+    $('presentOverviewBtn').addEventListener('click', toggleOverview);
+    $('presentExitBtn').addEventListener('click', stopPresentation);
+
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        stopPresentation();
+        renderStepBadges();
+    });
+    // Items are rebuilt by undo, redo and changes from other tabs
+    eventBus.on(Events.STATE_SAVE, renderStepBadges);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, renderStepBadges);
+}
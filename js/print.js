@@ -0,0 +1,218 @@
+// KnotPad - Print Module (Paginated print layout of a canvas)
+
+import { $, esc, showToast, stripHtml } from './utils.js';
+import * as state from './state.js';
+import { hideMenus } from './items.js';
+import { getExportBounds, getExportContent, renderCanvasSvg } from './image-export.js';
+import { readingOrder } from './presentation.js';
+
+const MM_TO_PX = 96 / 25.4; // CSS pixels per millimetre
+const PAGE_MARGIN = 12; // mm; room for crop marks and the page footer
+
+// Portrait sizes in millimetres
+export const PAPER_SIZES = {
+    a4: { width: 210, height: 297 },
+    a3: { width: 297, height: 420 },
+    letter: { width: 215.9, height: 279.4 }
+};
+
+const printModal = $('printModal');
+let printModalController;
+let printJob = null;
+
+// ============ Layout ============
+
+function pageSize(paper, landscape) {
+    const { width, height } = PAPER_SIZES[paper] || PAPER_SIZES.a4;
+    return landscape ? { width: height, height: width } : { width, height };
+}
+
+function layoutFor(bounds, page, mode, zoom) {
+    const contentWidth = (page.width - PAGE_MARGIN * 2) * MM_TO_PX;
+    const contentHeight = (page.height - PAGE_MARGIN * 2) * MM_TO_PX;
+    if (mode === 'fit') {
+        zoom = Math.min(contentWidth / bounds.width, contentHeight / bounds.height);
+    }
+    // Canvas area each page shows
+    const tileWidth = contentWidth / zoom;
+    const tileHeight = contentHeight / zoom;
+    const columns = mode === 'fit' ? 1 : Math.ceil(bounds.width / tileWidth);
+    const rows = mode === 'fit' ? 1 : Math.ceil(bounds.height / tileHeight);
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            tiles.push({
+                page: tiles.length + 1,
+                row,
+                column,
+                x: bounds.x + column * tileWidth,
+                y: bounds.y + row * tileHeight
+            });
+        }
+    }
+    return { page, zoom, contentWidth, contentHeight, tileWidth, tileHeight, columns, rows, tiles };
+}
+
+/**
+ * Split the canvas area into printed pages.
+ * @param {{ x: number, y: number, width: number, height: number }} bounds - Canvas area to print
+ * @param {Object} options
+ * @param {'a4'|'a3'|'letter'} options.paper
+ * @param {'auto'|'portrait'|'landscape'} options.orientation - 'auto' picks the one
+ *   that prints larger (fit) or on fewer pages (tile)
+ * @param {'fit'|'tile'} options.mode - One page, or tiles at the given zoom
+ * @param {number} [options.zoom] - Printed size relative to the canvas at 100%
+ */
+export function computePrintLayout(bounds, { paper = 'a4', orientation = 'auto', mode = 'fit', zoom = 1 } = {}) {
+    if (orientation !== 'auto') {
+        return layoutFor(bounds, pageSize(paper, orientation === 'landscape'), mode, zoom);
+    }
+    const portrait = layoutFor(bounds, pageSize(paper, false), mode, zoom);
+    const landscape = layoutFor(bounds, pageSize(paper, true), mode, zoom);
+    if (mode === 'fit') return landscape.zoom > portrait.zoom ? landscape : portrait;
+    return landscape.tiles.length < portrait.tiles.length ? landscape : portrait;
+}
+
+// Memos in reading order with the page each one starts on
+export function buildMemoIndex(items, layout, bounds) {
+    return items
+        .filter(i => i.type === 'memo')
+        .sort(readingOrder)
+        .map(item => {
+            const column = Math.min(Math.floor((item.x - bounds.x) / layout.tileWidth), layout.columns - 1);
+            const row = Math.min(Math.floor((item.y - bounds.y) / layout.tileHeight), layout.rows - 1);
+            return { item, text: stripHtml(item.content).trim(), page: row * layout.columns + column + 1 };
+        })
+        .filter(entry => entry.text);
+}
+
+// ============ Print View ============
+
+function renderPages(layout, bounds, imageUrl, canvasName) {
+    const { page, zoom, contentWidth, contentHeight, tiles, columns, rows } = layout;
+    return tiles.map(tile => {
+        const position = columns * rows > 1 ? ` · Row ${tile.row + 1}, Column ${tile.column + 1}` : '';
+        return `<div class="print-page" style="width:${page.width}mm;height:${page.height}mm">
+            <div class="print-tile" style="left:${PAGE_MARGIN}mm;top:${PAGE_MARGIN}mm;width:${contentWidth}px;height:${contentHeight}px">
+                <img src="${imageUrl}" alt="" style="width:${bounds.width * zoom}px;height:${bounds.height * zoom}px;left:${(bounds.x - tile.x) * zoom}px;top:${(bounds.y - tile.y) * zoom}px">
+            </div>
+            <div class="print-crop-marks" style="inset:${PAGE_MARGIN}mm"><span class="tl"></span><span class="tr"></span><span class="bl"></span><span class="br"></span></div>
+            <div class="print-footer" style="left:${PAGE_MARGIN}mm;right:${PAGE_MARGIN}mm;bottom:${PAGE_MARGIN / 3}mm">${esc(canvasName)} · Page ${tile.page} of ${tiles.length}${position}</div>
+        </div>`;
+    }).join('');
+}
+
+function renderIndex(entries, layout) {
+    if (!entries.length) return '';
+    const { page } = layout;
+    const showPages = layout.tiles.length > 1;
+    return `<section class="print-index" style="width:${page.width}mm;padding:${PAGE_MARGIN}mm">
+        <h2>Memos</h2>
+        <ol>${entries.map(({ text, page: number }) => `<li><span class="print-index-text">${esc(text)}</span>${showPages ? `<span class="print-index-page">${number}</span>` : ''}</li>`).join('')}</ol>
+    </section>`;
+}
+
+function cleanupPrint() {
+    if (!printJob) return;
+    URL.revokeObjectURL(printJob.imageUrl);
+    printJob = null;
+    $('printView').innerHTML = '';
+    $('printPageStyle').textContent = '';
+    document.body.classList.remove('print-mode');
+}
+
+export async function printCanvas(options) {
+    const content = getExportContent(false);
+    const rendered = await renderCanvasSvg(content, { background: options.background });
+    if (!rendered) {
+        showToast('Nothing to print', 'warning');
+        return;
+    }
+    cleanupPrint();
+    const { bounds } = rendered;
+    const layout = computePrintLayout(bounds, options);
+    const canvasName = state.canvases.find(c => c.id === state.currentCanvasId)?.name || 'Untitled';
+    const imageUrl = URL.createObjectURL(new Blob([rendered.svg], { type: 'image/svg+xml' }));
+    printJob = { imageUrl };
+
+    const view = $('printView');
+    view.innerHTML = renderPages(layout, bounds, imageUrl, canvasName)
+        + (options.index ? renderIndex(buildMemoIndex(content.items, layout, bounds), layout) : '');
+    $('printPageStyle').textContent = `@page { size: ${layout.page.width}mm ${layout.page.height}mm; margin: 0; }`;
+    await Promise.all(Array.from(view.querySelectorAll('img'), img => img.decode().catch(() => {})));
+
+    document.body.classList.add('print-mode');
+    window.addEventListener('afterprint', cleanupPrint, { once: true });
+    window.print();
+}
+
+// ============ Print Dialog ============
+
+function readPrintOptions() {
+    return {
+        paper: $('printPaper').value,
+        orientation: $('printOrientation').value,
+        mode: $('printMode').value,
+        zoom: parseFloat($('printZoom').value) || 1,
+        background: $('printBackground').value,
+        index: $('printIndexToggle').checked
+    };
+}
+
+// Keep the page count next to the options so tiling never surprises
+function updatePrintSummary() {
+    const options = readPrintOptions();
+    $('printZoom').disabled = options.mode !== 'tile';
+    const { items, connections } = getExportContent(false);
+    const bounds = getExportBounds(items, connections);
+    if (!bounds) return;
+    const layout = computePrintLayout(bounds, options);
+    const pages = layout.tiles.length;
+    const scale = Math.round(layout.zoom * 100);
+    $('printSummary').textContent = pages === 1
+        ? `1 page at ${scale}%`
+        : `${pages} pages (${layout.columns} × ${layout.rows}) at ${scale}%`;
+}
+
+export function openPrintModal() {
+    if (!state.items.length) {
+        showToast('Nothing to print on this canvas', 'warning');
+        return;
+    }
+    hideMenus();
+    updatePrintSummary();
+    printModal.classList.remove('closing');
+    printModal.classList.add('active');
+}
+
+function closePrintModal() {
+    if (!printModal.classList.contains('active') || printModal.classList.contains('closing')) return;
+    printModal.classList.add('closing');
+    setTimeout(() => printModal.classList.remove('active', 'closing'), 140);
+}
+
+// ============ Setup ============
+
+export function setupPrint() {
+    if (printModalController) printModalController.abort();
+    printModalController = new AbortController();
+    const { signal } = printModalController;
+
+    $('printBtn').addEventListener('click', openPrintModal, { signal });
+    printModal.addEventListener('click', e => { if (e.target === printModal) closePrintModal(); }, { signal });
+    printModal.querySelector('[data-close]').addEventListener('click', closePrintModal, { signal });
+    printModal.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', updatePrintSummary, { signal });
+    });
+    $('printSubmit').addEventListener('click', async () => {
+        const options = readPrintOptions();
+        closePrintModal();
+        try {
+            await printCanvas(options);
+        } catch (err) {
+            console.error('Print failed:', err);
+            cleanupPrint();
+            showToast('Print failed', 'error');
+        }
+    }, { signal });
+}
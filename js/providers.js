@@ -0,0 +1,306 @@
+// KnotPad - Storage Providers Module (Common interface over browser, folder and server storage)
+
+import { CANVASES_KEY, CANVAS_GROUPS_KEY, CANVAS_TEMPLATES_KEY, CANVASES_DIR, MEDIA_DIR } from './constants.js';
+import {
+    fsDirectoryHandle,
+    saveMedia,
+    loadMedia,
+    deleteMedia,
+    collectSettings,
+    saveCanvasesListToFileSystem,
+    loadCanvasesListFromFileSystem,
+    saveCanvasToFileSystem,
+    loadCanvasFromFileSystem,
+    deleteCanvasFromFileSystem,
+    saveMediaToFileSystem,
+    loadMediaFromFileSystem,
+    deleteMediaFromFileSystem,
+    saveSettingsToFileSystem,
+    loadSettingsFromFileSystem
+} from './storage.js';
+
+/**
+ * Every backend exposes the same asynchronous methods:
+ *
+ *   loadCanvasList()            -> { canvases, groups, templates } | null
+ *   saveCanvasList(list)        -> boolean
+ *   loadCanvas(id)              -> canvas data | null
+ *   saveCanvas(id, data)        -> boolean
+ *   deleteCanvas(id)            -> boolean
+ *   loadMedia(id)               -> Blob | null
+ *   saveMedia(id, blob)         -> boolean
+ *   deleteMedia(id)             -> boolean
+ *   loadSettings()              -> { key: value } | null
+ *   saveSettings(settings)      -> boolean
+ *
+ * Local providers report failures through their return value. The server
+ * provider rejects with a RemoteStorageError so that callers can tell an
+ * unreachable server from a conflicting edit.
+ */
+
+// ============ Local Providers ============
+
+export const browserProvider = {
+    name: 'Browser Storage',
+    async loadCanvasList() {
+        try {
+            const canvases = JSON.parse(localStorage.getItem(CANVASES_KEY) || 'null');
+            if (!canvases) return null;
+            return {
+                canvases,
+                groups: JSON.parse(localStorage.getItem(CANVAS_GROUPS_KEY) || '[]'),
+                templates: JSON.parse(localStorage.getItem(CANVAS_TEMPLATES_KEY) || '[]')
+            };
+        } catch (e) {
+            return null;
+        }
+    },
+    async saveCanvasList({ canvases, groups = [], templates = [] }) {
+        try {
+            localStorage.setItem(CANVASES_KEY, JSON.stringify(canvases));
+            localStorage.setItem(CANVAS_GROUPS_KEY, JSON.stringify(groups));
+            localStorage.setItem(CANVAS_TEMPLATES_KEY, JSON.stringify(templates));
+            return true;
+        } catch (e) {
+            console.error('Failed to save canvas list to browser storage:', e);
+            return false;
+        }
+    },
+    async loadCanvas(id) {
+        try {
+            const saved = localStorage.getItem('knotpad-data-' + id);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            return null;
+        }
+    },
+    async saveCanvas(id, data) {
+        try {
+            localStorage.setItem('knotpad-data-' + id, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.error('Failed to save canvas to browser storage:', e);
+            return false;
+        }
+    },
+    async deleteCanvas(id) {
+        localStorage.removeItem('knotpad-data-' + id);
+        return true;
+    },
+    loadMedia: id => loadMedia(id),
+    saveMedia: (id, blob) => saveMedia(id, blob).then(() => true, () => false),
+    deleteMedia: id => deleteMedia(id),
+    async loadSettings() {
+        return collectSettings();
+    },
+    async saveSettings(settings) {
+        try {
+            Object.entries(settings).forEach(([key, val]) => localStorage.setItem(key, val));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+};
+
+export const fileSystemProvider = {
+    name: 'File Storage',
+    loadCanvasList: loadCanvasesListFromFileSystem,
+    saveCanvasList: list => saveCanvasesListToFileSystem(list),
+    loadCanvas: loadCanvasFromFileSystem,
+    saveCanvas: saveCanvasToFileSystem,
+    deleteCanvas: deleteCanvasFromFileSystem,
+    loadMedia: loadMediaFromFileSystem,
+    saveMedia: saveMediaToFileSystem,
+    deleteMedia: deleteMediaFromFileSystem,
+    loadSettings: loadSettingsFromFileSystem,
+    saveSettings: settings => saveSettingsToFileSystem(settings)
+};
+
+// Active local backends, in the order reads should try them
+export function getLocalProviders() {
+    return fsDirectoryHandle ? [fileSystemProvider, browserProvider] : [browserProvider];
+}
+
+// ============ Server Provider ============
+// Mirrors the File Storage layout: canvases/_index.json, canvases/<id>.json,
+// media/<id> and _settings.json below the configured URL. A WebDAV server
+// additionally gets MKCOL requests for the folders; a plain REST endpoint is
+// expected to accept PUT, GET and DELETE on those paths directly.
+
+export const LIST_PATH = `${CANVASES_DIR}/_index.json`;
+export const SETTINGS_PATH = '_settings.json';
+const JSON_TYPE = 'application/json';
+
+export function canvasPath(id) {
+    return `${CANVASES_DIR}/${encodeURIComponent(id)}.json`;
+}
+
+export function mediaPath(id) {
+    return `${MEDIA_DIR}/${encodeURIComponent(id)}`;
+}
+
+// reason: 'offline' (retry later), 'conflict' (ETag mismatch), 'auth' or 'http'
+export class RemoteStorageError extends Error {
+    constructor(message, reason, status = 0) {
+        super(message);
+        this.name = 'RemoteStorageError';
+        this.reason = reason;
+        this.status = status;
+    }
+}
+
+function basicAuth(username, password) {
+    const bytes = new TextEncoder().encode(`${username}:${password}`);
+    return 'Basic ' + btoa(String.fromCharCode(...bytes));
+}
+
+function normalizeCanvasList(parsed) {
+    // Same formats as the File Storage index: plain array or { canvases, groups[, templates] }
+    if (Array.isArray(parsed)) return { canvases: parsed, groups: [] };
+    const list = { canvases: parsed?.canvases || [], groups: parsed?.groups || [] };
+    if (parsed?.templates) list.templates = parsed.templates;
+    return list;
+}
+
+/**
+ * Server provider for a WebDAV folder or REST endpoint.
+ * @param {{ url: string, type: 'webdav'|'rest', username?: string, password?: string }} config
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - fetch implementation
+ * @param {Map<string, string|null>} [options.etags] - Last ETag seen per path. Writes
+ *   send If-Match with it, or If-None-Match: * for a path not seen yet. null marks a
+ *   path the server returned without an ETag; writes to it are unconditional.
+ */
+export function createHttpProvider(config, { fetch: fetchImpl = (...args) => fetch(...args), etags = new Map() } = {}) {
+    const base = config.url.trim().replace(/\/*$/, '/');
+    const webdav = config.type === 'webdav';
+    const collections = new Set();
+
+    async function request(method, path, { body, headers = {} } = {}) {
+        const init = { method, headers: { ...headers }, cache: 'no-store' };
+        if (config.username || config.password) {
+            init.headers.Authorization = basicAuth(config.username || '', config.password || '');
+        }
+        if (body !== undefined) init.body = body;
+        let res;
+        try {
+            res = await fetchImpl(base + path, init);
+        } catch (e) {
+            throw new RemoteStorageError(`Server unreachable: ${e.message}`, 'offline');
+        }
+        if (res.status === 401 || res.status === 403) {
+            throw new RemoteStorageError('Server rejected the credentials', 'auth', res.status);
+        }
+        if (res.status === 412) {
+            throw new RemoteStorageError(`${path} was changed on the server`, 'conflict', 412);
+        }
+        if (res.status >= 500 || res.status === 408 || res.status === 429) {
+            throw new RemoteStorageError(`Server busy or failing (${res.status})`, 'offline', res.status);
+        }
+        return res;
+    }
+
+    function failed(method, path, res) {
+        return new RemoteStorageError(`${method} ${path} failed (${res.status})`, 'http', res.status);
+    }
+
+    async function read(path) {
+        const res = await request('GET', path);
+        if (res.status === 404 || res.status === 410) {
+            etags.delete(path);
+            return null;
+        }
+        if (!res.ok) throw failed('GET', path, res);
+        etags.set(path, res.headers.get('ETag'));
+        return res;
+    }
+
+    async function ensureCollection(path) {
+        const dir = path.slice(0, path.lastIndexOf('/') + 1);
+        if (!webdav || !dir || collections.has(dir)) return;
+        const res = await request('MKCOL', dir);
+        // 405: the folder already exists
+        if (!res.ok && res.status !== 405) throw failed('MKCOL', dir, res);
+        collections.add(dir);
+    }
+
+    async function write(path, body, contentType, { force = false } = {}) {
+        await ensureCollection(path);
+        const headers = { 'Content-Type': contentType };
+        if (!force) {
+            if (etags.get(path)) headers['If-Match'] = etags.get(path);
+            else if (!etags.has(path)) headers['If-None-Match'] = '*';
+        }
+        const res = await request('PUT', path, { body, headers });
+        if (!res.ok) throw failed('PUT', path, res);
+        let etag = res.headers.get('ETag');
+        if (!etag) {
+            // Not every server returns the new ETag from PUT
+            const head = await request('HEAD', path);
+            etag = head.ok ? head.headers.get('ETag') : null;
+        }
+        etags.set(path, etag);
+        return true;
+    }
+
+    async function remove(path) {
+        const res = await request('DELETE', path);
+        if (!res.ok && res.status !== 404 && res.status !== 410) throw failed('DELETE', path, res);
+        etags.delete(path);
+        return true;
+    }
+
+    return {
+        name: webdav ? 'WebDAV' : 'REST',
+        etags,
+        async loadCanvasList() {
+            const res = await read(LIST_PATH);
+            return res ? normalizeCanvasList(await res.json()) : null;
+        },
+        saveCanvasList: (list, options) => write(LIST_PATH, JSON.stringify(list), JSON_TYPE, options),
+        async loadCanvas(id) {
+            const res = await read(canvasPath(id));
+            return res ? res.json() : null;
+        },
+        saveCanvas: (id, data, options) => write(canvasPath(id), JSON.stringify(data), JSON_TYPE, options),
+        deleteCanvas: id => remove(canvasPath(id)),
+        async loadMedia(id) {
+            const res = await read(mediaPath(id));
+            return res ? res.blob() : null;
+        },
+        saveMedia: (id, blob) => write(mediaPath(id), blob, blob.type || 'application/octet-stream'),
+        deleteMedia: id => remove(mediaPath(id)),
+        async loadSettings() {
+            const res = await read(SETTINGS_PATH);
+            return res ? res.json() : null;
+        },
+        // Settings are per-person preferences; the latest device simply wins
+        saveSettings: settings => write(SETTINGS_PATH, JSON.stringify(settings), JSON_TYPE, { force: true })
+    };
+}
+
+// ============ Active Server Provider ============
+
+let remoteProvider = null;
+
+export function setRemoteProvider(provider) {
+    remoteProvider = provider;
+}
+
+export function getRemoteProvider() {
+    return remoteProvider;
+}
+
+// Fetch media that is missing locally from the server and keep a browser copy
+export async function loadRemoteMedia(mediaId) {
+    if (!remoteProvider) return null;
+    try {
+        const blob = await remoteProvider.loadMedia(mediaId);
+        if (blob) await saveMedia(mediaId, blob).catch(() => {});
+        return blob;
+    } catch (e) {
+        console.warn(`Failed to load media ${mediaId} from the server:`, e);
+        return null;
+    }
+}
@@ -0,0 +1,605 @@
+// KnotPad - Remote Sync Module (Mirror canvases to a self-hosted WebDAV or REST server)
+//
+// The app keeps working from local storage. Every local write is queued as a
+// server write; the queue survives reloads and drains whenever the server can
+// be reached. Writes are conditional on the ETag last seen for each path, so an
+// edit made on another device is detected instead of silently overwritten.
+// The server password is never stored; open tabs share it in memory.
+
+import { CANVASES_KEY, CANVAS_GROUPS_KEY, CANVAS_TEMPLATES_KEY, REMOTE_CONFIG_KEY, REMOTE_QUEUE_KEY, REMOTE_ETAGS_KEY, REMOTE_POLL_INTERVAL, REMOTE_RETRY_DELAY } from './constants.js';
+import { $, showToast } from './utils.js';
+import * as state from './state.js';
+import { SETTINGS_KEYS, collectSettings } from './storage.js';
+import { createHttpProvider, setRemoteProvider, getLocalProviders, canvasPath, mediaPath } from './providers.js';
+import { applyRemoteCanvasList, applyServerSettings, reloadCurrentCanvas, saveCanvasesList } from './ui.js';
+import { takeSnapshot } from './history.js';
+import eventBus, { Events } from './events-bus.js';
+
+const LOCK_NAME = 'knotpad-remote-sync';
+const CHANNEL_NAME = 'knotpad-remote-sync';
+const FLUSH_DELAY = 1000;
+
+let provider = null;
+// Pending server writes: `${kind}:${id}` -> { kind, id, op }
+let queue = new Map();
+let flushing = null;
+let flushTimer = null;
+let retryTimer = null;
+let pollTimer = null;
+// Only one tab talks to the server; the others reach it through localStorage
+let isLeader = false;
+// Set while the list merged from the server is saved, so that save alone is not
+// queued; whether the server needs the merged list is decided separately
+let savingMergedList = false;
+let password = '';
+let channel = null;
+
+// ============ Queue ============
+
+// Add a write to the queue. A newer write to the same target replaces the
+// older one and moves to the end, since only the latest local copy is sent.
+export function enqueueOp(target, kind, id = null, op = 'put') {
+    const key = kind + ':' + (id ?? '');
+    target.delete(key);
+    target.set(key, { kind, id, op });
+    return target;
+}
+
+function loadJson(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function persistQueue() {
+    localStorage.setItem(REMOTE_QUEUE_KEY, JSON.stringify([...queue.values()]));
+}
+
+function persistEtags() {
+    if (provider) localStorage.setItem(REMOTE_ETAGS_KEY, JSON.stringify([...provider.etags]));
+}
+
+function enqueue(kind, id, op) {
+    if (!provider) return;
+    enqueueOp(queue, kind, id, op);
+    persistQueue();
+    updateStatus();
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+}
+
+function isOnServer(path) {
+    return !!provider && provider.etags.has(path);
+}
+
+// Media goes first so another device never loads a canvas whose images are missing
+function enqueueCanvas(id, data) {
+    data?.items?.forEach(d => {
+        if ((d.type === 'image' || d.type === 'video') && typeof d.content === 'string'
+            && d.content.startsWith('media_') && !isOnServer(mediaPath(d.content))) {
+            enqueue('media', d.content);
+        }
+    });
+    enqueue('canvas', id);
+}
+
+async function enqueueEverything() {
+    enqueue('settings');
+    for (const canvas of state.canvases) {
+        enqueueCanvas(canvas.id, await readLocal('loadCanvas', canvas.id));
+    }
+    enqueue('list');
+}
+
+// ============ Local Copies ============
+
+async function readLocal(method, id) {
+    for (const local of getLocalProviders()) {
+        const value = await local[method](id);
+        if (value) return value;
+    }
+    return null;
+}
+
+async function writeLocal(method, ...args) {
+    const results = await Promise.all(getLocalProviders().map(local => local[method](...args)));
+    return results.some(Boolean);
+}
+
+// ============ Merge ============
+
+/**
+ * Reconcile the local canvas list with the server's.
+ * @param {{canvases: Array, groups: Array, templates?: Array}} local
+ * @param {{canvases: Array, groups: Array, templates?: Array}} remote
+ * @param {Object} options
+ * @param {Set<string>} options.pending - Canvases with local writes not yet sent
+ * @param {Function} options.known - Whether a canvas was on the server at the last sync
+ * @returns {{canvases, groups, templates, download: string[], upload: string[], removed: string[]}}
+ */
+export function mergeCanvasLists(local, remote, { pending = new Set(), known = () => false } = {}) {
+    const remoteById = new Map(remote.canvases.map(c => [c.id, c]));
+    const localIds = new Set(local.canvases.map(c => c.id));
+    const canvases = [];
+    const download = [];
+    const upload = [];
+    const removed = [];
+
+    local.canvases.forEach(lc => {
+        const rc = remoteById.get(lc.id);
+        if (!rc) {
+            // Synced before and gone from the server now: deleted on another device
+            if (known(lc.id) && !pending.has(lc.id)) {
+                removed.push(lc.id);
+            } else {
+                canvases.push(lc);
+                if (!pending.has(lc.id)) upload.push(lc.id);
+            }
+            return;
+        }
+        const localTime = lc.updatedAt || 0;
+        const remoteTime = rc.updatedAt || 0;
+        if (!pending.has(lc.id) && remoteTime > localTime) {
+            canvases.push({ ...lc, ...rc });
+            download.push(lc.id);
+        } else {
+            canvases.push(lc);
+            if (!pending.has(lc.id) && localTime > remoteTime) upload.push(lc.id);
+        }
+    });
+    remote.canvases.forEach(rc => {
+        // A pending canvas missing locally is a local deletion waiting to be sent
+        if (localIds.has(rc.id) || pending.has(rc.id)) return;
+        canvases.push(rc);
+        download.push(rc.id);
+    });
+
+    const remoteGroupIds = new Set(remote.groups.map(g => g.id));
+    const groups = [...remote.groups, ...local.groups.filter(g => !remoteGroupIds.has(g.id))];
+    const remoteTemplates = remote.templates || [];
+    const remoteTemplateIds = new Set(remoteTemplates.map(t => t.id));
+    const templates = [...remoteTemplates, ...(local.templates || []).filter(t => !remoteTemplateIds.has(t.id))];
+    return { canvases, groups, templates, download, upload, removed };
+}
+
+// ============ Server Round Trips ============
+
+// Settings changed here and not sent yet win over the server's
+async function pullSettings() {
+    if (queue.has('settings:')) return;
+    const settings = await provider.loadSettings();
+    if (settings) {
+        applyServerSettings(Object.fromEntries(Object.entries(settings).filter(([key]) => SETTINGS_KEYS.includes(key))));
+    }
+}
+
+async function pull() {
+    if (!provider) return;
+    await pullSettings();
+    const remote = await provider.loadCanvasList();
+    if (!remote) {
+        // Empty server (or a new folder): it receives everything
+        await enqueueEverything();
+        return;
+    }
+
+    const pending = new Set([...queue.values()].filter(e => e.kind === 'canvas').map(e => e.id));
+    // The open canvas may hold edits that autosave has not written yet
+    if (state.autoSaveTimer && state.currentCanvasId) pending.add(state.currentCanvasId);
+    const local = { canvases: state.canvases, groups: state.canvasGroups || [], templates: state.canvasTemplates || [] };
+    const merged = mergeCanvasLists(local, remote, {
+        pending,
+        known: id => isOnServer(canvasPath(id))
+    });
+
+    const downloaded = [];
+    for (const id of merged.download) {
+        const data = await provider.loadCanvas(id);
+        if (data && await writeLocal('saveCanvas', id, data)) downloaded.push(id);
+    }
+    for (const id of merged.upload) {
+        enqueueCanvas(id, await readLocal('loadCanvas', id));
+    }
+    await Promise.all(merged.removed.map(id => writeLocal('deleteCanvas', id)));
+
+    const listChanged = JSON.stringify(merged.canvases) !== JSON.stringify(state.canvases)
+        || JSON.stringify(merged.groups) !== JSON.stringify(state.canvasGroups || [])
+        || JSON.stringify(merged.templates) !== JSON.stringify(state.canvasTemplates || []);
+    if (listChanged) {
+        await applyRemoteCanvasList({ canvases: merged.canvases, groups: merged.groups, templates: merged.templates });
+        savingMergedList = true;
+        try {
+            saveCanvasesList();
+        } finally {
+            savingMergedList = false;
+        }
+    }
+    const remoteList = { canvases: remote.canvases, groups: remote.groups, templates: remote.templates || [] };
+    if (JSON.stringify({ canvases: merged.canvases, groups: merged.groups, templates: merged.templates }) !== JSON.stringify(remoteList)) {
+        enqueue('list');
+    }
+    if (downloaded.includes(state.currentCanvasId)) await reloadCurrentCanvas();
+}
+
+async function push(entry) {
+    switch (entry.kind) {
+        case 'list':
+            return provider.saveCanvasList({ canvases: state.canvases, groups: state.canvasGroups || [], templates: state.canvasTemplates || [] });
+        case 'canvas': {
+            if (entry.op === 'delete') return provider.deleteCanvas(entry.id);
+            const data = await readLocal('loadCanvas', entry.id);
+            // Deleted locally in the meantime; the delete entry follows
+            return data ? provider.saveCanvas(entry.id, data) : true;
+        }
+        case 'media': {
+            if (entry.op === 'delete') return provider.deleteMedia(entry.id);
+            const blob = await readLocal('loadMedia', entry.id);
+            return blob ? provider.saveMedia(entry.id, blob) : true;
+        }
+        case 'settings':
+            return provider.saveSettings(collectSettings());
+    }
+    return true;
+}
+
+// Remove an entry once sent, unless a newer write replaced it meanwhile
+function finish(key, entry) {
+    if (queue.get(key) === entry) {
+        queue.delete(key);
+        persistQueue();
+    }
+}
+
+async function resolveConflict(key, entry) {
+    if (entry.kind === 'media') {
+        // Media ids are unique, so an existing file is the same file
+        provider.etags.set(mediaPath(entry.id), null);
+        finish(key, entry);
+        return;
+    }
+    if (entry.kind === 'list') {
+        // Merge the other device's list; the merged list is queued again
+        finish(key, entry);
+        await pull();
+        return;
+    }
+    if (entry.kind !== 'canvas') return;
+
+    const remote = await provider.loadCanvas(entry.id);
+    if (remote) {
+        const name = state.canvases.find(c => c.id === entry.id)?.name || 'Untitled';
+        const useServer = confirm(`"${name}" was also changed on another device.\n\n`
+            + 'OK: use the server version (this version is kept in version history)\n'
+            + 'Cancel: keep this version and overwrite the server');
+        if (useServer) {
+            await adoptServerCanvas(entry.id, remote);
+            finish(key, entry);
+            return;
+        }
+    }
+    // The ETag now matches the server's copy, so this write goes through
+    await push(entry);
+    finish(key, entry);
+}
+
+async function adoptServerCanvas(id, data) {
+    if (id === state.currentCanvasId) {
+        await takeSnapshot('auto', 'Before server version');
+    } else {
+        const local = await readLocal('loadCanvas', id);
+        if (local) await takeSnapshot('auto', 'Before server version', { canvasId: id, data: local });
+    }
+    await writeLocal('saveCanvas', id, data);
+    const meta = state.canvases.find(c => c.id === id);
+    if (meta) meta.itemCount = data.items?.length || 0;
+    if (id === state.currentCanvasId) await reloadCurrentCanvas();
+}
+
+function describeEntry(entry) {
+    if (entry.kind === 'canvas') return `canvas "${state.canvases.find(c => c.id === entry.id)?.name || entry.id}"`;
+    if (entry.kind === 'list') return 'the canvas list';
+    return entry.kind;
+}
+
+// Returns whether the flush may continue with the next entry
+async function handleFailure(key, entry, error) {
+    switch (error.reason) {
+        case 'offline':
+            scheduleRetry();
+            return false;
+        case 'auth':
+            return false;
+        case 'conflict':
+            try {
+                await resolveConflict(key, entry);
+                return true;
+            } catch (e) {
+                return handleFailure(key, entry, e.reason === 'conflict' ? { reason: 'offline' } : e);
+            }
+        default:
+            console.error(`Server sync of ${describeEntry(entry)} failed:`, error);
+            showToast(`Server rejected ${describeEntry(entry)}`, 'error');
+            finish(key, entry);
+            return true;
+    }
+}
+
+function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, REMOTE_RETRY_DELAY);
+}
+
+function flush() {
+    clearTimeout(flushTimer);
+    if (!provider || !isLeader) return Promise.resolve();
+    if (flushing) return flushing;
+    flushing = (async () => {
+        clearTimeout(retryTimer);
+        let lastError = null;
+        try {
+            for (const [key, entry] of [...queue]) {
+                if (!provider) break;
+                try {
+                    await push(entry);
+                    finish(key, entry);
+                } catch (e) {
+                    if (!(await handleFailure(key, entry, e))) {
+                        lastError = e;
+                        break;
+                    }
+                }
+            }
+        } finally {
+            persistEtags();
+        }
+        updateStatus(lastError);
+        // Writes queued while this flush ran (e.g. a merged canvas list)
+        if (!lastError && queue.size) flushTimer = setTimeout(flush, FLUSH_DELAY);
+    })().finally(() => {
+        // Cleared asynchronously: an empty queue finishes before the assignment
+        flushing = null;
+    });
+    return flushing;
+}
+
+async function syncNow() {
+    if (!provider || !isLeader) return;
+    try {
+        await flush();
+        await pull();
+        await flush();
+    } catch (e) {
+        if (e.reason === 'offline') scheduleRetry();
+        else console.error('Server sync failed:', e);
+        updateStatus(e);
+    }
+    persistEtags();
+}
+
+// ============ Connection ============
+
+function loadConfig() {
+    const config = loadJson(REMOTE_CONFIG_KEY, null);
+    if (!config?.url) return null;
+    // Stored by earlier versions; kept for this session only
+    if (config.password) {
+        password = config.password;
+        saveConfig(config);
+    }
+    return { url: config.url, type: config.type, username: config.username || '' };
+}
+
+function saveConfig({ url, type, username }) {
+    localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify({ url, type, username }));
+}
+
+// A server that takes a username needs the password again after a reload
+function needsPassword(config) {
+    return !!config?.username && !password;
+}
+
+async function start(config) {
+    stop();
+    if (needsPassword(config)) {
+        updateStatus();
+        return;
+    }
+    if (!isLeader) {
+        // Followers still load media straight from the server
+        setRemoteProvider(createHttpProvider({ ...config, password }));
+        updateStatus();
+        return;
+    }
+    provider = createHttpProvider({ ...config, password }, { etags: new Map(loadJson(REMOTE_ETAGS_KEY, [])) });
+    setRemoteProvider(provider);
+    loadJson(REMOTE_QUEUE_KEY, []).forEach(e => enqueueOp(queue, e.kind, e.id, e.op));
+    updateStatus();
+    await syncNow();
+    pollTimer = setInterval(() => {
+        if (document.visibilityState === 'visible') syncNow();
+    }, REMOTE_POLL_INTERVAL);
+}
+
+function stop() {
+    clearInterval(pollTimer);
+    clearTimeout(retryTimer);
+    clearTimeout(flushTimer);
+    provider = null;
+    setRemoteProvider(null);
+    queue = new Map();
+}
+
+async function connectRemote() {
+    const url = $('remoteUrl').value.trim();
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') throw new Error();
+    } catch (e) {
+        showToast('Enter a valid http(s) server URL', 'error');
+        return;
+    }
+    const config = {
+        url,
+        type: $('remoteType').value === 'rest' ? 'rest' : 'webdav',
+        username: $('remoteUsername').value
+    };
+    const enteredPassword = $('remotePassword').value;
+
+    setStatusText('Connecting…');
+    try {
+        await createHttpProvider({ ...config, password: enteredPassword }).loadCanvasList();
+    } catch (e) {
+        updateStatus();
+        showToast(e.reason === 'auth' ? 'Server rejected the credentials' : 'Could not reach the server', 'error');
+        return;
+    }
+    // A different server starts from a clean slate; signing in again to the
+    // same one keeps the changes still waiting for it
+    const previous = loadConfig();
+    if (previous?.url !== config.url || previous?.type !== config.type || previous?.username !== config.username) {
+        localStorage.removeItem(REMOTE_QUEUE_KEY);
+        localStorage.removeItem(REMOTE_ETAGS_KEY);
+    }
+    password = enteredPassword;
+    channel?.postMessage({ type: 'password', password });
+    saveConfig(config);
+    showToast('Server connected');
+    await start(config);
+}
+
+function disconnectRemote() {
+    // Signed-out tabs have not loaded the queue
+    const waiting = provider ? queue.size : loadJson(REMOTE_QUEUE_KEY, []).length;
+    if (waiting && !confirm(`${waiting} change(s) have not reached the server yet. Disconnect anyway?`)) return;
+    stop();
+    [REMOTE_CONFIG_KEY, REMOTE_QUEUE_KEY, REMOTE_ETAGS_KEY].forEach(key => localStorage.removeItem(key));
+    password = '';
+    channel?.postMessage({ type: 'password', password });
+    $('remotePassword').value = '';
+    updateStatus();
+    showToast('Server disconnected');
+}
+
+// ============ Status ============
+
+function setStatusText(text, kind = '') {
+    const el = $('remoteStatus');
+    if (!el) return;
+    el.textContent = text;
+    el.dataset.state = kind;
+}
+
+function updateStatus(error = null) {
+    const config = loadConfig();
+    const signedOut = needsPassword(config);
+    const connected = !signedOut && (!!provider || (!isLeader && !!config));
+    $('remoteConnectBtn').hidden = connected;
+    $('remoteDisconnectBtn').hidden = !connected && !signedOut;
+    $('remoteSyncNowBtn').hidden = !connected || !isLeader;
+    if (signedOut) {
+        setStatusText('Enter the password to reconnect', 'warning');
+    } else if (!connected) {
+        setStatusText('Not connected');
+    } else if (!isLeader) {
+        setStatusText('Connected · syncing from another open tab', 'ok');
+    } else if (error?.reason === 'auth') {
+        setStatusText('Sign-in failed · check the username and password', 'error');
+    } else if (error) {
+        setStatusText(`Offline · ${queue.size} change(s) waiting`, 'warning');
+    } else if (queue.size) {
+        setStatusText(`Syncing ${queue.size} change(s)…`, 'ok');
+    } else {
+        setStatusText(`Synced at ${new Date().toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`, 'ok');
+    }
+}
+
+// ============ Setup ============
+
+// Writes made by other tabs reach the leader only through localStorage
+function handleStorage(e) {
+    if (e.storageArea !== localStorage) return;
+    if (e.key === REMOTE_CONFIG_KEY) {
+        const config = loadConfig();
+        if (config) start(config);
+        else stop();
+        updateStatus();
+        return;
+    }
+    if (!provider) return;
+    if (e.key === CANVASES_KEY || e.key === CANVAS_GROUPS_KEY || e.key === CANVAS_TEMPLATES_KEY) {
+        enqueue('list');
+    } else if (e.key?.startsWith('knotpad-data-')) {
+        const id = e.key.slice('knotpad-data-'.length);
+        if (!e.newValue) enqueue('canvas', id, 'delete');
+        else {
+            try {
+                enqueueCanvas(id, JSON.parse(e.newValue));
+            } catch (err) {
+                enqueue('canvas', id);
+            }
+        }
+    } else if (SETTINGS_KEYS.includes(e.key)) {
+        enqueue('settings');
+    }
+}
+
+function handlePasswordMessage(message) {
+    if (message?.type === 'password-request') {
+        if (password) channel.postMessage({ type: 'password', password });
+        return;
+    }
+    if (message?.type !== 'password' || message.password === password) return;
+    password = message.password || '';
+    const config = loadConfig();
+    if (config) start(config);
+}
+
+function becomeLeader() {
+    isLeader = true;
+    const config = loadConfig();
+    if (config) start(config);
+    else updateStatus();
+}
+
+export function setupRemoteSync() {
+    eventBus.on(Events.CANVAS_SAVED, (id, data) => { if (provider) enqueueCanvas(id, data); });
+    eventBus.on(Events.CANVAS_LIST_SAVED, () => { if (!savingMergedList) enqueue('list'); });
+    eventBus.on(Events.CANVAS_DELETED, id => enqueue('canvas', id, 'delete'));
+    eventBus.on(Events.MEDIA_DELETED, id => {
+        if (isOnServer(mediaPath(id))) enqueue('media', id, 'delete');
+    });
+    eventBus.on(Events.SETTINGS_SAVED, () => enqueue('settings'));
+    window.addEventListener('storage', handleStorage);
+    window.addEventListener('online', syncNow);
+    if (typeof BroadcastChannel !== 'undefined') {
+        // The tab that signs in is not always the one talking to the server,
+        // and tabs opened later ask the open ones for the password
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', e => handlePasswordMessage(e.data));
+        channel.postMessage({ type: 'password-request' });
+    }
+
+    const config = loadConfig();
+    if (config) {
+        $('remoteUrl').value = config.url;
+        $('remoteType').value = config.type;
+        $('remoteUsername').value = config.username;
+    }
+    $('remoteConnectBtn').addEventListener('click', connectRemote);
+    $('remoteDisconnectBtn').addEventListener('click', disconnectRemote);
+    $('remoteSyncNowBtn').addEventListener('click', syncNow);
+
+    if (navigator.locks?.request) {
+        // Held for the lifetime of the tab; the next tab in line takes over on close
+        navigator.locks.request(LOCK_NAME, () => {
+            becomeLeader();
+            return new Promise(() => {});
+        });
+        if (config) start(config);
+        else updateStatus();
+    } else {
+        becomeLeader();
+    }
+}
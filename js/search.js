@@ -0,0 +1,164 @@
+// KnotPad - Search Module (Item text extraction, matching and snippets)
+
+import { esc, stripHtml } from './utils.js';
+
+const SNIPPET_RADIUS = 40;
+
+// Searchable text of a live item or of an item stored in canvas data
+export function getItemSearchText(item) {
+    const content = item.content;
+    switch (item.type) {
+        case 'memo':
+            return stripHtml(content || '');
+        case 'keyword':
+            return String(content || '');
+        case 'link':
+            return `${content?.title || ''} ${content?.url || ''}`;
+        case 'frame':
+            return content?.title || '';
+        default:
+            return '';
+    }
+}
+
+// ============ Query Language ============
+// Space-separated conditions that must all hold:
+//   word  "exact phrase"  /regex/flags  type:link  color:red|none
+//   has:connection|color  locked:true|false   and -condition to exclude
+
+const FILTER_KEYS = ['type', 'color', 'has', 'locked'];
+const TOKEN_RE = /(-?)(?:"([^"]*)"?|\/((?:\\.|[^/\\])+)\/([dgimsuy]*)(?=\s|$)|(\S+))/g;
+
+export function parseSearchQuery(query) {
+    const conditions = [];
+    for (const match of String(query || '').matchAll(TOKEN_RE)) {
+        const [raw, minus, phrase, source, flags, word] = match;
+        const negate = minus === '-';
+        if (phrase !== undefined) {
+            if (phrase.trim()) conditions.push({ kind: 'text', text: phrase.toLowerCase(), negate });
+        } else if (source !== undefined) {
+            try {
+                // Plain /regex/ follows the rest of search and ignores case
+                const regex = new RegExp(source, (flags || 'i').replace(/[gy]/g, ''));
+                conditions.push({ kind: 'regex', regex, negate });
+            } catch {
+                conditions.push({ kind: 'text', text: raw.slice(minus.length).toLowerCase(), negate });
+            }
+        } else {
+            const sep = word.indexOf(':');
+            const key = sep > 0 ? word.slice(0, sep).toLowerCase() : '';
+            if (FILTER_KEYS.includes(key) && sep < word.length - 1) {
+                conditions.push({ kind: 'filter', key, value: word.slice(sep + 1).toLowerCase(), negate });
+            } else {
+                conditions.push({ kind: 'text', text: word.toLowerCase(), negate });
+            }
+        }
+    }
+    return { conditions };
+}
+
+// Ids of items that take part in at least one connection (live or stored)
+export function getConnectedIds(connections = []) {
+    const ids = new Set();
+    connections.forEach(c => {
+        ids.add(c.from?.id ?? c.from);
+        ids.add(c.to?.id ?? c.to);
+    });
+    return ids;
+}
+
+function matchesFilter({ key, value }, item, connectedIds) {
+    switch (key) {
+        case 'type':
+            return item.type === value;
+        case 'color':
+            return value === 'none' ? !item.color : item.color === value;
+        case 'has':
+            if (value === 'connection' || value === 'connections') return connectedIds.has(item.id);
+            if (value === 'color') return !!item.color;
+            return false;
+        case 'locked':
+            if (value === 'true' || value === 'yes') return !!item.locked;
+            if (value === 'false' || value === 'no') return !item.locked;
+            return false;
+        default:
+            return false;
+    }
+}
+
+function matchesCondition(condition, item, text, connectedIds) {
+    switch (condition.kind) {
+        case 'text':
+            return text.toLowerCase().includes(condition.text);
+        case 'regex':
+            return condition.regex.test(text);
+        default:
+            return matchesFilter(condition, item, connectedIds);
+    }
+}
+
+export function matchesSearchQuery(item, parsed, connectedIds = new Set()) {
+    if (!parsed.conditions.length) return false;
+    const text = getItemSearchText(item);
+    return parsed.conditions.every(condition =>
+        matchesCondition(condition, item, text, connectedIds) !== condition.negate
+    );
+}
+
+// [start, end) ranges of text matched by the positive text and regex conditions,
+// sorted and merged so they can be highlighted directly
+export function findMatchRanges(text, parsed) {
+    const ranges = [];
+    const lower = text.toLowerCase();
+    parsed.conditions.forEach(condition => {
+        if (condition.negate) return;
+        if (condition.kind === 'text') {
+            for (let i = lower.indexOf(condition.text); i >= 0; i = lower.indexOf(condition.text, i + condition.text.length)) {
+                ranges.push([i, i + condition.text.length]);
+            }
+        } else if (condition.kind === 'regex') {
+            const global = new RegExp(condition.regex.source, condition.regex.flags + 'g');
+            for (const match of text.matchAll(global)) {
+                if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push(range);
+    });
+    return merged;
+}
+
+// One-line excerpt around the first match, HTML-escaped with the match in <mark>.
+// Accepts a query string or the result of parseSearchQuery.
+export function makeSnippet(text, query, radius = SNIPPET_RADIUS) {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const [range] = findMatchRanges(flat, parsed);
+    if (!range) {
+        return esc(flat.length > radius * 2 ? flat.slice(0, radius * 2) + '…' : flat);
+    }
+    const [index, matchEnd] = range;
+    const start = Math.max(0, index - radius);
+    const end = Math.min(flat.length, matchEnd + radius);
+    return (start > 0 ? '…' : '')
+        + esc(flat.slice(start, index))
+        + `<mark>${esc(flat.slice(index, matchEnd))}</mark>`
+        + esc(flat.slice(matchEnd, end))
+        + (end < flat.length ? '…' : '');
+}
+
+// Match a stored canvas ({ items, connections }) against a query.
+// Returns [{ id, type, snippet }] in canvas order.
+export function searchCanvasData(data, query) {
+    const parsed = parseSearchQuery(query);
+    if (!parsed.conditions.length || !Array.isArray(data?.items)) return [];
+    const connectedIds = getConnectedIds(data.connections);
+    return data.items
+        .filter(item => matchesSearchQuery(item, parsed, connectedIds))
+        .map(item => ({ id: item.id, type: item.type, snippet: makeSnippet(getItemSearchText(item), parsed) }));
+}
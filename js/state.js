@@ -8,6 +8,11 @@ export function initSettingsSaveCallback(fn) {
     _scheduleSettingsSave = fn;
 }
 
+// For settings kept in localStorage outside the reactive props below
+export function requestSettingsSave() {
+    if (_scheduleSettingsSave) _scheduleSettingsSave();
+}
+
 // Grid size constant (non-reactive)
 export const GRID_SIZE = 16;
 
@@ -19,6 +24,10 @@ export const blobURLCache = new Map();
 // no longer referenced by live items or in-memory undo/redo snapshots.
 export const pendingMediaDeletes = new Set();
 
+// Media ids referenced by the current canvas's stored version-history
+// snapshots. Kept in sync by history.js so the synchronous GC can honour them.
+export const snapshotMediaIds = new Set();
+
 // Properties that should sync to localStorage
 const localStorageProps = {
     sidebarPinned: 'knotpad-sidebar-pinned',
@@ -31,7 +40,8 @@ const localStorageProps = {
     gridSnap: 'knotpad-grid-snap',
     colorDisplayMode: 'knotpad-color-display-mode',
     linkPreviewEnabled: 'knotpad-link-preview-enabled',
-    canvasPasteFormattingEnabled: 'knotpad-canvas-paste-formatting'
+    canvasPasteFormattingEnabled: 'knotpad-canvas-paste-formatting',
+    authorName: 'knotpad-author-name'
 };
 
 // Properties that are boolean in localStorage
@@ -132,10 +142,17 @@ const initialState = {
 
     // Filter state
     activeFilter: 'all',
+    propertyFilter: '', // Tag/property query, e.g. "#urgent status:done"
 
     // Color group mode state
     colorGroupModeActive: false,
-    originalPositions: new Map(), // Stores original positions before color grouping
+    originalPositions: new Map(), // Stores original positions before color grouping or auto layout
+
+    // Auto layout state ('tree-horizontal' | 'tree-vertical' | 'radial' | 'force' | null)
+    layoutModeActive: null,
+
+    // Presentation stops in order (item ids); empty means derive from connections
+    presentationPath: [],
 
     // Auto-save timer
     autoSaveTimer: null,
@@ -148,6 +165,21 @@ const initialState = {
     canvasGroups: [],
     collapsedGroups: new Set(),
 
+    // User canvas templates (built-ins live in templates.js)
+    canvasTemplates: [],
+
+    // Item colors ({ id, name, hex, hidden? }); empty means the built-in ones
+    palette: (() => {
+        try {
+            const saved = JSON.parse(localStorage.getItem('knotpad-palette'));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    })(),
+    // What each color means on the current canvas ({ colorId: text })
+    colorLegend: {},
+
     // Minimap throttle
     minimapThrottle: null,
 
@@ -178,6 +210,8 @@ const initialState = {
     paragraphSpacing: localStorage.getItem('knotpad-paragraph-spacing') || '30',
     invertWheelZoom: localStorage.getItem('knotpad-invert-wheel-zoom') === 'true',
     gridSnap: localStorage.getItem('knotpad-grid-snap') === 'true',
+    // Recorded with the items this person creates and edits
+    authorName: localStorage.getItem('knotpad-author-name') || '',
     colorDisplayMode: (() => {
         // Migration: Change default from 'bar' to 'fill' for new users,
         // while preserving existing users' experience
@@ -356,11 +390,15 @@ export let connectSource = state.connectSource;
 export let connectHandle = state.connectHandle;
 export let tempLine = state.tempLine;
 export let activeFilter = state.activeFilter;
+export let propertyFilter = state.propertyFilter;
 export let autoSaveTimer = state.autoSaveTimer;
 export let canvases = state.canvases;
 export let currentCanvasId = state.currentCanvasId;
 export let canvasGroups = state.canvasGroups;
 export let collapsedGroups = state.collapsedGroups;
+export let canvasTemplates = state.canvasTemplates;
+export let palette = state.palette;
+export let colorLegend = state.colorLegend;
 export let minimapThrottle = state.minimapThrottle;
 export let sidebarPinned = state.sidebarPinned;
 export let sidebarOpen = state.sidebarOpen;
@@ -378,11 +416,14 @@ export let defaultTextAlign = state.defaultTextAlign;
 export let paragraphSpacing = state.paragraphSpacing;
 export let invertWheelZoom = state.invertWheelZoom;
 export let gridSnap = state.gridSnap;
+export let authorName = state.authorName;
 export let colorDisplayMode = state.colorDisplayMode;
 export let linkPreviewEnabled = state.linkPreviewEnabled;
 export let canvasPasteFormattingEnabled = state.canvasPasteFormattingEnabled;
 export let colorGroupModeActive = state.colorGroupModeActive;
 export let originalPositions = state.originalPositions;
+export let layoutModeActive = state.layoutModeActive;
+export let presentationPath = state.presentationPath;
 
 // ============ Legacy Setter Functions (for backward compatibility) ============
 // These update both the reactive state AND the exported primitives to maintain
@@ -410,12 +451,18 @@ export function setConnectSource(val) { state.connectSource = val; connectSource
 export function setConnectHandle(val) { state.connectHandle = val; connectHandle = val; }
 export function setTempLine(val) { state.tempLine = val; tempLine = val; }
 export function setActiveFilter(val) { state.activeFilter = val; activeFilter = val; }
+export function setPropertyFilter(val) { state.propertyFilter = val; propertyFilter = val; }
 export function setColorGroupModeActive(val) { state.colorGroupModeActive = val; colorGroupModeActive = val; }
 export function setOriginalPositions(val) { state.originalPositions = val; originalPositions = val; }
+export function setLayoutModeActive(val) { state.layoutModeActive = val; layoutModeActive = val; }
+export function setPresentationPath(val) { state.presentationPath = val; presentationPath = val; }
 export function setAutoSaveTimer(val) { state.autoSaveTimer = val; autoSaveTimer = val; }
 export function setCanvases(val) { state.canvases = val; canvases = val; }
 export function setCurrentCanvasId(val) { state.currentCanvasId = val; currentCanvasId = val; }
 export function setCanvasGroups(val) { state.canvasGroups = val; canvasGroups = val; }
+export function setCanvasTemplates(val) { state.canvasTemplates = val; canvasTemplates = val; }
+export function setPalette(val) { state.palette = val; palette = val; }
+export function setColorLegend(val) { state.colorLegend = val; colorLegend = val; }
 export function setMinimapThrottle(val) { state.minimapThrottle = val; minimapThrottle = val; }
 export function setSidebarPinned(val) { state.sidebarPinned = val; sidebarPinned = val; }
 export function setSidebarOpen(val) { state.sidebarOpen = val; sidebarOpen = val; }
@@ -433,6 +480,7 @@ export function setDefaultTextAlign(val) { state.defaultTextAlign = val; default
 export function setParagraphSpacing(val) { state.paragraphSpacing = val; paragraphSpacing = val; }
 export function setInvertWheelZoom(val) { state.invertWheelZoom = val; invertWheelZoom = val; }
 export function setGridSnap(val) { state.gridSnap = val; gridSnap = val; }
+export function setAuthorName(val) { state.authorName = val; authorName = val; }
 export function setColorDisplayMode(val) { state.colorDisplayMode = val; colorDisplayMode = val; }
 export function setLinkPreviewEnabled(val) { state.linkPreviewEnabled = val; linkPreviewEnabled = val; }
 export function setCanvasPasteFormattingEnabled(val) { state.canvasPasteFormattingEnabled = val; canvasPasteFormattingEnabled = val; }
@@ -1,8 +1,9 @@
 // KnotPad - Storage Module (IndexedDB + File System API)
 
-import { DB_NAME, DB_VERSION, MEDIA_STORE, FS_HANDLE_STORE, FS_HANDLE_KEY, CANVASES_DIR, MEDIA_DIR, FS_STORAGE_KEY, MEDIA_EXTENSIONS } from './constants.js';
+import { DB_NAME, DB_VERSION, MEDIA_STORE, FS_HANDLE_STORE, FS_HANDLE_KEY, SNAPSHOT_STORE, CANVASES_DIR, MEDIA_DIR, SNAPSHOTS_DIR, FS_STORAGE_KEY, MEDIA_EXTENSIONS } from './constants.js';
 import { showToast, $, getExtensionFromMimeType } from './utils.js';
 import * as state from './state.js';
+import eventBus, { Events } from './events-bus.js';
 
 // IndexedDB instance
 let mediaDB = null;
@@ -33,6 +34,11 @@ export function initMediaDB() {
             if (!db.objectStoreNames.contains(FS_HANDLE_STORE)) {
                 db.createObjectStore(FS_HANDLE_STORE, { keyPath: 'id' });
             }
+            // Durable per-canvas version history
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
+                store.createIndex('canvasId', 'canvasId');
+            }
         };
     });
 }
@@ -63,7 +69,10 @@ export function deleteMedia(id) {
         try {
             const tx = mediaDB.transaction(MEDIA_STORE, 'readwrite');
             tx.objectStore(MEDIA_STORE).delete(id);
-            tx.oncomplete = () => resolve(true);
+            tx.oncomplete = () => {
+                eventBus.emit(Events.MEDIA_DELETED, id);
+                resolve(true);
+            };
             tx.onerror = () => {
                 console.error(`Failed to delete media ${id} from IndexedDB:`, tx.error);
                 resolve(false);
@@ -115,6 +124,51 @@ export function saveMediaBatch(mediaEntries) {
     });
 }
 
+// ============ Snapshot Functions (IndexedDB) ============
+
+export function saveSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+        if (!mediaDB) { reject(new Error('IndexedDB is not available')); return; }
+        const tx = mediaDB.transaction(SNAPSHOT_STORE, 'readwrite');
+        tx.objectStore(SNAPSHOT_STORE).put(snapshot);
+        tx.oncomplete = () => resolve(snapshot.id);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export function loadSnapshots(canvasId) {
+    return new Promise(resolve => {
+        if (!mediaDB) { resolve([]); return; }
+        try {
+            const tx = mediaDB.transaction(SNAPSHOT_STORE, 'readonly');
+            const req = tx.objectStore(SNAPSHOT_STORE).index('canvasId').getAll(canvasId);
+            req.onsuccess = () => resolve(req.result || []);
+            req.onerror = () => resolve([]);
+        } catch (e) {
+            console.error(`Failed to load snapshots for canvas ${canvasId}:`, e);
+            resolve([]);
+        }
+    });
+}
+
+export function deleteSnapshot(id) {
+    return new Promise(resolve => {
+        if (!mediaDB) { resolve(false); return; }
+        const tx = mediaDB.transaction(SNAPSHOT_STORE, 'readwrite');
+        tx.objectStore(SNAPSHOT_STORE).delete(id);
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => {
+            console.error(`Failed to delete snapshot ${id}:`, tx.error);
+            resolve(false);
+        };
+    });
+}
+
+export async function deleteSnapshotsForCanvas(canvasId) {
+    const snapshots = await loadSnapshots(canvasId);
+    await Promise.all(snapshots.map(snapshot => deleteSnapshot(snapshot.id)));
+}
+
 // ============ Persistent Storage Functions ============
 
 // Request persistent storage to prevent browser from clearing data
@@ -352,16 +406,12 @@ export function updateStorageIndicator(connected, needsPermission = false) {
 
 // ============ File System Canvas Operations ============
 
-export async function saveCanvasesListToFileSystem() {
+export async function saveCanvasesListToFileSystem(data = { canvases: state.canvases, groups: state.canvasGroups || [], templates: state.canvasTemplates || [] }) {
     if (!fsDirectoryHandle) return false;
     try {
         const canvasesDir = await fsDirectoryHandle.getDirectoryHandle(CANVASES_DIR, { create: true });
         const fileHandle = await canvasesDir.getFileHandle('_index.json', { create: true });
         const writable = await fileHandle.createWritable();
-        const data = {
-            canvases: state.canvases,
-            groups: state.canvasGroups || []
-        };
         await writable.write(JSON.stringify(data, null, 2));
         await writable.close();
         return true;
@@ -430,10 +480,80 @@ export async function deleteCanvasFromFileSystem(canvasId) {
     }
 }
 
+// ============ File System Snapshot Operations ============
+
+async function getSnapshotsDirectory(canvasId, create = false) {
+    const canvasesDir = await fsDirectoryHandle.getDirectoryHandle(CANVASES_DIR, { create });
+    const historyDir = await canvasesDir.getDirectoryHandle(SNAPSHOTS_DIR, { create });
+    return historyDir.getDirectoryHandle(canvasId, { create });
+}
+
+export async function saveSnapshotToFileSystem(snapshot) {
+    if (!fsDirectoryHandle) return false;
+    try {
+        const dir = await getSnapshotsDirectory(snapshot.canvasId, true);
+        const fileHandle = await dir.getFileHandle(snapshot.id + '.json', { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(JSON.stringify(snapshot));
+        await writable.close();
+        return true;
+    } catch (e) {
+        console.error('Failed to save snapshot to file system:', e);
+        return false;
+    }
+}
+
+export async function loadSnapshotsFromFileSystem(canvasId) {
+    if (!fsDirectoryHandle) return [];
+    const snapshots = [];
+    try {
+        const dir = await getSnapshotsDirectory(canvasId);
+        for await (const entry of dir.values()) {
+            if (entry.kind !== 'file' || !entry.name.endsWith('.json')) continue;
+            try {
+                const file = await entry.getFile();
+                snapshots.push(JSON.parse(await file.text()));
+            } catch (e) {
+                console.warn(`Skipping unreadable snapshot ${entry.name}:`, e);
+            }
+        }
+    } catch (e) {
+        // No history folder yet
+    }
+    return snapshots;
+}
+
+export async function deleteSnapshotFromFileSystem(canvasId, snapshotId) {
+    if (!fsDirectoryHandle) return false;
+    try {
+        const dir = await getSnapshotsDirectory(canvasId);
+        await dir.removeEntry(snapshotId + '.json');
+        return true;
+    } catch (e) {
+        if (e.name === 'NotFoundError') return true;
+        console.error('Failed to delete snapshot from file system:', e);
+        return false;
+    }
+}
+
+export async function deleteSnapshotsFromFileSystem(canvasId) {
+    if (!fsDirectoryHandle) return false;
+    try {
+        const canvasesDir = await fsDirectoryHandle.getDirectoryHandle(CANVASES_DIR);
+        const historyDir = await canvasesDir.getDirectoryHandle(SNAPSHOTS_DIR);
+        await historyDir.removeEntry(canvasId, { recursive: true });
+        return true;
+    } catch (e) {
+        if (e.name === 'NotFoundError') return true;
+        console.error('Failed to delete snapshots from file system:', e);
+        return false;
+    }
+}
+
 // ============ File System Media Operations ============
 
 export async function saveMediaToFileSystem(mediaId, blob) {
-    if (!fsDirectoryHandle) return;
+    if (!fsDirectoryHandle) return false;
     try {
         const mediaDir = await fsDirectoryHandle.getDirectoryHandle(MEDIA_DIR, { create: true });
         const ext = getExtensionFromMimeType(blob.type);
@@ -441,8 +561,10 @@ export async function saveMediaToFileSystem(mediaId, blob) {
         const writable = await fileHandle.createWritable();
         await writable.write(blob);
         await writable.close();
+        return true;
     } catch (e) {
         console.error('Failed to save media to file system:', e);
+        return false;
     }
 }
 
@@ -527,33 +649,40 @@ const SETTINGS_FILE = '_settings.json';
 // Debounce timer for settings save
 let settingsSaveTimer = null;
 
-export async function saveSettingsToFileSystem() {
+// localStorage keys persisted alongside the canvases
+export const SETTINGS_KEYS = [
+    'knotpad-theme',
+    'knotpad-sidebar-pinned',
+    'knotpad-sidebar-open',
+    'knotpad-sidebar-width',
+    'knotpad-default-font-size',
+    'knotpad-note-wrap-mode',
+    'knotpad-default-text-align',
+    'knotpad-paragraph-spacing',
+    'knotpad-invert-wheel-zoom',
+    'knotpad-grid-snap',
+    'knotpad-color-display-mode',
+    'knotpad-link-preview-enabled',
+    'knotpad-canvas-paste-formatting',
+    'knotpad-author-name',
+    'knotpad-palette',
+    'knotpad-active-canvas'
+];
+
+export function collectSettings() {
+    const settings = {};
+    for (const key of SETTINGS_KEYS) {
+        const val = localStorage.getItem(key);
+        if (val !== null) {
+            settings[key] = val;
+        }
+    }
+    return settings;
+}
+
+export async function saveSettingsToFileSystem(settings = collectSettings()) {
     if (!fsDirectoryHandle) return false;
     try {
-        const settings = {};
-        // Gather all localStorage settings keys
-        const settingsKeys = [
-            'knotpad-theme',
-            'knotpad-sidebar-pinned',
-            'knotpad-sidebar-open',
-            'knotpad-sidebar-width',
-            'knotpad-default-font-size',
-            'knotpad-note-wrap-mode',
-            'knotpad-default-text-align',
-            'knotpad-paragraph-spacing',
-            'knotpad-invert-wheel-zoom',
-            'knotpad-grid-snap',
-            'knotpad-color-display-mode',
-            'knotpad-link-preview-enabled',
-            'knotpad-canvas-paste-formatting',
-            'knotpad-active-canvas'
-        ];
-        for (const key of settingsKeys) {
-            const val = localStorage.getItem(key);
-            if (val !== null) {
-                settings[key] = val;
-            }
-        }
         const fileHandle = await fsDirectoryHandle.getFileHandle(SETTINGS_FILE, { create: true });
         const writable = await fileHandle.createWritable();
         await writable.write(JSON.stringify(settings, null, 2));
@@ -566,11 +695,11 @@ export async function saveSettingsToFileSystem() {
 }
 
 export function scheduleSettingsSave() {
-    if (!fsDirectoryHandle) return;
     if (settingsSaveTimer) clearTimeout(settingsSaveTimer);
     settingsSaveTimer = setTimeout(() => {
         settingsSaveTimer = null;
-        saveSettingsToFileSystem();
+        if (fsDirectoryHandle) saveSettingsToFileSystem();
+        eventBus.emit(Events.SETTINGS_SAVED);
     }, 500);
 }
 
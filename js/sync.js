@@ -0,0 +1,309 @@
+// KnotPad - Sync Module (Live cross-tab coordination via BroadcastChannel and storage events)
+//
+// Every tab remembers the last version of each item and connection it shared
+// with the others. Outgoing messages carry only what changed since then, each
+// change tagged with the fingerprint of the version it replaces. A receiving
+// tab applies a change only while its own copy still matches that fingerprint;
+// otherwise both tabs edited the same item and the conflict is surfaced.
+
+import { CANVASES_KEY, CANVAS_GROUPS_KEY, CANVAS_TEMPLATES_KEY } from './constants.js';
+import { $, showToast } from './utils.js';
+import * as state from './state.js';
+import { panToItem } from './viewport.js';
+import { captureCanvasSnapshot, applyRemoteCanvasChanges, applyRemoteCanvasList, saveState } from './ui.js';
+import eventBus, { Events } from './events-bus.js';
+
+const CHANNEL_NAME = 'knotpad-sync';
+const BROADCAST_DELAY = 300;
+
+const tabId = 't' + Date.now() + Math.random().toString(36).substr(2, 5);
+let channel = null;
+let broadcastTimer = null;
+
+// Per open canvas: id -> fingerprint of the last version shared with other tabs
+let sharedItems = new Map();
+let sharedConnections = new Map();
+// Unresolved conflicts: item id -> the other tab's version (null when it deleted the item)
+const conflicts = new Map();
+// Remote changes held back while the target item is being edited here
+const deferred = new Map();
+
+// ============ Fingerprints and Merge ============
+
+// Stable 32-bit FNV-1a hash of an item or connection, ignoring stacking order
+export function fingerprint(data) {
+    if (!data) return null;
+    const { z, ...rest } = data;
+    const text = JSON.stringify(rest);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36) + ':' + text.length;
+}
+
+// Entries whose fingerprint differs from the shared one, as
+// [{ id, prev, next }] where next is null for a deletion
+export function collectChanges(list, shared) {
+    const changes = [];
+    const seen = new Set();
+    list.forEach(d => {
+        seen.add(d.id);
+        const fp = fingerprint(d);
+        if (shared.get(d.id) !== fp) changes.push({ id: d.id, prev: shared.get(d.id) ?? null, next: d });
+    });
+    shared.forEach((fp, id) => {
+        if (!seen.has(id)) changes.push({ id, prev: fp, next: null });
+    });
+    return changes;
+}
+
+// Sort incoming changes against the local canvas. A change applies when the
+// local copy is still the version it was based on (`prev`), or for a full sync
+// (`prev` undefined) when the local copy is unchanged since it was shared.
+// Forced changes (a conflict resolved by the sender) always apply.
+export function classifyChanges(changes, local, shared) {
+    const apply = [];
+    const conflicting = [];
+    const same = [];
+    changes.forEach(change => {
+        const localFp = fingerprint(local.get(change.id));
+        if (localFp === fingerprint(change.next)) {
+            same.push(change);
+            return;
+        }
+        const base = change.prev === undefined ? shared.get(change.id) ?? null : change.prev;
+        if (change.force || localFp === base) apply.push(change);
+        else conflicting.push(change);
+    });
+    return { apply, conflicting, same };
+}
+
+// For a full sync, entries this tab shared earlier that the sender no longer has
+export function withFullSyncRemovals(changes, shared) {
+    const present = new Set(changes.map(c => c.id));
+    const removals = [...shared.keys()].filter(id => !present.has(id)).map(id => ({ id, next: null }));
+    return [...changes, ...removals];
+}
+
+// ============ Outgoing ============
+
+function post(message) {
+    if (channel) channel.postMessage({ ...message, tabId, canvasId: state.currentCanvasId });
+}
+
+function resetShared(data) {
+    sharedItems = new Map(data.items.map(d => [d.id, fingerprint(d)]));
+    sharedConnections = new Map(data.connections.map(c => [c.id, fingerprint(c)]));
+}
+
+function scheduleBroadcast() {
+    if (!channel) return;
+    clearTimeout(broadcastTimer);
+    broadcastTimer = setTimeout(broadcastChanges, BROADCAST_DELAY);
+}
+
+function broadcastChanges() {
+    broadcastTimer = null;
+    if (!state.currentCanvasId) return;
+    const data = captureCanvasSnapshot();
+    // Items in conflict stay as they are until the user picks a side
+    const items = collectChanges(data.items, sharedItems).filter(c => !conflicts.has(c.id));
+    const connections = collectChanges(data.connections, sharedConnections);
+    if (!items.length && !connections.length) return;
+    items.forEach(c => setShared(sharedItems, c.id, c.next));
+    connections.forEach(c => setShared(sharedConnections, c.id, c.next));
+    post({ type: 'changes', items, connections });
+}
+
+function setShared(shared, id, data) {
+    if (data) shared.set(id, fingerprint(data));
+    else shared.delete(id);
+}
+
+// Full state for a tab that just opened the same canvas
+function fullStateChanges(data) {
+    return {
+        full: true,
+        items: data.items.map(d => ({ id: d.id, next: d })),
+        connections: data.connections.map(c => ({ id: c.id, next: c }))
+    };
+}
+
+function sendFullState() {
+    post({ type: 'changes', ...fullStateChanges(captureCanvasSnapshot()) });
+}
+
+// ============ Incoming ============
+
+function isBeingEdited(id) {
+    const item = state.items.find(i => i.id === id);
+    return !!item && item.el.contains(document.activeElement) && document.activeElement !== document.body;
+}
+
+function applyIncoming({ items = [], connections = [], full = false, tabId: senderId = '' }) {
+    const local = captureCanvasSnapshot();
+    const localItems = new Map(local.items.map(d => [d.id, d]));
+    const localConnections = new Map(local.connections.map(c => [c.id, c]));
+    if (full) {
+        items = withFullSyncRemovals(items.map(c => ({ ...c, prev: undefined })), sharedItems);
+        connections = withFullSyncRemovals(connections.map(c => ({ ...c, prev: undefined })), sharedConnections);
+    }
+    items.forEach(change => { if (change.force) conflicts.delete(change.id); });
+
+    const { apply, conflicting, same } = classifyChanges(items, localItems, sharedItems);
+    const ready = apply.filter(change => {
+        if (!isBeingEdited(change.id)) return true;
+        deferred.set(change.id, change);
+        return false;
+    });
+
+    // Connections are not worth a prompt: when both tabs changed the same one,
+    // the tab with the greater id wins on both sides so they still converge
+    const connResult = classifyChanges(connections, localConnections, sharedConnections);
+    const connApply = senderId > tabId ? [...connResult.apply, ...connResult.conflicting] : connResult.apply;
+
+    [...ready, ...same].forEach(c => {
+        setShared(sharedItems, c.id, c.next);
+        deferred.delete(c.id);
+    });
+    [...connApply, ...connResult.same].forEach(c => setShared(sharedConnections, c.id, c.next));
+
+    let newConflicts = 0;
+    conflicting.forEach(change => {
+        if (!conflicts.has(change.id)) newConflicts++;
+        conflicts.set(change.id, change.next);
+        // The other tab now holds this version; local edits stay unsent until resolved
+        setShared(sharedItems, change.id, change.next);
+    });
+
+    if (ready.length || connApply.length) {
+        applyRemoteCanvasChanges({
+            upsert: ready.filter(c => c.next).map(c => c.next),
+            remove: ready.filter(c => !c.next).map(c => c.id),
+            connUpsert: connApply.filter(c => c.next).map(c => c.next),
+            connRemove: connApply.filter(c => !c.next).map(c => c.id)
+        });
+        // Keep undo in step so it never silently reverts another tab's edit
+        saveState();
+    }
+    if (newConflicts) {
+        showToast(`${newConflicts} item${newConflicts === 1 ? ' was' : 's were'} also changed in another tab`, 'warning');
+    }
+    renderConflicts();
+}
+
+function retryDeferred() {
+    const ready = [...deferred.values()].filter(change => !isBeingEdited(change.id));
+    if (!ready.length) return;
+    ready.forEach(change => deferred.delete(change.id));
+    applyIncoming({ items: ready, tabId });
+}
+
+function handleMessage(message) {
+    if (!message || message.tabId === tabId || message.canvasId !== state.currentCanvasId) return;
+    switch (message.type) {
+        case 'hello':
+            sendFullState();
+            break;
+        case 'changes':
+            applyIncoming(message);
+            break;
+        case 'resolved':
+            // The other tab adopted our version of these items
+            message.ids.forEach(id => conflicts.delete(id));
+            renderConflicts();
+            break;
+    }
+}
+
+// Fallback when BroadcastChannel is unavailable: treat another tab's save of
+// the open canvas as a full sync
+function handleStorage(e) {
+    if (e.storageArea !== localStorage || !e.newValue) return;
+    try {
+        if (e.key === CANVASES_KEY) {
+            applyRemoteCanvasList({ canvases: JSON.parse(e.newValue) });
+        } else if (e.key === CANVAS_GROUPS_KEY) {
+            applyRemoteCanvasList({ groups: JSON.parse(e.newValue) });
+        } else if (e.key === CANVAS_TEMPLATES_KEY) {
+            applyRemoteCanvasList({ templates: JSON.parse(e.newValue) });
+        } else if (!channel && e.key === 'knotpad-data-' + state.currentCanvasId) {
+            applyIncoming(fullStateChanges(JSON.parse(e.newValue)));
+        }
+    } catch (err) {
+        console.warn('Ignoring unreadable change from another tab:', err);
+    }
+}
+
+// ============ Conflicts ============
+
+function renderConflicts() {
+    const bar = $('syncConflictBar');
+    // Drop conflicts whose item vanished on both sides
+    conflicts.forEach((remote, id) => {
+        if (!remote && !state.items.some(i => i.id === id)) conflicts.delete(id);
+    });
+    state.items.forEach(item => item.el.classList.toggle('sync-conflict', conflicts.has(item.id)));
+    bar.classList.toggle('active', conflicts.size > 0);
+    $('syncConflictText').textContent = conflicts.size === 1
+        ? '1 item was changed here and in another tab'
+        : `${conflicts.size} items were changed here and in another tab`;
+}
+
+function showNextConflict() {
+    const item = state.items.find(i => conflicts.has(i.id));
+    if (item) panToItem(item);
+}
+
+// Keep this tab's versions and push them to the other tabs
+function keepLocalVersions() {
+    const data = captureCanvasSnapshot();
+    const byId = new Map(data.items.map(d => [d.id, d]));
+    const items = [...conflicts.keys()].map(id => ({ id, force: true, next: byId.get(id) || null }));
+    items.forEach(c => setShared(sharedItems, c.id, c.next));
+    conflicts.clear();
+    post({ type: 'changes', items, connections: [] });
+    renderConflicts();
+}
+
+// Adopt the other tab's versions
+function useRemoteVersions() {
+    const ids = [...conflicts.keys()];
+    const upsert = ids.map(id => conflicts.get(id)).filter(Boolean);
+    const remove = ids.filter(id => !conflicts.get(id) && state.items.some(i => i.id === id));
+    conflicts.clear();
+    applyRemoteCanvasChanges({ upsert, remove });
+    saveState();
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+    post({ type: 'resolved', ids });
+    renderConflicts();
+}
+
+// ============ Setup ============
+
+export function setupSync() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', e => handleMessage(e.data));
+    }
+    window.addEventListener('storage', handleStorage);
+
+    eventBus.on(Events.STATE_SAVE, scheduleBroadcast);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, scheduleBroadcast);
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        clearTimeout(broadcastTimer);
+        conflicts.clear();
+        deferred.clear();
+        resetShared(captureCanvasSnapshot());
+        renderConflicts();
+        // Tabs already on this canvas answer with their live state
+        post({ type: 'hello' });
+    });
+    document.addEventListener('focusout', () => setTimeout(retryDeferred, 0));
+
+    $('syncConflictShow').addEventListener('click', showNextConflict);
+    $('syncConflictKeep').addEventListener('click', keepLocalVersions);
+    $('syncConflictTheirs').addEventListener('click', useRemoteVersions);
+}
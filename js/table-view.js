@@ -0,0 +1,257 @@
+// KnotPad - Table View Module (Sortable, filterable grid of the canvas's items)
+// Edits go through the same item functions as the canvas, so undo, saving and
+// the canvas itself follow every change made here.
+
+import { $, esc, formatRelativeDate } from './utils.js';
+import * as state from './state.js';
+import {
+    getEditableText, setItemText, setItemsColor, setItemsLocked,
+    selectItem, deselectAll, deleteSelectedItems, extractPlainTextFromMemoHtml
+} from './items.js';
+import { panToItem } from './viewport.js';
+import { getPalette, getColorLabel } from './palette.js';
+import { createPanelRenderer, itemOfRow } from './panel-sync.js';
+import eventBus, { Events } from './events-bus.js';
+
+const panel = $('tableView');
+const ITEM_LABELS = { memo: 'Memo', keyword: 'Keyword', link: 'Link', image: 'Image', video: 'Video', frame: 'Frame' };
+const COLUMNS = [
+    { key: 'type', label: 'Type' },
+    { key: 'text', label: 'Text' },
+    { key: 'color', label: 'Color' },
+    { key: 'size', label: 'Size' },
+    { key: 'links', label: 'Links' },
+    { key: 'locked', label: 'Locked' },
+    { key: 'updatedAt', label: 'Modified' }
+];
+const EXCERPT_LENGTH = 120;
+
+let sortKey = 'updatedAt';
+let sortDir = -1;
+const checkedIds = new Set();
+let tableViewController;
+
+// ============ Rows ============
+
+// Readable text of any item, for the excerpt column and the text filter
+function getItemExcerpt(item) {
+    if (item.type === 'link') return item.content?.title || item.content?.url || '';
+    const editable = getEditableText(item);
+    if (editable !== null) return editable;
+    if (item.type === 'memo') return extractPlainTextFromMemoHtml(item.content || '');
+    return '';
+}
+
+/**
+ * The items as table rows, filtered by text and type and sorted by a column.
+ * Rows that tie keep canvas order.
+ * @returns {Array<{ item: Object, type: string, text: string, color: string, size: number, links: number, locked: boolean, updatedAt: number }>}
+ */
+export function getTableRows(items = state.items, { query = '', type = '', key = sortKey, dir = sortDir } = {}) {
+    const needle = query.trim().toLowerCase();
+    const links = new Map();
+    state.connections.forEach(c => {
+        links.set(c.from.id, (links.get(c.from.id) || 0) + 1);
+        links.set(c.to.id, (links.get(c.to.id) || 0) + 1);
+    });
+    const palette = getPalette(true).map(color => color.id);
+    const colorRank = id => (id ? palette.indexOf(id) : palette.length);
+
+    return items
+        .map(item => ({
+            item,
+            type: item.type,
+            text: getItemExcerpt(item),
+            color: item.color || '',
+            size: Math.round(item.w) * Math.round(item.h),
+            links: links.get(item.id) || 0,
+            locked: Boolean(item.locked),
+            updatedAt: item.updatedAt || 0
+        }))
+        .filter(row => (!type || row.type === type) && (!needle || row.text.toLowerCase().includes(needle)))
+        .sort((a, b) => {
+            let diff;
+            if (key === 'text' || key === 'type') diff = a[key].localeCompare(b[key], undefined, { sensitivity: 'base' });
+            else if (key === 'color') diff = colorRank(a.color) - colorRank(b.color);
+            else diff = Number(a[key]) - Number(b[key]);
+            return diff * dir;
+        });
+}
+
+// ============ Rendering ============
+
+// Removed palette colors are only offered to the item that still has one
+function colorOptionsHtml(selected = null) {
+    return getPalette(true)
+        .filter(color => !color.hidden || color.id === selected)
+        .map(color => `<option value="${color.id}"${color.id === selected ? ' selected' : ''}>${esc(getColorLabel(color.id))}</option>`).join('');
+}
+
+function textCellHtml(row) {
+    const editable = getEditableText(row.item);
+    if (editable === null) {
+        const excerpt = row.text.length > EXCERPT_LENGTH ? `${row.text.slice(0, EXCERPT_LENGTH)}…` : row.text;
+        return `<span class="table-view-excerpt" title="Edit on the canvas">${esc(excerpt) || '—'}</span>`;
+    }
+    // Untitled links show their address until they get a title
+    return row.type === 'memo'
+        ? `<textarea class="table-view-text" rows="${Math.min(editable.split('\n').length, 4)}" spellcheck="false">${esc(editable)}</textarea>`
+        : `<input class="table-view-text" value="${esc(editable)}" placeholder="${esc(row.text)}" spellcheck="false">`;
+}
+
+function rowHtml(row) {
+    const { item } = row;
+    const swatch = row.color ? ` style="--swatch: var(--tag-${row.color})"` : '';
+    return `<tr data-id="${esc(item.id)}"${state.selectedItems.has(item) ? ' class="selected"' : ''}>
+        <td><input type="checkbox" class="table-view-check"${checkedIds.has(item.id) ? ' checked' : ''}></td>
+        <td class="table-view-type">${ITEM_LABELS[item.type] || item.type}</td>
+        <td class="table-view-text-cell">${textCellHtml(row)}</td>
+        <td><span class="table-view-swatch${row.color ? '' : ' none'}"${swatch}></span><select class="table-view-color"><option value="">No color</option>${colorOptionsHtml(row.color)}</select></td>
+        <td class="table-view-num">${Math.round(item.w)}×${Math.round(item.h)}</td>
+        <td class="table-view-num">${row.links}</td>
+        <td><input type="checkbox" class="table-view-lock"${row.locked ? ' checked' : ''}></td>
+        <td class="table-view-date"${row.updatedAt ? ` title="${esc(new Date(row.updatedAt).toLocaleString())}"` : ''}>${formatRelativeDate(row.updatedAt) || '—'}</td>
+    </tr>`;
+}
+
+function render() {
+    // Drop checks of items that no longer exist
+    const ids = new Set(state.items.map(i => i.id));
+    checkedIds.forEach(id => { if (!ids.has(id)) checkedIds.delete(id); });
+
+    const rows = getTableRows(state.items, { query: $('tableViewFilter').value, type: $('tableViewType').value });
+    $('tableViewHead').innerHTML = '<th><input type="checkbox" class="table-view-check-all" title="Select all"'
+        + `${rows.length && rows.every(row => checkedIds.has(row.item.id)) ? ' checked' : ''}></th>`
+        + COLUMNS.map(col => `<th data-sort="${col.key}"${col.key === sortKey ? ` class="sorted" data-dir="${sortDir > 0 ? 'asc' : 'desc'}"` : ''}>${col.label}</th>`).join('');
+    $('tableViewBody').innerHTML = rows.map(rowHtml).join('')
+        || `<tr class="table-view-empty"><td colspan="${COLUMNS.length + 1}">${state.items.length ? 'No items match' : 'This canvas is empty'}</td></tr>`;
+    $('tableViewCount').textContent = rows.length === state.items.length
+        ? `${rows.length} items`
+        : `${rows.length} of ${state.items.length} items`;
+
+    $('tableViewBulk').classList.toggle('active', checkedIds.size > 0);
+    $('tableViewBulkCount').textContent = `${checkedIds.size} selected`;
+    $('tableViewBulkColor').innerHTML = '<option value="" disabled selected>Recolor…</option><option value="none">No color</option>'
+        + colorOptionsHtml();
+}
+
+// Leave what is being typed alone; the change event re-renders
+const renderer = createPanelRenderer(render, {
+    isOpen: () => isTableViewOpen(),
+    isEditing: () => panel.contains(document.activeElement) && document.activeElement.classList.contains('table-view-text')
+});
+
+function checkedItems() {
+    return state.items.filter(i => checkedIds.has(i.id));
+}
+
+// ============ Open / Close ============
+
+export function isTableViewOpen() {
+    return panel.classList.contains('active');
+}
+
+export function openTableView() {
+    render();
+    panel.classList.add('active');
+    $('tableViewBtn').classList.add('active');
+    $('tableViewFilter').focus();
+}
+
+export function closeTableView() {
+    renderer.cancel();
+    checkedIds.clear();
+    panel.classList.remove('active');
+    $('tableViewBtn').classList.remove('active');
+}
+
+// ============ Setup ============
+
+export function setupTableView() {
+    if (tableViewController) tableViewController.abort();
+    tableViewController = new AbortController();
+    const { signal } = tableViewController;
+
+    $('tableViewBtn').addEventListener('click', () => (isTableViewOpen() ? closeTableView() : openTableView()), { signal });
+    $('tableViewClose').addEventListener('click', closeTableView, { signal });
+    $('tableViewFilter').addEventListener('input', render, { signal });
+    $('tableViewType').addEventListener('change', render, { signal });
+
+    panel.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeTableView();
+        } else if (e.key === 'Enter' && e.target.matches('input.table-view-text')) {
+            e.target.blur();
+        }
+    }, { signal });
+
+    panel.addEventListener('click', e => {
+        const th = e.target.closest('th[data-sort]');
+        if (th) {
+            const key = th.dataset.sort;
+            sortDir = key === sortKey ? -sortDir : (key === 'text' || key === 'type' || key === 'color' ? 1 : -1);
+            sortKey = key;
+            render();
+            return;
+        }
+        const bulk = e.target.closest('[data-bulk]');
+        if (bulk) {
+            const targets = checkedItems();
+            if (bulk.dataset.bulk === 'delete') {
+                deselectAll();
+                targets.forEach(item => state.selectedItems.add(item));
+                deleteSelectedItems();
+            } else {
+                setItemsLocked(targets, bulk.dataset.bulk === 'lock');
+            }
+            render();
+            return;
+        }
+        // Clicking a row (not one of its controls) shows the item on the canvas
+        if (e.target.closest('input, textarea, select')) return;
+        const item = itemOfRow(e.target, 'tr[data-id]');
+        if (!item) return;
+        selectItem(item);
+        panToItem(item);
+        panel.querySelectorAll('tr.selected').forEach(tr => tr.classList.remove('selected'));
+        e.target.closest('tr').classList.add('selected');
+    }, { signal });
+
+    panel.addEventListener('change', e => {
+        const target = e.target;
+        if (target.classList.contains('table-view-check-all')) {
+            const rows = getTableRows(state.items, { query: $('tableViewFilter').value, type: $('tableViewType').value });
+            rows.forEach(row => (target.checked ? checkedIds.add(row.item.id) : checkedIds.delete(row.item.id)));
+        } else if (target.id === 'tableViewBulkColor') {
+            setItemsColor(checkedItems(), target.value === 'none' ? null : target.value);
+        } else {
+            const item = itemOfRow(target, 'tr[data-id]');
+            if (!item) return;
+            if (target.classList.contains('table-view-check')) {
+                if (target.checked) checkedIds.add(item.id);
+                else checkedIds.delete(item.id);
+            } else if (target.classList.contains('table-view-text')) {
+                setItemText(item, target.value);
+            } else if (target.classList.contains('table-view-color')) {
+                setItemsColor([item], target.value);
+            } else if (target.classList.contains('table-view-lock')) {
+                setItemsLocked([item], target.checked);
+            }
+        }
+        render();
+    }, { signal });
+
+    // A field left without a change still held back the renders meanwhile
+    panel.addEventListener('focusout', e => {
+        if (!e.relatedTarget?.classList.contains('table-view-text')) renderer.flush();
+    }, { signal });
+
+    eventBus.on(Events.STATE_SAVE, renderer.schedule);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, renderer.schedule);
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        checkedIds.clear();
+        renderer.schedule();
+    });
+    eventBus.on(Events.PALETTE_CHANGED, renderer.schedule);
+}
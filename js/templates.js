@@ -0,0 +1,158 @@
+// KnotPad - Templates Module (Reusable canvas layouts)
+// A template holds items and connections in canvas data format, with item
+// ids local to the template and positions relative to its top-left corner.
+
+import { generateId } from './utils.js';
+import * as state from './state.js';
+
+const TEMPLATE_MARGIN = 80; // Distance of the layout from the canvas origin
+
+// Copied into the template; everything else about an item is per canvas
+const TEMPLATE_ITEM_FIELDS = ['type', 'w', 'h', 'content', 'color', 'fontSize', 'textAlign'];
+
+// ============ Built-in Templates ============
+
+const memo = (id, x, y, content, color = null, w = 220, h = 120) => ({ id, type: 'memo', x, y, w, h, content, color });
+const keyword = (id, x, y, content, color = null, w = 256) => ({ id, type: 'keyword', x, y, w, h: 56, content, color });
+const frame = (id, x, y, w, h, title, members, color = null) => ({
+    id, type: 'frame', x, y, w, h, color, content: { title, collapsed: false, members }
+});
+const lane = (id, x, title, members, color = null) => ({
+    id, type: 'frame', x, y: 0, w: 280, h: 480, color, content: { title, collapsed: false, members, lane: true }
+});
+const link = (from, fh, to, th, dir = 'none') => ({ from, fh, to, th, dir, label: '' });
+const titled = (title, text) => `<div><b>${title}</b></div><div>${text}</div>`;
+
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'builtin-swot',
+        name: 'SWOT Analysis',
+        builtin: true,
+        items: [
+            keyword('title', 112, 0, 'SWOT Analysis'),
+            memo('s', 0, 96, titled('Strengths', 'What do we do well?'), 'green', 240, 160),
+            memo('w', 256, 96, titled('Weaknesses', 'Where do we fall short?'), 'orange', 240, 160),
+            memo('o', 0, 272, titled('Opportunities', 'What could we take advantage of?'), 'blue', 240, 160),
+            memo('t', 256, 272, titled('Threats', 'What could get in our way?'), 'red', 240, 160)
+        ],
+        connections: []
+    },
+    {
+        id: 'builtin-kanban',
+        name: 'Kanban Columns',
+        builtin: true,
+        items: [
+            lane('todo', 0, 'To Do', ['todo1']),
+            lane('doing', 304, 'Doing', ['doing1'], 'yellow'),
+            lane('done', 608, 'Done', ['done1'], 'green'),
+            memo('todo1', 16, 44, 'New task', null, 248),
+            memo('doing1', 320, 44, 'Task in progress', null, 248),
+            memo('done1', 624, 44, 'Finished task', null, 248)
+        ],
+        connections: []
+    },
+    {
+        id: 'builtin-mindmap',
+        name: 'Mind Map',
+        builtin: true,
+        items: [
+            keyword('root', 292, 192, 'Central idea', 'purple'),
+            memo('n', 310, 0, 'Branch', null, 220, 80),
+            memo('e', 640, 180, 'Branch', null, 220, 80),
+            memo('s', 310, 340, 'Branch', null, 220, 80),
+            memo('w', 0, 180, 'Branch', null, 220, 80)
+        ],
+        connections: [
+            link('root', 'top', 'n', 'bottom'),
+            link('root', 'right', 'e', 'left'),
+            link('root', 'bottom', 's', 'top'),
+            link('root', 'left', 'w', 'right')
+        ]
+    },
+    {
+        id: 'builtin-retro',
+        name: 'Retro Board',
+        builtin: true,
+        items: [
+            frame('well', 0, 0, 280, 400, 'Went well', ['well1'], 'green'),
+            frame('improve', 304, 0, 280, 400, 'To improve', ['improve1'], 'orange'),
+            frame('actions', 608, 0, 280, 400, 'Action items', ['actions1'], 'blue'),
+            memo('well1', 30, 64, 'What helped us this time?'),
+            memo('improve1', 334, 64, 'What slowed us down?'),
+            memo('actions1', 638, 64, 'What will we try next?')
+        ],
+        connections: []
+    }
+];
+
+// Built-ins first, then the user's own templates
+export function getTemplates() {
+    return [...BUILTIN_TEMPLATES, ...state.canvasTemplates];
+}
+
+// ============ Conversion ============
+
+/**
+ * Build a template from saved canvas data.
+ * Stored media is left out: templates must not keep media files alive.
+ * @param {string} name
+ * @param {{ items: Array, connections: Array }} data - Canvas data format
+ * @returns {{ id: string, name: string, createdAt: number, items: Array, connections: Array }}
+ */
+export function createTemplate(name, { items, connections }) {
+    const kept = items.filter(i => !((i.type === 'image' || i.type === 'video') && i.content?.startsWith('media_')));
+    const ids = new Map(kept.map((item, index) => [item.id, `t${index + 1}`]));
+    const minX = Math.min(...kept.map(i => i.x));
+    const minY = Math.min(...kept.map(i => i.y));
+
+    const templateItems = [...kept]
+        .sort((a, b) => (a.z || 0) - (b.z || 0))
+        .map(item => {
+            const copy = { id: ids.get(item.id), x: item.x - minX, y: item.y - minY };
+            TEMPLATE_ITEM_FIELDS.forEach(field => {
+                if (item[field] != null) copy[field] = structuredClone(item[field]);
+            });
+            if (item.type === 'frame') {
+                copy.content = {
+                    title: item.content?.title || 'Frame',
+                    collapsed: Boolean(item.content?.collapsed),
+                    members: (item.content?.members || []).filter(id => ids.has(id)).map(id => ids.get(id))
+                };
+                if (item.content?.expandedH) copy.content.expandedH = item.content.expandedH;
+                if (item.content?.lane) copy.content.lane = true;
+            }
+            return copy;
+        });
+
+    const templateConnections = connections
+        .filter(c => ids.has(c.from) && ids.has(c.to))
+        .map(c => ({ from: ids.get(c.from), fh: c.fh, to: ids.get(c.to), th: c.th, dir: c.dir || 'none', label: c.label || '' }));
+
+    return { id: generateId(), name, createdAt: Date.now(), items: templateItems, connections: templateConnections };
+}
+
+/**
+ * Canvas data for a new canvas made from a template.
+ * @param {Object} template
+ * @returns {{ items: Array, connections: Array, itemId: number, highestZ: number }}
+ */
+export function templateToCanvasData(template) {
+    const ids = new Map(template.items.map((item, index) => [item.id, `i${index + 1}`]));
+    const items = template.items.map((item, index) => {
+        const data = {
+            ...structuredClone(item),
+            id: ids.get(item.id),
+            x: item.x + TEMPLATE_MARGIN,
+            y: item.y + TEMPLATE_MARGIN,
+            z: index + 1
+        };
+        if (item.type === 'frame') {
+            data.content.members = (item.content.members || []).filter(id => ids.has(id)).map(id => ids.get(id));
+        }
+        return data;
+    });
+    const connections = template.connections
+        .filter(c => ids.has(c.from) && ids.has(c.to) && c.from !== c.to)
+        .map(c => ({ id: generateId(), ...c, from: ids.get(c.from), to: ids.get(c.to) }));
+    return { items, connections, itemId: items.length, highestZ: items.length };
+}
@@ -1,20 +1,16 @@
-// KnotPad - UI Module (Toolbar, Menus, Modals, Minimap, Search, Canvas Management)
+// KnotPad - UI Module (Toolbar, Menus, Modals, Search, Canvas Management)
 
-import { CANVASES_KEY, CANVAS_GROUPS_KEY, THEME_KEY, CANVAS_ICONS, COLOR_MAP, MAX_HISTORY } from './constants.js';
-import { $, esc, generateId, showToast, stripHtml, findFreePosition } from './utils.js';
+import { THEME_KEY, CANVAS_ICONS, DEFAULT_PALETTE, MAX_HISTORY } from './constants.js';
+import { $, esc, generateId, showToast, findFreePosition, formatRelativeDate } from './utils.js';
 import * as state from './state.js';
 import { state as reactiveState, peekUndo } from './state.js';
-import { updateTransform, throttledMinimap, panToItem, setMinimapUpdateFn } from './viewport.js';
-import { createItem, addMemo, addLink, setFilter, deleteSelectedItems, duplicateItem, deselectAll, hideMenus, setupFaviconErrorHandler, loadLinkPreviewForItem, removeLinkPreviewFromItem, gcOrphanMedia, finishMemoCompositions, flushMemoCompositionsForStorage, cleanupItemEvents } from './items.js';
-import { addConnection, updateConnectionArrow, updateConnectionLabel, updateAllConnections, addChildNode } from './connections.js';
+import { updateTransform, throttledMinimap, panToItem } from './viewport.js';
+import { updateMinimap } from './minimap.js';
+import { createItem, addMemo, addLink, setFilter, setPropertyFilter, deleteSelectedItems, duplicateItem, deselectAll, hideMenus, setupFaviconErrorHandler, loadLinkPreviewForItem, removeLinkPreviewFromItem, gcOrphanMedia, finishMemoCompositions, flushMemoCompositionsForStorage, cleanupItemEvents, applyFrameVisibility, addFrame, selectItems, withFrameMembers, addLane, setItemDueDate, setItemsLocked } from './items.js';
+import { addConnection, updateConnectionArrow, updateConnectionLabel, updateAllConnections, addChildNode, deleteConnection } from './connections.js';
 import {
     fsDirectoryHandle,
     isFileSystemSupported,
-    saveCanvasesListToFileSystem,
-    loadCanvasesListFromFileSystem,
-    saveCanvasToFileSystem,
-    loadCanvasFromFileSystem,
-    deleteCanvasFromFileSystem,
     loadMedia,
     loadMediaFromFileSystem,
     deleteMedia,
@@ -26,9 +22,20 @@ import {
     updateStorageIndicator,
     getMediaByIds,
     saveMediaBatch,
-    loadSettingsFromFileSystem,
-    scheduleSettingsSave
+    scheduleSettingsSave,
+    loadSnapshots,
+    loadSnapshotsFromFileSystem,
+    deleteSnapshotsForCanvas,
+    deleteSnapshotsFromFileSystem
 } from './storage.js';
+import { parseSearchQuery, matchesSearchQuery, getConnectedIds, findMatchRanges, searchCanvasData } from './search.js';
+import { loadRemoteMedia, browserProvider, fileSystemProvider, getLocalProviders } from './providers.js';
+import { startPresentation, togglePresentationStop, clearPresentationPath, isPresentationStop } from './presentation.js';
+import { toggleChecklistRollup } from './checklist.js';
+import { openInspector } from './inspector.js';
+import { loadStoredPalette } from './palette.js';
+import { MATH_SOURCE_ATTR } from './math.js';
+import { getTemplates, createTemplate, templateToCanvasData } from './templates.js';
 import eventBus, { Events } from './events-bus.js';
 
 // DOM Elements
@@ -37,7 +44,6 @@ const canvasList = $('canvasList');
 const canvasIconPicker = $('canvasIconPicker');
 const searchBar = $('searchBar');
 const searchInput = $('searchInput');
-const minimapContent = $('minimapContent');
 const linkModal = $('linkModal');
 const settingsModal = $('settingsModal');
 const contextMenu = $('contextMenu');
@@ -49,6 +55,7 @@ const sidebarCanvasContextMenu = $('sidebarCanvasContextMenu');
 const sidebarGroupContextMenu = $('sidebarGroupContextMenu');
 const sidebarEmptyContextMenu = $('sidebarEmptyContextMenu');
 const groupSubmenu = $('groupSubmenu');
+const templateSubmenus = document.querySelectorAll('.template-submenu');
 
 let searchEventsController;
 let canvasListEventsController;
@@ -57,7 +64,6 @@ let canvasIconPickerController;
 let contextMenuController;
 let canvasContextMenuController;
 let sidebarContextMenusController;
-let minimapClickController;
 let linkModalController;
 let settingsModalController;
 let sidebarResizeController;
@@ -114,11 +120,67 @@ export function closeSearch() {
     searchInput.value = '';
     clearSearchHighlights();
     state.setSearchResults([]);
+    setGlobalSearch(false);
     updateSearchCount();
 }
 
 function clearSearchHighlights() {
     state.items.forEach(i => i.el.classList.remove('search-highlight'));
+    clearSearchMatches();
+}
+
+// Matched text is painted with the CSS Custom Highlight API so the editable
+// memo DOM (and therefore the saved content) is never touched
+const SEARCH_MATCH_HIGHLIGHT = 'search-match';
+const SEARCH_TEXT_SELECTOR = '.memo-body, .keyword-body, .link-title, .frame-title';
+
+function clearSearchMatches() {
+    if (typeof CSS !== 'undefined' && CSS.highlights) CSS.highlights.delete(SEARCH_MATCH_HIGHLIGHT);
+}
+
+function highlightSearchMatches(items, parsed) {
+    clearSearchMatches();
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+
+    const ranges = [];
+    items.forEach(item => {
+        const root = item.el.querySelector(SEARCH_TEXT_SELECTOR);
+        if (!root) return;
+        const nodes = [];
+        let text = '';
+        // Rendered math stands for its source text, as in the saved content
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT, {
+            acceptNode: node => {
+                if (node.parentElement?.closest(`[${MATH_SOURCE_ATTR}]`)) return NodeFilter.FILTER_REJECT;
+                return node.nodeType === Node.TEXT_NODE || node.hasAttribute(MATH_SOURCE_ATTR)
+                    ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+            }
+        });
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            nodes.push({ node, start: text.length });
+            text += node.nodeType === Node.TEXT_NODE ? node.data : node.getAttribute(MATH_SOURCE_ATTR);
+        }
+        // Map offsets in the joined text back to (text node, offset) pairs
+        const locate = offset => {
+            let i = nodes.length - 1;
+            while (i > 0 && nodes[i].start > offset) i--;
+            return [nodes[i].node, offset - nodes[i].start];
+        };
+        findMatchRanges(text, parsed).forEach(([start, end]) => {
+            const range = document.createRange();
+            const [startNode, startOffset] = locate(start);
+            const [endNode, endOffset] = locate(end);
+            // A match touching math covers the whole expression
+            if (startNode.nodeType === Node.TEXT_NODE) range.setStart(startNode, startOffset);
+            else range.setStartBefore(startNode);
+            if (endNode.nodeType === Node.TEXT_NODE) range.setEnd(endNode, endOffset);
+            else if (endOffset > 0) range.setEndAfter(endNode);
+            else range.setEndBefore(endNode);
+            ranges.push(range);
+        });
+    });
+    if (ranges.length) CSS.highlights.set(SEARCH_MATCH_HIGHLIGHT, new Highlight(...ranges));
 }
 
 export function refreshSearchResultsView() {
@@ -137,23 +199,17 @@ export function refreshSearchResultsView() {
 }
 
 function doSearch() {
-    const q = searchInput.value.toLowerCase().trim();
+    const parsed = parseSearchQuery(searchInput.value);
     clearSearchHighlights();
     state.setSearchResults([]);
 
-    if (!q) {
+    if (!parsed.conditions.length) {
         updateSearchCount();
         return;
     }
 
-    const results = [];
-    state.items.forEach(item => {
-        let text = '';
-        if (item.type === 'memo') text = stripHtml(item.content || '').toLowerCase();
-        else if (item.type === 'keyword') text = (item.content || '').toLowerCase();
-        else if (item.type === 'link') text = (item.content.title + ' ' + item.content.url).toLowerCase();
-        if (text.includes(q)) results.push(item);
-    });
+    const connectedIds = getConnectedIds(state.connections);
+    const results = state.items.filter(item => matchesSearchQuery(item, parsed, connectedIds));
 
     state.setSearchResults(results);
     state.setSearchIndex(results.length ? 0 : -1);
@@ -161,6 +217,12 @@ function doSearch() {
 }
 
 function updateSearchCount() {
+    if (globalSearch.active) {
+        $('searchCount').textContent = globalSearch.results.length
+            ? `${globalSearch.index + 1}/${globalSearch.results.length}`
+            : '0/0';
+        return;
+    }
     $('searchCount').textContent = state.searchResults.length
         ? `${state.searchIndex + 1}/${state.searchResults.length}`
         : '0/0';
@@ -168,6 +230,7 @@ function updateSearchCount() {
 
 function highlightCurrentResult() {
     clearSearchHighlights();
+    highlightSearchMatches(state.searchResults, parseSearchQuery(searchInput.value));
     if (state.searchIndex >= 0 && state.searchResults[state.searchIndex]) {
         const item = state.searchResults[state.searchIndex];
         item.el.classList.add('search-highlight');
@@ -175,14 +238,206 @@ function highlightCurrentResult() {
     }
 }
 
+// Select every result on the current canvas so bulk actions can follow a search
+function selectSearchResults() {
+    const results = globalSearch.active
+        ? globalSearch.results
+            .filter(r => r.canvasId === state.currentCanvasId)
+            .map(r => state.items.find(i => i.id === r.id))
+            .filter(Boolean)
+        : state.searchResults;
+    const visible = results.filter(item => !item.el.classList.contains('frame-hidden'));
+    if (!visible.length) {
+        showToast('No results to select on this canvas', 'error');
+        return;
+    }
+    selectItems(visible);
+    searchInput.blur();
+    showToast(`Selected ${visible.length} item${visible.length === 1 ? '' : 's'}`);
+}
+
+// ============ Global Search (all canvases) ============
+
+const globalSearch = {
+    active: false,
+    results: [],     // [{ canvasId, canvasName, id, type, snippet }] grouped by canvas
+    index: -1,
+    timer: null,
+    token: 0,
+    cache: new Map() // canvasId -> { updatedAt, data } for canvases other than the current one
+};
+
+function setGlobalSearch(active) {
+    globalSearch.active = active;
+    $('searchAllBtn').classList.toggle('active', active);
+    searchInput.placeholder = active ? 'Search all canvases...' : 'Search nodes...';
+    clearTimeout(globalSearch.timer);
+    globalSearch.token++;
+    globalSearch.results = [];
+    globalSearch.index = -1;
+    $('globalSearchPanel').classList.remove('active');
+    $('globalSearchPanel').replaceChildren();
+}
+
+// Stored data of a canvas from the first local backend that has it; the
+// folder copy comes before the browser copy
+async function readLocalCanvas(id) {
+    for (const provider of getLocalProviders()) {
+        const data = await provider.loadCanvas(id);
+        if (data) return data;
+    }
+    return null;
+}
+
+// Stored data of another canvas, preferring the file system copy like
+// loadCanvasData. Cached until the canvas is saved again.
+export async function loadStoredCanvasData(canvas) {
+    const cached = globalSearch.cache.get(canvas.id);
+    if (cached && cached.updatedAt === canvas.updatedAt) return cached.data;
+
+    const data = await readLocalCanvas(canvas.id);
+    globalSearch.cache.set(canvas.id, { updatedAt: canvas.updatedAt, data });
+    return data;
+}
+
+// The open canvas is searched live, in the same shape as stored canvases
+export async function getSearchableCanvasData(canvas) {
+    if (canvas.id === state.currentCanvasId) return { items: state.items, connections: state.connections };
+    return loadStoredCanvasData(canvas);
+}
+
+async function runGlobalSearch() {
+    const token = ++globalSearch.token;
+    const query = searchInput.value.trim();
+    clearSearchHighlights();
+    if (!query) {
+        globalSearch.results = [];
+        globalSearch.index = -1;
+        renderGlobalSearchPanel();
+        return;
+    }
+
+    const results = [];
+    for (const canvas of state.canvases) {
+        const data = await getSearchableCanvasData(canvas);
+        if (token !== globalSearch.token) return; // A newer query has started
+        searchCanvasData(data, query).forEach(match => results.push({
+            canvasId: canvas.id,
+            canvasName: canvas.name,
+            ...match
+        }));
+    }
+
+    globalSearch.results = results;
+    globalSearch.index = -1;
+    renderGlobalSearchPanel();
+}
+
+function renderGlobalSearchPanel() {
+    const panel = $('globalSearchPanel');
+    updateSearchCount();
+    if (!searchInput.value.trim()) {
+        panel.classList.remove('active');
+        panel.replaceChildren();
+        return;
+    }
+
+    if (!globalSearch.results.length) {
+        panel.innerHTML = '<div class="global-search-empty">No matches in any canvas</div>';
+        panel.classList.add('active');
+        return;
+    }
+
+    let html = '';
+    let currentGroup = null;
+    globalSearch.results.forEach((result, index) => {
+        if (result.canvasId !== currentGroup) {
+            if (currentGroup !== null) html += '</div>';
+            currentGroup = result.canvasId;
+            const count = globalSearch.results.filter(r => r.canvasId === result.canvasId).length;
+            const current = result.canvasId === state.currentCanvasId ? ' current' : '';
+            html += `<div class="global-search-group${current}"><div class="global-search-canvas"><span>${esc(result.canvasName || 'Untitled')}</span><span class="global-search-count">${count}</span></div>`;
+        }
+        const selected = index === globalSearch.index ? ' selected' : '';
+        html += `<div class="global-search-result${selected}" data-index="${index}"><span class="global-search-type">${esc(result.type)}</span><span class="global-search-snippet">${result.snippet}</span></div>`;
+    });
+    html += '</div>';
+    panel.innerHTML = html;
+    panel.classList.add('active');
+}
+
+async function openGlobalSearchResult(index) {
+    const result = globalSearch.results[index];
+    if (!result) return;
+    globalSearch.index = index;
+    renderGlobalSearchPanel();
+
+    if (result.canvasId !== state.currentCanvasId) {
+        await switchCanvas(result.canvasId);
+        if (state.currentCanvasId !== result.canvasId) return;
+    }
+    clearSearchHighlights();
+    const item = state.items.find(i => i.id === result.id);
+    if (!item) {
+        showToast('That item no longer exists', 'error');
+        return;
+    }
+    highlightSearchMatches([item], parseSearchQuery(searchInput.value));
+    item.el.classList.add('search-highlight');
+    panToItem(item);
+}
+
+function stepGlobalSearch(delta) {
+    const count = globalSearch.results.length;
+    if (!count) return;
+    const start = globalSearch.index < 0 && delta < 0 ? 0 : globalSearch.index;
+    openGlobalSearchResult((start + delta + count) % count);
+}
+
 export function setupSearchEvents() {
     if (searchEventsController) searchEventsController.abort();
     searchEventsController = new AbortController();
     const { signal } = searchEventsController;
 
-    searchInput.addEventListener('input', doSearch, { signal });
+    searchInput.addEventListener('input', () => {
+        if (!globalSearch.active) {
+            doSearch();
+            return;
+        }
+        // Other canvases are read from storage, so wait for typing to pause
+        clearTimeout(globalSearch.timer);
+        globalSearch.timer = setTimeout(runGlobalSearch, 200);
+    }, { signal });
+
+    $('searchAllBtn').addEventListener('click', () => {
+        const active = !globalSearch.active;
+        clearSearchHighlights();
+        state.setSearchResults([]);
+        setGlobalSearch(active);
+        if (active) runGlobalSearch();
+        else doSearch();
+        searchInput.focus();
+    }, { signal });
+
+    searchInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter' && e.altKey) {
+            e.preventDefault();
+            selectSearchResults();
+        }
+    }, { signal });
+
+    $('searchSelectAll').addEventListener('click', selectSearchResults, { signal });
+
+    $('globalSearchPanel').addEventListener('click', e => {
+        const row = e.target.closest('.global-search-result');
+        if (row) openGlobalSearchResult(Number(row.dataset.index));
+    }, { signal });
 
     $('searchPrev').addEventListener('click', () => {
+        if (globalSearch.active) {
+            stepGlobalSearch(-1);
+            return;
+        }
         if (state.searchResults.length) {
             state.setSearchIndex((state.searchIndex - 1 + state.searchResults.length) % state.searchResults.length);
             updateSearchCount();
@@ -191,6 +446,10 @@ export function setupSearchEvents() {
     }, { signal });
 
     $('searchNext').addEventListener('click', () => {
+        if (globalSearch.active) {
+            stepGlobalSearch(1);
+            return;
+        }
         if (state.searchResults.length) {
             state.setSearchIndex((state.searchIndex + 1) % state.searchResults.length);
             updateSearchCount();
@@ -210,8 +469,10 @@ function cacheSnapshotSerialization(snapshot, serialized = JSON.stringify(snapsh
     return snapshot;
 }
 
-export function saveState() {
-    const stateData = {
+// Immutable copy of the live items and connections, as kept by undo/redo and
+// version history
+export function captureCanvasSnapshot() {
+    return {
         items: state.items.map(i => ({
             id: i.id,
             type: i.type,
@@ -225,6 +486,14 @@ export function saveState() {
             textAlign: i.textAlign,
             locked: i.locked,
             manuallyResized: i.manuallyResized,
+            due: i.due,
+            rollup: i.rollup,
+            tags: i.tags,
+            props: i.props,
+            createdAt: i.createdAt,
+            createdBy: i.createdBy,
+            updatedAt: i.updatedAt,
+            updatedBy: i.updatedBy,
             z: parseInt(i.el.style.zIndex)
         })),
         connections: state.connections.map(c => ({
@@ -234,9 +503,58 @@ export function saveState() {
             to: c.to.id,
             th: c.th,
             dir: c.dir,
-            label: c.label || ''
+            label: c.label || '',
+            createdAt: c.createdAt,
+            createdBy: c.createdBy,
+            updatedAt: c.updatedAt,
+            updatedBy: c.updatedBy
         }))
     };
+}
+
+// ============ Modification Times ============
+
+// Last saved form of each item and connection, without position, stacking or
+// the timestamps themselves, so moving an item does not count as modifying it
+const savedSignatures = new Map();
+
+function signature(d) {
+    const { x, y, z, createdAt, createdBy, updatedAt, updatedBy, ...rest } = d;
+    return JSON.stringify(rest);
+}
+
+export function rememberSignatures(snapshot = captureCanvasSnapshot()) {
+    savedSignatures.clear();
+    snapshot.items.forEach(d => savedSignatures.set('i' + d.id, signature(d)));
+    snapshot.connections.forEach(d => savedSignatures.set('c' + d.id, signature(d)));
+}
+
+// Stamp updatedAt (and the author) on everything created or changed since the
+// last save, in the snapshot and on the live objects alike
+function stampModified(snapshot) {
+    const now = Date.now();
+    const author = state.authorName || null;
+    const stamp = (records, live, prefix) => {
+        const byId = new Map(live.map(o => [o.id, o]));
+        records.forEach(d => {
+            if (savedSignatures.get(prefix + d.id) === signature(d)) return;
+            const target = byId.get(d.id);
+            d.updatedAt = now;
+            d.updatedBy = author;
+            if (target) {
+                target.updatedAt = now;
+                target.updatedBy = author;
+            }
+        });
+    };
+    stamp(snapshot.items, state.items, 'i');
+    stamp(snapshot.connections, state.connections, 'c');
+    rememberSignatures(snapshot);
+}
+
+export function saveState() {
+    const stateData = captureCanvasSnapshot();
+    stampModified(stateData);
 
     // Serialize the new snapshot once. Previous snapshots retain their cached
     // representation, so dedup does not re-stringify the prior full document.
@@ -306,6 +624,23 @@ export function redo() {
     eventBus.emit(Events.AUTOSAVE_TRIGGER);
 }
 
+// Replace the canvas with a stored version snapshot as a single undoable step
+export async function restoreCanvasSnapshot(stateData) {
+    const snapshot = structuredClone(stateData);
+    // Media that is no longer on the canvas was not loaded with it
+    await Promise.all(snapshot.items.map(async d => {
+        if ((d.type !== 'image' && d.type !== 'video') || !d.content?.startsWith('media_')) return;
+        if (state.blobURLCache.has(d.content)) return;
+        let blob = fsDirectoryHandle ? await loadMediaFromFileSystem(d.content) : null;
+        if (!blob) blob = await loadMedia(d.content);
+        if (blob) state.blobURLCache.set(d.content, URL.createObjectURL(blob));
+    }));
+    restoreState(snapshot);
+    saveState();
+    updateMinimap();
+    eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
 function restoreState(stateData) {
     state.connections.forEach(c => { c.el.remove(); if (c.hitArea) c.hitArea.remove(); if (c.arrow) c.arrow.remove(); if (c.labelEl) c.labelEl.remove(); });
     state.connections.length = 0;
@@ -368,93 +703,202 @@ function restoreState(stateData) {
             const c = addConnection(fromItem, d.fh, toItem, d.th, true, d.id);
             c.dir = d.dir || 'none';
             c.label = d.label || '';
+            c.createdAt = d.createdAt || null;
+            c.createdBy = d.createdBy || null;
+            c.updatedAt = d.updatedAt || null;
+            c.updatedBy = d.updatedBy || null;
             updateConnectionArrow(c);
             updateConnectionLabel(c);
         }
     });
 
-    updateMinimap();
+    applyFrameVisibility();
+    rememberSignatures();
+}
+
+// ============ Remote Changes (other tabs) ============
+
+// Apply item and connection changes made in another tab. Only the touched
+// items are rebuilt, so focus and selection elsewhere on the canvas survive.
+export function applyRemoteCanvasChanges({ upsert = [], remove = [], connUpsert = [], connRemove = [] }) {
+    const touched = new Set([...remove, ...upsert.map(d => d.id)]);
+    const replacedConnections = new Set([...connRemove, ...connUpsert.map(d => d.id)]);
+
+    // Connections of rebuilt items are re-attached after the items exist again
+    const reattach = [];
+    state.connections.slice().forEach(c => {
+        const replaced = replacedConnections.has(c.id);
+        if (!replaced && !touched.has(c.from.id) && !touched.has(c.to.id)) return;
+        if (!replaced) {
+            reattach.push({ id: c.id, from: c.from.id, fh: c.fh, to: c.to.id, th: c.th, dir: c.dir, label: c.label || '', createdAt: c.createdAt, createdBy: c.createdBy, updatedAt: c.updatedAt, updatedBy: c.updatedBy });
+        }
+        deleteConnection(c, false, false);
+    });
+
+    state.items.slice().forEach(item => {
+        if (!touched.has(item.id)) return;
+        cleanupItemEvents(item);
+        item.el.remove();
+        state.items.splice(state.items.indexOf(item), 1);
+        state.selectedItems.delete(item);
+        if (state.selectedItem === item) state.setSelectedItem(null);
+    });
+
+    upsert.forEach(d => {
+        const i = createItem(d, true);
+        i.el.style.zIndex = d.z || 1;
+        i.locked = d.locked;
+        i.manuallyResized = d.manuallyResized || false;
+        if (i.locked) i.el.classList.add('locked');
+        if (d.z > state.highestZ) state.setHighestZ(d.z);
+    });
+
+    const byId = new Map(state.items.map(i => [i.id, i]));
+    [...reattach, ...connUpsert].forEach(d => {
+        const fromItem = byId.get(d.from);
+        const toItem = byId.get(d.to);
+        if (!fromItem || !toItem || fromItem === toItem) return;
+        if (state.connections.some(c => c.id === d.id)) return;
+        const c = addConnection(fromItem, d.fh, toItem, d.th, true, d.id);
+        c.dir = d.dir || 'none';
+        c.label = d.label || '';
+        c.createdAt = d.createdAt || null;
+        c.createdBy = d.createdBy || null;
+        c.updatedAt = d.updatedAt || null;
+        c.updatedBy = d.updatedBy || null;
+        updateConnectionArrow(c);
+        updateConnectionLabel(c);
+    });
+
+    if (state.searchResults.length) {
+        state.setSearchResults(state.searchResults.filter(item => state.items.includes(item)));
+        updateSearchCount();
+    }
+    applyFrameVisibility();
+    rememberSignatures();
+    throttledMinimap();
+}
+
+// Adopt the canvas list or groups written by another tab
+export async function applyRemoteCanvasList({ canvases, groups, templates }) {
+    if (canvases) state.setCanvases(canvases);
+    if (groups) state.setCanvasGroups(groups);
+    if (templates) state.setCanvasTemplates(templates);
+    if (state.currentCanvasId && !state.canvases.some(c => c.id === state.currentCanvasId)) {
+        // The open canvas was deleted elsewhere; do not save it back on switch
+        state.setCurrentCanvasId(null);
+        if (state.canvases.length) await switchCanvas(state.canvases[0].id);
+        showToast('The open canvas was deleted elsewhere', 'warning');
+    }
+    renderCanvasList();
+    updateTopbarCanvasName();
+}
+
+// Re-read the open canvas after its stored copy was replaced, without saving the
+// outdated in-memory version over it
+export async function reloadCurrentCanvas() {
+    const id = state.currentCanvasId;
+    if (!id) return;
+    state.setCurrentCanvasId(null);
+    await switchCanvas(id);
 }
 
 // ============ Canvas Management ============
 
-export async function loadCanvases() {
-    try {
-        // Try loading settings from File System first (for FS-enabled users)
-        if (fsDirectoryHandle) {
-            const fsSettings = await loadSettingsFromFileSystem();
-            if (fsSettings) {
-                // Restore settings that may not be in localStorage (e.g. after browser data clear)
-                let restoredAny = false;
-                for (const [key, val] of Object.entries(fsSettings)) {
-                    if (localStorage.getItem(key) === null) {
-                        localStorage.setItem(key, val);
-                        restoredAny = true;
-                    }
-                }
-                // If any settings were restored, sync them to the reactive state
-                if (restoredAny) {
-                    const settingsStateMap = {
-                        'knotpad-default-font-size': { setter: state.setDefaultFontSize, bool: false },
-                        'knotpad-note-wrap-mode': { setter: state.setNoteWrapMode, bool: false },
-                        'knotpad-default-text-align': { setter: state.setDefaultTextAlign, bool: false },
-                        'knotpad-paragraph-spacing': { setter: state.setParagraphSpacing, bool: false },
-                        'knotpad-invert-wheel-zoom': { setter: state.setInvertWheelZoom, bool: true },
-                        'knotpad-grid-snap': { setter: state.setGridSnap, bool: true },
-                        'knotpad-color-display-mode': { setter: state.setColorDisplayMode, bool: false },
-                        'knotpad-link-preview-enabled': { setter: state.setLinkPreviewEnabled, bool: true },
-                        'knotpad-canvas-paste-formatting': { setter: state.setCanvasPasteFormattingEnabled, bool: true, trueDefault: true },
-                        'knotpad-sidebar-pinned': { setter: state.setSidebarPinned, bool: true },
-                        'knotpad-sidebar-open': { setter: state.setSidebarOpen, bool: true }
-                    };
-                    for (const [key, val] of Object.entries(fsSettings)) {
-                        const mapping = settingsStateMap[key];
-                        if (mapping) {
-                            if (mapping.bool) {
-                                if (mapping.trueDefault) {
-                                    mapping.setter(val !== 'false');
-                                } else {
-                                    mapping.setter(val === 'true');
-                                }
-                            } else {
-                                mapping.setter(val);
-                            }
-                        }
-                    }
-                    // Re-apply theme if restored
-                    if (fsSettings['knotpad-theme']) {
-                        if (fsSettings['knotpad-theme'] === 'light') {
-                            document.documentElement.classList.add('light');
-                        } else {
-                            document.documentElement.classList.remove('light');
-                        }
-                    }
-                    // Re-apply sidebar width if restored
-                    if (fsSettings['knotpad-sidebar-width']) {
-                        document.documentElement.style.setProperty('--sidebar-width', fsSettings['knotpad-sidebar-width'] + 'px');
-                    }
+// Bring the reactive state and the page in line with settings just written to
+// localStorage
+function applySettingsToState(settings) {
+    const settingsStateMap = {
+        'knotpad-default-font-size': { setter: state.setDefaultFontSize, bool: false },
+        'knotpad-note-wrap-mode': { setter: state.setNoteWrapMode, bool: false },
+        'knotpad-default-text-align': { setter: state.setDefaultTextAlign, bool: false },
+        'knotpad-paragraph-spacing': { setter: state.setParagraphSpacing, bool: false },
+        'knotpad-invert-wheel-zoom': { setter: state.setInvertWheelZoom, bool: true },
+        'knotpad-grid-snap': { setter: state.setGridSnap, bool: true },
+        'knotpad-author-name': { setter: state.setAuthorName, bool: false },
+        'knotpad-color-display-mode': { setter: state.setColorDisplayMode, bool: false },
+        'knotpad-link-preview-enabled': { setter: state.setLinkPreviewEnabled, bool: true },
+        'knotpad-canvas-paste-formatting': { setter: state.setCanvasPasteFormattingEnabled, bool: true, trueDefault: true },
+        'knotpad-sidebar-pinned': { setter: state.setSidebarPinned, bool: true },
+        'knotpad-sidebar-open': { setter: state.setSidebarOpen, bool: true }
+    };
+    for (const [key, val] of Object.entries(settings)) {
+        const mapping = settingsStateMap[key];
+        if (mapping) {
+            if (mapping.bool) {
+                if (mapping.trueDefault) {
+                    mapping.setter(val !== 'false');
+                } else {
+                    mapping.setter(val === 'true');
                 }
+            } else {
+                mapping.setter(val);
             }
         }
+    }
+    // Re-apply theme if restored
+    if (settings['knotpad-theme']) {
+        if (settings['knotpad-theme'] === 'light') {
+            document.documentElement.classList.add('light');
+        } else {
+            document.documentElement.classList.remove('light');
+        }
+    }
+    if (settings['knotpad-palette']) loadStoredPalette();
+    // Re-apply sidebar width if restored
+    if (settings['knotpad-sidebar-width']) {
+        document.documentElement.style.setProperty('--sidebar-width', settings['knotpad-sidebar-width'] + 'px');
+    }
+}
 
-        // Try loading canvases list from File System first
-        let canvasesList = null;
-        let canvasGroups = null;
-        if (fsDirectoryHandle) {
-            const fsData = await loadCanvasesListFromFileSystem();
-            if (fsData) {
-                canvasesList = fsData.canvases;
-                canvasGroups = fsData.groups;
-            }
+// Write settings to localStorage and apply them. With `overwrite`, values this
+// device already has are replaced (settings from the server); otherwise only
+// missing ones are restored (e.g. after browser data was cleared). Returns
+// whether anything changed.
+function writeSettings(settings, overwrite) {
+    if (!settings) return false;
+    const changed = {};
+    for (const [key, val] of Object.entries(settings)) {
+        const current = localStorage.getItem(key);
+        if (current === null || (overwrite && current !== val)) {
+            localStorage.setItem(key, val);
+            changed[key] = val;
         }
-        if (!canvasesList) {
-            canvasesList = JSON.parse(localStorage.getItem(CANVASES_KEY) || '[]');
+    }
+    if (!Object.keys(changed).length) return false;
+    applySettingsToState(changed);
+    return true;
+}
+
+// Restore stored settings that are missing from localStorage (e.g. after
+// browser data was cleared). Returns whether anything was restored.
+export function applyStoredSettings(settings) {
+    return writeSettings(settings, false);
+}
+
+// Adopt settings changed on another device
+export function applyServerSettings(settings) {
+    return writeSettings(settings, true);
+}
+
+export async function loadCanvases() {
+    try {
+        // Try loading settings from File System first (for FS-enabled users)
+        if (fsDirectoryHandle) {
+            applyStoredSettings(await fileSystemProvider.loadSettings());
         }
-        if (!canvasGroups) {
-            canvasGroups = JSON.parse(localStorage.getItem(CANVAS_GROUPS_KEY) || '[]');
+
+        // Each part of the list comes from the first backend that has it
+        const list = {};
+        for (const provider of getLocalProviders()) {
+            const stored = await provider.loadCanvasList();
+            ['canvases', 'groups', 'templates'].forEach(key => {
+                if (!list[key] && stored?.[key]) list[key] = stored[key];
+            });
         }
-        state.setCanvases(canvasesList);
-        state.setCanvasGroups(canvasGroups);
+        state.setCanvases(list.canvases || []);
+        state.setCanvasGroups(list.groups || []);
+        state.setCanvasTemplates(list.templates || []);
         if (!state.canvases.length) {
             state.setCanvases([{ id: generateId(), name: 'Untitled', createdAt: Date.now(), itemCount: 0 }]);
         }
@@ -473,17 +917,12 @@ export async function loadCanvases() {
 }
 
 export function saveCanvasesList() {
-    try {
-        localStorage.setItem(CANVASES_KEY, JSON.stringify(state.canvases));
-        localStorage.setItem(CANVAS_GROUPS_KEY, JSON.stringify(state.canvasGroups));
-    } catch (e) {
-        // File storage is an independent backend. A full browser quota must not
-        // prevent its index from being updated.
-        console.error('Failed to save canvas list to browser storage:', e);
-    }
-    if (fsDirectoryHandle) {
-        saveCanvasesListToFileSystem();
-    }
+    const list = { canvases: state.canvases, groups: state.canvasGroups, templates: state.canvasTemplates };
+    // Not awaited: the browser copy is written before the call returns, and the
+    // file copy does not depend on it, so a full browser quota cannot keep the
+    // folder's index from being updated
+    getLocalProviders().forEach(provider => provider.saveCanvasList(list));
+    eventBus.emit(Events.CANVAS_LIST_SAVED);
 }
 
 function stripPersistedHistory(data) {
@@ -501,27 +940,13 @@ function stripPersistedHistory(data) {
 }
 
 async function pruneLegacyPersistedHistories() {
-    await Promise.all(state.canvases.map(async canvas => {
-        const key = 'knotpad-data-' + canvas.id;
-        try {
-            const saved = localStorage.getItem(key);
-            if (saved) {
-                const data = JSON.parse(saved);
-                if (stripPersistedHistory(data)) {
-                    localStorage.setItem(key, JSON.stringify(data));
-                }
-            }
-        } catch (e) {
-            console.warn(`Failed to compact browser history for canvas ${canvas.id}:`, e);
+    const providers = getLocalProviders();
+    await Promise.all(state.canvases.flatMap(canvas => providers.map(async provider => {
+        const data = await provider.loadCanvas(canvas.id);
+        if (data && stripPersistedHistory(data)) {
+            await provider.saveCanvas(canvas.id, data);
         }
-
-        if (fsDirectoryHandle) {
-            const data = await loadCanvasFromFileSystem(canvas.id);
-            if (data && stripPersistedHistory(data)) {
-                await saveCanvasToFileSystem(canvas.id, data);
-            }
-        }
-    }));
+    })));
 }
 
 function buildCurrentCanvasData() {
@@ -539,6 +964,14 @@ function buildCurrentCanvasData() {
             textAlign: i.textAlign,
             locked: i.locked,
             manuallyResized: i.manuallyResized,
+            due: i.due,
+            rollup: i.rollup,
+            tags: i.tags,
+            props: i.props,
+            createdAt: i.createdAt,
+            createdBy: i.createdBy,
+            updatedAt: i.updatedAt,
+            updatedBy: i.updatedBy,
             z: parseInt(i.el.style.zIndex)
         })),
         connections: state.connections.map(c => ({
@@ -548,13 +981,20 @@ function buildCurrentCanvasData() {
             to: c.to.id,
             th: c.th,
             dir: c.dir,
-            label: c.label || ''
+            label: c.label || '',
+            createdAt: c.createdAt,
+            createdBy: c.createdBy,
+            updatedAt: c.updatedAt,
+            updatedBy: c.updatedBy
         })),
         view: { scale: state.scale, offsetX: state.offsetX, offsetY: state.offsetY },
         itemId: state.itemId,
         highestZ: state.highestZ,
         colorGroupModeActive: state.colorGroupModeActive,
-        originalPositions: serializeOriginalPositions()
+        layoutModeActive: state.layoutModeActive,
+        originalPositions: serializeOriginalPositions(),
+        presentationPath: state.presentationPath.filter(id => state.items.some(i => i.id === id)),
+        colorLegend: state.colorLegend
     };
 }
 
@@ -571,21 +1011,13 @@ export async function saveCurrentCanvas() {
     // autosaves may otherwise apply metadata from a different live canvas.
     const canvasId = state.currentCanvasId;
     const data = buildCurrentCanvasData();
-    const serializedData = JSON.stringify(data);
     const itemCount = data.items.length;
     const updatedAt = Date.now();
 
-    let browserSaved = false;
-    try {
-        localStorage.setItem('knotpad-data-' + canvasId, serializedData);
-        browserSaved = true;
-    } catch (e) {
-        console.error('Failed to save canvas to browser storage:', e);
-    }
-
-    const fileSaved = fsDirectoryHandle
-        ? await saveCanvasToFileSystem(canvasId, data)
-        : false;
+    const [browserSaved, fileSaved] = await Promise.all([
+        browserProvider.saveCanvas(canvasId, data),
+        fsDirectoryHandle ? fileSystemProvider.saveCanvas(canvasId, data) : false
+    ]);
     const saved = browserSaved || fileSaved;
 
     if (saved) {
@@ -593,6 +1025,10 @@ export async function saveCurrentCanvas() {
         if (canvasMeta) {
             canvasMeta.updatedAt = updatedAt;
             canvasMeta.itemCount = itemCount;
+        }
+        // Listeners see the canvas list entry already matching the saved data
+        eventBus.emit(Events.CANVAS_SAVED, canvasId, data);
+        if (canvasMeta) {
             saveCanvasesList();
             renderCanvasList();
         }
@@ -609,15 +1045,8 @@ export async function saveCurrentCanvas() {
 
 async function loadCanvasData(id) {
     try {
-        let data = null;
-        if (fsDirectoryHandle) {
-            data = await loadCanvasFromFileSystem(id);
-        }
-        if (!data) {
-            const saved = localStorage.getItem('knotpad-data-' + id);
-            if (!saved) return;
-            data = JSON.parse(saved);
-        }
+        const data = await readLocalCanvas(id);
+        if (!data) return;
 
         // Calculate the maximum item ID and z-index from loaded items
         // Item IDs are in format "i{number}" (e.g., "i1", "i25")
@@ -657,7 +1086,10 @@ async function loadCanvasData(id) {
         }
 
         state.setColorGroupModeActive(Boolean(data.colorGroupModeActive));
+        state.setLayoutModeActive(data.layoutModeActive || null);
         state.setOriginalPositions(deserializeOriginalPositions(data.originalPositions));
+        state.setPresentationPath(Array.isArray(data.presentationPath) ? data.presentationPath : []);
+        state.setColorLegend(data.colorLegend && typeof data.colorLegend === 'object' ? data.colorLegend : {});
 
         // Load media with retry logic for better persistence
         const mediaItems = data.items.filter(d => (d.type === 'image' || d.type === 'video') && d.content?.startsWith('media_'));
@@ -671,6 +1103,9 @@ async function loadCanvasData(id) {
                     if (!blob) {
                         blob = await loadMedia(mediaId);
                     }
+                    if (!blob) {
+                        blob = await loadRemoteMedia(mediaId);
+                    }
                     if (blob) {
                         state.blobURLCache.set(mediaId, URL.createObjectURL(blob));
                         return true;
@@ -712,12 +1147,16 @@ async function loadCanvasData(id) {
                 const c = addConnection(fromItem, d.fh, toItem, d.th, true, d.id);
                 c.dir = d.dir || 'none';
                 c.label = d.label || '';
+                c.createdAt = d.createdAt || null;
+                c.createdBy = d.createdBy || null;
+                c.updatedAt = d.updatedAt || null;
+                c.updatedBy = d.updatedBy || null;
                 updateConnectionArrow(c);
                 updateConnectionLabel(c);
             }
         });
 
-        updateMinimap();
+        applyFrameVisibility();
 
         // Undo/redo is intentionally session-only. Persisting up to 50 complete
         // document snapshots can inflate one canvas to roughly 50x its content
@@ -737,29 +1176,58 @@ async function loadCanvasData(id) {
     }
 }
 
-async function sweepPendingMediaBeforeCanvasSwitch(leavingCanvasId) {
-    if (!state.pendingMediaDeletes.size) return;
-
-    const otherData = await Promise.all(
-        state.canvases
-            .filter(canvas => canvas.id !== leavingCanvasId)
-            .map(canvas => readStoredCanvasData(canvas.id))
-    );
-    const retainedMediaIds = new Set();
+// Media still used by the open canvas's items, another stored canvas or the
+// version snapshots of any canvas. Snapshots are read from storage:
+// state.snapshotMediaIds covers the open canvas only, and only once its
+// history has loaded.
+async function collectRetainedMediaIds() {
+    const [otherData, snapshotMediaIds] = await Promise.all([
+        Promise.all(state.canvases
+            .filter(canvas => canvas.id !== state.currentCanvasId)
+            .map(canvas => readStoredCanvasData(canvas.id))),
+        Promise.all(state.canvases.map(canvas => readSnapshotMediaIds(canvas.id)))
+    ]);
+    const retainedMediaIds = collectMediaIds({ items: state.items });
     otherData.forEach(data => collectMediaIds(data).forEach(mediaId => retainedMediaIds.add(mediaId)));
+    snapshotMediaIds.forEach(ids => ids.forEach(mediaId => retainedMediaIds.add(mediaId)));
+    return retainedMediaIds;
+}
+
+async function destroyMedia(mediaId) {
+    await deleteMedia(mediaId);
+    if (fsDirectoryHandle) await deleteMediaFromFileSystem(mediaId);
+    const cachedUrl = state.blobURLCache.get(mediaId);
+    if (cachedUrl) URL.revokeObjectURL(cachedUrl);
+    state.blobURLCache.delete(mediaId);
+}
+
+async function sweepPendingMediaBeforeCanvasSwitch() {
+    if (!state.pendingMediaDeletes.size) return;
 
+    const retainedMediaIds = await collectRetainedMediaIds();
     await Promise.all([...state.pendingMediaDeletes].map(async mediaId => {
-        if (!retainedMediaIds.has(mediaId)) {
-            await deleteMedia(mediaId);
-            if (fsDirectoryHandle) await deleteMediaFromFileSystem(mediaId);
-            const cachedUrl = state.blobURLCache.get(mediaId);
-            if (cachedUrl) URL.revokeObjectURL(cachedUrl);
-            state.blobURLCache.delete(mediaId);
-        }
+        if (!retainedMediaIds.has(mediaId)) await destroyMedia(mediaId);
         state.pendingMediaDeletes.delete(mediaId);
     }));
 }
 
+/**
+ * Reclaim media that deleted version snapshots were the last to use. Media
+ * the open canvas's undo history still holds is left to the regular sweep.
+ * @param {Set<string>} mediaIds - Media of the deleted snapshots
+ */
+export async function releaseSnapshotMedia(mediaIds) {
+    if (!mediaIds.size) return;
+
+    const retainedMediaIds = await collectRetainedMediaIds();
+    const undoMediaIds = collectMediaIds({ undoStack: state.undoStack, redoStack: state.redoStack });
+    await Promise.all([...mediaIds].map(async mediaId => {
+        if (retainedMediaIds.has(mediaId)) return;
+        if (undoMediaIds.has(mediaId)) state.pendingMediaDeletes.add(mediaId);
+        else await destroyMedia(mediaId);
+    }));
+}
+
 export async function switchCanvas(id) {
     if (switchCanvasInProgress) {
         pendingCanvasSwitchId = id;
@@ -790,8 +1258,8 @@ export async function switchCanvas(id) {
         if (state.currentCanvasId) {
             await saveCurrentCanvas();
             // History ends at the canvas boundary. Reclaim deferred deletions
-            // now, while preserving ids referenced by another canvas.
-            await sweepPendingMediaBeforeCanvasSwitch(state.currentCanvasId);
+            // now, while preserving ids another canvas or a snapshot uses.
+            await sweepPendingMediaBeforeCanvasSwitch();
         }
 
         state.blobURLCache.forEach(url => URL.revokeObjectURL(url));
@@ -817,7 +1285,10 @@ export async function switchCanvas(id) {
         state.setOffsetX(0);
         state.setOffsetY(0);
         state.setColorGroupModeActive(false);
+        state.setLayoutModeActive(null);
         state.setOriginalPositions(new Map());
+        state.setPresentationPath([]);
+        state.setColorLegend({});
         // Clear stacks before loading - loadCanvasData will restore per-canvas history
         state.setUndoStack([]);
         state.setRedoStack([]);
@@ -827,6 +1298,7 @@ export async function switchCanvas(id) {
         localStorage.setItem('knotpad-active-canvas', id);
         scheduleSettingsSave();
         await loadCanvasData(id);
+        rememberSignatures();
 
         // Ensure at least initial state exists if no history was restored
         if (!state.undoStack.length) {
@@ -834,12 +1306,15 @@ export async function switchCanvas(id) {
         }
         updateUndoRedoButtons();
         setFilter('all');
+        setPropertyFilter('');
 
         $('sortByColorBtn').classList.toggle('active', state.colorGroupModeActive);
+        $('layoutBtn').classList.toggle('active', Boolean(state.layoutModeActive));
 
         updateMinimap();
         renderCanvasList();
         updateTopbarCanvasName();
+        eventBus.emit(Events.CANVAS_LOADED, id);
     } finally {
         lockedMemoEditors.forEach(editor => {
             if (editor.isConnected) editor.setAttribute('contenteditable', 'true');
@@ -861,8 +1336,17 @@ export async function switchCanvas(id) {
     }
 }
 
-export async function createNewCanvas(groupId = null) {
-    const nc = { id: generateId(), name: 'Untitled', createdAt: Date.now(), itemCount: 0, groupId: groupId };
+// Store data for a canvas that is not open (duplicates, canvases from templates)
+async function storeCanvasData(id, data) {
+    await Promise.all(getLocalProviders().map(provider => provider.saveCanvas(id, data)));
+    eventBus.emit(Events.CANVAS_SAVED, id, data);
+}
+
+export async function createNewCanvas(groupId = null, template = null) {
+    const nc = { id: generateId(), name: template?.name || 'Untitled', createdAt: Date.now(), itemCount: template?.items.length || 0, groupId: groupId };
+    if (template) {
+        await storeCanvasData(nc.id, templateToCanvasData(template));
+    }
     if (groupId) {
         // Add to end of group
         const groupCanvases = state.canvases.filter(c => c.groupId === groupId);
@@ -876,6 +1360,66 @@ export async function createNewCanvas(groupId = null) {
     await switchCanvas(nc.id);
 }
 
+// ============ Canvas Templates ============
+
+// Save the given items (with their frame contents), or the whole open canvas,
+// as a template
+export async function saveAsTemplate(items = null) {
+    const snapshot = captureCanvasSnapshot();
+    let data = snapshot;
+    if (items) {
+        const ids = new Set([...withFrameMembers(items)].map(i => i.id));
+        data = { items: snapshot.items.filter(i => ids.has(i.id)), connections: snapshot.connections };
+    }
+    const canvasName = state.canvases.find(c => c.id === state.currentCanvasId)?.name || 'Untitled';
+    await addTemplate(data, items ? `${canvasName} (Selection)` : canvasName);
+}
+
+async function saveCanvasAsTemplate(canvasId) {
+    if (canvasId === state.currentCanvasId) {
+        await saveAsTemplate();
+        return;
+    }
+    const canvas = state.canvases.find(c => c.id === canvasId);
+    const data = canvas ? await loadStoredCanvasData(canvas) : null;
+    if (!data) {
+        showToast('Canvas could not be read', 'error');
+        return;
+    }
+    await addTemplate(data, canvas.name);
+}
+
+async function addTemplate(data, suggestedName) {
+    const template = createTemplate('', data);
+    if (!template.items.length) {
+        showToast('Nothing to save as a template', 'warning');
+        return;
+    }
+    const name = prompt('Template name', suggestedName);
+    if (name === null) return;
+    template.name = name.trim() || 'Untitled Template';
+    state.canvasTemplates.push(template);
+    saveCanvasesList();
+    const skipped = data.items.length - template.items.length;
+    showToast(skipped ? 'Template saved without images and videos' : 'Template saved');
+}
+
+function deleteTemplate(templateId) {
+    const idx = state.canvasTemplates.findIndex(t => t.id === templateId);
+    if (idx === -1 || !confirm(`Delete template "${state.canvasTemplates[idx].name}"?`)) return;
+    state.canvasTemplates.splice(idx, 1);
+    saveCanvasesList();
+    showToast('Template deleted');
+}
+
+function buildTemplateSubmenu(submenu) {
+    submenu.innerHTML = getTemplates().map(t => `<div class="context-submenu-item" data-template-id="${esc(t.id)}">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="7" height="7" rx="1"/><rect x="14" y="3" width="7" height="7" rx="1"/><rect x="3" y="14" width="18" height="7" rx="1"/></svg>
+            <span class="template-name">${esc(t.name)}</span>
+            ${t.builtin ? '' : '<button class="template-delete-btn" title="Delete Template"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M18 6L6 18M6 6l12 12"/></svg></button>'}
+        </div>`).join('');
+}
+
 // ============ Canvas Group Management ============
 
 export function createNewGroup() {
@@ -960,19 +1504,20 @@ function collectMediaIds(data) {
     return ids;
 }
 
+// Media referenced by a canvas's stored version snapshots (both backends)
+async function readSnapshotMediaIds(id) {
+    const snapshots = [
+        ...await loadSnapshots(id),
+        ...(fsDirectoryHandle ? await loadSnapshotsFromFileSystem(id) : [])
+    ];
+    const ids = new Set();
+    snapshots.forEach(snapshot => collectMediaIds(snapshot.data).forEach(mediaId => ids.add(mediaId)));
+    return ids;
+}
+
 async function readStoredCanvasData(id) {
     if (id === state.currentCanvasId) return buildCurrentCanvasData();
-    const copies = [];
-    if (fsDirectoryHandle) {
-        const fileData = await loadCanvasFromFileSystem(id);
-        if (fileData) copies.push(fileData);
-    }
-    try {
-        const saved = localStorage.getItem('knotpad-data-' + id);
-        if (saved) copies.push(JSON.parse(saved));
-    } catch (e) {
-        console.warn(`Failed to inspect canvas ${id} for media references:`, e);
-    }
+    const copies = (await Promise.all(getLocalProviders().map(provider => provider.loadCanvas(id)))).filter(Boolean);
     if (!copies.length) return null;
 
     // Destructive cleanup must use the union of both backends. One copy can be
@@ -998,23 +1543,26 @@ export async function deleteCanvas(id) {
         // are normally unique, but imports can legally share them across canvases.
         const targetData = await readStoredCanvasData(id);
         const targetMediaIds = collectMediaIds(targetData);
+        (await readSnapshotMediaIds(id)).forEach(mediaId => targetMediaIds.add(mediaId));
         if (id === state.currentCanvasId) {
             state.pendingMediaDeletes.forEach(mediaId => targetMediaIds.add(mediaId));
         }
-        const otherData = await Promise.all(
-            state.canvases
-                .filter(canvas => canvas.id !== id)
-                .map(canvas => readStoredCanvasData(canvas.id))
-        );
+        const otherCanvases = state.canvases.filter(canvas => canvas.id !== id);
+        const otherData = await Promise.all(otherCanvases.map(canvas => readStoredCanvasData(canvas.id)));
+        const otherSnapshotMedia = await Promise.all(otherCanvases.map(canvas => readSnapshotMediaIds(canvas.id)));
         const retainedMediaIds = new Set();
         otherData.forEach(data => collectMediaIds(data).forEach(mediaId => retainedMediaIds.add(mediaId)));
+        otherSnapshotMedia.forEach(ids => ids.forEach(mediaId => retainedMediaIds.add(mediaId)));
         const orphanMediaIds = [...targetMediaIds].filter(mediaId => !retainedMediaIds.has(mediaId));
 
         state.canvases.splice(idx, 1);
-        localStorage.removeItem('knotpad-data-' + id);
+        await browserProvider.deleteCanvas(id);
+        eventBus.emit(Events.CANVAS_DELETED, id);
+        await deleteSnapshotsForCanvas(id);
         let fileCanvasDeleted = true;
         if (fsDirectoryHandle) {
-            fileCanvasDeleted = await deleteCanvasFromFileSystem(id);
+            fileCanvasDeleted = await fileSystemProvider.deleteCanvas(id);
+            await deleteSnapshotsFromFileSystem(id);
         }
         saveCanvasesList();
         if (state.currentCanvasId === id) {
@@ -1066,7 +1614,7 @@ function getCanvasIconHTML(c) {
 }
 
 function getCanvasIconStyle(c, isActive) {
-    if (c.color && COLOR_MAP[c.color]) {
+    if (c.color && DEFAULT_PALETTE.some(color => color.id === c.color)) {
         // For colored canvas, use theme-aware tag token; inactive is a faint tint of the same hue
         const v = `var(--tag-${c.color})`;
         return isActive
@@ -1076,23 +1624,6 @@ function getCanvasIconStyle(c, isActive) {
     return '';
 }
 
-function formatRelativeDate(timestamp) {
-    if (!timestamp) return '';
-    const now = Date.now();
-    const diff = now - timestamp;
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
-
-    if (minutes < 1) return 'just now';
-    if (minutes < 60) return `${minutes}m ago`;
-    if (hours < 24) return `${hours}h ago`;
-    if (days < 7) return `${days}d ago`;
-
-    const date = new Date(timestamp);
-    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-}
-
 function renderCanvasEntry(c) {
     const isActive = c.id === state.currentCanvasId;
     const iconStyle = getCanvasIconStyle(c, isActive);
@@ -1543,215 +2074,6 @@ export function setupCanvasIconPicker() {
     }, { signal });
 }
 
-// ============ Minimap ============
-
-const minimapCache = {
-    structureDirty: true,
-    visibleItems: [],
-    visibleConnections: [],
-    itemElements: new Map(),
-    connectionElements: new Map(),
-    viewportElement: null,
-    minX: 0,
-    minY: 0,
-    scale: 1
-};
-
-function rebuildMinimapStructure() {
-    const visibleItems = state.items.filter(i => !i.el.classList.contains('filtered-out'));
-    const visibleSet = new Set(visibleItems);
-    const visibleConnections = state.connections.filter(c => visibleSet.has(c.from) && visibleSet.has(c.to));
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.style.cssText = 'position:absolute;inset:0;width:100%;height:100%;pointer-events:none';
-    const connectionElements = new Map();
-    visibleConnections.forEach(connection => {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('stroke', 'var(--accent-dim)');
-        line.setAttribute('stroke-width', '1');
-        svg.appendChild(line);
-        connectionElements.set(connection, line);
-    });
-
-    const fragment = document.createDocumentFragment();
-    fragment.appendChild(svg);
-    const itemElements = new Map();
-    visibleItems.forEach(item => {
-        const element = document.createElement('div');
-        element.className = 'minimap-item';
-        fragment.appendChild(element);
-        itemElements.set(item, element);
-    });
-    const viewportElement = document.createElement('div');
-    viewportElement.className = 'minimap-viewport';
-    fragment.appendChild(viewportElement);
-    minimapContent.replaceChildren(fragment);
-
-    Object.assign(minimapCache, {
-        structureDirty: false,
-        visibleItems,
-        visibleConnections,
-        itemElements,
-        connectionElements,
-        viewportElement
-    });
-}
-
-function updateMinimapViewport() {
-    const viewport = minimapCache.viewportElement;
-    if (!viewport) return;
-    const s = minimapCache.scale;
-    viewport.style.left = `${(-state.offsetX / state.scale - minimapCache.minX) * s}px`;
-    viewport.style.top = `${(-state.offsetY / state.scale - minimapCache.minY) * s}px`;
-    viewport.style.width = `${innerWidth / state.scale * s}px`;
-    viewport.style.height = `${innerHeight / state.scale * s}px`;
-}
-
-function updateMinimapGeometry() {
-    const visible = minimapCache.visibleItems;
-    if (!visible.length) {
-        minimapCache.minX = 0;
-        minimapCache.minY = 0;
-        minimapCache.scale = 1;
-        if (minimapCache.viewportElement) minimapCache.viewportElement.style.display = 'none';
-        return;
-    }
-    minimapCache.viewportElement.style.display = '';
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    visible.forEach(i => {
-        minX = Math.min(minX, i.x);
-        minY = Math.min(minY, i.y);
-        maxX = Math.max(maxX, i.x + i.w);
-        maxY = Math.max(maxY, i.y + i.h);
-    });
-
-    minX -= 80; minY -= 80; maxX += 80; maxY += 80;
-    const s = Math.min(160 / (maxX - minX), 100 / (maxY - minY));
-
-    minimapCache.minX = minX;
-    minimapCache.minY = minY;
-    minimapCache.scale = s;
-
-    minimapCache.visibleConnections.forEach(c => {
-        const line = minimapCache.connectionElements.get(c);
-        const fx = (c.from.x + c.from.w / 2 - minX) * s;
-        const fy = (c.from.y + c.from.h / 2 - minY) * s;
-        const tx = (c.to.x + c.to.w / 2 - minX) * s;
-        const ty = (c.to.y + c.to.h / 2 - minY) * s;
-        line.setAttribute('x1', fx);
-        line.setAttribute('y1', fy);
-        line.setAttribute('x2', tx);
-        line.setAttribute('y2', ty);
-    });
-
-    visible.forEach(i => {
-        const element = minimapCache.itemElements.get(i);
-        const bg = i.color ? `var(--tag-${i.color})` : 'var(--text-secondary)';
-        element.style.left = `${(i.x - minX) * s}px`;
-        element.style.top = `${(i.y - minY) * s}px`;
-        element.style.width = `${Math.max(3, i.w * s)}px`;
-        element.style.height = `${Math.max(2, i.h * s)}px`;
-        element.style.background = bg;
-    });
-    updateMinimapViewport();
-}
-
-export function updateMinimap(mode = 'structure') {
-    const minimap = $('minimap');
-    if (mode === 'structure') minimapCache.structureDirty = true;
-    if (minimap?.classList.contains('hidden-responsive')) return;
-    let structureRebuilt = false;
-    if (minimapCache.structureDirty) {
-        rebuildMinimapStructure();
-        structureRebuilt = true;
-    }
-    if (structureRebuilt || mode !== 'viewport' || !minimapCache.viewportElement) updateMinimapGeometry();
-    else updateMinimapViewport();
-}
-
-// Register minimap update function
-setMinimapUpdateFn(updateMinimap);
-
-export function setupMinimapClick() {
-    if (minimapClickController) minimapClickController.abort();
-    minimapClickController = new AbortController();
-    const { signal } = minimapClickController;
-
-    $('minimap').addEventListener('click', e => {
-        if (!state.items.length) return;
-
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        state.items.forEach(i => {
-            minX = Math.min(minX, i.x);
-            minY = Math.min(minY, i.y);
-            maxX = Math.max(maxX, i.x + i.w);
-            maxY = Math.max(maxY, i.y + i.h);
-        });
-
-        minX -= 80; minY -= 80; maxX += 80; maxY += 80;
-        const rect = $('minimap').getBoundingClientRect();
-        const sx = (maxX - minX) / 160;
-        const sy = (maxY - minY) / 100;
-        const clickX = (e.clientX - rect.left) * sx + minX;
-        const clickY = (e.clientY - rect.top) * sy + minY;
-        const targetX = innerWidth / 2 - clickX * state.scale;
-        const targetY = innerHeight / 2 - clickY * state.scale;
-        const startX = state.offsetX;
-        const startY = state.offsetY;
-        const startTime = performance.now();
-        const duration = 200;
-
-        function animate(now) {
-            const t = Math.min((now - startTime) / duration, 1);
-            const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
-            state.setOffsetX(startX + (targetX - startX) * ease);
-            state.setOffsetY(startY + (targetY - startY) * ease);
-            updateTransform();
-            if (t < 1) requestAnimationFrame(animate);
-            else updateMinimap();
-        }
-        requestAnimationFrame(animate);
-    }, { signal });
-}
-
-// ============ Minimap Responsive Hide ============
-
-let minimapResizeController;
-
-function checkMinimapOverlap() {
-    const minimap = $('minimap');
-    const toolbar = document.querySelector('.toolbar');
-    if (!minimap || !toolbar) return;
-
-    const minimapRect = minimap.getBoundingClientRect();
-    const toolbarRect = toolbar.getBoundingClientRect();
-
-    // Check if they overlap (with some padding for visual comfort)
-    const padding = 8;
-    const overlaps = toolbarRect.right + padding >= minimapRect.left &&
-                     toolbarRect.bottom + padding >= minimapRect.top &&
-                     toolbarRect.top - padding <= minimapRect.bottom;
-
-    const wasHidden = minimap.classList.contains('hidden-responsive');
-    if (overlaps) {
-        minimap.classList.add('hidden-responsive');
-    } else {
-        minimap.classList.remove('hidden-responsive');
-        if (wasHidden) updateMinimap(minimapCache.structureDirty ? 'structure' : 'geometry');
-    }
-}
-
-export function setupMinimapResponsiveHide() {
-    if (minimapResizeController) minimapResizeController.abort();
-    minimapResizeController = new AbortController();
-    const { signal } = minimapResizeController;
-
-    // Check on resize
-    window.addEventListener('resize', checkMinimapOverlap, { signal });
-
-    // Initial check
-    checkMinimapOverlap();
-}
-
 // ============ Context Menu ============
 
 // Copy item content to clipboard (for link and image items)
@@ -1826,11 +2148,26 @@ export function showContextMenu(x, y, item) {
     if (renameItem) {
         renameItem.style.display = item.type === 'link' ? '' : 'none';
     }
+    $('presentStopText').textContent = isPresentationStop(item) ? 'Remove from Presentation' : 'Add to Presentation';
+    contextMenu.querySelector('[data-action="due-date"]').style.display = item.type === 'frame' ? 'none' : '';
+    $('checklistRollupText').textContent = item.rollup ? 'Hide Checklist Roll-up' : 'Show Checklist Roll-up';
     contextMenu.style.left = x + 'px';
     contextMenu.style.top = y + 'px';
     contextMenu.classList.add('active');
 }
 
+// Ask for a card's due date; an empty answer clears it
+function editDueDate(item) {
+    const answer = prompt('Due date (YYYY-MM-DD), leave empty to clear', item.due || '');
+    if (answer === null) return;
+    const due = answer.trim();
+    if (due && (!/^\d{4}-\d{2}-\d{2}$/.test(due) || isNaN(new Date(due + 'T00:00')))) {
+        showToast('Enter the date as YYYY-MM-DD', 'warning');
+        return;
+    }
+    setItemDueDate(item, due);
+}
+
 export function setupContextMenu() {
     if (contextMenuController) contextMenuController.abort();
     contextMenuController = new AbortController();
@@ -1852,12 +2189,23 @@ export function setupContextMenu() {
                             startLinkRename(selectedItem);
                         }
                         break;
+                    case 'present-stop':
+                        togglePresentationStop(selectedItem);
+                        break;
+                    case 'due-date':
+                        editDueDate(selectedItem);
+                        break;
+                    case 'checklist-rollup':
+                        toggleChecklistRollup(selectedItem);
+                        break;
+                    case 'properties':
+                        openInspector(selectedItem);
+                        break;
+                    case 'save-template':
+                        saveAsTemplate(state.selectedItems.has(selectedItem) ? [...state.selectedItems] : [selectedItem]);
+                        break;
                     case 'lock':
-                        selectedItem.locked = !selectedItem.locked;
-                        selectedItem.el.classList.toggle('locked', selectedItem.locked);
-                        if (selectedItem.locked) selectedItem.el.style.zIndex = 1;
-                        eventBus.emit(Events.STATE_SAVE);
-                        eventBus.emit(Events.AUTOSAVE_TRIGGER);
+                        setItemsLocked([selectedItem], !selectedItem.locked);
                         break;
                     case 'delete':
                         if (state.selectedItems.size > 0) deleteSelectedItems();
@@ -1969,6 +2317,8 @@ export function showCanvasContextMenu(clientX, clientY, canvasX, canvasY) {
         invertZoomCheck.classList.toggle('checked', state.invertWheelZoom);
     }
 
+    canvasContextMenu.querySelector('[data-action="clear-presentation"]').style.display = state.presentationPath.length ? '' : 'none';
+
     canvasContextMenu.style.left = clientX + 'px';
     canvasContextMenu.style.top = clientY + 'px';
     canvasContextMenu.classList.add('active');
@@ -1992,6 +2342,20 @@ export function setupCanvasContextMenu() {
                 case 'new-image':
                     fileInput.click();
                     break;
+                case 'new-frame':
+                    addFrame(canvasContextX, canvasContextY);
+                    eventBus.emit(Events.STATE_SAVE);
+                    break;
+                case 'new-lane':
+                    addLane(canvasContextX, canvasContextY);
+                    eventBus.emit(Events.STATE_SAVE);
+                    break;
+                case 'present':
+                    startPresentation();
+                    break;
+                case 'clear-presentation':
+                    clearPresentationPath();
+                    break;
                 case 'grid-snap':
                     state.setGridSnap(!state.gridSnap);
                     $('gridSnapCheck').classList.toggle('checked', state.gridSnap);
@@ -2015,6 +2379,7 @@ function hideSidebarContextMenus() {
     sidebarGroupContextMenu?.classList.remove('active');
     sidebarEmptyContextMenu?.classList.remove('active');
     groupSubmenu?.classList.remove('active');
+    templateSubmenus.forEach(submenu => submenu.classList.remove('active'));
 }
 
 function positionContextMenu(menu, x, y) {
@@ -2154,9 +2519,8 @@ async function duplicateCanvas(canvasId) {
     };
 
     // Copy canvas data
-    const originalDataStr = localStorage.getItem('knotpad-data-' + canvasId);
-    if (originalDataStr) {
-        const originalData = JSON.parse(originalDataStr);
+    const originalData = await readLocalCanvas(canvasId);
+    if (originalData) {
         stripPersistedHistory(originalData);
 
         // Find all media items (images/videos with media_ content)
@@ -2219,12 +2583,7 @@ async function duplicateCanvas(canvasId) {
             }
         }
 
-        localStorage.setItem('knotpad-data-' + newCanvas.id, JSON.stringify(originalData));
-
-        // Also save to file system if connected
-        if (fsDirectoryHandle) {
-            await saveCanvasToFileSystem(newCanvas.id, originalData);
-        }
+        await storeCanvasData(newCanvas.id, originalData);
     }
 
     // Insert after original
@@ -2326,6 +2685,10 @@ export function setupSidebarContextMenus() {
                     hideSidebarContextMenus();
                     await duplicateCanvas(canvasId);
                     break;
+                case 'save-template':
+                    hideSidebarContextMenus();
+                    await saveCanvasAsTemplate(canvasId);
+                    break;
                 case 'add-to-group':
                     // Toggle submenu
                     groupSubmenu?.classList.toggle('active');
@@ -2350,6 +2713,28 @@ export function setupSidebarContextMenus() {
         }, { signal });
     });
 
+    // Template submenus: new canvas from a template (in the group, if opened
+    // from a group's menu) or delete a user template
+    templateSubmenus.forEach(submenu => {
+        submenu.addEventListener('click', async e => {
+            const entry = e.target.closest('.context-submenu-item');
+            if (!entry) return;
+            e.stopPropagation();
+            const templateId = entry.dataset.templateId;
+            if (e.target.closest('.template-delete-btn')) {
+                deleteTemplate(templateId);
+                buildTemplateSubmenu(submenu);
+                return;
+            }
+            const template = getTemplates().find(t => t.id === templateId);
+            const groupId = submenu.closest('#sidebarGroupContextMenu') ? sidebarContextTargetId : null;
+            hideSidebarContextMenus();
+            if (!template) return;
+            await saveCurrentCanvas();
+            await createNewCanvas(groupId, template);
+        }, { signal });
+    });
+
     // Group submenu delegation
     groupSubmenu?.addEventListener('click', e => {
         const item = e.target.closest('.context-submenu-item');
@@ -2449,6 +2834,12 @@ export function setupSidebarContextMenus() {
                     await saveCurrentCanvas();
                     await createNewCanvas(groupId);
                     break;
+                case 'from-template': {
+                    const submenu = sidebarGroupContextMenu.querySelector('.template-submenu');
+                    buildTemplateSubmenu(submenu);
+                    submenu.classList.toggle('active');
+                    return; // Don't hide menus
+                }
                 case 'toggle-collapse': {
                     state.toggleGroupCollapsed(groupId);
                     const groupEl = canvasList.querySelector(`.canvas-group[data-group-id="${groupId}"]`);
@@ -2482,6 +2873,12 @@ export function setupSidebarContextMenus() {
                     hideSidebarContextMenus();
                     createNewGroup();
                     break;
+                case 'from-template': {
+                    const submenu = sidebarEmptyContextMenu.querySelector('.template-submenu');
+                    buildTemplateSubmenu(submenu);
+                    submenu.classList.toggle('active');
+                    return; // Don't hide menus
+                }
                 case 'collapse-all':
                     hideSidebarContextMenus();
                     collapseAllGroups();
@@ -2851,6 +3248,12 @@ function updateSettingsUI() {
         gridSnapCheckbox.checked = state.gridSnap;
     }
 
+    // Update author name
+    const authorNameInput = $('authorNameInput');
+    if (authorNameInput) {
+        authorNameInput.value = state.authorName;
+    }
+
     // Update link preview toggle
     const linkPreviewCheckbox = $('linkPreviewToggle');
     if (linkPreviewCheckbox) {
@@ -3095,6 +3498,15 @@ export function setupSettingsModal() {
         }, { signal });
     }
 
+    // Author name
+    const authorNameInput = $('authorNameInput');
+    if (authorNameInput) {
+        authorNameInput.addEventListener('change', () => {
+            authorNameInput.value = authorNameInput.value.trim().slice(0, 40);
+            state.setAuthorName(authorNameInput.value);
+        }, { signal });
+    }
+
     // Link preview
     const linkPreviewCheckbox = $('linkPreviewToggle');
     if (linkPreviewCheckbox) {
@@ -3122,6 +3534,7 @@ async function exportAllCanvases() {
             version: 2,
             exportedAt: new Date().toISOString(),
             canvases: state.canvases.map(c => ({ ...c })),
+            templates: state.canvasTemplates,
             data: {},
             media: {}
         };
@@ -3129,9 +3542,8 @@ async function exportAllCanvases() {
         // Collect all canvas data and media IDs
         const mediaIds = new Set();
         for (const canvas of state.canvases) {
-            const savedData = localStorage.getItem('knotpad-data-' + canvas.id);
-            if (savedData) {
-                const canvasData = JSON.parse(savedData);
+            const canvasData = await readLocalCanvas(canvas.id);
+            if (canvasData) {
                 allData.data[canvas.id] = canvasData;
 
                 // Collect media IDs from items
@@ -3265,21 +3677,22 @@ async function importAllCanvases(e) {
             if (allData.data[canvas.id]) {
                 const canvasData = allData.data[canvas.id];
                 stripPersistedHistory(canvasData);
-                localStorage.setItem('knotpad-data-' + canvas.id, JSON.stringify(canvasData));
-
-                // Also save to file system if connected
-                if (fsDirectoryHandle) {
-                    await saveCanvasToFileSystem(canvas.id, canvasData);
-                }
+                await storeCanvasData(canvas.id, canvasData);
             }
         }
 
-        // Save updated canvas list
-        localStorage.setItem(CANVASES_KEY, JSON.stringify(state.canvases));
-        if (fsDirectoryHandle) {
-            await saveCanvasesListToFileSystem();
+        // Import templates, replacing those with the same ID
+        if (Array.isArray(allData.templates)) {
+            allData.templates.forEach(template => {
+                const existingIndex = state.canvasTemplates.findIndex(t => t.id === template.id);
+                if (existingIndex >= 0) state.canvasTemplates[existingIndex] = template;
+                else state.canvasTemplates.push(template);
+            });
         }
 
+        // Save updated canvas list
+        saveCanvasesList();
+
         // Refresh sidebar
         renderCanvasList();
 
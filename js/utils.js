@@ -219,7 +219,11 @@ export function getCurveGeometry(x1, y1, x2, y2, fromHandle = null, toHandle = n
 }
 
 export function curvePath(x1, y1, x2, y2, fromHandle = null, toHandle = null) {
-    const geometry = getCurveGeometry(x1, y1, x2, y2, fromHandle, toHandle);
+    return geometryPath(getCurveGeometry(x1, y1, x2, y2, fromHandle, toHandle));
+}
+
+// SVG path data for a result of getCurveGeometry
+export function geometryPath(geometry) {
     const { p0, p1, p2, p3 } = geometry;
     if (geometry.isLine) return `M${p0.x} ${p0.y} L${p3.x} ${p3.y}`;
     return `M${p0.x} ${p0.y} C${p1.x} ${p1.y}, ${p2.x} ${p2.y}, ${p3.x} ${p3.y}`;
@@ -236,10 +240,10 @@ export function findFreePosition(x, y, items) {
     return { x, y };
 }
 
-// Get handle position for connection points
-export function getHandlePos(item, handle) {
+// Get handle position for connection points. The default offset matches the
+// inset of #connectionsSvg; pass 0 for plain canvas coordinates.
+export function getHandlePos(item, handle, off = 10000) {
     const { x, y, w, h } = item;
-    const off = 10000;
     switch (handle) {
         case 'top': return { x: x + w / 2 + off, y: y + off };
         case 'bottom': return { x: x + w / 2 + off, y: y + h + off };
@@ -262,6 +266,16 @@ export function getExtensionFromMimeType(mimeType) {
     return map[mimeType] || '.bin';
 }
 
+// Save a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 // Easing function for animations
 export function easeInOutQuad(t) {
     return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
@@ -271,3 +285,21 @@ export function easeInOutQuad(t) {
 export function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
+
+// Short "5m ago" style label for a timestamp
+export function formatRelativeDate(timestamp) {
+    if (!timestamp) return '';
+    const now = Date.now();
+    const diff = now - timestamp;
+    const minutes = Math.floor(diff / 60000);
+    const hours = Math.floor(diff / 3600000);
+    const days = Math.floor(diff / 86400000);
+
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    if (hours < 24) return `${hours}h ago`;
+    if (days < 7) return `${days}d ago`;
+
+    const date = new Date(timestamp);
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,134 @@
+// KnotPad - Viewer Module (Read-only canvas of an exported HTML file)
+// Entry point of the page built by html-export.js. Only the viewport,
+// minimap and connection rendering modules come along, so nothing here can
+// edit or store the canvas.
+
+import { $ } from './utils.js';
+import * as state from './state.js';
+import { updateTransform, setZoom, fitToScreen, startPan, throttledMinimap } from './viewport.js';
+import { updateMinimap, setupMinimapClick, setupMinimapResponsiveHide } from './minimap.js';
+import { renderConnectionPath, renderConnectionArrow, renderConnectionLabel } from './connection-render.js';
+import { normalizePalette } from './palette.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// ============ Content ============
+
+function createViewerItem(data) {
+    const template = document.createElement('template');
+    template.innerHTML = data.html;
+    const el = template.content.firstElementChild;
+    el.querySelectorAll('video').forEach(video => { video.controls = true; });
+    $('canvas').appendChild(el);
+    return { id: data.id, type: data.type, x: data.x, y: data.y, w: data.w, h: data.h, color: data.color || null, el };
+}
+
+function createViewerConnection(data, itemMap) {
+    const from = itemMap.get(data.from);
+    const to = itemMap.get(data.to);
+    if (!from || !to || from === to) return null;
+    const svg = $('connectionsSvg');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.classList.add('connection-line');
+    svg.appendChild(path);
+    const conn = {
+        id: data.id,
+        from,
+        fh: data.fh,
+        to,
+        th: data.th,
+        el: path,
+        hitArea: null,
+        arrow: null,
+        dir: data.dir || 'none',
+        label: data.label || '',
+        labelEl: null
+    };
+    renderConnectionPath(conn);
+    renderConnectionArrow(conn, svg);
+    renderConnectionLabel(conn, svg);
+    return conn;
+}
+
+/**
+ * Put the exported items and connections on the canvas.
+ * @param {{ items: Array, connections: Array, palette?: Array }} data - As written by html-export.js
+ */
+export function loadViewerCanvas(data) {
+    // Colors are recognised by id; their values come with the stylesheet
+    if (data.palette) state.setPalette(normalizePalette(data.palette));
+    const itemMap = new Map();
+    data.items.forEach(d => {
+        const item = createViewerItem(d);
+        itemMap.set(item.id, item);
+        state.items.push(item);
+    });
+    data.connections.forEach(d => {
+        const conn = createViewerConnection(d, itemMap);
+        if (conn) state.connections.push(conn);
+    });
+}
+
+// ============ Navigation ============
+
+function setupViewerEvents() {
+    const app = $('app');
+
+    app.addEventListener('wheel', e => {
+        // Long memos scroll on their own
+        const memoBody = e.target.closest('.memo-body');
+        if (memoBody && memoBody.scrollHeight > memoBody.clientHeight) return;
+        e.preventDefault();
+        const rect = app.getBoundingClientRect();
+        setZoom(state.scale * (e.deltaY > 0 ? 0.9 : 1.1), e.clientX - rect.left, e.clientY - rect.top, false);
+    }, { passive: false });
+
+    app.addEventListener('pointerdown', e => {
+        if (e.button !== 0 && e.button !== 1) return;
+        // Links and video controls keep working
+        if (e.target.closest('a, video')) return;
+        e.preventDefault();
+        startPan(e.clientX, e.clientY);
+    });
+
+    window.addEventListener('pointermove', e => {
+        if (!state.isPanning) return;
+        state.setOffsetX(e.clientX - state.startX);
+        state.setOffsetY(e.clientY - state.startY);
+        updateTransform();
+        throttledMinimap('viewport');
+    });
+
+    window.addEventListener('pointerup', () => {
+        if (!state.isPanning) return;
+        state.setIsPanning(false);
+        app.classList.remove('panning');
+    });
+
+    $('zoomInBtn').addEventListener('click', () => setZoom(state.scale * 1.2));
+    $('zoomOutBtn').addEventListener('click', () => setZoom(state.scale / 1.2));
+    $('fitViewBtn').addEventListener('click', fitToScreen);
+
+    document.addEventListener('keydown', e => {
+        if (e.key === '+' || e.key === '=') setZoom(state.scale * 1.2);
+        else if (e.key === '-') setZoom(state.scale / 1.2);
+        else if (e.key === '0') fitToScreen();
+    });
+
+    window.addEventListener('resize', () => updateMinimap('viewport'));
+}
+
+// ============ Initialize Viewer ============
+
+export function startViewer(data) {
+    loadViewerCanvas(data);
+    updateTransform();
+    setupViewerEvents();
+    setupMinimapClick();
+    setupMinimapResponsiveHide();
+    updateMinimap();
+    fitToScreen();
+}
+
+const embedded = document.getElementById('knotpadCanvas');
+if (embedded) startViewer(JSON.parse(embedded.textContent));
@@ -0,0 +1,417 @@
+// KnotPad - Wiki Links Module ([[references]] between items and canvases, backlinks)
+// Typing [[ in a memo suggests item titles and canvas names from every canvas.
+// A chosen target is stored in the memo as an inert span (see MEMO_REF_* in
+// items.js) labelled with the target's title. Labels follow renames, and
+// references to deleted targets are marked missing.
+
+import { $, esc, showToast } from './utils.js';
+import * as state from './state.js';
+import { panToItem } from './viewport.js';
+import {
+    MEMO_REF_CANVAS_ATTR, MEMO_REF_ATTR, MEMO_REF_MISSING_ATTR,
+    extractPlainTextFromMemoHtml, selectItem
+} from './items.js';
+import { switchCanvas, loadStoredCanvasData } from './ui.js';
+import eventBus, { Events } from './events-bus.js';
+
+const REF_SELECTOR = `[${MEMO_REF_CANVAS_ATTR}]`;
+const TRIGGER_PATTERN = /\[\[([^[\]\n]{0,60})$/;
+const MAX_SUGGESTIONS = 8;
+const MAX_TITLE_LENGTH = 60;
+
+// Stored data of the other canvases, as last read; used to label references
+// into them without waiting for storage
+const otherCanvases = new Map(); // canvasId -> { items }
+
+let wikiLinksController;
+
+// ============ Titles ============
+
+// What a reference to an item is called; '' for items that have no text
+export function getItemTitle(item) {
+    let title = '';
+    switch (item.type) {
+        case 'memo':
+            title = extractPlainTextFromMemoHtml(item.content || '').split('\n').find(line => line.trim()) || '';
+            break;
+        case 'keyword':
+            title = String(item.content || '');
+            break;
+        case 'link':
+            title = item.content?.title || item.content?.url || '';
+            break;
+        case 'frame':
+            title = item.content?.title || '';
+            break;
+    }
+    title = title.replace(/\s+/g, ' ').trim();
+    return title.length > MAX_TITLE_LENGTH ? title.slice(0, MAX_TITLE_LENGTH - 1) + '…' : title;
+}
+
+// Items of a canvas: live for the current one, as stored for the others
+async function getCanvasItems(canvas) {
+    if (canvas.id === state.currentCanvasId) return state.items;
+    const data = await loadStoredCanvasData(canvas);
+    otherCanvases.set(canvas.id, { items: Array.isArray(data?.items) ? data.items : [] });
+    return otherCanvases.get(canvas.id).items;
+}
+
+/**
+ * Everything a reference can point to, across all canvases.
+ * @returns {Promise<Array<{ canvasId: string, canvasName: string, itemId: string|null, type: string, title: string }>>}
+ */
+export async function getLinkTargets() {
+    const targets = [];
+    for (const canvas of state.canvases) {
+        const canvasName = canvas.name || 'Untitled';
+        targets.push({ canvasId: canvas.id, canvasName, itemId: null, type: 'canvas', title: canvasName });
+        (await getCanvasItems(canvas)).forEach(item => {
+            const title = getItemTitle(item);
+            if (title) targets.push({ canvasId: canvas.id, canvasName, itemId: item.id, type: item.type, title });
+        });
+    }
+    return targets;
+}
+
+/**
+ * Targets whose title contains the query: titles starting with it first,
+ * then the current canvas before the others.
+ * @param {Array} targets - From getLinkTargets
+ * @param {string} query
+ * @param {{ excludeId?: string, currentCanvasId?: string }} [options] - excludeId
+ *   is an item of the current canvas (item ids repeat across canvases)
+ */
+export function matchLinkTargets(targets, query, { excludeId = null, currentCanvasId = state.currentCanvasId } = {}) {
+    const needle = query.trim().toLowerCase();
+    const rank = target => {
+        const title = target.title.toLowerCase();
+        if (needle && !title.includes(needle)) return -1;
+        return (title.startsWith(needle) ? 0 : 2) + (target.canvasId === currentCanvasId ? 0 : 1);
+    };
+    return targets
+        .filter(target => !excludeId || target.itemId !== excludeId || target.canvasId !== currentCanvasId)
+        .map(target => ({ target, rank: rank(target) }))
+        .filter(({ rank }) => rank >= 0)
+        .sort((a, b) => a.rank - b.rank || a.target.title.localeCompare(b.target.title))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ target }) => target);
+}
+
+export function createWikiLinkElement({ canvasId, itemId, title }) {
+    const ref = document.createElement('span');
+    ref.setAttribute(MEMO_REF_CANVAS_ATTR, canvasId);
+    if (itemId) ref.setAttribute(MEMO_REF_ATTR, itemId);
+    ref.setAttribute('contenteditable', 'false');
+    ref.textContent = title;
+    return ref;
+}
+
+// ============ Labels ============
+
+// Current title of a reference's target, whether it is gone, or nothing when
+// its canvas has not been read yet
+function resolveReference(canvasId, itemId) {
+    const canvas = state.canvases.find(c => c.id === canvasId);
+    if (!canvas) return { missing: true };
+    if (!itemId) return { missing: false, title: canvas.name || 'Untitled' };
+    const items = canvasId === state.currentCanvasId ? state.items : otherCanvases.get(canvasId)?.items;
+    if (!items) return null;
+    const target = items.find(i => i.id === itemId);
+    return target ? { missing: false, title: getItemTitle(target) } : { missing: true };
+}
+
+/**
+ * Bring the references under a root in line with their targets.
+ * @param {ParentNode} root
+ * @returns {boolean} Whether anything changed
+ */
+export function updateReferences(root) {
+    let changed = false;
+    root.querySelectorAll(REF_SELECTOR).forEach(ref => {
+        const resolved = resolveReference(ref.getAttribute(MEMO_REF_CANVAS_ATTR), ref.getAttribute(MEMO_REF_ATTR));
+        if (!resolved) return;
+        if (resolved.missing !== ref.hasAttribute(MEMO_REF_MISSING_ATTR)) {
+            ref.toggleAttribute(MEMO_REF_MISSING_ATTR, resolved.missing);
+            changed = true;
+        }
+        if (resolved.title && ref.textContent !== resolved.title) {
+            ref.textContent = resolved.title;
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// Relabel references in the memos of the current canvas, both on screen and
+// in their saved content
+export function refreshWikiLinks() {
+    let changed = false;
+    state.items.forEach(item => {
+        if (item.type !== 'memo' || !item.content?.includes(MEMO_REF_CANVAS_ATTR)) return;
+        const body = item.el.querySelector('.memo-body');
+        if (body) updateReferences(body);
+        const template = document.createElement('template');
+        template.innerHTML = item.content;
+        if (updateReferences(template.content)) {
+            item.content = template.innerHTML;
+            changed = true;
+        }
+    });
+    if (changed) eventBus.emit(Events.AUTOSAVE_TRIGGER);
+}
+
+// Read the other canvases so references into them can be labelled
+async function indexOtherCanvases() {
+    for (const canvas of state.canvases) {
+        if (canvas.id !== state.currentCanvasId) await getCanvasItems(canvas);
+    }
+    refreshWikiLinks();
+}
+
+// ============ Navigation ============
+
+export async function openWikiLink(canvasId, itemId) {
+    if (!state.canvases.some(c => c.id === canvasId)) {
+        showToast('That canvas no longer exists', 'error');
+        return;
+    }
+    if (canvasId !== state.currentCanvasId) {
+        await switchCanvas(canvasId);
+        if (state.currentCanvasId !== canvasId) return;
+    }
+    if (!itemId) return;
+    const item = state.items.find(i => i.id === itemId);
+    if (!item) {
+        showToast('That item no longer exists', 'error');
+        return;
+    }
+    selectItem(item);
+    panToItem(item);
+}
+
+// ============ Backlinks ============
+
+/**
+ * Memos on any canvas that reference an item.
+ * @returns {Promise<Array<{ canvasId: string, canvasName: string, id: string, title: string }>>}
+ */
+export async function getBacklinks(canvasId, itemId) {
+    const template = document.createElement('template');
+    const backlinks = [];
+    for (const canvas of state.canvases) {
+        (await getCanvasItems(canvas)).forEach(item => {
+            if (item.type !== 'memo' || (canvas.id === canvasId && item.id === itemId) || !item.content?.includes(itemId)) return;
+            template.innerHTML = item.content;
+            const refs = [...template.content.querySelectorAll(REF_SELECTOR)];
+            if (!refs.some(ref => ref.getAttribute(MEMO_REF_CANVAS_ATTR) === canvasId && ref.getAttribute(MEMO_REF_ATTR) === itemId)) return;
+            backlinks.push({ canvasId: canvas.id, canvasName: canvas.name || 'Untitled', id: item.id, title: getItemTitle(item) || 'Untitled memo' });
+        });
+    }
+    return backlinks;
+}
+
+async function showBacklinks(item) {
+    const canvasId = state.currentCanvasId;
+    const panel = $('backlinksPanel');
+    const heading = `<div class="backlinks-header"><span>Backlinks to ${esc(getItemTitle(item) || 'this item')}</span><button class="backlinks-close" title="Close"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg></button></div>`;
+    panel.innerHTML = heading + '<div class="global-search-empty">Looking through canvases…</div>';
+    panel.classList.add('active');
+
+    const backlinks = await getBacklinks(canvasId, item.id);
+    if (!panel.classList.contains('active')) return;
+    if (!backlinks.length) {
+        panel.innerHTML = heading + '<div class="global-search-empty">No memo links here yet</div>';
+        return;
+    }
+    let html = heading;
+    [...new Set(backlinks.map(link => link.canvasId))].forEach(id => {
+        const group = backlinks.filter(link => link.canvasId === id);
+        html += `<div class="global-search-group"><div class="global-search-canvas"><span>${esc(group[0].canvasName)}</span><span class="global-search-count">${group.length}</span></div>`;
+        group.forEach(link => {
+            html += `<div class="global-search-result backlink-result" data-canvas="${esc(link.canvasId)}" data-id="${esc(link.id)}"><span class="global-search-snippet">${esc(link.title)}</span></div>`;
+        });
+        html += '</div>';
+    });
+    panel.innerHTML = html;
+}
+
+function hideBacklinks() {
+    $('backlinksPanel').classList.remove('active');
+}
+
+// ============ Autocomplete ============
+
+const suggest = {
+    editor: null,
+    targets: null, // Promise of getLinkTargets(), read once per suggestion session
+    options: [],
+    index: 0,
+    token: 0
+};
+
+// The "[[query" typed right before the caret
+function getTypedReference(editor) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount || !sel.isCollapsed) return null;
+    const { startContainer: node, startOffset: offset } = sel.getRangeAt(0);
+    if (node.nodeType !== Node.TEXT_NODE || !editor.contains(node) || node.parentElement.closest('pre, code')) return null;
+    const match = node.data.slice(0, offset).match(TRIGGER_PATTERN);
+    return match ? { node, start: offset - match[0].length, end: offset, query: match[1] } : null;
+}
+
+function closeSuggest() {
+    suggest.editor = null;
+    suggest.targets = null;
+    suggest.options = [];
+    suggest.token++;
+    $('wikiLinkSuggest').classList.remove('active');
+}
+
+async function updateSuggest(editor) {
+    const typed = getTypedReference(editor);
+    if (!typed) {
+        if (suggest.editor) closeSuggest();
+        return;
+    }
+    if (suggest.editor !== editor) {
+        closeSuggest();
+        suggest.editor = editor;
+        suggest.targets = getLinkTargets();
+    }
+    const token = ++suggest.token;
+    const targets = await suggest.targets;
+    if (token !== suggest.token) return;
+
+    const memo = state.items.find(i => i.el.contains(editor));
+    suggest.options = matchLinkTargets(targets, typed.query, { excludeId: memo?.id });
+    suggest.index = 0;
+    renderSuggest(typed);
+}
+
+function renderSuggest(typed) {
+    const box = $('wikiLinkSuggest');
+    if (!suggest.options.length) {
+        box.innerHTML = '<div class="wiki-link-empty">No matching items or canvases</div>';
+    } else {
+        box.innerHTML = suggest.options.map((target, index) => {
+            const where = target.itemId && target.canvasId !== state.currentCanvasId
+                ? `<span class="wiki-link-canvas">${esc(target.canvasName)}</span>` : '';
+            return `<div class="wiki-link-option${index === suggest.index ? ' selected' : ''}" data-index="${index}"><span class="global-search-type">${esc(target.type)}</span><span class="global-search-snippet">${esc(target.title)}</span>${where}</div>`;
+        }).join('');
+    }
+    const range = document.createRange();
+    range.setStart(typed.node, typed.start);
+    range.setEnd(typed.node, typed.end);
+    const rect = range.getBoundingClientRect();
+    box.style.left = Math.min(rect.left, innerWidth - 300) + 'px';
+    box.style.top = rect.bottom + 4 + 'px';
+    box.classList.add('active');
+}
+
+function moveSuggestSelection(delta) {
+    const count = suggest.options.length;
+    if (!count) return;
+    suggest.index = (suggest.index + delta + count) % count;
+    $('wikiLinkSuggest').querySelectorAll('.wiki-link-option').forEach((option, index) => {
+        option.classList.toggle('selected', index === suggest.index);
+    });
+}
+
+// Replace the typed "[[query" with a reference to the chosen target
+function chooseSuggestion(index) {
+    const editor = suggest.editor;
+    const target = suggest.options[index];
+    const typed = editor && getTypedReference(editor);
+    closeSuggest();
+    if (!target || !typed) return;
+
+    const range = document.createRange();
+    range.setStart(typed.node, typed.start);
+    range.setEnd(typed.node, typed.end);
+    range.deleteContents();
+    const ref = createWikiLinkElement(target);
+    // A plain space would collapse at the end of a line
+    const space = document.createTextNode('\u00a0');
+    range.insertNode(space);
+    range.insertNode(ref);
+
+    const caret = document.createRange();
+    caret.setStart(space, 1);
+    caret.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(caret);
+    editor.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// ============ Setup ============
+
+export function setupWikiLinks() {
+    if (wikiLinksController) wikiLinksController.abort();
+    wikiLinksController = new AbortController();
+    const { signal } = wikiLinksController;
+
+    eventBus.on(Events.CANVAS_LOADED, () => {
+        hideBacklinks();
+        indexOtherCanvases();
+    });
+    // Renames and deletions end in one of these
+    eventBus.on(Events.STATE_SAVE, refreshWikiLinks);
+    eventBus.on(Events.AUTOSAVE_TRIGGER, refreshWikiLinks);
+
+    // Memo editors are reached through the document so they need no wiring
+    document.addEventListener('input', e => {
+        const editor = e.target.closest?.('.memo-body');
+        if (editor) updateSuggest(editor);
+    }, { signal });
+
+    document.addEventListener('focusout', e => {
+        if (suggest.editor && e.target === suggest.editor) closeSuggest();
+    }, { signal });
+
+    // Runs before the memo's own keys while suggestions are open
+    document.addEventListener('keydown', e => {
+        if (!suggest.editor || e.target !== suggest.editor || e.isComposing) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            moveSuggestSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if ((e.key === 'Enter' || e.key === 'Tab') && suggest.options.length) {
+            chooseSuggestion(suggest.index);
+        } else if (e.key === 'Escape') {
+            closeSuggest();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }, { signal, capture: true });
+
+    const box = $('wikiLinkSuggest');
+    box.addEventListener('mousedown', e => {
+        e.preventDefault(); // Keep the caret in the memo
+        const option = e.target.closest('.wiki-link-option');
+        if (option) chooseSuggestion(Number(option.dataset.index));
+    }, { signal });
+
+    // Clicking a reference follows it instead of editing or dragging the memo
+    document.addEventListener('mousedown', e => {
+        const ref = e.target.closest?.(`.memo-body ${REF_SELECTOR}`);
+        if (!ref || e.button !== 0 || e.shiftKey || e.ctrlKey || e.metaKey) return;
+        e.preventDefault();
+        e.stopPropagation();
+        openWikiLink(ref.getAttribute(MEMO_REF_CANVAS_ATTR), ref.getAttribute(MEMO_REF_ATTR));
+    }, { signal, capture: true });
+
+    $('contextMenu').querySelector('[data-action="backlinks"]').addEventListener('click', () => {
+        if (state.selectedItem) showBacklinks(state.selectedItem);
+    }, { signal });
+
+    const panel = $('backlinksPanel');
+    panel.addEventListener('click', e => {
+        if (e.target.closest('.backlinks-close')) {
+            hideBacklinks();
+            return;
+        }
+        const result = e.target.closest('.backlink-result');
+        if (result) openWikiLink(result.dataset.canvas, result.dataset.id);
+    }, { signal });
+}
@@ -1,9 +1,10 @@
-const CACHE_VERSION = 'v15.14.0';
+const CACHE_VERSION = 'v15.39.0';
 const CACHE_NAME = 'knotpad-' + CACHE_VERSION;
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
   './style.css',
+  './print.css',
   './manifest.json',
   './icons/icon-192.png',
   './icons/icon-512.png',
@@ -11,17 +12,42 @@ const ASSETS_TO_CACHE = [
   './fonts/SFKR-Medium.woff2',
   './fonts/SFKR-Semibold.woff2',
   './fonts/SFKR-Bold.woff2',
+  './js/activity.js',
   './js/app.js',
+  './js/checklist.js',
+  './js/code-highlight.js',
+  './js/connection-render.js',
   './js/connections.js',
   './js/constants.js',
   './js/events-bus.js',
   './js/events.js',
+  './js/history.js',
+  './js/html-export.js',
+  './js/image-export.js',
+  './js/inspector.js',
   './js/items.js',
+  './js/layout.js',
+  './js/markdown.js',
+  './js/math.js',
+  './js/minimap.js',
+  './js/outliner.js',
+  './js/palette.js',
+  './js/panel-sync.js',
+  './js/presentation.js',
+  './js/print.js',
+  './js/providers.js',
+  './js/remote-sync.js',
+  './js/search.js',
   './js/state.js',
   './js/storage.js',
+  './js/sync.js',
+  './js/table-view.js',
+  './js/templates.js',
   './js/ui.js',
   './js/utils.js',
-  './js/viewport.js'
+  './js/viewer.js',
+  './js/viewport.js',
+  './js/wiki-links.js'
 ];
 
 self.addEventListener('install', (event) => {
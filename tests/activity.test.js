@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import * as state from '../js/state.js';
+import { saveState } from '../js/ui.js';
+import { getRecency, collectRecentEdits, setupActivity } from '../js/activity.js';
+import eventBus, { Events } from '../js/events-bus.js';
+
+const HOUR = 3600000;
+
+function item(id, content, extra = {}) {
+  return { id, type: 'keyword', x: 0, y: 0, w: 100, h: 40, content, el: document.createElement('div'), ...extra };
+}
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.setUndoStack([]);
+  state.setRedoStack([]);
+  state.setAuthorName('');
+  document.body.innerHTML = '<button id="undoBtn"></button><button id="redoBtn"></button>';
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('recency', () => {
+  it('fades from just now to a week ago', () => {
+    const now = Date.now();
+    expect(getRecency(now, now)).toBe(1);
+    expect(getRecency(now - HOUR, now)).toBeGreaterThan(0.8);
+    expect(getRecency(now - 24 * HOUR, now)).toBeLessThan(getRecency(now - HOUR, now));
+    expect(getRecency(now - 8 * 24 * HOUR, now)).toBe(0);
+    expect(getRecency(null, now)).toBe(0);
+  });
+});
+
+describe('modification times', () => {
+  it('stamps edited and new items and connections, but not moved ones', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    const a = item('a', 'Alpha');
+    const b = item('b', 'Beta');
+    state.items.push(a, b);
+    saveState();
+    expect([a.updatedAt, b.updatedAt]).toEqual([1000, 1000]);
+
+    vi.setSystemTime(2000);
+    state.setAuthorName('Ana');
+    a.content = 'Alpha 2';
+    b.x = 500;
+    const conn = { id: 'c1', from: a, to: b, fh: 'right', th: 'left', dir: 'none', label: '', createdAt: 2000 };
+    state.connections.push(conn);
+    saveState();
+    expect([a.updatedAt, a.updatedBy]).toEqual([2000, 'Ana']);
+    expect(b.updatedAt).toBe(1000);
+    expect([conn.updatedAt, conn.updatedBy]).toEqual([2000, 'Ana']);
+    expect(state.undoStack.at(-1).items[0]).toMatchObject({ updatedAt: 2000, updatedBy: 'Ana' });
+    expect(state.undoStack.at(-1).connections[0]).toMatchObject({ updatedAt: 2000, updatedBy: 'Ana' });
+
+    vi.setSystemTime(3000);
+    conn.label = 'leads to';
+    saveState();
+    expect(conn.updatedAt).toBe(3000);
+    expect(a.updatedAt).toBe(2000);
+  });
+});
+
+describe('recent edits', () => {
+  it('lists the latest changes across canvases, newest first', () => {
+    const edits = collectRecentEdits([
+      { canvas: { id: 'c1', name: 'Plans' }, items: [item('a', 'Old', { updatedAt: 100 }), item('b', 'Never')] },
+      { canvas: { id: 'c2', name: '' }, items: [item('c', 'New', { createdAt: 300, createdBy: 'Ana' }), item('d', '', { updatedAt: 200 })] }
+    ], 2);
+    expect(edits).toEqual([
+      { canvasId: 'c2', canvasName: 'Untitled', itemId: 'c', title: 'New', time: 300, author: 'Ana' },
+      { canvasId: 'c2', canvasName: 'Untitled', itemId: 'd', title: 'Keyword', time: 200, author: null }
+    ]);
+  });
+});
+
+describe('recent edits feed', () => {
+  it('takes other canvases from their last save instead of reading them again', async () => {
+    document.body.innerHTML += '<button id="recentChangesBtn"></button><div id="recentEdits"><button id="recentEditsToggle"></button><div id="recentEditsList"></div></div>';
+    state.setCanvases([{ id: 'c1', name: 'Open' }, { id: 'c2', name: 'Other', updatedAt: 5 }]);
+    state.setCurrentCanvasId('c1');
+    localStorage.setItem('knotpad-data-c2', JSON.stringify({ items: [item('a', 'Stored', { updatedAt: 100 })], connections: [] }));
+    setupActivity();
+    const titles = () => [...document.querySelectorAll('.recent-edit-title')].map(el => el.textContent);
+
+    document.getElementById('recentEditsToggle').click();
+    await vi.waitFor(() => expect(titles()).toEqual(['Stored']));
+
+    eventBus.emit(Events.CANVAS_SAVED, 'c2', { items: [item('a', 'Saved', { updatedAt: 200 })], connections: [] });
+    localStorage.setItem('knotpad-data-c2', JSON.stringify({ items: [item('a', 'Not read', { updatedAt: 300 })], connections: [] }));
+    document.getElementById('recentEditsToggle').click();
+    document.getElementById('recentEditsToggle').click();
+    await vi.waitFor(() => expect(titles()).toEqual(['Saved']));
+  });
+});
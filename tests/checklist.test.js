@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import { sanitizeMemoHtml } from '../js/utils.js';
+import { getMemoHtmlFromClipboardData, toggleChecklist } from '../js/items.js';
+import { memoHtmlToMarkdown } from '../js/markdown.js';
+import { getRollupChildren, getRollupProgress, renderRollupBadges } from '../js/checklist.js';
+
+const task = (text, checked = false) => `<div data-knotpad-paragraph="true" data-checked="${checked}">${text}</div>`;
+
+function memo(id, content = '') {
+  return { id, type: 'memo', content, el: document.createElement('div') };
+}
+
+function link(from, to, dir = 'none') {
+  return { id: `${from.id}-${to.id}`, from, to, dir };
+}
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+});
+
+describe('checklist blocks', () => {
+  it('keep their checkbox state through sanitizing and pasting', () => {
+    const html = task('Done', true) + task('Open');
+    expect(sanitizeMemoHtml(html)).toBe(html);
+
+    const pasted = getMemoHtmlFromClipboardData({
+      getData: type => type === 'application/x-knotpad-memo' ? task('Done', true) + '<div data-checked="yes" onclick="x()">Odd</div>' : ''
+    });
+    expect(pasted).toBe(task('Done', true) + task('Odd'));
+  });
+
+  it('toggles the lines under the caret', () => {
+    const editor = document.createElement('div');
+    editor.contentEditable = 'true';
+    editor.innerHTML = '<div data-knotpad-paragraph="true">Buy milk</div><div data-knotpad-paragraph="true">Call Sam</div>';
+    document.body.appendChild(editor);
+    const range = document.createRange();
+    range.setStart(editor.firstChild.firstChild, 2);
+    range.setEnd(editor.lastChild.firstChild, 2);
+    getSelection().removeAllRanges();
+    getSelection().addRange(range);
+
+    expect(toggleChecklist(editor)).toBe(true);
+    expect(editor.innerHTML).toBe(task('Buy milk') + task('Call Sam'));
+    toggleChecklist(editor);
+    expect(editor.querySelector('[data-checked]')).toBeNull();
+    editor.remove();
+  });
+
+  it('export to Markdown as task list items', () => {
+    expect(memoHtmlToMarkdown(task('Ship <b>it</b>', true) + task('Test'))).toBe('- [x] Ship **it**\n\n- [ ] Test');
+  });
+});
+
+describe('checklist roll-up', () => {
+  it('totals tasks of everything reached through outgoing connections', () => {
+    const root = memo('root', task('Own task'));
+    const a = memo('a', task('A1', true) + task('A2'));
+    const b = memo('b', task('B1', true));
+    const parent = memo('parent', task('P1'));
+    const connections = [
+      link(root, a, 'forward'),
+      link(a, b),
+      link(b, root, 'forward'), // cycle back to the root
+      link(root, parent, 'backward') // leads into the root, not out of it
+    ];
+
+    expect(getRollupChildren(root, connections).map(i => i.id)).toEqual(['a', 'b']);
+    expect(getRollupProgress(root, connections)).toEqual({ done: 2, total: 3 });
+    expect(getRollupProgress(parent, connections)).toEqual({ done: 2, total: 4 });
+  });
+
+  it('shows a badge only on items that ask for one', () => {
+    const root = memo('root');
+    const child = memo('child', task('Done', true));
+    root.rollup = true;
+    state.items.push(root, child);
+    state.connections.push(link(root, child, 'forward'));
+
+    renderRollupBadges();
+    const badge = root.el.querySelector('.checklist-rollup');
+    expect(badge.textContent).toBe('1/1');
+    expect(badge.classList.contains('complete')).toBe(true);
+    expect(child.el.querySelector('.checklist-rollup')).toBeNull();
+
+    root.rollup = false;
+    renderRollupBadges();
+    expect(root.el.querySelector('.checklist-rollup')).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { highlightCode, normalizeLanguage } from '../js/code-highlight.js';
+import { getMemoHtmlFromClipboardData } from '../js/items.js';
+import { memoHtmlToMarkdown } from '../js/markdown.js';
+
+const internalClipboard = html => ({
+  getData: type => type === 'application/x-knotpad-memo' ? html : ''
+});
+
+describe('highlightCode', () => {
+  it('marks tokens and escapes the source', () => {
+    expect(highlightCode('if (a < b) return "x"; // done', 'js')).toBe(
+      '<span class="tok-keyword">if</span> (a &lt; b) <span class="tok-keyword">return</span> '
+      + '<span class="tok-string">"x"</span>; <span class="tok-comment">// done</span>'
+    );
+    expect(highlightCode('<a href="#">x</a>', 'html')).toBe(
+      '<span class="tok-tag">&lt;a</span> <span class="tok-attr">href</span>=<span class="tok-string">"#"</span>'
+      + '<span class="tok-tag">&gt;</span>x<span class="tok-tag">&lt;/a</span><span class="tok-tag">&gt;</span>'
+    );
+  });
+
+  it('leaves unknown languages as plain text', () => {
+    expect(normalizeLanguage('PY')).toBe('python');
+    expect(normalizeLanguage('brainfuck')).toBe('');
+    expect(highlightCode('if <x>', 'brainfuck')).toBe('if &lt;x&gt;');
+  });
+});
+
+describe('code in memos', () => {
+  it('keeps whitespace and language but drops editor decorations on copy and paste', () => {
+    const live = '<pre data-language="js"><span class="tok-keyword">const</span> a = 1;\n    <span class="tok-keyword">return</span> a;'
+      + '<button class="code-copy-btn" contenteditable="false"><svg><path d="M0 0"/></svg></button></pre>'
+      + '<div data-knotpad-paragraph="true">Run <code>npm test</code></div>';
+    expect(getMemoHtmlFromClipboardData(internalClipboard(live))).toBe(
+      '<pre data-language="js">const a = 1;\n    return a;</pre><div data-knotpad-paragraph="true">Run <code>npm test</code></div>'
+    );
+  });
+
+  it('reads the language of code pasted from other sites', () => {
+    const html = getMemoHtmlFromClipboardData({
+      getData: type => type === 'text/html' ? '<pre><code class="language-python">def f():<br>\treturn 1</code></pre>' : ''
+    });
+    expect(html).toBe('<pre data-language="python">def f():\n\treturn 1</pre>');
+  });
+
+  it('exports fenced blocks and inline code to Markdown', () => {
+    expect(memoHtmlToMarkdown('<pre data-language="sh">npm  install\nnpm test</pre><div>Run <code>npm test</code></div>'))
+      .toBe('```sh\nnpm  install\nnpm test\n```\n\nRun `npm test`');
+  });
+});
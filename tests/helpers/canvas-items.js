@@ -0,0 +1,18 @@
+// Minimal stand-ins for canvas items: geometry, content and a detached element.
+
+export function item(id, x, y, w = 100, h = 60) {
+  return { id, type: 'memo', x, y, w, h, content: '', el: document.createElement('div') };
+}
+
+export function frame(id, x, y, w, h, members = [], collapsed = false) {
+  const el = document.createElement('div');
+  el.innerHTML = '<span class="frame-count"></span>';
+  return { id, type: 'frame', x, y, w, h, content: { title: id, collapsed, expandedH: null, members }, el };
+}
+
+// A board lane: a frame that stacks its cards in a column
+export function lane(id, x, members = []) {
+  const l = frame(id, x, 0, 280, 200, members);
+  l.content.lane = true;
+  return l;
+}
@@ -0,0 +1,54 @@
+// In-memory stand-in for the IndexedDB database KnotPad opens. Requests
+// succeed and transactions complete on later ticks, as in a browser.
+export function standInIndexedDB() {
+  const stores = new Map(); // store name -> Map(id -> record)
+  const store = name => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    return stores.get(name);
+  };
+  const later = fn => setTimeout(fn);
+  const request = result => {
+    const req = { result };
+    later(() => req.onsuccess?.());
+    return req;
+  };
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: name => ({ createIndex() {}, records: store(name) }),
+    transaction(name) {
+      const records = store(name);
+      const tx = {
+        objectStore: () => ({
+          put(record) {
+            records.set(record.id, structuredClone(record));
+            return request(record.id);
+          },
+          delete(id) {
+            records.delete(id);
+            return request(undefined);
+          },
+          get: id => request(records.get(id)),
+          getAll: () => request([...records.values()]),
+          index: field => ({ getAll: key => request([...records.values()].filter(r => r[field] === key)) })
+        })
+      };
+      later(() => later(() => tx.oncomplete?.()));
+      return tx;
+    }
+  };
+
+  return {
+    store,
+    indexedDB: {
+      open() {
+        const req = { result: db };
+        later(() => {
+          req.onupgradeneeded?.({ target: req });
+          req.onsuccess();
+        });
+        return req;
+      }
+    }
+  };
+}
@@ -0,0 +1,50 @@
+function readBody(body) {
+  if (typeof body === 'string') return body;
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(body);
+  });
+}
+
+// In-memory stand-in for a WebDAV / REST server with strong ETags.
+export function standInServer({ webdav = true } = {}) {
+  const files = new Map();
+  const folders = new Set();
+  const requests = [];
+  let version = 0;
+  let online = true;
+
+  async function fetch(url, { method, headers = {}, body }) {
+    if (!online) throw new TypeError('Failed to fetch');
+    const path = url.replace('https://dav.test/knotpad/', '');
+    requests.push({ method, path, headers });
+    const file = files.get(path);
+    const respond = (status, text = null, etag = null) => new Response(text, {
+      status,
+      headers: etag ? { ETag: etag } : {}
+    });
+    switch (method) {
+      case 'MKCOL':
+        if (folders.has(path)) return respond(405);
+        folders.add(path);
+        return respond(201);
+      case 'GET':
+      case 'HEAD':
+        return file ? respond(200, method === 'GET' ? file.body : null, file.etag) : respond(404);
+      case 'PUT': {
+        if (webdav && path.includes('/') && !folders.has(path.slice(0, path.lastIndexOf('/') + 1))) return respond(409);
+        if (headers['If-None-Match'] === '*' && file) return respond(412);
+        if (headers['If-Match'] && headers['If-Match'] !== file?.etag) return respond(412);
+        const etag = `"v${++version}"`;
+        files.set(path, { body: await readBody(body), etag });
+        return respond(file ? 204 : 201, null, etag);
+      }
+      case 'DELETE':
+        return files.delete(path) ? respond(204) : respond(404);
+    }
+    return respond(405);
+  }
+
+  return { files, requests, fetch, setOnline: value => { online = value; } };
+}
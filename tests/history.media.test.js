@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { standInIndexedDB } from './helpers/stand-in-indexeddb.js';
+
+// Switching canvases renders into the app's own page
+await vi.hoisted(async () => {
+  const { readFileSync } = await import('node:fs');
+  document.body.innerHTML = readFileSync('index.html', 'utf8').match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+});
+
+import * as state from '../js/state.js';
+import { initMediaDB } from '../js/storage.js';
+import { takeSnapshot } from '../js/history.js';
+import { switchCanvas } from '../js/ui.js';
+
+const idb = standInIndexedDB();
+const storedMedia = () => [...idb.store('media').keys()].sort();
+const image = (id, mediaId) => ({ id, type: 'image', x: 0, y: 0, w: 100, h: 100, content: mediaId });
+const canvasData = (...mediaIds) => ({ items: mediaIds.map((mediaId, i) => image(`i${i + 1}`, mediaId)), connections: [] });
+
+function storeSnapshot(canvasId, createdAt, ...mediaIds) {
+  idb.store('snapshots').set(`${canvasId}-${createdAt}`, {
+    id: `${canvasId}-${createdAt}`, canvasId, createdAt, kind: 'auto', label: '', itemCount: mediaIds.length, data: canvasData(...mediaIds)
+  });
+}
+
+beforeAll(async () => {
+  vi.stubGlobal('indexedDB', idb.indexedDB);
+  await initMediaDB();
+});
+
+beforeEach(() => {
+  idb.store('media').clear();
+  idb.store('snapshots').clear();
+  ['media_a', 'media_b', 'media_c', 'media_d', 'media_e'].forEach(id => idb.store('media').set(id, { id, blob: new Blob(['x']) }));
+  localStorage.clear();
+  state.setCanvases([{ id: 'c1', name: 'One' }, { id: 'c2', name: 'Two' }]);
+  state.setCurrentCanvasId('c1');
+  state.setUndoStack([]);
+  state.setRedoStack([]);
+  state.pendingMediaDeletes.clear();
+  state.snapshotMediaIds.clear();
+});
+
+describe('version snapshot media', () => {
+  it('is reclaimed once the only snapshots using it are pruned', async () => {
+    // The oldest of a full set of automatic snapshots is the only one with media
+    storeSnapshot('c1', 1, 'media_a', 'media_b', 'media_c', 'media_d', 'media_e');
+    for (let t = 2; t <= 30; t++) storeSnapshot('c1', t);
+    state.items.push({ ...image('i1', 'media_b'), el: document.createElement('div') });
+    state.setUndoStack([canvasData('media_e')]);
+    localStorage.setItem('knotpad-data-c2', JSON.stringify(canvasData('media_c')));
+    storeSnapshot('c2', 1, 'media_d');
+
+    await takeSnapshot('auto');
+    expect(idb.store('snapshots').has('c1-1')).toBe(false);
+    expect(storedMedia()).toEqual(['media_b', 'media_c', 'media_d', 'media_e']);
+    // Undo can still bring it back; the regular sweep decides later
+    expect([...state.pendingMediaDeletes]).toEqual(['media_e']);
+    state.items.length = 0;
+  });
+
+  it('survives leaving a canvas whenever any canvas has a snapshot using it', async () => {
+    localStorage.setItem('knotpad-data-c1', JSON.stringify(canvasData()));
+    localStorage.setItem('knotpad-data-c2', JSON.stringify(canvasData()));
+    // The open canvas's history has not been read yet
+    storeSnapshot('c1', 1, 'media_a');
+    storeSnapshot('c2', 1, 'media_b');
+    ['media_a', 'media_b', 'media_c'].forEach(id => state.pendingMediaDeletes.add(id));
+
+    await switchCanvas('c2');
+    expect(state.currentCanvasId).toBe('c2');
+    expect(storedMedia()).toEqual(['media_a', 'media_b', 'media_d', 'media_e']);
+    expect(state.pendingMediaDeletes.size).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { diffSnapshot, mergeSnapshotItem, getExpiredSnapshots } from '../js/history.js';
+
+const memo = (id, content, extra = {}) => ({ id, type: 'memo', x: 0, y: 0, w: 200, h: 100, content, color: null, ...extra });
+
+describe('version history', () => {
+  const snapshot = {
+    items: [memo('i1', 'kept'), memo('i2', 'edited'), memo('i3', 'deleted')],
+    connections: [{ id: 'c1', from: 'i1', to: 'i3' }, { id: 'c2', from: 'i1', to: 'i2' }],
+  };
+  const current = {
+    items: [memo('i1', 'kept', { locked: false }), memo('i2', 'edited later', { x: 40, color: 'red' }), memo('i4', 'new')],
+    connections: [{ id: 'c2', from: 'i1', to: 'i2' }, { id: 'c3', from: 'i2', to: 'i4' }],
+  };
+
+  it('lists added, removed and changed items against the current canvas', () => {
+    const diff = diffSnapshot(snapshot, current);
+    expect(diff.added.map(d => d.id)).toEqual(['i4']);
+    expect(diff.removed.map(d => d.id)).toEqual(['i3']);
+    expect(diff.changed).toEqual([{ item: snapshot.items[1], fields: ['position', 'content', 'color'] }]);
+    expect(diff.connectionsAdded).toBe(1);
+    expect(diff.connectionsRemoved).toBe(1);
+  });
+
+  it('restores a removed item together with its surviving connections', () => {
+    const merged = mergeSnapshotItem(current, snapshot, 'i3');
+    expect(merged.items.map(d => d.id)).toEqual(['i1', 'i2', 'i4', 'i3']);
+    expect(merged.connections.map(c => c.id)).toEqual(['c2', 'c3', 'c1']);
+    expect(merged.items[3]).not.toBe(snapshot.items[2]);
+  });
+
+  it('restores a changed item in place without touching the rest', () => {
+    const merged = mergeSnapshotItem(current, snapshot, 'i2');
+    expect(merged.items[1]).toEqual(snapshot.items[1]);
+    expect(merged.items[2]).toBe(current.items[2]);
+    expect(merged.connections).toEqual(current.connections);
+    expect(mergeSnapshotItem(current, snapshot, 'missing')).toBeNull();
+  });
+
+  it('expires only the oldest automatic snapshots', () => {
+    const list = [
+      { id: 'a', kind: 'auto' },
+      { id: 'b', kind: 'manual' },
+      { id: 'c', kind: 'auto' },
+      { id: 'd', kind: 'auto' },
+      { id: 'e', kind: 'manual' },
+    ];
+    expect(getExpiredSnapshots(list, 1).map(s => s.id)).toEqual(['d', 'c']);
+    expect(getExpiredSnapshots(list, 5)).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import * as state from '../js/state.js';
+import { collectModuleSources, buildViewerHtml } from '../js/html-export.js';
+import { loadViewerCanvas } from '../js/viewer.js';
+
+const readSource = name => readFile(resolve(__dirname, '../js', name), 'utf8');
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="app"><div id="canvas"><svg id="connectionsSvg"></svg></div></div>';
+  state.items.length = 0;
+  state.connections.length = 0;
+});
+
+describe('HTML viewer bundle', () => {
+  it('ships only the read-only modules the viewer imports', async () => {
+    const modules = await collectModuleSources('viewer.js', readSource);
+    expect(Object.keys(modules).sort()).toEqual([
+      'connection-render.js', 'constants.js', 'events-bus.js', 'minimap.js',
+      'palette.js', 'state.js', 'utils.js', 'viewer.js', 'viewport.js'
+    ]);
+    expect(modules['viewer.js']).toBe(await readSource('viewer.js'));
+  });
+
+  it('embeds canvas data and sources so that markup inside them cannot end the script', () => {
+    const canvas = { items: [{ id: 'a', html: '<div class="canvas-item">x</script><script>alert(1)</script></div>' }], connections: [] };
+    const modules = { 'viewer.js': "const tag = '</script>';" };
+    const html = buildViewerHtml({
+      name: 'Plans <draft>',
+      css: 'body { color: red; }',
+      modules,
+      canvas,
+      appearance: { theme: 'light', bodyClasses: ['color-mode-fill'] }
+    });
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(doc.title).toBe('Plans <draft>');
+    expect(doc.documentElement.classList.contains('light')).toBe(true);
+    expect([...doc.body.classList]).toEqual(['viewer-mode', 'color-mode-fill']);
+    expect(doc.querySelectorAll('script')).toHaveLength(3);
+    expect(JSON.parse(doc.getElementById('knotpadCanvas').textContent)).toEqual(canvas);
+    expect(JSON.parse(doc.getElementById('knotpadModules').textContent)).toEqual(modules);
+    ['app', 'canvas', 'connectionsSvg', 'minimap', 'minimapContent'].forEach(id => {
+      expect(doc.getElementById(id)).not.toBeNull();
+    });
+  });
+});
+
+describe('viewer', () => {
+  it('rebuilds items and connections from the embedded canvas', () => {
+    loadViewerCanvas({
+      items: [
+        { id: 'a', type: 'memo', x: 0, y: 0, w: 100, h: 60, color: 'red', html: '<div class="canvas-item" style="left:0px;top:0px">A</div>' },
+        { id: 'b', type: 'video', x: 300, y: 0, w: 100, h: 60, html: '<div class="canvas-item"><video class="item-video"></video></div>' }
+      ],
+      connections: [
+        { id: 'c1', from: 'a', fh: 'right', to: 'b', th: 'left', dir: 'forward', label: 'next' },
+        { id: 'c2', from: 'a', fh: 'right', to: 'missing', th: 'left' }
+      ]
+    });
+
+    expect(state.items.map(i => i.el.textContent)).toEqual(['A', '']);
+    expect(state.items[1].el.querySelector('video').controls).toBe(true);
+    expect(state.connections).toHaveLength(1);
+    const svg = document.getElementById('connectionsSvg');
+    expect(svg.querySelector('.connection-line').getAttribute('d')).toMatch(/^M/);
+    expect(svg.querySelector('.connection-line').style.stroke).toBe('var(--tag-red)');
+    expect(svg.querySelectorAll('.connection-arrow polygon')).toHaveLength(1);
+    expect(svg.querySelector('.connection-label text').textContent).toBe('next');
+  });
+});
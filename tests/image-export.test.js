@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as state from '../js/state.js';
+import { getCurveGeometry, getHandlePos } from '../js/utils.js';
+import { getArrowPoints } from '../js/connection-render.js';
+import { getExportBounds, getExportContent, fitRasterScale, renderCanvasSvg } from '../js/image-export.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function item(id, x, y, w = 100, h = 60) {
+  const el = document.createElement('div');
+  el.className = 'canvas-item selected';
+  el.style.cssText = `left:${x}px;top:${y}px;width:${w}px;height:${h}px;z-index:1`;
+  el.innerHTML = `<div class="item-content"><div class="item-memo"><div class="memo-body" contenteditable="true">${id}</div></div></div><button class="delete-btn"></button><div class="resize-handle"></div>`;
+  return { id, type: 'memo', x, y, w, h, content: id, el };
+}
+
+function conn(from, fh, to, th, { dir = 'forward', label = '' } = {}) {
+  const el = document.createElementNS(SVG_NS, 'path');
+  el.classList.add('connection-line');
+  const arrow = document.createElementNS(SVG_NS, 'g');
+  arrow.classList.add('connection-arrow');
+  let labelEl = null;
+  if (label) {
+    labelEl = document.createElementNS(SVG_NS, 'g');
+    labelEl.classList.add('connection-label');
+    labelEl.innerHTML = `<rect class="connection-label-bg"></rect><text class="connection-label-text">${label}</text>`;
+  }
+  return { from, fh, to, th, dir, label, el, arrow, labelEl };
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '<div id="canvas"></div>';
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.selectedItems.clear();
+});
+
+describe('image export bounds', () => {
+  it('covers items plus padding', () => {
+    const bounds = getExportBounds([item('a', 0, 0), item('b', 300, 200)], [], 10);
+    expect(bounds).toEqual({ x: -10, y: -10, width: 420, height: 280 });
+    expect(getExportBounds([], [])).toBeNull();
+  });
+
+  it('includes curves that swing outside their items', () => {
+    // Both handles face up, so the curve bows far above the two items
+    const a = item('a', 0, 200);
+    const b = item('b', 300, 200);
+    const bounds = getExportBounds([a, b], [conn(a, 'top', b, 'top')], 0);
+    expect(bounds.y).toBeLessThan(150);
+    expect(bounds.y + bounds.height).toBe(260);
+  });
+
+  it('limits the raster scale to what a bitmap can hold', () => {
+    expect(fitRasterScale(1000, 800, 2)).toBe(2);
+    expect(fitRasterScale(10000, 1000, 4)).toBeCloseTo(1.6384);
+  });
+});
+
+describe('image export content', () => {
+  it('exports the selection with frame members and only connections inside it', () => {
+    const f = { ...item('f', 0, 0, 400, 300), type: 'frame', content: { title: 'f', collapsed: false, members: ['a'] } };
+    const a = item('a', 40, 80);
+    const b = item('b', 600, 0);
+    state.items.push(f, a, b);
+    state.connections.push(conn(f, 'right', a, 'left'), conn(a, 'right', b, 'left'));
+    state.selectedItems.add(f);
+
+    const content = getExportContent(true);
+    expect(content.items).toEqual([f, a]);
+    expect(content.connections).toHaveLength(1);
+    expect(getExportContent(false).items).toHaveLength(3);
+  });
+
+  it('renders a standalone SVG with curves, arrows and labels as drawn on screen', async () => {
+    const a = item('a', 0, 0);
+    const b = item('b', 300, 100);
+    const c = conn(a, 'right', b, 'left', { label: 'next' });
+    // jsdom cannot resolve pseudo-element styles and reports each attempt
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { svg, width, height } = await renderCanvasSvg({ items: [a, b], connections: [c] }, { background: 'transparent' });
+    consoleError.mockRestore();
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    expect(root.getAttribute('viewBox')).toBe(`-40 -40 ${width} ${height}`);
+    expect(root.querySelector('rect:not(.connection-label-bg)')).toBeNull();
+
+    const fp = getHandlePos(a, 'right', 0);
+    const tp = getHandlePos(b, 'left', 0);
+    const geometry = getCurveGeometry(fp.x, fp.y, tp.x, tp.y, 'right', 'left');
+    expect(root.querySelector('path').getAttribute('d')).toBe(`M100 30 C${geometry.p1.x} ${geometry.p1.y}, ${geometry.p2.x} ${geometry.p2.y}, 300 130`);
+    expect(root.querySelector('polygon').getAttribute('points')).toBe(getArrowPoints(geometry, 'forward').get('forward'));
+    expect(root.querySelector('text').textContent).toBe('next');
+
+    // Items keep their content but lose editing controls and selection
+    const items = root.querySelectorAll('foreignObject .canvas-item');
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toBe('a');
+    expect(items[0].classList.contains('selected')).toBe(false);
+    expect(items[0].querySelector('.delete-btn, .resize-handle, [contenteditable]')).toBeNull();
+    expect(items[0].getAttribute('style')).toContain('left:0px');
+    // The live canvas is left untouched
+    expect(document.getElementById('canvas').children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// New memos and outline connections are added to the canvas elements, which
+// their modules look up on import.
+vi.hoisted(() => {
+  document.body.innerHTML = '<div id="canvas"></div><svg id="connectionsSvg"></svg><div id="connDirectionPicker"></div>';
+});
+
+import * as state from '../js/state.js';
+import { withFrameMembers, assignItemsToFrames, fitFrameMembers, getFrameMembers, addMemo } from '../js/items.js';
+import { importOutline } from '../js/markdown.js';
+import { item, frame } from './helpers/canvas-items.js';
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.selectedItems.clear();
+});
+
+describe('frames', () => {
+  it('drags members along with their frame', () => {
+    const f = frame('f', 0, 0, 400, 300, ['a']);
+    const a = item('a', 40, 80);
+    const b = item('b', 600, 0);
+    state.items.push(f, a, b);
+
+    expect([...withFrameMembers([f])]).toEqual([f, a]);
+    expect([...withFrameMembers([b])]).toEqual([b]);
+  });
+
+  it('adopts items dropped inside and releases items dropped outside', () => {
+    const f = frame('f', 0, 0, 400, 300, ['a']);
+    const a = item('a', 600, 0);
+    const b = item('b', 100, 100);
+    state.items.push(f, a, b);
+
+    expect(assignItemsToFrames([a, b])).toBe(true);
+    expect(f.content.members).toEqual(['b']);
+    expect(getFrameMembers(f)).toEqual([b]);
+    expect(assignItemsToFrames([b])).toBe(false);
+  });
+
+  it('adopts items created or pasted inside', () => {
+    const f = frame('f', 0, 0, 1000, 400);
+    state.items.push(f);
+
+    const memo = addMemo('Inside', 100, 100);
+    addMemo('Outside', 100, 600);
+    const outline = importOutline('Plan\n  Step', 200, 100);
+    expect(f.content.members).toEqual([memo.id, ...outline.map(i => i.id)]);
+  });
+
+  it('prefers the smallest frame and ignores collapsed ones', () => {
+    const outer = frame('outer', 0, 0, 1000, 1000);
+    const inner = frame('inner', 100, 100, 300, 300);
+    const closed = frame('closed', 150, 150, 100, 44, [], true);
+    const a = item('a', 160, 160, 40, 40);
+    state.items.push(outer, inner, closed, a);
+
+    assignItemsToFrames([a]);
+    expect(inner.content.members).toEqual(['a']);
+    expect(outer.content.members).toEqual([]);
+    expect(closed.content.members).toEqual([]);
+  });
+
+  it('keeps membership when the frame moves with the item', () => {
+    const f = frame('f', 0, 0, 400, 300, ['a']);
+    const a = item('a', 40, 80);
+    state.items.push(f, a);
+    f.x = 2000;
+    a.x = 2040;
+
+    expect(assignItemsToFrames([f, a])).toBe(false);
+    expect(f.content.members).toEqual(['a']);
+  });
+
+  it('pulls members back inside a frame resized smaller', () => {
+    const f = frame('f', 0, 0, 200, 160, ['a']);
+    const a = item('a', 300, 300);
+    state.items.push(f, a);
+
+    expect(fitFrameMembers(f)).toEqual([a]);
+    expect(a.x + a.w).toBeLessThanOrEqual(f.x + f.w);
+    expect(a.y + a.h).toBeLessThanOrEqual(f.y + f.h);
+    expect(a.el.style.left).toBe(a.x + 'px');
+  });
+});
@@ -11,6 +11,7 @@ beforeEach(() => {
   state.setUndoStack([]);
   state.setRedoStack([]);
   state.pendingMediaDeletes.clear();
+  state.snapshotMediaIds.clear();
   state.blobURLCache.clear();
 });
 
@@ -74,6 +75,13 @@ describe('gcOrphanMedia (deferred media GC)', () => {
     gcOrphanMedia();
     expect(state.pendingMediaDeletes.has('media_shared')).toBe(false);
   });
+
+  it('keeps media referenced only by a stored version snapshot', () => {
+    state.snapshotMediaIds.add('media_v');
+    state.pendingMediaDeletes.add('media_v');
+    gcOrphanMedia();
+    expect(state.pendingMediaDeletes.has('media_v')).toBe(true);
+  });
 });
 
 // The low-level state reset has no cross-canvas reference context, so it must
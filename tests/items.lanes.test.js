@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import { assignItemsToFrames, restackLanes, snapToLane, getChecklistProgress, updateCardBadges } from '../js/items.js';
+import { item, lane } from './helpers/canvas-items.js';
+
+// Cards start out narrower than the lanes' column
+const card = (id, x, y, h = 60) => item(id, x, y, 200, h);
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.selectedItems.clear();
+});
+
+describe('board lanes', () => {
+  it('stacks a dropped card between the cards around it and grows the lane', () => {
+    const l = lane('l', 0, ['a', 'b']);
+    const a = card('a', 16, 44);
+    const b = card('b', 16, 116, 100);
+    const c = card('c', 500, 0);
+    state.items.push(l, a, b, c);
+
+    // Dropped just below the first card
+    c.x = 30;
+    c.y = 80;
+    assignItemsToFrames([c]);
+    restackLanes();
+
+    expect(l.content.members).toEqual(['a', 'c', 'b']);
+    expect([a, c, b].map(i => [i.x, i.y, i.w])).toEqual([[16, 44, 248], [16, 116, 248], [16, 188, 248]]);
+    expect(l.h).toBe(188 + 100 + 16);
+    expect(l.el.querySelector('.frame-count').textContent).toBe('3');
+  });
+
+  it('closes the gap when a card is dragged out', () => {
+    const l = lane('l', 0, ['a', 'b']);
+    const a = card('a', 16, 44);
+    const b = card('b', 16, 116);
+    state.items.push(l, a, b);
+
+    a.x = 600;
+    assignItemsToFrames([a]);
+    restackLanes();
+
+    expect(l.content.members).toEqual(['b']);
+    expect(b.y).toBe(44);
+    expect(a.x).toBe(600);
+  });
+
+  it('snaps cards to the column of the lane under them', () => {
+    const l = lane('l', 300);
+    const c = card('c', 0, 0);
+    state.items.push(l, c);
+
+    expect(snapToLane(c, 250, 40)).toEqual({ x: 316, lane: l });
+    expect(snapToLane(c, 0, 40)).toEqual({ x: 0, lane: null });
+    expect(snapToLane(l, 250, 40).lane).toBeNull();
+  });
+});
+
+describe('card badges', () => {
+  it('counts checklist items and shows due date and progress', () => {
+    const c = card('c', 0, 0);
+    c.content = '<div data-checked="true">Write spec</div><div data-checked="false">Review</div><div>Notes [ ] inline</div>';
+    expect(getChecklistProgress(c)).toEqual({ done: 1, total: 2 });
+
+    c.due = '2000-01-31';
+    updateCardBadges(c);
+    expect(c.el.querySelector('.card-due').classList.contains('overdue')).toBe(true);
+    expect(c.el.querySelector('.card-progress').textContent).toBe('1/2');
+
+    c.due = null;
+    c.content = 'Plain note';
+    updateCardBadges(c);
+    expect(c.el.querySelector('.card-badges')).toBeNull();
+  });
+});
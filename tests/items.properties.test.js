@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTags, normalizeProps, parsePropertyFilter, itemMatchesPropertyFilter
+} from '../js/items.js';
+import { getCanvasTags, getCanvasPropertyKeys } from '../js/inspector.js';
+import { diffSnapshot } from '../js/history.js';
+
+const card = (tags, props) => ({ tags: normalizeTags(tags), props: normalizeProps(props) });
+
+describe('tags and properties', () => {
+  it('keeps each tag and property name once, without the hash', () => {
+    expect(normalizeTags(['#Urgent', 'urgent', '  big   launch ', '', null])).toEqual(['Urgent', 'big launch']);
+    expect(normalizeProps([
+      { key: 'Status', type: 'select', value: 'Done' },
+      { key: 'status', type: 'text', value: 'Open' },
+      { key: 'Priority', type: 'number', value: 'high' },
+      { key: 'Due', type: 'date', value: '2026-03-01' },
+      { key: 'Owner', type: 'person', value: ' Ana ' },
+      { key: ' ', value: 'x' }
+    ])).toEqual([
+      { key: 'Status', type: 'select', value: 'Done' },
+      { key: 'Priority', type: 'number', value: '' },
+      { key: 'Due', type: 'date', value: '2026-03-01' },
+      { key: 'Owner', type: 'text', value: 'Ana' }
+    ]);
+  });
+
+  it('collects the tags and property values used on a canvas', () => {
+    const items = [
+      card(['ops', 'urgent'], [{ key: 'Status', type: 'select', value: 'Open' }]),
+      card(['urgent'], [{ key: 'status', type: 'select', value: 'Done' }, { key: 'Status', value: 'Open' }])
+    ];
+    expect(getCanvasTags(items)).toEqual(['urgent', 'ops']);
+    expect([...getCanvasPropertyKeys(items).values()]).toEqual([{ key: 'Status', type: 'select', values: ['Open', 'Done'] }]);
+  });
+});
+
+describe('property filter', () => {
+  const item = card(['urgent', 'Q3 launch'], [
+    { key: 'Status', type: 'select', value: 'In progress' },
+    { key: 'Priority', type: 'number', value: '10' },
+    { key: 'Due', type: 'date', value: '2026-03-01' },
+    { key: 'Notes', type: 'text', value: '' }
+  ]);
+  const matches = query => itemMatchesPropertyFilter(item, parsePropertyFilter(query));
+
+  it('parses tags, comparisons, quotes and bare words', () => {
+    expect(parsePropertyFilter('#Urgent status:"In progress" priority>2 notes')).toEqual([
+      { tag: 'urgent' },
+      { key: 'status', op: ':', value: 'in progress' },
+      { key: 'priority', op: '>', value: '2' },
+      { word: 'notes' }
+    ]);
+  });
+
+  it('needs every term to match', () => {
+    expect(matches('')).toBe(true);
+    expect(matches('#URGENT #"q3 launch"')).toBe(true);
+    expect(matches('#urgent #ops')).toBe(false);
+    expect(matches('status:"in progress" priority>9 priority<11')).toBe(true);
+    expect(matches('priority>10')).toBe(false);
+    expect(matches('due<2026-04-01 due>2026-02-28')).toBe(true);
+    expect(matches('priority: notes')).toBe(true);
+    expect(matches('notes:')).toBe(false);
+    expect(matches('owner')).toBe(false);
+  });
+});
+
+describe('history', () => {
+  it('reports tag and property changes but not their absence in old snapshots', () => {
+    const before = { items: [{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 0, y: 0 }], connections: [] };
+    const after = {
+      items: [{ id: 'a', x: 0, y: 0, tags: [], props: [] }, { id: 'b', x: 0, y: 0, tags: ['ops'], props: [] }],
+      connections: []
+    };
+    expect(diffSnapshot(before, after).changed).toEqual([{ item: before.items[1], fields: ['tags'] }]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMemoHtmlFromClipboardData, extractPlainTextFromMemoHtml,
+  addTableRow, addTableColumn, removeTableRow, removeTableColumn, getAdjacentTableCell
+} from '../js/items.js';
+import { memoHtmlToMarkdown } from '../js/markdown.js';
+
+function clipboardData(entries) {
+  return { getData: type => entries[type] || '' };
+}
+
+function table(html) {
+  const el = document.createElement('div');
+  el.innerHTML = html;
+  return el.querySelector('table');
+}
+
+const grid = t => [...t.rows].map(row => [...row.cells].map(cell => cell.textContent));
+
+describe('table paste', () => {
+  it('keeps spreadsheet tables, splitting spanned cells and dropping the stylesheet', () => {
+    const html = getMemoHtmlFromClipboardData(clipboardData({
+      'text/html': '<style>td { color: red }</style><table border="1"><thead><tr><th colspan="2">Name <b>and</b> role</th></tr></thead>'
+        + '<tbody>\n<tr><td class="xl65">Ada</td><td><div>Engineer</div><div>Lead</div></td></tr>\n</tbody></table>',
+      'text/plain': 'Name and role\t\nAda\t"Engineer\nLead"'
+    }), { preferPlainText: false });
+    expect(html).toBe('<table><tbody><tr><th>Name <strong>and</strong> role</th><th></th></tr>'
+      + '<tr><td>Ada</td><td>Engineer<br>Lead</td></tr></tbody></table>');
+  });
+
+  it('turns tab-separated text into a table', () => {
+    const html = getMemoHtmlFromClipboardData(clipboardData({ 'text/plain': 'Item\tQty\r\nTea <green>\t2\r\n' }));
+    expect(html).toBe('<table><tbody><tr><td>Item</td><td>Qty</td></tr><tr><td>Tea &lt;green&gt;</td><td>2</td></tr></tbody></table>');
+    expect(getMemoHtmlFromClipboardData(clipboardData({ 'text/plain': 'one\ttwo\nthree' }))).not.toContain('<table');
+  });
+
+  it('moves a table pasted inside a paragraph to the top level', () => {
+    const html = getMemoHtmlFromClipboardData(clipboardData({
+      'application/x-knotpad-memo': '<div data-knotpad-paragraph="true">Before<table><tr><td>x</td></tr></table>After</div>'
+    }));
+    expect(html).toBe('<div data-knotpad-paragraph="true">Before</div><table><tbody><tr><td>x</td></tr></tbody></table>'
+      + '<div data-knotpad-paragraph="true">After</div>');
+  });
+});
+
+describe('table editing', () => {
+  it('adds and removes rows and columns around a cell', () => {
+    const t = table('<table><tbody><tr><td>a</td><td>b</td></tr><tr><td>c</td><td>d</td></tr></tbody></table>');
+    const b = t.rows[0].cells[1];
+
+    expect(addTableRow(b)).toBe(t.rows[1].cells[1]);
+    expect(addTableColumn(b, false)).toBe(t.rows[0].cells[1]);
+    expect(grid(t)).toEqual([['a', '', 'b'], ['', '', ''], ['c', '', 'd']]);
+
+    expect(removeTableColumn(t.rows[2].cells[1])).toBe(t.rows[2].cells[1]);
+    expect(removeTableRow(t.rows[1].cells[0])).toBe(t.rows[1].cells[0]);
+    expect(grid(t)).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  it('leaves an empty paragraph when the last row goes', () => {
+    const t = table('<table><tbody><tr><td>only</td></tr></tbody></table>');
+    const parent = t.parentNode;
+    const paragraph = removeTableRow(t.rows[0].cells[0]);
+    expect(parent.innerHTML).toBe('<div data-knotpad-paragraph="true"><br></div>');
+    expect(paragraph).toBe(parent.firstChild);
+  });
+
+  it('moves between cells and adds a row after the last one', () => {
+    const t = table('<table><tbody><tr><td>a</td><td>b</td></tr></tbody></table>');
+    const [a, b] = t.rows[0].cells;
+    expect(getAdjacentTableCell(a)).toBe(b);
+    expect(getAdjacentTableCell(a, false)).toBeNull();
+    expect(getAdjacentTableCell(b)).toBe(t.rows[1].cells[0]);
+    expect(t.rows).toHaveLength(2);
+  });
+});
+
+describe('table export', () => {
+  const html = '<table><tbody><tr><td>Key</td><td>Value</td></tr><tr><td>a|b</td><td>one<br><em>two</em></td></tr></tbody></table>';
+
+  it('writes GFM tables', () => {
+    expect(memoHtmlToMarkdown(html)).toBe('| Key | Value |\n| --- | --- |\n| a\\|b | one<br>*two* |');
+  });
+
+  it('copies rows as tab-separated lines', () => {
+    expect(extractPlainTextFromMemoHtml(html)).toBe('Key\tValue\na|b\tone two\n');
+  });
+});
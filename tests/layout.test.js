@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest';
+import { computeLayout } from '../js/layout.js';
+
+function node(id, x, y, extra = {}) {
+  return { id, x, y, w: 100, h: 40, locked: false, ...extra };
+}
+
+function overlaps(a, b, positions) {
+  const pa = positions.get(a.id);
+  const pb = positions.get(b.id);
+  return pa.x < pb.x + b.w && pb.x < pa.x + a.w && pa.y < pb.y + b.h && pb.y < pa.y + a.h;
+}
+
+describe('computeLayout', () => {
+  const nodes = [node('root', 0, 0), node('a', 500, 300), node('b', 500, 0), node('c', 900, 50)];
+  const edges = [
+    { from: 'root', to: 'a', dir: 'none' },
+    { from: 'root', to: 'b', dir: 'forward' },
+    { from: 'c', to: 'b', dir: 'backward' },
+  ];
+
+  it('lays out a horizontal tree level by level, children ordered by position', () => {
+    const positions = computeLayout('tree-horizontal', nodes, edges);
+    const root = positions.get('root');
+    const a = positions.get('a');
+    const b = positions.get('b');
+    const c = positions.get('c');
+
+    expect(a.x).toBe(b.x);
+    expect(a.x).toBeGreaterThan(root.x + 100);
+    expect(c.x).toBeGreaterThan(b.x + 100);
+    expect(b.y).toBeLessThan(a.y);
+    // Parent is centred on its children
+    expect(root.y).toBeCloseTo((a.y + b.y) / 2);
+    // Anchored to the original top-left corner
+    expect(Math.min(...[...positions.values()].map(p => p.x))).toBe(0);
+    expect(Math.min(...[...positions.values()].map(p => p.y))).toBe(0);
+  });
+
+  it('lays out a vertical tree top to bottom', () => {
+    const positions = computeLayout('tree-vertical', nodes, edges);
+    expect(positions.get('a').y).toBe(positions.get('b').y);
+    expect(positions.get('a').y).toBeGreaterThan(positions.get('root').y + 40);
+    expect(positions.get('b').x).toBeLessThan(positions.get('a').x);
+  });
+
+  it('keeps locked items in place and shifts the layout around them', () => {
+    const locked = nodes.map(n => (n.id === 'a' ? { ...n, locked: true } : n));
+    for (const type of ['tree-horizontal', 'tree-vertical', 'radial', 'force']) {
+      const positions = computeLayout(type, locked, edges);
+      expect(positions.get('a')).toEqual({ x: 500, y: 300 });
+    }
+  });
+
+  it('places radial children around the root without overlapping', () => {
+    const star = [node('hub', 0, 0), ...['1', '2', '3', '4', '5', '6'].map((id, i) => node(id, i * 10, 0))];
+    const spokes = star.slice(1).map(n => ({ from: 'hub', to: n.id, dir: 'none' }));
+    const positions = computeLayout('radial', star, spokes);
+    const hub = positions.get('hub');
+    const distances = star.slice(1).map(n => {
+      const p = positions.get(n.id);
+      return Math.hypot(p.x - hub.x, p.y - hub.y);
+    });
+
+    distances.forEach(d => expect(d).toBeCloseTo(distances[0]));
+    for (let i = 0; i < star.length; i++) {
+      for (let j = i + 1; j < star.length; j++) {
+        expect(overlaps(star[i], star[j], positions)).toBe(false);
+      }
+    }
+  });
+
+  it('separates stacked items with the force layout and is deterministic', () => {
+    const stacked = ['a', 'b', 'c', 'd'].map(id => node(id, 0, 0));
+    const chain = [
+      { from: 'a', to: 'b', dir: 'none' },
+      { from: 'b', to: 'c', dir: 'none' },
+    ];
+    const first = computeLayout('force', stacked, chain);
+    const second = computeLayout('force', stacked, chain);
+
+    expect(first).toEqual(second);
+    for (let i = 0; i < stacked.length; i++) {
+      for (let j = i + 1; j < stacked.length; j++) {
+        expect(overlaps(stacked[i], stacked[j], first)).toBe(false);
+      }
+    }
+  });
+
+  it('survives cycles and rejects unknown layout types', () => {
+    const cycle = [node('x', 0, 0), node('y', 200, 0), node('z', 400, 0)];
+    const ring = [
+      { from: 'x', to: 'y', dir: 'forward' },
+      { from: 'y', to: 'z', dir: 'forward' },
+      { from: 'z', to: 'x', dir: 'forward' },
+    ];
+    const positions = computeLayout('tree-horizontal', cycle, ring);
+    expect(positions.size).toBe(3);
+    expect(positions.get('x').x).toBeLessThan(positions.get('y').x);
+    expect(positions.get('y').x).toBeLessThan(positions.get('z').x);
+    expect(() => computeLayout('spiral', cycle, ring)).toThrow(/Unknown layout/);
+  });
+});
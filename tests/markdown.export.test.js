@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { memoHtmlToMarkdown, canvasToMarkdown } from '../js/markdown.js';
+
+const P = html => `<div data-knotpad-paragraph="true">${html}</div>`;
+
+describe('memoHtmlToMarkdown', () => {
+  it('converts headings, inline formatting and paragraphs', () => {
+    const md = memoHtmlToMarkdown(
+      '<h2>Plan</h2>' + P('<strong>bold</strong> and <em>italic</em>') + P('<strike>gone</strike>')
+    );
+    expect(md).toBe('## Plan\n\n**bold** and *italic*\n\n~~gone~~');
+  });
+
+  it('converts nested and numbered lists', () => {
+    const md = memoHtmlToMarkdown('<ol start="3"><li>three</li><li>four<ul><li>inner</li></ul></li></ol>');
+    expect(md).toBe('3. three\n4. four\n   - inner');
+  });
+
+  it('escapes Markdown syntax in plain text', () => {
+    expect(memoHtmlToMarkdown(P('# not a heading *here*'))).toBe('\\# not a heading \\*here\\*');
+  });
+
+  it('keeps legacy plain-text line breaks as hard breaks', () => {
+    expect(memoHtmlToMarkdown('one\ntwo')).toBe('one  \ntwo');
+  });
+
+  it('brackets link destinations that contain spaces or parentheses', () => {
+    expect(memoHtmlToMarkdown(P('<a href="https://en.wikipedia.org/wiki/Ada_(language)">Ada</a>')))
+      .toBe('[Ada](<https://en.wikipedia.org/wiki/Ada_(language)>)');
+    expect(memoHtmlToMarkdown(P('<a href="https://example.com/a b<c">x</a>')))
+      .toBe('[x](<https://example.com/a b%3Cc>)');
+    expect(memoHtmlToMarkdown(P('<a href="https://example.com/">x</a>'))).toBe('[x](https://example.com/)');
+  });
+});
+
+describe('canvasToMarkdown', () => {
+  const item = (id, x, y, type = 'keyword', content = id) => ({ id, type, x, y, content });
+
+  it('nests connected items under their roots and annotates labels', () => {
+    const md = canvasToMarkdown({
+      name: 'Board',
+      items: [item('root', 0, 0), item('b', 0, 200), item('a', 0, 100)],
+      connections: [
+        { from: 'root', to: 'b', dir: 'none', label: '' },
+        { from: 'root', to: 'a', dir: 'forward', label: 'first' }
+      ]
+    });
+    expect(md).toBe('# Board\n\n- **root**\n  - *(first)* **a**\n  - **b**\n');
+  });
+
+  it('follows backward arrows from the pointed-to item', () => {
+    const md = canvasToMarkdown({
+      name: 'X',
+      items: [item('child', 0, 0), item('parent', 0, 100)],
+      connections: [{ from: 'child', to: 'parent', dir: 'backward' }]
+    });
+    expect(md).toBe('# X\n\n- **parent**\n  - **child**\n');
+  });
+
+  it('lists unconnected items by position with media paths and links', () => {
+    const md = canvasToMarkdown({
+      name: 'X',
+      items: [
+        item('img', 300, 0, 'image', 'media_1'),
+        item('link', 0, 0, 'link', { url: 'https://example.com/', title: 'Example' })
+      ],
+      connections: []
+    }, new Map([['media_1', 'media/media_1.png']]));
+    expect(md).toBe('# X\n\n## Unconnected\n\n- [Example](https://example.com/)\n- ![Image](media/media_1.png)\n');
+  });
+
+  it('terminates on cycles and references repeated items', () => {
+    const md = canvasToMarkdown({
+      name: 'X',
+      items: [item('a', 0, 0), item('b', 0, 100)],
+      connections: [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }]
+    });
+    expect(md).toBe('# X\n\n- **a**\n  - **b**\n    - ↪ **a**\n');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Importing an outline creates memos, links and connections on the canvas,
+// whose modules look up their elements on import.
+vi.hoisted(() => {
+  document.body.innerHTML = '<div id="canvas"></div><svg id="connectionsSvg"></svg><div id="connDirectionPicker"></div>';
+});
+
+import * as state from '../js/state.js';
+import { parseOutline, isOutlineText, importOutline, canvasToMarkdown } from '../js/markdown.js';
+
+// Reduce parsed nodes to [text, children] pairs for compact assertions.
+const shape = nodes => nodes.map(n => n.children.length ? [n.text, shape(n.children)] : n.text);
+
+describe('parseOutline', () => {
+  it('nests bullets under headings by heading level and indentation', () => {
+    const roots = parseOutline([
+      '# Project',
+      '## Goals',
+      '- Ship',
+      '  - Tests',
+      '- Docs',
+      '## Risks',
+      '* Scope'
+    ].join('\n'));
+    expect(shape(roots)).toEqual([
+      ['Project', [
+        ['Goals', [['Ship', ['Tests']], 'Docs']],
+        ['Risks', ['Scope']]
+      ]]
+    ]);
+    expect(roots[0].kind).toBe('heading');
+    expect(roots[0].children[0].children[0].kind).toBe('item');
+  });
+
+  it('treats plain indented text (spaces or tabs) as a hierarchy', () => {
+    expect(shape(parseOutline('Root\n\tChild A\n\t\tLeaf\n    Child B\nOther'))).toEqual([
+      ['Root', [['Child A', ['Leaf']], 'Child B']],
+      'Other'
+    ]);
+  });
+
+  it('appends indented non-bullet lines to the preceding bullet', () => {
+    const [node] = parseOutline('- first line\n  second line\n  - child');
+    expect(node.text).toBe('first line\nsecond line');
+    expect(shape(node.children)).toEqual(['child']);
+  });
+
+  it('reads connection label annotations written by the Markdown export', () => {
+    const [root] = parseOutline('- **root**\n  - *(causes)* effect');
+    expect(root.children[0]).toMatchObject({ text: 'effect', label: 'causes' });
+  });
+});
+
+describe('isOutlineText', () => {
+  it('requires at least one parent/child relation', () => {
+    expect(isOutlineText('- a\n- b\n- c')).toBe(false);
+    expect(isOutlineText('just a sentence')).toBe(false);
+    expect(isOutlineText('- a\n  - b')).toBe(true);
+    expect(isOutlineText('# Title\nbody')).toBe(true);
+  });
+});
+
+describe('importOutline', () => {
+  beforeEach(() => {
+    state.items.length = 0;
+    state.connections.length = 0;
+  });
+
+  it('reads link destinations in angle brackets and round-trips them', () => {
+    const [link] = importOutline('- [x](<https://e.com/a (b)>)', 0, 0);
+    expect(link.type).toBe('link');
+    expect(link.content).toMatchObject({ url: 'https://e.com/a%20(b)', title: 'x' });
+
+    const md = canvasToMarkdown({ name: 'X', items: [link], connections: [] });
+    expect(md).toBe('# X\n\n## Unconnected\n\n- [x](<https://e.com/a%20(b)>)\n');
+    const [again] = importOutline(md.split('\n').at(-2), 0, 0);
+    expect(again.content.url).toBe(link.content.url);
+  });
+
+  it('keeps bracketed destinations with spaces in memo text', () => {
+    const [memo] = importOutline('- See [the docs](<https://e.com/my docs>) and [home](https://e.com)', 0, 0);
+    expect(memo.type).toBe('memo');
+    expect(memo.content).toBe('<div data-knotpad-paragraph="true">See the docs (https://e.com/my docs) and home (https://e.com)</div>');
+  });
+});
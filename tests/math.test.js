@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { renderLatex, findMath, renderMathIn, unrenderMath } from '../js/math.js';
+import { getMemoHtmlFromClipboardData } from '../js/items.js';
+import { memoHtmlToMarkdown } from '../js/markdown.js';
+
+describe('renderLatex', () => {
+  it('renders scripts, fractions and large operators', () => {
+    expect(renderLatex('x^2')).toBe(
+      '<span class="math"><span class="math-var">x</span><span class="math-sup"><span class="math-num">2</span></span></span>'
+    );
+    expect(renderLatex('\\frac{a}{b}')).toBe(
+      '<span class="math"><span class="math-frac"><span class="math-numer"><span class="math-var">a</span></span>'
+      + '<span class="math-denom"><span class="math-var">b</span></span></span></span>'
+    );
+    const sum = document.createElement('div');
+    sum.innerHTML = renderLatex('\\sum_{i=1}^n i', true);
+    expect(sum.querySelector('.math-limits .math-large-op').textContent).toBe('∑');
+    expect(sum.querySelector('.math-under').textContent).toBe('i=1');
+  });
+
+  it('shows unknown commands as source', () => {
+    expect(renderLatex('\\alpha + \\foo')).toBe(
+      '<span class="math"><span class="math-ord">α</span><span class="math-op">+</span><span class="math-error">\\foo</span></span>'
+    );
+  });
+});
+
+describe('findMath', () => {
+  it('finds inline and display math but not prices or escaped dollars', () => {
+    const runs = findMath('Costs $5 and $10, but $x^2$ and $$\\int f$$ are math; \\$ no');
+    expect(runs.map(r => [r.source, r.latex, r.display])).toEqual([
+      ['$x^2$', 'x^2', false],
+      ['$$\\int f$$', '\\int f', true]
+    ]);
+  });
+});
+
+describe('math in memos', () => {
+  it('renders text outside code and restores the source', () => {
+    const root = document.createElement('div');
+    const html = '<div>Area $\\pi r^2$ here</div><pre data-language="sh">echo $HOME $x$</pre>';
+    root.innerHTML = html;
+
+    expect(renderMathIn(root)).toBe(1);
+    const math = root.querySelector('.math-render');
+    expect(math.getAttribute('data-math')).toBe('$\\pi r^2$');
+    expect(math.getAttribute('contenteditable')).toBe('false');
+    expect(root.querySelector('pre').textContent).toBe('echo $HOME $x$');
+
+    expect(unrenderMath(root)).toBe(1);
+    root.normalize();
+    expect(root.innerHTML).toBe(html);
+  });
+
+  it('copies rendered math as its source', () => {
+    const live = '<div data-knotpad-paragraph="true">Mass <span class="math-render" data-math="$E=mc^2$" contenteditable="false">'
+      + '<span class="math"><span class="math-var">E</span></span></span> energy</div>';
+    const html = getMemoHtmlFromClipboardData({
+      getData: type => type === 'application/x-knotpad-memo' ? live : ''
+    });
+    expect(html).toBe('<div data-knotpad-paragraph="true">Mass $E=mc^2$ energy</div>');
+  });
+
+  it('keeps math source unescaped in Markdown', () => {
+    expect(memoHtmlToMarkdown('<div>Area $\\pi r^2$ and *stars*</div>')).toBe('Area $\\pi r^2$ and \\*stars\\*');
+  });
+});
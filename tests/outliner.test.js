@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Structural edits create and remove real connections and memos, whose modules
+// look up their canvas elements on import.
+vi.hoisted(() => {
+  document.body.innerHTML = '<div id="canvas"></div><svg id="connectionsSvg"></svg><div id="connDirectionPicker"></div>';
+});
+
+import * as state from '../js/state.js';
+import { buildOutline, moveItemInOutline, indentItem, outdentItem, addOutlineItem, deleteOutlineItem } from '../js/outliner.js';
+
+function item(id, x, y, h = 40) {
+  return { id, type: 'keyword', x, y, w: 100, h, content: id, el: document.createElement('div') };
+}
+
+const connect = (from, to, dir = 'none') => state.connections.push({ from, to, dir, el: document.createElementNS('http://www.w3.org/2000/svg', 'path') });
+const linked = (a, b) => state.connections.some(c => (c.from === a && c.to === b) || (c.from === b && c.to === a));
+
+// Reduce outline nodes to [id, children] pairs for compact assertions.
+const shape = nodes => nodes.map(n => n.children.length ? [n.item.id, shape(n.children)] : n.item.id);
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+});
+
+describe('outline', () => {
+  it('follows connections from parent to child with siblings in position order', () => {
+    const root = item('root', 0, 100);
+    const b = item('b', 200, 200);
+    const a = item('a', 200, 0);
+    const leaf = item('leaf', 400, 0);
+    const loose = item('loose', 0, 500);
+    state.items.push(root, b, a, leaf, loose);
+    connect(root, b);
+    connect(root, a);
+    connect(leaf, a, 'backward');
+
+    const outline = buildOutline();
+    expect(shape(outline)).toEqual([['root', [['a', ['leaf']], 'b']], 'loose']);
+    expect(outline[0].children[0].parent).toBe(outline[0]);
+  });
+
+  it('reorders siblings by moving their branches on the canvas', () => {
+    const root = item('root', 0, 0);
+    const a = item('a', 200, 0, 40);
+    const b = item('b', 200, 64, 120);
+    const c = item('c', 200, 200, 40);
+    const child = item('child', 400, 64);
+    state.items.push(root, a, b, c, child);
+    connect(root, a);
+    connect(root, b);
+    connect(root, c);
+    connect(b, child);
+
+    expect(moveItemInOutline(b, -1)).toBe(true);
+    expect(shape(buildOutline())).toEqual([['root', [['b', ['child']], 'a', 'c']]]);
+    expect([b.x, b.y, child.y]).toEqual([200, 0, 0]);
+    expect(a.y).toBe(144);
+    expect(c.y).toBe(200);
+    expect(b.el.style.top).toBe('0px');
+
+    expect(moveItemInOutline(b, -1)).toBe(false);
+    expect(moveItemInOutline(c, 1)).toBe(false);
+  });
+
+  it('indents under the line above and outdents after the parent', () => {
+    const root = item('root', 0, 0);
+    const a = item('a', 200, 0);
+    const b = item('b', 0, 200);
+    state.items.push(root, a, b);
+    connect(root, a);
+
+    expect(indentItem(root)).toBe(false);
+    expect(indentItem(b)).toBe(true);
+    expect(shape(buildOutline())).toEqual([['root', ['a', 'b']]]);
+    expect(linked(root, b)).toBe(true);
+    expect([b.x, b.y]).toEqual([200, 64]);
+
+    expect(outdentItem(a)).toBe(true);
+    expect(shape(buildOutline())).toEqual([['root', ['b']], 'a']);
+    expect(linked(root, a)).toBe(false);
+    expect([a.x, a.y]).toEqual([0, 64]);
+    expect(outdentItem(a)).toBe(false);
+  });
+
+  it('lets go of every parent when an item with two is outdented', () => {
+    const first = item('first', 0, 0);
+    const second = item('second', 0, 300);
+    const shared = item('shared', 200, 0);
+    state.items.push(first, second, shared);
+    connect(first, shared);
+    connect(shared, second, 'backward');
+    expect(shape(buildOutline())).toEqual([['first', ['shared']], 'second']);
+
+    expect(outdentItem(shared)).toBe(true);
+    expect(shape(buildOutline())).toEqual(['first', 'shared', 'second']);
+    expect(state.connections).toHaveLength(0);
+  });
+
+  it('adds lines after a sibling and deletes empty ones', () => {
+    const root = item('root', 0, 0);
+    const a = item('a', 200, 0);
+    const b = item('b', 200, 200);
+    state.items.push(root, a, b);
+    connect(root, a);
+    connect(root, b);
+
+    const added = addOutlineItem(a);
+    expect(added.type).toBe('memo');
+    expect(linked(root, added)).toBe(true);
+    expect(shape(buildOutline())).toEqual([['root', ['a', added.id, 'b']]]);
+
+    expect(deleteOutlineItem(a)).toBe(false);
+    expect(deleteOutlineItem(root)).toBe(false);
+    expect(deleteOutlineItem(added)).toBe(true);
+    expect(state.items).not.toContain(added);
+    expect(shape(buildOutline())).toEqual([['root', ['a', 'b']]]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import {
+  getColorVariants, contrastRatio, normalizePalette, getPalette, isPaletteColor, colorVar, getPaletteCss,
+  savePalette, setColorLegend, getColorLabel, movePaletteColor, renderColorGroupHeadings
+} from '../js/palette.js';
+
+beforeEach(() => {
+  state.setPalette([]);
+  state.setColorLegend({});
+  state.setColorGroupModeActive(false);
+  state.items.length = 0;
+  localStorage.clear();
+  document.body.innerHTML = '<div id="canvas"></div><div id="colorDropdown"></div><div id="filterColorOpts"></div>';
+});
+
+describe('color variants', () => {
+  it('keep legible colors and adjust the others for each theme', () => {
+    expect(getColorVariants('#ef4444').dark).toBe('#ef4444');
+    const navy = getColorVariants('#1e2a78');
+    expect(contrastRatio(navy.dark, '#1f1f23')).toBeGreaterThanOrEqual(3);
+    expect(navy.light).toBe('#1e2a78');
+    const lemon = getColorVariants('#fde047');
+    expect(contrastRatio(lemon.light, '#ffffff')).toBeGreaterThanOrEqual(3);
+    expect(lemon.lightFill).toMatch(/^#f[e-f]/);
+  });
+});
+
+describe('palette', () => {
+  it('drops unusable entries and falls back to the built-in colors', () => {
+    expect(normalizePalette([
+      { id: 'teal', name: ' Teal ', hex: '#14B8A6' },
+      { id: 'teal', name: 'Again', hex: '#000000' },
+      { id: 'all', name: 'All', hex: '#000000' },
+      { id: 'x y', name: 'Space', hex: '#000000' },
+      { id: 'grey', name: '', hex: 'grey' }
+    ])).toEqual([{ id: 'teal', name: 'Teal', hex: '#14b8a6' }]);
+    expect(normalizePalette([{ id: 'teal', name: 'Teal', hex: '#14b8a6', hidden: true }]).map(c => c.id))
+      .toEqual(['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink']);
+  });
+
+  it('keeps removed colors usable by existing items but out of the pickers', () => {
+    savePalette([{ id: 'red', name: 'Red', hex: '#ef4444', hidden: true }, { id: 'teal', name: 'Teal', hex: '#14b8a6' }]);
+    expect(getPalette().map(c => c.id)).toEqual(['teal']);
+    expect(isPaletteColor('red')).toBe(true);
+    expect(colorVar('teal')).toBe('var(--tag-teal)');
+    expect(colorVar('blue')).toBeNull();
+    expect(JSON.parse(localStorage.getItem('knotpad-palette'))).toHaveLength(2);
+    expect(document.getElementById('colorDropdown').querySelectorAll('.color-opt')).toHaveLength(2);
+  });
+
+  it('writes CSS variables only for colors that differ from the stylesheet', () => {
+    const css = getPaletteCss([{ id: 'red', name: 'Red', hex: '#ef4444' }, { id: 'blue', name: 'Blue', hex: '#000080' }]);
+    expect(css).not.toContain('--tag-red');
+    expect(css).toMatch(/^:root \{ --tag-blue: #[0-9a-f]{6}; --tag-blue-fill: #[0-9a-f]{6}; \}\n:root\.light \{ --tag-blue: #000080;/);
+    expect(getPaletteCss([{ id: 'red', name: 'Red', hex: '#ef4444' }])).toBe('');
+  });
+
+  it('moves colors past removed ones', () => {
+    savePalette([
+      { id: 'a', name: 'A', hex: '#111111' },
+      { id: 'b', name: 'B', hex: '#222222', hidden: true },
+      { id: 'c', name: 'C', hex: '#333333' }
+    ]);
+    movePaletteColor('c', -1);
+    expect(getPalette(true).map(c => c.id)).toEqual(['c', 'b', 'a']);
+  });
+});
+
+describe('legend', () => {
+  it('labels filter buttons, pickers and color group headings', () => {
+    setColorLegend('red', '  Blocked ');
+    expect(state.colorLegend).toEqual({ red: 'Blocked' });
+    expect(getColorLabel('red')).toBe('Blocked');
+    expect(getColorLabel('blue')).toBe('Blue');
+    const labelled = document.querySelector('#filterColorOpts .filter-opt.labelled');
+    expect(labelled.dataset.color).toBe('red');
+    expect(labelled.textContent).toBe('Blocked');
+    expect(document.querySelector('#colorDropdown [data-color="red"]').title).toBe('Blocked');
+
+    const item = (id, color, x) => ({ id, color, x, y: 100, w: 200, h: 80 });
+    state.items.push(item('1', 'red', 0), item('2', 'red', 0), item('3', null, 300));
+    state.setColorGroupModeActive(true);
+    renderColorGroupHeadings();
+    const headings = [...document.querySelectorAll('#canvas .color-group-heading')];
+    expect(headings.map(h => h.textContent)).toEqual(['Blocked', 'No color']);
+    expect(headings[0].style.width).toBe('200px');
+
+    setColorLegend('red', '');
+    expect(state.colorLegend).toEqual({});
+    state.setColorGroupModeActive(false);
+    renderColorGroupHeadings();
+    expect(document.querySelector('.color-group-heading')).toBeNull();
+  });
+});
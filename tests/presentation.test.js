@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import { derivePresentationPath, getPresentationStops, togglePresentationStop } from '../js/presentation.js';
+
+function item(id, x, y) {
+  return { id, type: 'memo', x, y, w: 100, h: 60, content: '', el: document.createElement('div') };
+}
+
+function conn(from, to, dir = 'forward') {
+  return { id: `${from}-${to}`, from, to, dir };
+}
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.setPresentationPath([]);
+});
+
+describe('presentation path', () => {
+  it('follows directed connections from their start, branches in reading order', () => {
+    const items = [item('intro', 0, 0), item('b', 300, 200), item('a', 300, 0), item('end', 600, 100), item('loose', 0, 500)];
+    const connections = [
+      conn('intro', 'b'),
+      conn('intro', 'a'),
+      conn('end', 'a', 'backward'),
+      conn('b', 'loose', 'none')
+    ];
+    expect(derivePresentationPath(items, connections)).toEqual(['intro', 'a', 'end', 'b']);
+  });
+
+  it('enters a cycle at its first item and ignores undirected links', () => {
+    const items = [item('x', 0, 100), item('y', 0, 0), item('z', 0, 200)];
+    expect(derivePresentationPath(items, [conn('x', 'y'), conn('y', 'x')])).toEqual(['y', 'x']);
+    expect(derivePresentationPath(items, [conn('x', 'z', 'none')])).toEqual([]);
+  });
+
+  it('prefers the path picked by the user and falls back to reading order', () => {
+    const a = item('a', 0, 0);
+    const b = item('b', 200, 0);
+    const c = item('c', 0, 200);
+    state.items.push(c, b, a);
+
+    expect(getPresentationStops()).toEqual([a, b, c]);
+
+    togglePresentationStop(c);
+    togglePresentationStop(a);
+    expect(getPresentationStops()).toEqual([c, a]);
+    expect(c.el.querySelector('.present-step').textContent).toBe('1');
+
+    togglePresentationStop(c);
+    expect(state.presentationPath).toEqual(['a']);
+    expect(c.el.querySelector('.present-step')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { computePrintLayout, buildMemoIndex } from '../js/print.js';
+
+const MM = 96 / 25.4;
+
+function memo(id, x, y, content = id) {
+  return { id, type: 'memo', x, y, w: 100, h: 60, content };
+}
+
+describe('print layout', () => {
+  it('fits the canvas on one page in the orientation that prints it larger', () => {
+    const wide = { x: 0, y: 0, width: 2000, height: 600 };
+    const layout = computePrintLayout(wide, { paper: 'a4', mode: 'fit' });
+    expect(layout.page).toEqual({ width: 297, height: 210 });
+    expect(layout.tiles).toHaveLength(1);
+    expect(layout.zoom).toBeCloseTo((297 - 24) * MM / 2000);
+
+    const portrait = computePrintLayout(wide, { paper: 'a4', orientation: 'portrait', mode: 'fit' });
+    expect(portrait.page).toEqual({ width: 210, height: 297 });
+    expect(portrait.zoom).toBeLessThan(layout.zoom);
+  });
+
+  it('tiles row by row at the chosen zoom', () => {
+    const bounds = { x: -100, y: -50, width: 1500, height: 1200 };
+    const layout = computePrintLayout(bounds, { paper: 'a4', orientation: 'portrait', mode: 'tile', zoom: 1 });
+    const tileWidth = (210 - 24) * MM;
+    const tileHeight = (297 - 24) * MM;
+    expect(layout.columns).toBe(Math.ceil(1500 / tileWidth));
+    expect(layout.rows).toBe(Math.ceil(1200 / tileHeight));
+    expect(layout.tiles).toHaveLength(layout.columns * layout.rows);
+    expect(layout.tiles[1]).toMatchObject({ page: 2, row: 0, column: 1, y: -50 });
+    expect(layout.tiles[1].x).toBeCloseTo(-100 + tileWidth);
+
+    // Doubling the zoom needs more pages; auto orientation picks the fewer
+    const large = computePrintLayout(bounds, { paper: 'a4', mode: 'tile', zoom: 2 });
+    const portraitLarge = computePrintLayout(bounds, { paper: 'a4', orientation: 'portrait', mode: 'tile', zoom: 2 });
+    expect(large.tiles.length).toBeGreaterThan(layout.tiles.length);
+    expect(large.tiles.length).toBeLessThanOrEqual(portraitLarge.tiles.length);
+  });
+});
+
+describe('memo index', () => {
+  it('lists memos in reading order with the page they start on', () => {
+    const bounds = { x: 0, y: 0, width: 1400, height: 600 };
+    const layout = computePrintLayout(bounds, { paper: 'a4', orientation: 'landscape', mode: 'tile', zoom: 1 });
+    const items = [
+      memo('right', 1200, 10, '<div>Right <b>side</b></div>'),
+      memo('left', 20, 10),
+      memo('below', 20, 300),
+      memo('empty', 500, 0, '<div><br></div>'),
+      { ...memo('kw', 0, 0), type: 'keyword' }
+    ];
+    const index = buildMemoIndex(items, layout, bounds);
+    expect(index.map(e => e.text)).toEqual(['left', 'Right side', 'below']);
+    expect(index.map(e => e.page)).toEqual([1, 2, 1]);
+  });
+});
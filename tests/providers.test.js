@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { createHttpProvider, RemoteStorageError, LIST_PATH } from '../js/providers.js';
+import { enqueueOp, mergeCanvasLists } from '../js/remote-sync.js';
+import { standInServer } from './helpers/stand-in-server.js';
+
+function provider(server, etags = new Map(), type = 'webdav') {
+  return createHttpProvider({ url: 'https://dav.test/knotpad', type }, { fetch: server.fetch, etags });
+}
+
+describe('server storage provider', () => {
+  it('creates folders once and round-trips canvases and the canvas list', async () => {
+    const server = standInServer();
+    const p = provider(server);
+    await p.saveCanvas('c1', { items: [{ id: 'i1' }], connections: [] });
+    await p.saveCanvas('c2', { items: [], connections: [] });
+    await p.saveCanvasList([{ id: 'c1', name: 'One' }]);
+
+    expect(server.requests.filter(r => r.method === 'MKCOL')).toHaveLength(1);
+    expect(await p.loadCanvas('c1')).toEqual({ items: [{ id: 'i1' }], connections: [] });
+    // Plain arrays are read like the File Storage index
+    expect(await p.loadCanvasList()).toEqual({ canvases: [{ id: 'c1', name: 'One' }], groups: [] });
+    expect(await p.loadCanvas('missing')).toBeNull();
+  });
+
+  it('detects a write made on another device through the ETag', async () => {
+    const server = standInServer();
+    const laptop = provider(server);
+    const phone = provider(server);
+    await laptop.saveCanvas('c1', { items: [] });
+    await phone.loadCanvas('c1');
+    await phone.saveCanvas('c1', { items: [{ id: 'phone' }] });
+
+    const error = await laptop.saveCanvas('c1', { items: [{ id: 'laptop' }] }).catch(e => e);
+    expect(error).toBeInstanceOf(RemoteStorageError);
+    expect(error.reason).toBe('conflict');
+
+    // After reading the server copy the next write is based on it
+    await laptop.loadCanvas('c1');
+    await expect(laptop.saveCanvas('c1', { items: [{ id: 'laptop' }] })).resolves.toBe(true);
+  });
+
+  it('never creates over an existing file it has not seen', async () => {
+    const server = standInServer();
+    await provider(server).saveCanvasList({ canvases: [], groups: [] });
+    const error = await provider(server).saveCanvasList({ canvases: [], groups: [] }).catch(e => e);
+    expect(error.reason).toBe('conflict');
+    expect(server.requests.at(-1).headers['If-None-Match']).toBe('*');
+  });
+
+  it('reports an unreachable server as offline and keeps ETags in the shared map', async () => {
+    const server = standInServer();
+    const etags = new Map();
+    const p = provider(server, etags);
+    await p.saveCanvas('c1', { items: [] });
+    expect(etags.get('canvases/c1.json')).toBe('"v1"');
+
+    server.setOnline(false);
+    const error = await p.saveCanvas('c1', { items: [] }).catch(e => e);
+    expect(error.reason).toBe('offline');
+  });
+
+  it('skips MKCOL for REST endpoints and stores media blobs', async () => {
+    const server = standInServer({ webdav: false });
+    const p = provider(server, new Map(), 'rest');
+    await p.saveMedia('media_1', new Blob(['png'], { type: 'image/png' }));
+    expect(server.requests.some(r => r.method === 'MKCOL')).toBe(false);
+    expect(server.requests[0].headers['Content-Type']).toBe('image/png');
+    expect(await (await p.loadMedia('media_1')).text()).toBe('png');
+    await p.deleteMedia('media_1');
+    expect(server.files.has('media/media_1')).toBe(false);
+    expect(server.files.has(LIST_PATH)).toBe(false);
+  });
+});
+
+describe('offline queue', () => {
+  it('keeps only the latest write per target, in order of the last change', () => {
+    const queue = new Map();
+    enqueueOp(queue, 'canvas', 'a');
+    enqueueOp(queue, 'list');
+    enqueueOp(queue, 'canvas', 'a', 'delete');
+
+    expect([...queue.values()]).toEqual([
+      { kind: 'list', id: null, op: 'put' },
+      { kind: 'canvas', id: 'a', op: 'delete' }
+    ]);
+  });
+});
+
+describe('canvas list merge', () => {
+  const known = ids => id => ids.includes(id);
+
+  it('downloads newer and new server canvases and uploads newer local ones', () => {
+    const local = { canvases: [{ id: 'a', updatedAt: 5 }, { id: 'b', updatedAt: 9 }, { id: 'c' }], groups: [] };
+    const remote = { canvases: [{ id: 'a', name: 'A2', updatedAt: 7 }, { id: 'b', updatedAt: 3 }, { id: 'd' }], groups: [] };
+    const merged = mergeCanvasLists(local, remote, { known: known(['a', 'b']) });
+
+    expect(merged.download).toEqual(['a', 'd']);
+    expect(merged.upload).toEqual(['b', 'c']);
+    expect(merged.canvases.map(c => c.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(merged.canvases[0].name).toBe('A2');
+  });
+
+  it('drops canvases deleted on another device but keeps unsent local work', () => {
+    const local = { canvases: [{ id: 'gone' }, { id: 'edited' }], groups: [{ id: 'g1' }] };
+    const remote = { canvases: [{ id: 'deletedHere' }], groups: [{ id: 'g2' }] };
+    const merged = mergeCanvasLists(local, remote, {
+      pending: new Set(['edited', 'deletedHere']),
+      known: known(['gone', 'edited', 'deletedHere'])
+    });
+
+    expect(merged.removed).toEqual(['gone']);
+    expect(merged.canvases.map(c => c.id)).toEqual(['edited']);
+    expect(merged.download).toEqual([]);
+    expect(merged.groups.map(g => g.id)).toEqual(['g2', 'g1']);
+  });
+});
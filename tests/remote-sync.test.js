@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { standInServer } from './helpers/stand-in-server.js';
+
+// The app's own page, so that applying server data can render the sidebar
+await vi.hoisted(async () => {
+  const { readFileSync } = await import('node:fs');
+  document.body.innerHTML = readFileSync('index.html', 'utf8').match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+  // Stored by a version that still kept the password
+  localStorage.setItem('knotpad-remote-config', JSON.stringify({ url: 'https://dav.test/knotpad', type: 'webdav', username: 'ana', password: 'secret' }));
+  localStorage.setItem('knotpad-author-name', 'Ana at home');
+});
+
+import * as state from '../js/state.js';
+import eventBus, { Events } from '../js/events-bus.js';
+import { setupRemoteSync } from '../js/remote-sync.js';
+
+const server = standInServer();
+const status = () => document.getElementById('remoteStatus').textContent;
+const serverJson = path => JSON.parse(server.files.get(path).body);
+
+// Another open tab, as the sync module sees it
+const otherTab = new BroadcastChannel('knotpad-remote-sync');
+const messages = [];
+otherTab.addEventListener('message', e => messages.push(e.data));
+
+beforeAll(async () => {
+  vi.stubGlobal('fetch', server.fetch);
+  state.setCanvases([{ id: 'c1', name: 'One', updatedAt: 1 }]);
+  state.setCurrentCanvasId('c1');
+  localStorage.setItem('knotpad-data-c1', JSON.stringify({ items: [], connections: [] }));
+  server.files.set('canvases/_index.json', { body: JSON.stringify({ canvases: [{ id: 'c1', name: 'One', updatedAt: 5 }], groups: [] }), etag: '"s1"' });
+  server.files.set('canvases/c1.json', { body: JSON.stringify({ items: [], connections: [] }), etag: '"s2"' });
+  server.files.set('_settings.json', { body: JSON.stringify({ 'knotpad-author-name': 'Ana at work' }), etag: '"s3"' });
+  setupRemoteSync();
+  await vi.waitFor(() => expect(status()).toMatch(/^Synced/));
+});
+
+beforeEach(() => {
+  messages.length = 0;
+  server.requests.length = 0;
+});
+
+describe('server sign-in', () => {
+  it('keeps the password in memory only', async () => {
+    expect(JSON.parse(localStorage.getItem('knotpad-remote-config'))).toEqual({ url: 'https://dav.test/knotpad', type: 'webdav', username: 'ana' });
+    expect(document.getElementById('remotePassword').value).toBe('');
+
+    document.getElementById('remoteSyncNowBtn').click();
+    await vi.waitFor(() => expect(server.requests.length).toBeGreaterThan(0));
+    expect(server.requests[0].headers.Authorization).toBe('Basic ' + btoa('ana:secret'));
+  });
+
+  it('hands the password to tabs opened later', async () => {
+    otherTab.postMessage({ type: 'password-request' });
+    await vi.waitFor(() => expect(messages).toContainEqual({ type: 'password', password: 'secret' }));
+  });
+
+  it('waits for the password when no open tab has it', async () => {
+    otherTab.postMessage({ type: 'password', password: '' });
+    await vi.waitFor(() => expect(status()).toBe('Enter the password to reconnect'));
+    expect(document.getElementById('remoteConnectBtn').hidden).toBe(false);
+
+    otherTab.postMessage({ type: 'password', password: 'secret' });
+    await vi.waitFor(() => expect(status()).toMatch(/^Synced/));
+  });
+});
+
+describe('server sync', () => {
+  it('replaces settings this device already has', () => {
+    expect(localStorage.getItem('knotpad-author-name')).toBe('Ana at work');
+    expect(state.authorName).toBe('Ana at work');
+  });
+
+  it('queues edits saved while a pull reloads the open canvas', async () => {
+    server.files.set('canvases/_index.json', { body: JSON.stringify({ canvases: [{ id: 'c1', name: 'One', updatedAt: 50 }], groups: [] }), etag: '"s4"' });
+    server.files.set('canvases/c1.json', { body: JSON.stringify({ items: [{ id: 'i1', type: 'keyword', x: 0, y: 0, w: 100, h: 40, content: 'Changed elsewhere' }], connections: [] }), etag: '"s5"' });
+    const edit = { items: [{ id: 'i1', type: 'keyword', x: 0, y: 0, w: 100, h: 40, content: 'Typed meanwhile' }], connections: [] };
+    localStorage.setItem('knotpad-data-c2', JSON.stringify(edit));
+    eventBus.once(Events.CANVAS_LOADED, () => eventBus.emit(Events.CANVAS_SAVED, 'c2', edit));
+
+    document.getElementById('remoteSyncNowBtn').click();
+    await vi.waitFor(() => expect(server.files.has('canvases/c2.json')).toBe(true));
+    expect(state.items.map(item => item.content)).toEqual(['Changed elsewhere']);
+    expect(serverJson('canvases/c2.json')).toEqual(edit);
+  });
+});
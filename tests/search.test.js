@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { getItemSearchText, makeSnippet, searchCanvasData, parseSearchQuery, matchesSearchQuery, findMatchRanges, getConnectedIds } from '../js/search.js';
+import * as state from '../js/state.js';
+import { getSearchableCanvasData } from '../js/ui.js';
+
+describe('getItemSearchText', () => {
+  it('extracts text from each searchable item type', () => {
+    expect(getItemSearchText({ type: 'memo', content: '<p>Hello <b>world</b></p>' })).toContain('Hello world');
+    expect(getItemSearchText({ type: 'keyword', content: 'Topic' })).toBe('Topic');
+    expect(getItemSearchText({ type: 'link', content: { title: 'Docs', url: 'https://example.com' } })).toBe('Docs https://example.com');
+    expect(getItemSearchText({ type: 'frame', content: { title: 'Sprint' } })).toBe('Sprint');
+    expect(getItemSearchText({ type: 'image', content: 'media_1' })).toBe('');
+  });
+});
+
+describe('makeSnippet', () => {
+  it('marks the match, escapes HTML and trims long text', () => {
+    const text = 'a'.repeat(60) + ' <needle> ' + 'b'.repeat(60);
+    const snippet = makeSnippet(text, '<NEEDLE>', 10);
+    expect(snippet).toBe('…aaaaaaaaa <mark>&lt;needle&gt;</mark> bbbbbbbbb…');
+  });
+});
+
+describe('searchCanvasData', () => {
+  const data = {
+    items: [
+      { id: 'i1', type: 'memo', content: '<p>Quarterly plan</p>' },
+      { id: 'i2', type: 'keyword', content: 'Planning' },
+      { id: 'i3', type: 'image', content: 'media_plan' },
+    ],
+  };
+
+  it('returns matching items in canvas order, case-insensitively', () => {
+    const results = searchCanvasData(data, 'PLAN');
+    expect(results.map(r => r.id)).toEqual(['i1', 'i2']);
+    expect(results[1]).toEqual({ id: 'i2', type: 'keyword', snippet: '<mark>Plan</mark>ning' });
+  });
+
+  it('ignores empty queries and missing data', () => {
+    expect(searchCanvasData(data, '  ')).toEqual([]);
+    expect(searchCanvasData(null, 'plan')).toEqual([]);
+  });
+});
+
+describe('search query language', () => {
+  const items = [
+    { id: 'a', type: 'memo', content: '<p>Release notes for v2</p>', color: 'red', locked: true },
+    { id: 'b', type: 'link', content: { title: 'Release page', url: 'https://example.com/release' }, color: null },
+    { id: 'c', type: 'keyword', content: 'Roadmap', color: 'blue' },
+  ];
+  const connectedIds = getConnectedIds([{ from: 'a', to: 'c' }]);
+  const run = query => {
+    const parsed = parseSearchQuery(query);
+    return items.filter(item => matchesSearchQuery(item, parsed, connectedIds)).map(item => item.id);
+  };
+
+  it('combines words, phrases and exclusions', () => {
+    expect(run('release')).toEqual(['a', 'b']);
+    expect(run('"release notes"')).toEqual(['a']);
+    expect(run('release -page')).toEqual(['a']);
+  });
+
+  it('filters by type, color, connections and lock state', () => {
+    expect(run('type:link')).toEqual(['b']);
+    expect(run('color:red')).toEqual(['a']);
+    expect(run('color:none')).toEqual(['b']);
+    expect(run('has:connection')).toEqual(['a', 'c']);
+    expect(run('-has:connection')).toEqual(['b']);
+    expect(run('locked:true')).toEqual(['a']);
+    expect(run('locked:false release')).toEqual(['b']);
+  });
+
+  it('matches regular expressions and treats invalid ones as text', () => {
+    expect(run('/v\\d+/')).toEqual(['a']);
+    expect(run('/^road/')).toEqual(['c']);
+    expect(run('/road(/')).toEqual([]);
+    expect(parseSearchQuery('/road(/').conditions[0]).toMatchObject({ kind: 'text', text: '/road(/' });
+  });
+
+  it('finds merged highlight ranges for text and regex conditions only', () => {
+    const parsed = parseSearchQuery('note /not\\w+/ -v2 type:memo');
+    expect(findMatchRanges('Release notes for v2, notes', parsed)).toEqual([[8, 13], [22, 27]]);
+  });
+
+  it('applies operators when searching stored canvases', () => {
+    const data = { items, connections: [{ from: 'a', to: 'c' }] };
+    expect(searchCanvasData(data, 'type:keyword has:connection').map(r => r.id)).toEqual(['c']);
+  });
+
+  it('sees the connections of the open canvas', async () => {
+    const [a, b, c] = items.map(item => ({ ...item }));
+    state.items.splice(0, state.items.length, a, b, c);
+    state.connections.splice(0, state.connections.length, { from: a, to: c });
+    state.setCurrentCanvasId('open');
+    const data = await getSearchableCanvasData({ id: 'open' });
+    expect(searchCanvasData(data, 'has:connection').map(r => r.id)).toEqual(['a', 'c']);
+    expect(searchCanvasData(data, '-has:connection').map(r => r.id)).toEqual(['b']);
+    state.items.length = 0;
+    state.connections.length = 0;
+    state.setCurrentCanvasId(null);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { initMediaDB, deleteMedia } from '../js/storage.js';
+import eventBus, { Events } from '../js/events-bus.js';
+
+// A media store whose transactions finish only when the test says so
+const transactions = [];
+const database = {
+  transaction() {
+    const tx = { deleted: [], objectStore: () => ({ delete: id => tx.deleted.push(id) }) };
+    transactions.push(tx);
+    return tx;
+  }
+};
+
+beforeAll(async () => {
+  vi.stubGlobal('indexedDB', {
+    open() {
+      const req = { result: database };
+      setTimeout(() => req.onsuccess());
+      return req;
+    }
+  });
+  await initMediaDB();
+});
+
+const deleted = [];
+eventBus.on(Events.MEDIA_DELETED, id => deleted.push(id));
+
+beforeEach(() => {
+  transactions.length = 0;
+  deleted.length = 0;
+});
+
+describe('deleteMedia', () => {
+  it('reports the deletion once the transaction has completed', async () => {
+    const done = deleteMedia('media_a');
+    expect(transactions[0].deleted).toEqual(['media_a']);
+    expect(deleted).toEqual([]);
+
+    transactions[0].oncomplete();
+    expect(await done).toBe(true);
+    expect(deleted).toEqual(['media_a']);
+  });
+
+  it('reports nothing when the transaction fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const done = deleteMedia('media_b');
+    transactions[0].error = new Error('quota');
+    transactions[0].onerror();
+    expect(await done).toBe(false);
+    expect(deleted).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { fingerprint, collectChanges, classifyChanges, withFullSyncRemovals } from '../js/sync.js';
+
+const memo = (id, content, extra = {}) => ({ id, type: 'memo', x: 0, y: 0, w: 200, h: 100, content, ...extra });
+const sharedOf = list => new Map(list.map(d => [d.id, fingerprint(d)]));
+const byId = list => new Map(list.map(d => [d.id, d]));
+
+describe('multi-tab sync', () => {
+  it('fingerprints ignore stacking order only', () => {
+    expect(fingerprint(memo('i1', 'a', { z: 1 }))).toBe(fingerprint(memo('i1', 'a', { z: 9 })));
+    expect(fingerprint(memo('i1', 'a'))).not.toBe(fingerprint(memo('i1', 'b')));
+    expect(fingerprint(null)).toBeNull();
+  });
+
+  it('collects edits, additions and deletions since the last shared state', () => {
+    const shared = sharedOf([memo('i1', 'a'), memo('i2', 'b')]);
+    const changes = collectChanges([memo('i1', 'a2'), memo('i3', 'c')], shared);
+    expect(changes.map(c => [c.id, c.next?.content ?? null])).toEqual([['i1', 'a2'], ['i3', 'c'], ['i2', null]]);
+    expect(changes[0].prev).toBe(fingerprint(memo('i1', 'a')));
+    expect(changes[1].prev).toBeNull();
+  });
+
+  it('applies changes based on the local version and flags concurrent edits', () => {
+    const base = [memo('i1', 'a'), memo('i2', 'b')];
+    const shared = sharedOf(base);
+    // This tab edited i2; the other tab edited i1 and i2
+    const local = byId([memo('i1', 'a'), memo('i2', 'mine')]);
+    const incoming = collectChanges([memo('i1', 'theirs'), memo('i2', 'theirs')], shared);
+
+    const { apply, conflicting } = classifyChanges(incoming, local, shared);
+    expect(apply.map(c => c.id)).toEqual(['i1']);
+    expect(conflicting.map(c => c.id)).toEqual(['i2']);
+
+    const forced = classifyChanges([{ ...incoming[1], force: true }], local, shared);
+    expect(forced.apply.map(c => c.id)).toEqual(['i2']);
+  });
+
+  it('treats identical results as already in sync', () => {
+    const shared = sharedOf([memo('i1', 'a')]);
+    const local = byId([memo('i1', 'same')]);
+    const result = classifyChanges(collectChanges([memo('i1', 'same')], shared), local, shared);
+    expect(result.same.map(c => c.id)).toEqual(['i1']);
+    expect(result.apply).toEqual([]);
+    expect(result.conflicting).toEqual([]);
+  });
+
+  it('full syncs remove only items this tab had shared and left untouched', () => {
+    const shared = sharedOf([memo('i1', 'a'), memo('i2', 'b')]);
+    const local = byId([memo('i1', 'a'), memo('i2', 'edited'), memo('i9', 'new here')]);
+    const changes = withFullSyncRemovals([], shared);
+    expect(changes.map(c => c.id)).toEqual(['i1', 'i2']);
+
+    const { apply, conflicting } = classifyChanges(changes, local, shared);
+    expect(apply.map(c => c.id)).toEqual(['i1']);
+    expect(conflicting.map(c => c.id)).toEqual(['i2']);
+  });
+});
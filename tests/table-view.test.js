@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import { getEditableText, setItemText } from '../js/items.js';
+import { getTableRows } from '../js/table-view.js';
+
+function item(id, type, content, extra = {}) {
+  const el = document.createElement('div');
+  el.innerHTML = type === 'memo' ? '<div class="memo-body"></div>' : '<div class="keyword-body"></div>';
+  return { id, type, x: 0, y: 0, w: 100, h: 60, content, color: null, locked: false, updatedAt: null, el, ...extra };
+}
+
+const paragraphs = (...lines) => lines.map(line => `<div data-knotpad-paragraph="true">${line}</div>`).join('');
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.connections.length = 0;
+  state.setPalette([]);
+});
+
+describe('plain text editing', () => {
+  it('edits keywords, titles and memos of plain paragraphs only', () => {
+    expect(getEditableText(item('k', 'keyword', 'Goal'))).toBe('Goal');
+    expect(getEditableText(item('f', 'frame', { title: 'Backlog', members: [] }))).toBe('Backlog');
+    expect(getEditableText(item('m', 'memo', paragraphs('One', '<br>', 'Three &amp; four')))).toBe('One\n\nThree & four');
+    expect(getEditableText(item('b', 'memo', paragraphs('<b>Bold</b>')))).toBeNull();
+    expect(getEditableText(item('h', 'memo', '<h1>Title</h1>'))).toBeNull();
+    expect(getEditableText(item('i', 'image', 'media_1'))).toBeNull();
+  });
+
+  it('writes text back to the item and its card', () => {
+    const memo = item('m', 'memo', paragraphs('Old'));
+    setItemText(memo, 'First <line>\n\nThird');
+    expect(getEditableText(memo)).toBe('First <line>\n\nThird');
+    expect(memo.el.querySelector('.memo-body').innerHTML).toBe(memo.content);
+    expect(memo.content).toContain('First &lt;line&gt;');
+
+    const keyword = item('k', 'keyword', 'Old');
+    setItemText(keyword, 'New\nname');
+    expect(keyword.content).toBe('New name');
+    expect(keyword.el.querySelector('.keyword-body').textContent).toBe('New name');
+
+    const formatted = item('b', 'memo', '<h1>Keep</h1>');
+    setItemText(formatted, 'Lost');
+    expect(formatted.content).toBe('<h1>Keep</h1>');
+  });
+});
+
+describe('table rows', () => {
+  const setup = () => {
+    const a = item('a', 'keyword', 'banana', { color: 'blue', updatedAt: 3000, w: 200 });
+    const b = item('b', 'memo', paragraphs('Apple pie'), { color: 'red', updatedAt: 1000 });
+    const c = item('c', 'link', { title: '', url: 'https://cherry.example' }, { locked: true });
+    state.items.push(a, b, c);
+    state.connections.push({ from: a, to: b }, { from: a, to: c });
+    return [a, b, c];
+  };
+  const ids = rows => rows.map(row => row.item.id);
+
+  it('sorts by any column and counts connections', () => {
+    setup();
+    expect(ids(getTableRows(state.items, { key: 'updatedAt', dir: -1 }))).toEqual(['a', 'b', 'c']);
+    expect(ids(getTableRows(state.items, { key: 'text', dir: 1 }))).toEqual(['b', 'a', 'c']);
+    expect(ids(getTableRows(state.items, { key: 'color', dir: 1 }))).toEqual(['b', 'a', 'c']);
+    expect(ids(getTableRows(state.items, { key: 'size', dir: -1 }))).toEqual(['a', 'b', 'c']);
+    expect(ids(getTableRows(state.items, { key: 'locked', dir: -1 }))).toEqual(['c', 'a', 'b']);
+    expect(getTableRows(state.items, { key: 'links', dir: -1 }).map(row => row.links)).toEqual([2, 1, 1]);
+  });
+
+  it('filters by text and type', () => {
+    setup();
+    expect(ids(getTableRows(state.items, { query: ' APPLE ' }))).toEqual(['b']);
+    expect(ids(getTableRows(state.items, { query: 'cherry' }))).toEqual(['c']);
+    expect(ids(getTableRows(state.items, { type: 'keyword' }))).toEqual(['a']);
+    expect(getTableRows(state.items, { query: 'apple', type: 'keyword' })).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import { BUILTIN_TEMPLATES, getTemplates, createTemplate, templateToCanvasData } from '../js/templates.js';
+
+beforeEach(() => {
+  state.canvasTemplates.length = 0;
+});
+
+describe('templates', () => {
+  it('keeps layout and styling relative to the top-left item and drops stored media', () => {
+    const template = createTemplate('Board', {
+      items: [
+        { id: 'f', type: 'frame', x: 100, y: 200, w: 400, h: 300, z: 1, content: { title: 'Column', collapsed: false, members: ['a', 'img'] } },
+        { id: 'a', type: 'memo', x: 140, y: 260, w: 200, h: 100, z: 3, content: 'Idea', color: 'red', fontSize: 'large', textAlign: 'center', locked: true },
+        { id: 'img', type: 'image', x: 300, y: 260, w: 100, h: 100, z: 2, content: 'media_abc' },
+        { id: 'k', type: 'keyword', x: 600, y: 250, w: 256, h: 56, z: 4, content: 'Goal' }
+      ],
+      connections: [
+        { id: 'c1', from: 'a', fh: 'right', to: 'k', th: 'left', dir: 'forward', label: 'leads to' },
+        { id: 'c2', from: 'img', fh: 'right', to: 'k', th: 'left' }
+      ]
+    });
+
+    expect(template.name).toBe('Board');
+    expect(template.items).toEqual([
+      { id: 't1', type: 'frame', x: 0, y: 0, w: 400, h: 300, content: { title: 'Column', collapsed: false, members: ['t2'] } },
+      { id: 't2', type: 'memo', x: 40, y: 60, w: 200, h: 100, content: 'Idea', color: 'red', fontSize: 'large', textAlign: 'center' },
+      { id: 't3', type: 'keyword', x: 500, y: 50, w: 256, h: 56, content: 'Goal' }
+    ]);
+    expect(template.connections).toEqual([
+      { from: 't2', fh: 'right', to: 't3', th: 'left', dir: 'forward', label: 'leads to' }
+    ]);
+  });
+
+  it('creates canvas data with fresh ids and stacking order', () => {
+    const kanban = BUILTIN_TEMPLATES.find(t => t.id === 'builtin-kanban');
+    const data = templateToCanvasData(kanban);
+    const ids = data.items.map(i => i.id);
+
+    expect(new Set(ids).size).toBe(kanban.items.length);
+    expect(data.itemId).toBe(kanban.items.length);
+    expect(data.highestZ).toBe(kanban.items.length);
+    expect(data.items[0]).toMatchObject({ type: 'frame', x: 80, y: 80, z: 1 });
+    data.items.filter(i => i.type === 'frame').forEach(f => {
+      f.content.members.forEach(id => expect(ids).toContain(id));
+    });
+    // The template itself is not touched
+    expect(kanban.items[0].content.members).toEqual(['todo1']);
+
+    const mindmap = templateToCanvasData(BUILTIN_TEMPLATES.find(t => t.id === 'builtin-mindmap'));
+    expect(mindmap.connections).toHaveLength(4);
+    mindmap.connections.forEach(c => {
+      expect(c.id).toBeTruthy();
+      expect(mindmap.items.map(i => i.id)).toContain(c.from);
+    });
+  });
+
+  it('lists built-ins before user templates', () => {
+    state.canvasTemplates.push({ id: 'mine', name: 'Mine', items: [], connections: [] });
+    const names = getTemplates().map(t => t.name);
+    expect(names.slice(0, 4)).toEqual(['SWOT Analysis', 'Kanban Columns', 'Mind Map', 'Retro Board']);
+    expect(names[4]).toBe('Mine');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as state from '../js/state.js';
+import {
+  getItemTitle, getLinkTargets, matchLinkTargets, createWikiLinkElement, updateReferences, refreshWikiLinks, getBacklinks
+} from '../js/wiki-links.js';
+import { getMemoHtmlFromClipboardData } from '../js/items.js';
+import { memoHtmlToMarkdown } from '../js/markdown.js';
+
+function item(id, type, content) {
+  return { id, type, content, el: document.createElement('div') };
+}
+
+beforeEach(() => {
+  state.items.length = 0;
+  state.setCanvases([{ id: 'c1', name: 'Plans' }]);
+  state.setCurrentCanvasId('c1');
+});
+
+describe('item titles', () => {
+  it('uses the first line of a memo and the visible text of other items', () => {
+    expect(getItemTitle(item('m', 'memo', '<div data-knotpad-paragraph="true"><br></div><div data-knotpad-paragraph="true">Launch <b>plan</b></div><div>later</div>')))
+      .toBe('Launch plan');
+    expect(getItemTitle(item('k', 'keyword', 'Budget'))).toBe('Budget');
+    expect(getItemTitle(item('l', 'link', { url: 'https://example.com', title: '' }))).toBe('https://example.com');
+    expect(getItemTitle(item('i', 'image', 'data:image/png;base64,'))).toBe('');
+    expect(getItemTitle(item('m', 'memo', 'x'.repeat(80)))).toHaveLength(60);
+  });
+});
+
+describe('link targets', () => {
+  it('lists canvases and titled items, ranking prefix matches on the current canvas first', async () => {
+    state.items.push(item('a', 'keyword', 'Roadmap'), item('b', 'memo', 'Draft of the road trip'), item('c', 'image', ''));
+    const targets = await getLinkTargets();
+    expect(targets.map(t => t.title)).toEqual(['Plans', 'Roadmap', 'Draft of the road trip']);
+    expect(matchLinkTargets(targets, 'road').map(t => t.itemId)).toEqual(['a', 'b']);
+    expect(matchLinkTargets(targets, 'road', { excludeId: 'a' }).map(t => t.itemId)).toEqual(['b']);
+    expect(matchLinkTargets(targets, '').map(t => t.type)).toEqual(['memo', 'canvas', 'keyword']);
+  });
+});
+
+describe('references', () => {
+  it('follow renames and are marked once the target is gone', () => {
+    const target = item('k', 'keyword', 'Budget 2025');
+    state.items.push(target);
+    const root = document.createElement('div');
+    root.append(createWikiLinkElement({ canvasId: 'c1', itemId: 'k', title: 'Budget' }), createWikiLinkElement({ canvasId: 'gone', title: 'Old' }));
+
+    expect(updateReferences(root)).toBe(true);
+    expect(root.innerHTML).toBe('<span data-ref-canvas="c1" data-ref="k" contenteditable="false">Budget 2025</span>'
+      + '<span data-ref-canvas="gone" contenteditable="false" data-ref-missing="">Old</span>');
+    expect(updateReferences(root)).toBe(false);
+
+    state.items.length = 0;
+    expect(updateReferences(root)).toBe(true);
+    expect(root.firstChild.hasAttribute('data-ref-missing')).toBe(true);
+  });
+
+  it('rewrites the saved content of memos on the current canvas', () => {
+    const memo = item('m', 'memo', '<div data-knotpad-paragraph="true">See <span data-ref-canvas="c1" contenteditable="false">Old name</span></div>');
+    state.items.push(memo);
+    refreshWikiLinks();
+    expect(memo.content).toContain('>Plans</span>');
+  });
+
+  it('finds memos that link to an item', async () => {
+    state.items.push(
+      item('k', 'keyword', 'Budget'),
+      item('m1', 'memo', '<div data-knotpad-paragraph="true">Check <span data-ref-canvas="c1" data-ref="k">Budget</span></div>'),
+      item('m2', 'memo', '<div data-knotpad-paragraph="true">k is not a link</div>')
+    );
+    expect(await getBacklinks('c1', 'k')).toEqual([{ canvasId: 'c1', canvasName: 'Plans', id: 'm1', title: 'Check Budget' }]);
+  });
+
+  it('tell apart items that share an id on different canvases', async () => {
+    const ref = (canvasId, itemId) => `<span data-ref-canvas="${canvasId}" data-ref="${itemId}">x</span>`;
+    state.setCanvases([{ id: 'c1', name: 'Plans' }, { id: 'c2', name: 'Notes', updatedAt: 2 }]);
+    state.items.push(item('i1', 'keyword', 'Budget'), item('i2', 'memo', `Budget follow-up ${ref('c2', 'i1')}`));
+    localStorage.setItem('knotpad-data-c2', JSON.stringify({
+      items: [{ id: 'i1', type: 'memo', content: `Budget notes ${ref('c1', 'i1')}` }],
+      connections: []
+    }));
+
+    const targets = await getLinkTargets();
+    expect(matchLinkTargets(targets, 'budget', { excludeId: 'i1' }).map(t => `${t.canvasId}/${t.itemId}`)).toEqual(['c1/i2', 'c2/i1']);
+    expect(await getBacklinks('c1', 'i1')).toEqual([{ canvasId: 'c2', canvasName: 'Notes', id: 'i1', title: 'Budget notes x' }]);
+    expect(await getBacklinks('c2', 'i1')).toEqual([{ canvasId: 'c1', canvasName: 'Plans', id: 'i2', title: 'Budget follow-up x' }]);
+  });
+
+  it('survive copy and paste, and export as [[Title]]', () => {
+    const live = '<div data-knotpad-paragraph="true">See <span data-ref-canvas="c1" data-ref="k" contenteditable="false" onclick="x()">Budget</span></div>';
+    const html = getMemoHtmlFromClipboardData({ getData: type => type === 'application/x-knotpad-memo' ? live : '' });
+    expect(html).toBe('<div data-knotpad-paragraph="true">See <span data-ref-canvas="c1" data-ref="k" contenteditable="false">Budget</span></div>');
+    expect(memoHtmlToMarkdown(html)).toBe('See [[Budget]]');
+  });
+});